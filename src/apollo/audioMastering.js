@@ -0,0 +1,293 @@
+/**
+ * AUDIO MASTERING — narration QA and mastering
+ *
+ * Chatterbox chunks are concatenated as they come back and Edge TTS output
+ * is used raw, so every lecture MP3 goes through one pass here:
+ *
+ *   measure — loudness (EBU R128), peaks, silences (one FFmpeg pass)
+ *   check   — clipping, and chunks/slides whose speaking rate shows the TTS
+ *             truncated them (too many words for the audio) or ran on
+ *   master  — trim leading/trailing silence, cap long pauses, two-pass
+ *             loudnorm to the target LUFS → audio/mastered/lecture-NN.mp3
+ *
+ * Cuts shift time, so slide timing manifests and chunkDurations are mapped
+ * onto the mastered audio. The raw narration is left as it was; a lecture
+ * that fails its checks is re-synthesized once (options.resynthesize) and
+ * otherwise flagged — the validator fails gate 3 on flagged lectures.
+ * Metrics for every lecture go to audio/mastered/report.json.
+ *
+ * AUDIO_MASTERING=false skips the stage; NARRATION_LUFS sets the target.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const execAsync = promisify(require('child_process').exec);
+const { mapWithPool } = require('../scripts/workerPool');
+const { extractFullScript, splitTextIntoChunks } = require('./narrator');
+const { countWords } = require('./slideTiming');
+const { probeDuration } = require('./mediaProbe');
+
+const MASTERING_CONFIG = {
+  targetLufs: parseFloat(process.env.NARRATION_LUFS) || -16,
+  truePeak: -1.5,
+  lra: 11,
+  loudnessTolerance: 1.5, // LU either side of the target after mastering
+  silenceDb: -50,
+  minSilence: 0.3,
+  keepLead: 0.25, // seconds of silence kept before the first word
+  keepTail: 0.6, // ... and after the last
+  maxPause: 1.5, // longer pauses are shortened to this
+  clipShare: 0.002, // share of samples within 1 dB of full scale that counts as clipping
+  maxWordsPerSecond: 4.5, // faster than this, the TTS dropped words
+  minWordsPerSecond: 0.8, // slower than this, it ran on (or stalled)
+  minRateWords: 8 // chunks/slides shorter than this are not rate-checked
+};
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+/**
+ * Measure a file: { duration, loudness, maxVolume, clipShare, silences }
+ *
+ * loudness is loudnorm's first-pass JSON (input_i, input_tp, ...), which
+ * the mastering pass feeds back in for an accurate linear gain.
+ */
+async function analyzeAudio(file, config = MASTERING_CONFIG) {
+  const duration = await probeDuration(file);
+  if (!duration) throw new Error(`Cannot read ${file}`);
+
+  const filter = [
+    `silencedetect=n=${config.silenceDb}dB:d=${config.minSilence}`,
+    'volumedetect',
+    `loudnorm=I=${config.targetLufs}:TP=${config.truePeak}:LRA=${config.lra}:print_format=json`
+  ].join(',');
+  const { stderr } = await execAsync(`ffmpeg -hide_banner -nostats -i "${file}" -af "${filter}" -f null -`, { maxBuffer: 16 * 1024 * 1024 });
+
+  const silences = [];
+  for (const line of stderr.split('\n')) {
+    const start = line.match(/silence_start: (-?[\d.]+)/);
+    const end = line.match(/silence_end: ([\d.]+)/);
+    if (start) silences.push({ start: Math.max(0, parseFloat(start[1])), end: duration });
+    if (end && silences.length > 0) silences[silences.length - 1].end = parseFloat(end[1]);
+  }
+
+  const json = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/);
+  const loudness = json ? JSON.parse(json[0]) : null;
+  const samples = parseInt(stderr.match(/n_samples: (\d+)/)?.[1]) || 0;
+  const nearFullScale = parseInt(stderr.match(/histogram_0db: (\d+)/)?.[1]) || 0;
+
+  return {
+    duration,
+    loudness,
+    lufs: loudness ? parseFloat(loudness.input_i) : null,
+    truePeak: loudness ? parseFloat(loudness.input_tp) : null,
+    maxVolume: parseFloat(stderr.match(/max_volume: (-?[\d.]+) dB/)?.[1] ?? NaN),
+    clipShare: samples ? nearFullScale / samples : 0,
+    silences
+  };
+}
+
+/**
+ * Stretches to cut: leading/trailing silence beyond keepLead/keepTail, and
+ * the middle of every pause longer than maxPause
+ */
+function planCuts(silences, duration, config = MASTERING_CONFIG) {
+  const cuts = [];
+  // Encoder padding keeps silence from reaching the exact ends of an MP3
+  const edge = 0.1;
+  for (const s of silences) {
+    if (s.start <= edge) {
+      if (s.end - config.keepLead > 0.05) cuts.push({ start: 0, end: s.end - config.keepLead });
+    } else if (s.end >= duration - edge) {
+      if (duration - s.start - config.keepTail > 0.05) cuts.push({ start: s.start + config.keepTail, end: duration });
+    } else if (s.end - s.start > config.maxPause) {
+      cuts.push({ start: s.start + config.maxPause / 2, end: s.end - config.maxPause / 2 });
+    }
+  }
+  return cuts.map(c => ({ start: round3(c.start), end: round3(c.end) }));
+}
+
+/**
+ * A time in the raw audio → the same moment after the cuts
+ */
+function mapTime(t, cuts) {
+  return round3(t - cuts.reduce((sum, c) => sum + Math.min(Math.max(t - c.start, 0), c.end - c.start), 0));
+}
+
+/**
+ * Speaking-rate check over [{ label, words, duration }] — issue per outlier
+ */
+function rateIssues(parts, config = MASTERING_CONFIG) {
+  const issues = [];
+  for (const part of parts) {
+    if (part.words < config.minRateWords || !part.duration) continue;
+    const rate = part.words / part.duration;
+    if (rate > config.maxWordsPerSecond) {
+      issues.push({ type: 'truncated', detail: `${part.label}: ${part.words} words in ${part.duration.toFixed(1)}s` });
+    } else if (rate < config.minWordsPerSecond) {
+      issues.push({ type: 'overlong', detail: `${part.label}: ${part.words} words in ${part.duration.toFixed(1)}s` });
+    }
+  }
+  return issues;
+}
+
+/**
+ * The pieces of a lecture's audio with their words — slides (timing
+ * manifest), Chatterbox chunks, or the lecture as a whole
+ */
+function speechParts(audio, lecture, manifest, duration) {
+  if (manifest?.slides?.length) {
+    return manifest.slides.map(s => ({ label: `slide ${s.slideNumber}`, words: countWords(s.text || ''), duration: s.duration }));
+  }
+  const text = extractFullScript(lecture || {});
+  const chunks = splitTextIntoChunks(text);
+  if (audio.chunkDurations?.length === chunks.length) {
+    return chunks.map((chunk, i) => ({ label: `chunk ${i + 1}/${chunks.length}`, words: countWords(chunk), duration: audio.chunkDurations[i] }));
+  }
+  return [{ label: 'lecture', words: countWords(text), duration }];
+}
+
+function loadManifest(timingPath) {
+  if (!timingPath || !fs.existsSync(timingPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(timingPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * QA + master one lecture — { audio (entry for the mastered file), metrics }
+ */
+async function masterLecture(audio, lecture, masteredDir, config = MASTERING_CONFIG) {
+  const name = path.basename(audio.audioPath).replace(/\.(mp3|wav)$/i, '');
+  const outputPath = path.join(masteredDir, `${name}.mp3`);
+  const manifest = loadManifest(audio.timingPath);
+
+  const before = await analyzeAudio(audio.audioPath, config);
+  // Chunk durations from an earlier synthesis no longer describe this file
+  const chunkDurations = audio.chunkDurations && Math.abs(audio.chunkDurations.reduce((a, d) => a + d, 0) - before.duration) < 1
+    ? audio.chunkDurations : null;
+
+  const issues = rateIssues(speechParts({ ...audio, chunkDurations }, lecture, manifest, before.duration), config);
+  if (before.maxVolume >= -0.5 && before.clipShare >= config.clipShare) {
+    issues.push({ type: 'clipping', detail: `${(before.clipShare * 100).toFixed(2)}% of samples at full scale` });
+  }
+
+  const cuts = planCuts(before.silences, before.duration, config);
+  const keep = cuts.length ? `aselect='not(${cuts.map(c => `between(t,${c.start},${c.end})`).join('+')})',asetpts=N/SR/TB,` : '';
+  const l = before.loudness;
+  const loudnorm = `loudnorm=I=${config.targetLufs}:TP=${config.truePeak}:LRA=${config.lra}` +
+    (l ? `:measured_I=${l.input_i}:measured_TP=${l.input_tp}:measured_LRA=${l.input_lra}:measured_thresh=${l.input_thresh}:offset=${l.target_offset}:linear=true` : '');
+  await execAsync(`ffmpeg -y -i "${audio.audioPath}" -af "${keep}${loudnorm}" -ar 44100 -codec:a libmp3lame -b:a 192k "${outputPath}"`);
+
+  const after = await analyzeAudio(outputPath, config);
+  if (after.lufs !== null && Math.abs(after.lufs - config.targetLufs) > config.loudnessTolerance) {
+    issues.push({ type: 'loudness', detail: `${after.lufs} LUFS after mastering (target ${config.targetLufs})` });
+  }
+
+  const mastered = { ...audio, audioPath: outputPath, rawPath: audio.audioPath, duration: round3(after.duration) };
+  delete mastered.chunkDurations;
+  if (chunkDurations) {
+    // Chunk boundaries move with the cuts
+    let end = 0;
+    const bounds = chunkDurations.map(d => mapTime(end += d, cuts));
+    mastered.chunkDurations = bounds.map((b, i) => round3(b - (i > 0 ? bounds[i - 1] : 0)));
+  }
+  if (manifest) {
+    const timingPath = outputPath.replace(/\.mp3$/, '.timing.json');
+    const slides = manifest.slides.map(s => {
+      const start = mapTime(s.start, cuts), end = mapTime(s.end, cuts);
+      return { ...s, start, end, duration: round3(end - start) };
+    });
+    fs.writeFileSync(timingPath, JSON.stringify({ ...manifest, audioPath: path.basename(outputPath), totalDuration: mapTime(manifest.totalDuration, cuts), slides, masteredAt: new Date().toISOString() }, null, 2));
+    mastered.timingPath = timingPath;
+  }
+
+  const pauses = cuts.filter(c => c.start > 0 && c.end < before.duration);
+  const metrics = {
+    lectureIndex: audio.lectureIndex, lectureTitle: audio.lectureTitle,
+    passed: issues.length === 0, issues,
+    before: { duration: round3(before.duration), lufs: before.lufs, truePeak: before.truePeak, maxVolume: before.maxVolume },
+    after: { duration: round3(after.duration), lufs: after.lufs, truePeak: after.truePeak },
+    trimmed: { seconds: round3(before.duration - after.duration), pausesCapped: pauses.length }
+  };
+  return { audio: mastered, metrics };
+}
+
+/**
+ * Master every narrated lecture of a course
+ *
+ * options: { audioFiles, resynthesize(lectureIndex) → new narrator entry }
+ * Lectures that cannot be mastered keep their raw audio (and are flagged).
+ */
+async function masterCourseNarration(courseContent, outputDir, options = {}) {
+  const { audioFiles = [], resynthesize = null, config = MASTERING_CONFIG } = options;
+  console.log(`\n   MASTERING: Narration QA + mastering (${config.targetLufs} LUFS)...`);
+
+  const lectures = (courseContent.sections || []).flatMap(s => s.lectures || []);
+  const masteredDir = path.join(outputDir, 'audio', 'mastered');
+  if (!fs.existsSync(masteredDir)) fs.mkdirSync(masteredDir, { recursive: true });
+
+  const outcomes = await mapWithPool('render', audioFiles, async (audio) => {
+    if (!audio.audioPath) return { audio, metrics: null };
+    const lecture = lectures[audio.lectureIndex - 1];
+    try {
+      let result = await masterLecture(audio, lecture, masteredDir, config);
+      // Clipping, truncation and run-ons come from the TTS — one more take
+      if (!result.metrics.passed && resynthesize && result.metrics.issues.some(i => i.type !== 'loudness')) {
+        console.log(`   Lecture ${audio.lectureIndex}: ${result.metrics.issues.map(i => i.type).join(', ')} — re-synthesizing`);
+        const fresh = await resynthesize(audio.lectureIndex);
+        if (fresh?.audioPath) {
+          const retry = await masterLecture(fresh, lecture, masteredDir, config);
+          result = { audio: retry.audio, metrics: { ...retry.metrics, resynthesized: true, firstTake: result.metrics.issues } };
+        }
+      }
+      const m = result.metrics;
+      console.log(`   Lecture ${audio.lectureIndex}: ${m.before.lufs} → ${m.after.lufs} LUFS, -${m.trimmed.seconds}s${m.passed ? '' : ` — FLAGGED (${m.issues.map(i => i.type).join(', ')})`}`);
+      return result;
+    } catch (error) {
+      console.error(`   Mastering failed for lecture ${audio.lectureIndex}: ${error.message}`);
+      return { audio, metrics: { lectureIndex: audio.lectureIndex, lectureTitle: audio.lectureTitle, passed: false, issues: [{ type: 'error', detail: error.message.split('\n')[0] }] } };
+    }
+  });
+
+  const report = {
+    targetLufs: config.targetLufs, createdAt: new Date().toISOString(),
+    lectures: outcomes.map(o => o.metrics).filter(Boolean)
+  };
+  const reportPath = path.join(masteredDir, 'report.json');
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+  const flagged = report.lectures.filter(m => !m.passed);
+  console.log(`   Mastered: ${report.lectures.length - flagged.length}/${report.lectures.length} lectures passed QA${flagged.length ? ` (flagged: ${flagged.map(m => m.lectureIndex).join(', ')})` : ''}`);
+  return {
+    success: true, masteredLectures: outcomes.filter(o => o.audio.rawPath).length,
+    flaggedLectures: flagged.map(m => m.lectureIndex), lectures: report.lectures,
+    audioFiles: outcomes.map(o => o.audio), reportPath
+  };
+}
+
+// CLI: node audioMastering.js <file.mp3> — measure a file and show the planned cuts
+if (require.main === module) {
+  const file = process.argv[2];
+  if (!file) {
+    console.log('Usage: node audioMastering.js <audio-file>');
+    process.exit(1);
+  }
+  analyzeAudio(file).then(a => {
+    console.log('\n   AUDIO MASTERING — Analysis\n');
+    console.log(`   Duration: ${a.duration.toFixed(1)}s | Loudness: ${a.lufs} LUFS | True peak: ${a.truePeak} dBTP | Max: ${a.maxVolume} dB`);
+    console.log(`   Near full scale: ${(a.clipShare * 100).toFixed(3)}% of samples | Silences: ${a.silences.length}`);
+    const cuts = planCuts(a.silences, a.duration);
+    console.log(`   Planned cuts: ${cuts.map(c => `${c.start}-${c.end}`).join(', ') || 'none'}`);
+  }).catch(error => {
+    console.error(`   ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { analyzeAudio, planCuts, mapTime, rateIssues, masterLecture, masterCourseNarration, MASTERING_CONFIG };
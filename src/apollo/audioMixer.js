@@ -0,0 +1,192 @@
+/**
+ * AUDIO MIXER — music under narration with side-chain ducking
+ *
+ * The music is trimmed to length, set to a base volume, faded in and out and
+ * compressed by the voice (sidechaincompress), so it drops whenever speech
+ * is present and comes back up in the pauses. An optional volume envelope
+ * (an FFmpeg expression in t) shapes it further — the renderer uses one to
+ * keep bumper music to the intro and outro of a stitched lecture.
+ *
+ * Music bed (MUSIC_BED=true / --music): after narration, every lecture gets
+ * a track from the local library mixed under it, written to
+ * audio/music/lecture-NN.mp3 (with a copy of its timing manifest) and used
+ * by the renderer in place of the plain voice. Captions stay on the voice.
+ *
+ * Library and levels come from data/music.json:
+ *   courses[courseId] → categories[category] → default
+ * each a { mood, volume, fadeIn, fadeOut, ducking } (merged over the
+ * default). Tracks are the audio files in <library>/<mood>/ — royalty-free
+ * music you add yourself; one is picked per course, the same on every run.
+ *
+ * Needs FFmpeg 4.4+ (amix normalize=0).
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const execAsync = promisify(require('child_process').exec);
+const { mapWithPool } = require('../scripts/workerPool');
+const { probeDuration } = require('./mediaProbe');
+const { loadCategoryConfig, courseLayers } = require('./categoryConfig');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const CONFIG_PATH = path.join(ROOT_DIR, 'data/music.json');
+const TRACK_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.ogg', '.flac'];
+const DEFAULT_MUSIC = { mood: 'calm', volume: 0.12, fadeIn: 2, fadeOut: 3, ducking: {} };
+
+// sidechaincompress settings: threshold is linear (0.03 ≈ -30 dBFS)
+const DUCKING = { threshold: 0.03, ratio: 10, attack: 20, release: 400, makeup: 1 };
+
+/**
+ * Filtergraph mixing the music under the voice — labels without brackets
+ *
+ * The music input should be looped (-stream_loop -1); it is cut to duration.
+ * options: { volume (music gain), duration (s), fadeIn, fadeOut, envelope, ducking }
+ */
+function musicBedFilter(voice, music, out, options = {}) {
+  const { volume = 0.15, duration, fadeIn = 1, fadeOut = 2, envelope = null, ducking = {} } = options;
+  if (!duration) throw new Error('musicBedFilter needs a duration');
+  const d = { ...DUCKING, ...ducking };
+
+  const bed = [
+    'aresample=48000', 'aformat=sample_fmts=fltp:channel_layouts=stereo',
+    `atrim=0:${duration.toFixed(3)}`, 'asetpts=PTS-STARTPTS', `volume=${volume}`,
+    envelope ? `volume='${envelope}':eval=frame` : null,
+    fadeIn > 0 ? `afade=t=in:d=${fadeIn}` : null,
+    fadeOut > 0 ? `afade=t=out:st=${Math.max(0, duration - fadeOut).toFixed(3)}:d=${fadeOut}` : null
+  ].filter(Boolean).join(',');
+
+  return [
+    `[${music}]${bed}[${out}_bed]`,
+    `[${voice}]aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo,asplit=2[${out}_voice][${out}_key]`,
+    `[${out}_bed][${out}_key]sidechaincompress=threshold=${d.threshold}:ratio=${d.ratio}:attack=${d.attack}:release=${d.release}:makeup=${d.makeup}[${out}_ducked]`,
+    `[${out}_voice][${out}_ducked]amix=inputs=2:duration=first:normalize=0[${out}]`
+  ].join(';');
+}
+
+/**
+ * data/music.json (see categoryConfig) with the library resolved and DEFAULT_MUSIC filled in
+ */
+function loadMusicConfig(configPath = CONFIG_PATH) {
+  const config = loadCategoryConfig(configPath);
+  return {
+    library: path.resolve(ROOT_DIR, config.library || 'data/music'),
+    default: { ...DEFAULT_MUSIC, ...config.default },
+    courses: config.courses,
+    categories: config.categories
+  };
+}
+
+/**
+ * Music settings for a course — selector: { courseId, category, mood, volume }
+ */
+function resolveMusic(selector = {}, config = loadMusicConfig()) {
+  const { courseId = null, category = null, mood = null, volume = null } = selector;
+  // Merged, not picked: a course entry may set only its mood
+  const settings = Object.assign({}, ...courseLayers(config, { courseId, category }));
+  return {
+    ...settings,
+    mood: mood || settings.mood,
+    volume: volume ?? settings.volume,
+    ducking: { ...config.default.ducking, ...settings.ducking },
+    library: config.library
+  };
+}
+
+/**
+ * Audio files in the library folder for a mood, sorted by name
+ */
+function listTracks(mood, library = loadMusicConfig().library) {
+  const dir = path.join(library, mood);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => TRACK_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+    .sort()
+    .map(f => path.join(dir, f));
+}
+
+/**
+ * Stable choice of track for a seed (course id), so reruns match
+ */
+function pickTrack(tracks, seed = '') {
+  if (tracks.length === 0) return null;
+  const hash = parseInt(crypto.createHash('sha256').update(String(seed)).digest('hex').slice(0, 8), 16);
+  return tracks[hash % tracks.length];
+}
+
+/**
+ * Mix a music track under one narration file (ducked, faded at both ends)
+ */
+async function mixMusicBed(voicePath, musicPath, outputPath, options = {}) {
+  const { volume = DEFAULT_MUSIC.volume, fadeIn = DEFAULT_MUSIC.fadeIn, fadeOut = DEFAULT_MUSIC.fadeOut, ducking = {} } = options;
+  const duration = await probeDuration(voicePath);
+  if (!duration) return { success: false, error: `Cannot read ${voicePath}` };
+
+  const filter = musicBedFilter('0:a', '1:a', 'mixed', { volume, duration, fadeIn, fadeOut, ducking });
+  const codec = /\.wav$/i.test(outputPath) ? '-c:a pcm_s16le' : '-c:a libmp3lame -b:a 192k';
+  try {
+    await execAsync(`ffmpeg -y -i "${voicePath}" -stream_loop -1 -i "${musicPath}" -filter_complex "${filter}" -map "[mixed]" ${codec} "${outputPath}"`);
+    return { success: true, outputPath, duration };
+  } catch (error) {
+    return { success: false, error: error.message.split('\n').slice(-2).join(' ').trim() };
+  }
+}
+
+/**
+ * Music bed under every narrated lecture of a course
+ *
+ * Returns audioFiles in the narrator's shape, pointing at the mixed files
+ * (voicePath keeps the original); lectures that fail to mix keep their voice.
+ */
+async function mixCourseMusic(courseContent, outputDir, options = {}) {
+  const { audioFiles = [] } = options;
+  const music = resolveMusic({
+    courseId: options.courseId ?? courseContent?._meta?.courseId,
+    category: options.category ?? courseContent?.metadata?.category,
+    mood: options.mood, volume: options.volume
+  });
+  const track = pickTrack(listTracks(music.mood, music.library), options.courseId ?? courseContent?._meta?.courseId ?? courseContent?.metadata?.title);
+
+  console.log(`\n   MIXER: Music bed (mood: ${music.mood}, volume: ${music.volume})...`);
+  if (!track) {
+    console.log(`   No tracks in ${path.join(music.library, music.mood)} — narration left as is`);
+    return { success: true, skipped: true, mood: music.mood, track: null, mixedLectures: 0, audioFiles };
+  }
+  console.log(`   Track: ${path.basename(track)}`);
+
+  const musicDir = path.join(outputDir, 'audio', 'music');
+  if (!fs.existsSync(musicDir)) fs.mkdirSync(musicDir, { recursive: true });
+
+  const mixed = await mapWithPool('render', audioFiles, async (audio) => {
+    if (!audio.audioPath) return audio;
+    const outputPath = path.join(musicDir, path.basename(audio.audioPath).replace(/\.wav$/i, '.mp3'));
+    const result = await mixMusicBed(audio.audioPath, track, outputPath, music);
+    if (!result.success) {
+      console.error(`   Music bed failed for lecture ${audio.lectureIndex}: ${result.error}`);
+      return audio;
+    }
+    // The renderer finds slide timing next to the audio it is given
+    const timingPath = audio.timingPath && fs.existsSync(audio.timingPath) ? outputPath.replace(/\.mp3$/, '.timing.json') : null;
+    if (timingPath) fs.copyFileSync(audio.timingPath, timingPath);
+    return { ...audio, audioPath: outputPath, voicePath: audio.audioPath, timingPath: timingPath || audio.timingPath };
+  });
+
+  const mixedLectures = mixed.filter(a => a.voicePath).length;
+  console.log(`   Mixed: ${mixedLectures}/${audioFiles.filter(a => a.audioPath).length} lectures`);
+  return { success: true, mood: music.mood, track, volume: music.volume, mixedLectures, audioFiles: mixed };
+}
+
+// CLI: node audioMixer.js [courseId] [category] — print the music settings and tracks
+if (require.main === module) {
+  const [courseId, ...category] = process.argv.slice(2);
+  const music = resolveMusic({ courseId, category: category.join(' ') || null });
+  const tracks = listTracks(music.mood, music.library);
+  console.log('\n   AUDIO MIXER — Music Bed\n');
+  console.log(JSON.stringify(music, null, 2));
+  console.log(`\n   Tracks (${tracks.length}): ${tracks.map(t => path.basename(t)).join(', ') || 'none'}`);
+  if (tracks.length > 0) console.log(`   Picked: ${path.basename(pickTrack(tracks, courseId || ''))}`);
+}
+
+module.exports = { musicBedFilter, mixMusicBed, mixCourseMusic, resolveMusic, loadMusicConfig, listTracks, pickTrack, DUCKING };
@@ -0,0 +1,184 @@
+/**
+ * CAPTIONER — SRT + WebVTT subtitles for every lecture
+ *
+ * The narration script is split into caption-sized cues (at most two lines
+ * of 42 characters, sentence boundaries first) and timed against the
+ * generated audio, using the most exact source available:
+ *   1. timing manifest (slide-mode narration) — measured window per slide
+ *   2. Chatterbox chunk durations            — measured window per chunk
+ *   3. the whole script over the audio length (proportional word timing)
+ * Inside a window cues share the time in proportion to their word count.
+ *
+ * Writes captions/lecture-NN.srt and captions/lecture-NN.vtt; the renderer
+ * can burn the SRT into the FFmpeg render (BURN_CAPTIONS=true). When it
+ * stitches bumpers in front of a lecture it writes shifted copies next to
+ * the video (shiftCaptions).
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { extractFullScript, splitTextIntoChunks } = require('./narrator');
+const { loadTimingManifest, countWords } = require('./slideTiming');
+const { probeDuration } = require('./mediaProbe');
+
+const LINE_CHARS = 42;
+const MAX_LINES = 2;
+
+/**
+ * Split narration text into cue texts that fit on MAX_LINES lines
+ */
+function splitIntoCues(text, lineChars = LINE_CHARS) {
+  const maxChars = lineChars * MAX_LINES;
+  const fits = (cue) => wrapCue(cue, lineChars).every(line => line.length <= lineChars);
+  const sentences = cleanText(text).split(/(?<=[.!?])\s+/).filter(Boolean);
+  const cues = [];
+
+  for (const sentence of sentences) {
+    if (fits(sentence)) { cues.push(sentence); continue; }
+
+    // Long sentence: break at clause punctuation, then pack words
+    const clauses = sentence.split(/(?<=[,;:])\s+/);
+    let current = '';
+    for (const clause of clauses) {
+      for (const word of clause.split(' ')) {
+        if (current && !fits(`${current} ${word}`)) {
+          cues.push(current);
+          current = word;
+        } else {
+          current = current ? `${current} ${word}` : word;
+        }
+      }
+      // Prefer ending a cue on a clause once it is reasonably full
+      if (current.length > maxChars * 0.6) { cues.push(current); current = ''; }
+    }
+    if (current) cues.push(current);
+  }
+  return cues;
+}
+
+/**
+ * Break a cue into balanced lines (the split nearest the middle that fits)
+ */
+function wrapCue(text, lineChars = LINE_CHARS) {
+  if (text.length <= lineChars) return [text];
+  let best = -1;
+  for (let i = text.indexOf(' '); i !== -1; i = text.indexOf(' ', i + 1)) {
+    if (i <= lineChars && text.length - i - 1 <= lineChars && (best === -1 || Math.abs(i - text.length / 2) < Math.abs(best - text.length / 2))) best = i;
+  }
+  if (best === -1) best = text.lastIndexOf(' ', lineChars);
+  return best > 0 ? [text.slice(0, best), text.slice(best + 1)] : [text];
+}
+
+function cleanText(text) {
+  // Chunked narration joins paragraphs with '. ' — drop the doubled stop
+  return String(text || '').replace(/[*_#`]+/g, '').replace(/\s+/g, ' ').replace(/(?<!\.)([.!?]) ?\.(?=\s|$)/g, '$1').trim();
+}
+
+/**
+ * Time cue texts across [start, end] by word count
+ */
+function timeCues(texts, start, end) {
+  const words = texts.map(t => Math.max(1, countWords(t)));
+  const total = words.reduce((a, b) => a + b, 0);
+  let t = start;
+  return texts.map((text, i) => {
+    const cueStart = t;
+    t += ((end - start) * words[i]) / total;
+    return { start: cueStart, end: i === texts.length - 1 ? end : t, text };
+  });
+}
+
+/**
+ * Timed windows of narration text for one lecture — [{ text, start, end }]
+ */
+async function buildWindows(lecture, audio) {
+  const manifest = loadTimingManifest(audio.audioPath);
+  if (manifest?.slides?.length) {
+    return { timing: 'manifest', windows: manifest.slides.map(s => ({ text: s.text, start: s.start, end: s.end })) };
+  }
+
+  const script = extractFullScript(lecture);
+  const chunks = splitTextIntoChunks(script);
+  if (audio.chunkDurations?.length === chunks.length) {
+    let t = 0;
+    const windows = chunks.map((text, i) => {
+      const w = { text, start: t, end: t + audio.chunkDurations[i] };
+      t = w.end;
+      return w;
+    });
+    return { timing: 'chunks', windows };
+  }
+
+  const duration = await probeDuration(audio.audioPath) || audio.duration;
+  return { timing: 'words', windows: [{ text: script, start: 0, end: duration }] };
+}
+
+/**
+ * Caption cues for one lecture — { timing, cues: [{ start, end, text }] }
+ */
+async function buildLectureCues(lecture, audio, options = {}) {
+  const { lineChars = LINE_CHARS } = options;
+  const { timing, windows } = await buildWindows(lecture, audio);
+  const cues = windows.flatMap(w => timeCues(splitIntoCues(w.text, lineChars), w.start, w.end));
+  return { timing, cues: cues.map(c => ({ ...c, lines: wrapCue(c.text, lineChars) })) };
+}
+
+function formatTimestamp(seconds, separator) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+function toSrt(cues) {
+  return cues.map((c, i) => `${i + 1}\n${formatTimestamp(c.start, ',')} --> ${formatTimestamp(c.end, ',')}\n${c.lines.join('\n')}\n`).join('\n');
+}
+
+function toVtt(cues) {
+  return 'WEBVTT\n\n' + cues.map(c => `${formatTimestamp(c.start, '.')} --> ${formatTimestamp(c.end, '.')}\n${c.lines.join('\n')}\n`).join('\n');
+}
+
+/**
+ * Move every SRT/VTT timestamp by seconds (captions for a video with a lead-in)
+ */
+function shiftCaptions(text, seconds) {
+  return String(text).replace(/(\d{2}):(\d{2}):(\d{2})([,.])(\d{3})/g,
+    (_, h, m, s, separator, ms) => formatTimestamp(Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(ms) / 1000 + seconds, separator));
+}
+
+/**
+ * Write SRT + VTT captions for every narrated lecture
+ */
+async function generateCourseCaptions(courseContent, outputDir, options = {}) {
+  const { audioFiles = [] } = options;
+  console.log('\n   CAPTIONER: Generating subtitles...');
+
+  const captionsDir = path.join(outputDir, 'captions');
+  if (!fs.existsSync(captionsDir)) fs.mkdirSync(captionsDir, { recursive: true });
+
+  const results = { totalLectures: 0, captionedLectures: 0, captionFiles: [] };
+  const lectures = (courseContent.sections || []).flatMap(s => s.lectures || []);
+  results.totalLectures = lectures.length;
+
+  for (let i = 0; i < lectures.length; i++) {
+    const lectureIndex = i + 1;
+    const audio = audioFiles.find(a => a.lectureIndex === lectureIndex);
+    if (!audio?.audioPath) continue;
+
+    const { timing, cues } = await buildLectureCues(lectures[i], audio, options);
+    if (cues.length === 0) continue;
+
+    const base = path.join(captionsDir, `lecture-${String(lectureIndex).padStart(2, '0')}`);
+    fs.writeFileSync(`${base}.srt`, toSrt(cues));
+    fs.writeFileSync(`${base}.vtt`, toVtt(cues));
+    results.captionedLectures++;
+    results.captionFiles.push({ lectureIndex, srtPath: `${base}.srt`, vttPath: `${base}.vtt`, cues: cues.length, timing });
+  }
+
+  console.log(`   Captions: ${results.captionedLectures}/${results.totalLectures} lectures`);
+  return results;
+}
+
+module.exports = {
+  generateCourseCaptions, buildLectureCues, splitIntoCues, wrapCue, toSrt, toVtt, formatTimestamp, shiftCaptions
+};
@@ -0,0 +1,50 @@
+/**
+ * CATEGORY CONFIG — per-course settings files under data/
+ *
+ * themes.json, music.json and voices.json share one shape —
+ *   { default, courses: { [courseId]: x }, categories: { [category]: x }, ... }
+ * — and one lookup: courses[courseId] → categories[category] → default.
+ * Category keys are matched case-insensitively.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function normalizeKey(key) {
+  return String(key || '').trim().toLowerCase();
+}
+
+function normalizeMap(map = {}) {
+  return Object.fromEntries(Object.entries(map || {}).map(([k, v]) => [normalizeKey(k), v]));
+}
+
+/**
+ * A config file with courses{} and normalized categories{} (empty when absent or unreadable)
+ */
+function loadCategoryConfig(configPath) {
+  let raw = {};
+  if (fs.existsSync(configPath)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+      console.error(`   Config error (${path.basename(configPath)}): ${error.message}`);
+    }
+  }
+  return { ...raw, courses: raw.courses || {}, categories: normalizeMap(raw.categories) };
+}
+
+/**
+ * The entries that apply to a course, lowest priority first: [default, category, course]
+ */
+function courseLayers(config, { courseId = null, category = null } = {}) {
+  return [config.default, config.categories[normalizeKey(category)], config.courses[courseId]];
+}
+
+/**
+ * The course's entry, else its category's, else the default
+ */
+function resolveForCourse(config, selector = {}) {
+  return courseLayers(config, selector).reduce((found, entry) => entry || found, undefined);
+}
+
+module.exports = { loadCategoryConfig, resolveForCourse, courseLayers, normalizeKey, normalizeMap };
@@ -1,17 +1,27 @@
 /**
  * CHEATSHEET — PDF generation via pdf-lib
+ *
+ * Header band, headings and logo follow the course theme (themes.js); body
+ * text stays dark on the white page for printing. pdf-lib only embeds the
+ * standard PDF fonts, so the theme picks one with fonts.print.
  */
 
 const fs = require('fs');
 const path = require('path');
 const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const { themeForContent, loadLogo, rgbOf } = require('./themes');
 
 function sanitize(text) {
   // Strip non-WinAnsi characters (keep ASCII + common Latin-1 range)
   return String(text || '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '').trim();
 }
 
-async function generateCheatsheet(courseContent, outputDir) {
+function pdfColor(hexColor) {
+  const { r, g, b } = rgbOf(hexColor);
+  return rgb(r, g, b);
+}
+
+async function generateCheatsheet(courseContent, outputDir, options = {}) {
   console.log('\n   CHEATSHEET: Generating PDF...');
 
   const cheatSheet = courseContent.cheatSheet;
@@ -20,9 +30,14 @@ async function generateCheatsheet(courseContent, outputDir) {
     return { success: false, error: 'No cheat sheet data' };
   }
 
+  const theme = themeForContent(courseContent, options.theme);
+  const palette = theme.palette;
+  const headingColor = pdfColor(palette.primary);
+  const printFont = StandardFonts[theme.fonts.print] && StandardFonts[`${theme.fonts.print}Bold`] ? theme.fonts.print : 'Helvetica';
+
   const pdfDoc = await PDFDocument.create();
-  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-  const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const font = await pdfDoc.embedFont(StandardFonts[printFont]);
+  const fontBold = await pdfDoc.embedFont(StandardFonts[`${printFont}Bold`]);
 
   const pageWidth = 612; // Letter
   const pageHeight = 792;
@@ -69,14 +84,22 @@ async function generateCheatsheet(courseContent, outputDir) {
 
   // Title
   const title = cheatSheet.title || `${courseContent.metadata?.title || 'Course'} - Quick Reference`;
-  page.drawRectangle({ x: 0, y: pageHeight - 80, width: pageWidth, height: 80, color: rgb(0.1, 0.1, 0.18) });
-  page.drawText(title, { x: margin, y: pageHeight - 55, size: 20, font: fontBold, color: rgb(1, 1, 1) });
+  page.drawRectangle({ x: 0, y: pageHeight - 80, width: pageWidth, height: 80, color: pdfColor(palette.background) });
+  page.drawRectangle({ x: 0, y: pageHeight - 84, width: pageWidth, height: 4, color: pdfColor(palette.accent) });
+  page.drawText(title, { x: margin, y: pageHeight - 55, size: 20, font: fontBold, color: pdfColor(palette.text) });
+
+  const logo = loadLogo(theme);
+  if (logo) {
+    const image = logo.mime === 'image/png' ? await pdfDoc.embedPng(logo.buffer) : await pdfDoc.embedJpg(logo.buffer);
+    const { width, height } = image.scaleToFit(120, 44);
+    page.drawImage(image, { x: pageWidth - margin - width, y: pageHeight - 40 - height / 2, width, height });
+  }
   y = pageHeight - 100;
 
   // Sections
   for (const section of cheatSheet.sections || []) {
     y -= 10;
-    addText(section.heading || 'Section', { size: 13, bold: true, color: rgb(0.1, 0.1, 0.18) });
+    addText(section.heading || 'Section', { size: 13, bold: true, color: headingColor });
     y -= 4;
     for (const item of section.items || []) {
       addText(`• ${item}`, { size: 10, indent: 10 });
@@ -86,20 +109,20 @@ async function generateCheatsheet(courseContent, outputDir) {
   // Do's and Don'ts
   if (cheatSheet.doList?.length || cheatSheet.dontList?.length) {
     y -= 12;
-    addText("DO'S AND DON'TS", { size: 13, bold: true, color: rgb(0.1, 0.1, 0.18) });
+    addText("DO'S AND DON'TS", { size: 13, bold: true, color: headingColor });
     y -= 4;
     for (const item of cheatSheet.doList || []) {
-      addText(`+ ${item}`, { size: 10, indent: 10, color: rgb(0, 0.5, 0) });
+      addText(`+ ${item}`, { size: 10, indent: 10, color: pdfColor(palette.success) });
     }
     for (const item of cheatSheet.dontList || []) {
-      addText(`- ${item}`, { size: 10, indent: 10, color: rgb(0.7, 0, 0) });
+      addText(`- ${item}`, { size: 10, indent: 10, color: pdfColor(palette.danger) });
     }
   }
 
   // Checklist
   if (cheatSheet.checklist?.length) {
     y -= 12;
-    addText('QUICK CHECKLIST', { size: 13, bold: true, color: rgb(0.1, 0.1, 0.18) });
+    addText('QUICK CHECKLIST', { size: 13, bold: true, color: headingColor });
     y -= 4;
     for (const item of cheatSheet.checklist) {
       addText(`[ ] ${item}`, { size: 10, indent: 10 });
@@ -109,7 +132,7 @@ async function generateCheatsheet(courseContent, outputDir) {
   // Tips
   if (cheatSheet.tips?.length) {
     y -= 12;
-    addText('PRO TIPS', { size: 13, bold: true, color: rgb(0.1, 0.1, 0.18) });
+    addText('PRO TIPS', { size: 13, bold: true, color: headingColor });
     y -= 4;
     for (const item of cheatSheet.tips) {
       addText(`💡 ${item}`, { size: 10, indent: 10 });
@@ -119,7 +142,7 @@ async function generateCheatsheet(courseContent, outputDir) {
   // Common mistakes (legacy field)
   if (cheatSheet.commonMistakes?.length) {
     y -= 12;
-    addText('COMMON MISTAKES TO AVOID', { size: 13, bold: true, color: rgb(0.1, 0.1, 0.18) });
+    addText('COMMON MISTAKES TO AVOID', { size: 13, bold: true, color: headingColor });
     y -= 4;
     for (const item of cheatSheet.commonMistakes) {
       addText(`⚠ ${item}`, { size: 10, indent: 10 });
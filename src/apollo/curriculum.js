@@ -2,6 +2,7 @@
  * CURRICULUM — Course Catalog Manager
  *
  * Loads 500 micro-courses from Excel, tracks status, selects next course.
+ * Course status lives in the SQLite state store (stateStore.js).
  */
 
 require('dotenv').config();
@@ -9,25 +10,17 @@ const fs = require('fs');
 const path = require('path');
 const xlsx = require('xlsx');
 const { format } = require('date-fns');
+const STATE = require('./stateStore');
 
 const DATA_DIR = path.join(__dirname, '../../data');
 const COURSES_DIR = path.join(DATA_DIR, 'courses');
-const STATUS_FILE = path.join(DATA_DIR, 'status.json');
 const EXCEL_PATH = path.join(DATA_DIR, 'master-plan.xlsx');
+const CLAIMABLE_STATUSES = ['pending', 'failed', 'needs_review'];
 
 [DATA_DIR, COURSES_DIR].forEach(dir => {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 });
 
-let courseStatus = {};
-if (fs.existsSync(STATUS_FILE)) {
-  courseStatus = JSON.parse(fs.readFileSync(STATUS_FILE, 'utf-8'));
-}
-
-function saveStatus() {
-  fs.writeFileSync(STATUS_FILE, JSON.stringify(courseStatus, null, 2));
-}
-
 function parseArrayField(field) {
   if (!field) return [];
   if (Array.isArray(field)) return field;
@@ -60,6 +53,7 @@ function loadCoursesFromExcel(excelPath) {
     // Skip header row (row 0 contains column names)
     const data = rawData.filter(row => typeof row[colNum] === 'number');
     console.log(`   Loaded ${data.length} courses from Excel (${sheetName})`);
+    const states = STATE.getAllCourseStates();
 
     return data.map((row) => {
       const num = row[colNum];
@@ -76,7 +70,7 @@ function loadCoursesFromExcel(excelPath) {
         prerequisites: [],
         keywords: [],
         priority: num,
-        status: courseStatus[id]?.status || 'pending'
+        status: states[id]?.status || 'pending'
       };
     });
   } catch (error) {
@@ -98,9 +92,10 @@ function getDefaultCatalog() {
 function getNextCourse(options = {}) {
   const { category = null, skipCompleted = true } = options;
   const courses = loadCoursesFromExcel();
+  const states = STATE.getAllCourseStates();
   let available = courses.filter(c => {
-    if (skipCompleted && courseStatus[c.id]?.status === 'completed') return false;
-    if (skipCompleted && courseStatus[c.id]?.status === 'in_progress') return false;
+    if (skipCompleted && states[c.id]?.status === 'completed') return false;
+    if (skipCompleted && states[c.id]?.leaseActive) return false;
     if (category && c.category !== category) return false;
     return true;
   });
@@ -108,6 +103,29 @@ function getNextCourse(options = {}) {
   return available[0] || null;
 }
 
+/**
+ * Claim the highest-priority available course for owner
+ *
+ * Walks the queue in priority order and returns the first course whose claim
+ * succeeds, so two concurrent runs never take the same course.
+ */
+function claimNextCourse(owner, options = {}) {
+  const { category = null } = options;
+  const states = STATE.getAllCourseStates();
+  const candidates = loadCoursesFromExcel()
+    .filter(c => states[c.id]?.status !== 'completed' && !states[c.id]?.leaseActive)
+    .filter(c => !category || c.category === category)
+    .sort((a, b) => (a.priority || 5) - (b.priority || 5));
+
+  for (const course of candidates) {
+    if (STATE.claimCourse(course.id, owner, { from: CLAIMABLE_STATUSES })) {
+      console.log(`   Claimed: ${course.id} (owner ${owner})`);
+      return course;
+    }
+  }
+  return null;
+}
+
 function getCourseById(courseId) {
   const courses = loadCoursesFromExcel();
   // Support numeric ID (--course=1 means first course)
@@ -122,24 +140,34 @@ function getCoursesByCategory(category) {
   return loadCoursesFromExcel().filter(c => c.category === category);
 }
 
+/**
+ * Atomic status transition — metadata: { from, qualityScore, outputDir, error }
+ * Returns false (and changes nothing) when a `from` guard does not match.
+ */
 function updateCourseStatus(courseId, status, metadata = {}) {
-  courseStatus[courseId] = { status, updatedAt: new Date().toISOString(), ...metadata };
-  saveStatus();
-  console.log(`   Status: ${courseId} → ${status}`);
+  const changed = STATE.transitionCourse(courseId, status, metadata);
+  if (changed) console.log(`   Status: ${courseId} → ${status}`);
+  else console.log(`   Status: ${courseId} not moved to ${status} (${metadata.owner ? `lease not held by ${metadata.owner}` : `expected ${metadata.from.join('|')}`})`);
+  return changed;
 }
 
 function getStatistics() {
   const courses = loadCoursesFromExcel();
   const total = courses.length;
-  const completed = Object.values(courseStatus).filter(s => s.status === 'completed').length;
-  const inProgress = Object.values(courseStatus).filter(s => s.status === 'in_progress').length;
-  const failed = Object.values(courseStatus).filter(s => s.status === 'failed').length;
+  const counts = STATE.countByStatus();
+  const completed = counts.completed || 0;
+  const inProgress = counts.in_progress || 0;
+  const failed = counts.failed || 0;
   return { total, completed, inProgress, failed, pending: total - completed - inProgress - failed, completionRate: ((completed / total) * 100).toFixed(1) + '%' };
 }
 
-function createCourseDirectory(course) {
+function getCourseDirectory(course) {
   const slug = course.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '').substring(0, 50);
-  const courseDir = path.join(COURSES_DIR, `${course.id}-${slug}`);
+  return path.join(COURSES_DIR, `${course.id}-${slug}`);
+}
+
+function createCourseDirectory(course) {
+  const courseDir = getCourseDirectory(course);
   ['audio', 'videos', 'slides'].forEach(sub => {
     const dir = path.join(courseDir, sub);
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
@@ -147,16 +175,48 @@ function createCourseDirectory(course) {
   return courseDir;
 }
 
+function printClaims() {
+  const claims = STATE.listClaims();
+  if (claims.length === 0) { console.log('   No in-progress claims'); return; }
+  for (const c of claims) {
+    const lease = c.leaseOwner
+      ? `${c.leaseOwner}, ${c.leaseActive ? 'expires' : 'EXPIRED'} ${c.leaseExpiresAt}, heartbeat ${c.heartbeatAt}`
+      : 'no lease (stale)';
+    console.log(`   ${c.leaseActive ? ' ' : '!'} ${c.id.padEnd(12)} ${lease}`);
+  }
+}
+
 // CLI
+//   node curriculum.js                              # statistics + next course
+//   node curriculum.js claims                       # list in-progress claims
+//   node curriculum.js release <courseId>|--stale   # release claims [--status=failed]
 if (require.main === module) {
   console.log('\n   CURRICULUM — Course Catalog Manager\n');
-  const stats = getStatistics();
-  console.log(`   Total: ${stats.total} | Completed: ${stats.completed} | Pending: ${stats.pending} | Failed: ${stats.failed}`);
-  const next = getNextCourse();
-  if (next) console.log(`   Next: [${next.id}] ${next.title}`);
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'claims') {
+    printClaims();
+  } else if (command === 'release') {
+    const status = (args.find(a => a.startsWith('--status=')) || '--status=pending').split('=')[1];
+    const ids = args.includes('--stale')
+      ? STATE.listClaims().filter(c => !c.leaseActive).map(c => c.id)
+      : args.filter(a => !a.startsWith('--'));
+    if (ids.length === 0) {
+      console.log(args.includes('--stale') ? '   No stale claims' : '   Usage: curriculum release <courseId...>|--stale [--status=pending|failed]');
+    }
+    for (const id of ids) {
+      const released = STATE.releaseCourse(id, { status, reason: 'manual release' });
+      console.log(`   ${id}: ${released ? `released → ${status}` : 'not in progress'}`);
+    }
+  } else {
+    const stats = getStatistics();
+    console.log(`   Total: ${stats.total} | Completed: ${stats.completed} | Pending: ${stats.pending} | Failed: ${stats.failed}`);
+    const next = getNextCourse();
+    if (next) console.log(`   Next: [${next.id}] ${next.title}`);
+  }
 }
 
 module.exports = {
-  loadCoursesFromExcel, getNextCourse, getCourseById, getCoursesByCategory,
-  updateCourseStatus, getStatistics, createCourseDirectory, getDefaultCatalog
+  loadCoursesFromExcel, getNextCourse, claimNextCourse, getCourseById, getCoursesByCategory,
+  updateCourseStatus, getStatistics, getCourseDirectory, createCourseDirectory, getDefaultCatalog
 };
@@ -6,8 +6,15 @@ module.exports = {
   CURRICULUM: require('./curriculum'),
   SCRIPTWRITER: require('./scriptwriter'),
   NARRATOR: require('./narrator'),
+  TEXT: require('./textNormalizer'),
+  VOICES: require('./voiceProfiles'),
+  TRANSLATOR: require('./translator'),
+  MASTERING: require('./audioMastering'),
   SLIDEFORGE: require('./slideforge'),
   RENDERER: require('./renderer'),
+  CAPTIONER: require('./captioner'),
+  MIXER: require('./audioMixer'),
+  THEMES: require('./themes'),
   CHEATSHEET: require('./cheatsheet'),
   VALIDATOR: require('./validator')
 };
@@ -0,0 +1,39 @@
+/**
+ * MEDIA PROBE — ffprobe queries shared by the audio and video stages
+ *
+ * A file that is missing or that ffprobe cannot read gives null (duration)
+ * or false (audio stream); each caller decides what that means for it —
+ * estimate, default or error.
+ */
+
+const fs = require('fs');
+const { promisify } = require('util');
+const execAsync = promisify(require('child_process').exec);
+
+/**
+ * Measured duration in seconds (null when the file is missing or unreadable)
+ */
+async function probeDuration(file) {
+  if (!file || !fs.existsSync(file)) return null;
+  try {
+    const { stdout } = await execAsync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${file}"`);
+    const duration = parseFloat(stdout.trim());
+    return duration > 0 ? duration : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a media file has an audio track
+ */
+async function hasAudioStream(file) {
+  try {
+    const { stdout } = await execAsync(`ffprobe -v error -select_streams a -show_entries stream=index -of csv=p=0 "${file}"`);
+    return stdout.trim().length > 0;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { probeDuration, hasAudioStream };
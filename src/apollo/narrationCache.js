@@ -0,0 +1,122 @@
+/**
+ * NARRATION CACHE — content-addressed TTS audio
+ *
+ * Every synthesized clip is stored under sha256 of what produced it: the
+ * normalized text plus the engine and its voice settings (voice,
+ * exaggeration, cfg). Two levels:
+ *
+ *   chunks/<hash>.wav   — one Chatterbox request (a ~250-word chunk)
+ *   lectures/<hash>.mp3 — one finished synthesize() call (lecture or slide clip)
+ *
+ * each with a <hash>.json sidecar (method, chunkDurations, createdAt). A
+ * re-run with byte-identical scripts is served from disk; a one-sentence fix
+ * re-synthesizes only the chunk it falls in.
+ *
+ * NARRATION_CACHE=false turns it off; NARRATION_CACHE_DIR moves it
+ * (default data/cache/narration, gitignored).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '../../data/cache/narration');
+const LEVELS = { chunks: '.wav', lectures: '.mp3' };
+// Bump when the stored audio changes shape (sample rate, encoding) so old entries miss
+const CACHE_VERSION = 1;
+
+function getCacheConfig() {
+  return {
+    enabled: process.env.NARRATION_CACHE !== 'false',
+    dir: path.resolve(process.env.NARRATION_CACHE_DIR || DEFAULT_CACHE_DIR)
+  };
+}
+
+/**
+ * Key for { engine, voice, exaggeration, cfg, input, ... } — key order does not matter
+ */
+function cacheKey(parts) {
+  const sorted = Object.keys(parts).sort().reduce((acc, k) => ({ ...acc, [k]: parts[k] }), { version: CACHE_VERSION });
+  return crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('hex');
+}
+
+function cachePath(level, key, dir) {
+  if (!LEVELS[level]) throw new Error(`Unknown cache level "${level}" (use ${Object.keys(LEVELS).join('|')})`);
+  return path.join(dir || getCacheConfig().dir, level, `${key}${LEVELS[level]}`);
+}
+
+/**
+ * Copy a cached clip to destPath — its sidecar metadata, or null on a miss
+ */
+function readCache(level, key, destPath) {
+  const config = getCacheConfig();
+  if (!config.enabled) return null;
+  const file = cachePath(level, key, config.dir);
+  const metaFile = file.replace(/\.\w+$/, '.json');
+  if (!fs.existsSync(file) || !fs.existsSync(metaFile)) return null;
+
+  try {
+    const meta = JSON.parse(fs.readFileSync(metaFile, 'utf-8'));
+    if (!fs.existsSync(path.dirname(destPath))) fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    fs.copyFileSync(file, destPath);
+    return meta;
+  } catch (error) {
+    console.error(`   Narration cache read failed (${key.substring(0, 12)}): ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Store srcPath under key (written to a temp file, then renamed into place)
+ */
+function writeCache(level, key, srcPath, meta = {}) {
+  const config = getCacheConfig();
+  if (!config.enabled || !fs.existsSync(srcPath)) return null;
+  const file = cachePath(level, key, config.dir);
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.copyFileSync(srcPath, tmp);
+    fs.renameSync(tmp, file);
+    fs.writeFileSync(file.replace(/\.\w+$/, '.json'), JSON.stringify({ key, ...meta, createdAt: new Date().toISOString() }, null, 2));
+    return file;
+  } catch (error) {
+    console.error(`   Narration cache write failed (${key.substring(0, 12)}): ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Entries and bytes per level
+ */
+function cacheStats(dir = getCacheConfig().dir) {
+  const stats = {};
+  for (const [level, ext] of Object.entries(LEVELS)) {
+    const levelDir = path.join(dir, level);
+    const files = fs.existsSync(levelDir) ? fs.readdirSync(levelDir).filter(f => f.endsWith(ext)) : [];
+    stats[level] = { entries: files.length, bytes: files.reduce((sum, f) => sum + fs.statSync(path.join(levelDir, f)).size, 0) };
+  }
+  return stats;
+}
+
+function clearCache(dir = getCacheConfig().dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// CLI: node narrationCache.js [stats|clear]
+if (require.main === module) {
+  const command = process.argv[2] || 'stats';
+  const config = getCacheConfig();
+  console.log(`\n   NARRATION CACHE — ${config.dir}${config.enabled ? '' : ' (disabled)'}\n`);
+  if (command === 'clear') {
+    clearCache(config.dir);
+    console.log('   Cleared');
+  } else {
+    for (const [level, { entries, bytes }] of Object.entries(cacheStats(config.dir))) {
+      console.log(`   ${level.padEnd(9)} ${String(entries).padStart(5)} entries  ${(bytes / 1024 / 1024).toFixed(1)} MB`);
+    }
+  }
+}
+
+module.exports = { getCacheConfig, cacheKey, cachePath, readCache, writeCache, cacheStats, clearCache };
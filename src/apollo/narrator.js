@@ -3,14 +3,51 @@
  *
  * Primary: Chatterbox TTS Server (user's cloned voice via ngrok)
  * Fallback: Edge TTS (free Microsoft TTS, no clone)
+ *
+ * Who speaks is a voice profile (voiceProfiles + data/voices.json): engine,
+ * reference clip, exaggeration/cfg and Edge fallback voice, per course or
+ * category.
+ *
+ * Lectures are synthesized through the shared "tts" worker pool
+ * (TTS_CONCURRENCY, default 1 — a single Colab GPU).
+ *
+ * Modes (options.mode or NARRATION_MODE):
+ *   lecture — one pass over the full lecture script (default)
+ *   slide   — one clip per slide (its share of the script, or its
+ *             speakerNotes with NARRATION_SOURCE=notes), measured and joined
+ *             into lecture-NN.mp3, plus lecture-NN.timing.json with the exact
+ *             start/end of every slide for the renderer and Remotion
+ *   dialogue — role-play lines tagged "[Role]: ..." at the start of a line
+ *             alternate between the course voice and its partner voice;
+ *             untagged text stays with the course voice
+ *
+ * Text is normalized before synthesis (textNormalizer + data/lexicon.json):
+ * Chatterbox gets plain spoken text per chunk, Edge TTS an SSML fragment.
+ *
+ * Audio is cached by content (narrationCache): per Chatterbox chunk and per
+ * synthesized lecture/slide clip, keyed by the spoken text and voice settings.
  */
 
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const execAsync = promisify(require('child_process').exec);
+const { mapWithPool, getPool } = require('../scripts/workerPool');
+const { mapScriptToSlides, countWords } = require('./slideTiming');
+const { normalizeText, toSsml, lexiconFor } = require('./textNormalizer');
+const CACHE = require('./narrationCache');
+const { probeDuration } = require('./mediaProbe');
+const { resolveVoice, dialogueVoices } = require('./voiceProfiles');
 
 const CHATTERBOX_URL = process.env.CHATTERBOX_API_URL || 'http://localhost:8000';
-const VOICE_REF = path.join(__dirname, '../../data/voice-reference.wav');
+// "[Manager]: Can we talk?" — a dialogue turn (the tag is not spoken)
+const DIALOGUE_LINE = /^\s*\[([^\]\n]{1,40})\]:?\s+(.+)$/;
+// Breath between dialogue turns
+const TURN_GAP_SECONDS = 0.3;
+// Slides with nothing to say still get a short pause on screen
+const SILENT_SLIDE_SECONDS = 2;
 
 /**
  * Check if Chatterbox server is available
@@ -27,6 +64,26 @@ async function isChatterboxAvailable() {
   }
 }
 
+/**
+ * Everything that shapes a clip besides its text, for cache keys — Chatterbox
+ * settings include a hash of the reference clip itself
+ */
+const referenceHashes = new Map();
+function voiceSettings(voice, engine) {
+  if (engine !== 'chatterbox') return { engine: 'edge-tts', voice: edgeVoice(voice) };
+  if (!referenceHashes.has(voice.reference)) {
+    referenceHashes.set(voice.reference, fs.existsSync(voice.reference) ? crypto.createHash('sha256').update(fs.readFileSync(voice.reference)).digest('hex') : null);
+  }
+  return {
+    engine, model: 'chatterbox', voice: voice.voice, exaggeration: voice.exaggeration, cfg: voice.cfg,
+    reference: referenceHashes.get(voice.reference)
+  };
+}
+
+function edgeVoice(voice) {
+  return voice.engine === 'edge-tts' ? voice.voice : voice.fallback;
+}
+
 /**
  * Split text into chunks of ~400 words at sentence boundaries
  */
@@ -55,38 +112,56 @@ function splitTextIntoChunks(text, maxWords = 250) {
  * Generate narration via Chatterbox (OpenAI-compatible API)
  * Splits long text into chunks and concatenates audio
  */
-async function generateWithChatterbox(text, outputPath) {
-  const { execSync } = require('child_process');
+async function generateWithChatterbox(text, outputPath, options = {}) {
+  const { locale = null, lexicon = lexiconFor(null, locale), refresh = false, voice = resolveVoice() } = options;
   const dir = path.dirname(outputPath);
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 
+  // Chunks are cut on the written text so captions line up with chunkDurations
   const chunks = splitTextIntoChunks(text);
   const wavParts = [];
+  // Measured length of every chunk — the captioner times cues against these
+  const chunkDurations = [];
+
+  let cachedChunks = 0;
 
   for (let i = 0; i < chunks.length; i++) {
+    const input = normalizeText(chunks[i], { lexicon, locale });
+    const settings = voiceSettings(voice, 'chatterbox');
+    const key = CACHE.cacheKey({ ...settings, input });
+    const partPath = outputPath.replace('.mp3', `-part${i}.wav`);
+    wavParts.push(partPath);
+
+    if (!refresh && CACHE.readCache('chunks', key, partPath)) {
+      cachedChunks++;
+      chunkDurations.push(await probeDuration(partPath));
+      continue;
+    }
+
     console.log(`     Chunk ${i + 1}/${chunks.length} (${chunks[i].split(/\s+/).length} words)...`);
     const res = await fetch(`${CHATTERBOX_URL}/v1/audio/speech`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json', 'ngrok-skip-browser-warning': 'true' },
       body: JSON.stringify({
-        model: 'chatterbox',
-        input: chunks[i],
-        voice: 'reference',
+        model: settings.model,
+        input,
+        voice: settings.voice,
         response_format: 'wav',
-        exaggeration: 0.3,
-        cfg: 5.0
+        exaggeration: settings.exaggeration,
+        cfg: settings.cfg
       })
     });
 
     if (!res.ok) throw new Error(`Chatterbox: ${res.status} ${res.statusText}`);
 
     const buffer = Buffer.from(await res.arrayBuffer());
-    const partPath = outputPath.replace('.mp3', `-part${i}.wav`);
     fs.writeFileSync(partPath, buffer);
-    wavParts.push(partPath);
+    CACHE.writeCache('chunks', key, partPath, { method: 'chatterbox', words: countWords(chunks[i]) });
+    chunkDurations.push(await probeDuration(partPath));
     // Wait between chunks to avoid GPU overload
     if (i < chunks.length - 1) await new Promise(r => setTimeout(r, 2000));
   }
+  if (cachedChunks > 0) console.log(`     ${cachedChunks}/${chunks.length} chunks from cache`);
 
   // Concatenate WAV parts and convert to MP3
   const wavPath = outputPath.replace('.mp3', '.wav');
@@ -98,7 +173,7 @@ async function generateWithChatterbox(text, outputPath) {
     for (let j = 0; j < wavParts.length; j++) {
       const normPath = wavParts[j].replace('.wav', '-norm.wav');
       try {
-        execSync(`ffmpeg -y -i "${wavParts[j]}" -ar 22050 -ac 1 -sample_fmt s16 "${normPath}"`, { stdio: 'pipe' });
+        await execAsync(`ffmpeg -y -i "${wavParts[j]}" -ar 22050 -ac 1 -sample_fmt s16 "${normPath}"`);
         normalizedParts.push(normPath);
       } catch (e) {
         console.error(`     Failed to normalize chunk ${j}: ${e.message}`);
@@ -109,9 +184,9 @@ async function generateWithChatterbox(text, outputPath) {
     const listFile = outputPath.replace('.mp3', '-list.txt');
     fs.writeFileSync(listFile, normalizedParts.map(p => `file '${path.resolve(p)}'`).join('\n'));
     try {
-      execSync(`ffmpeg -y -f concat -safe 0 -i "${listFile}" -c copy "${wavPath}"`, { stdio: 'pipe' });
-      const duration = parseFloat(execSync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${wavPath}"`, { encoding: 'utf-8' }).trim());
-      console.log(`     Concatenated ${normalizedParts.length} chunks → ${duration.toFixed(1)}s`);
+      await execAsync(`ffmpeg -y -f concat -safe 0 -i "${listFile}" -c copy "${wavPath}"`);
+      const duration = await probeDuration(wavPath);
+      console.log(`     Concatenated ${normalizedParts.length} chunks → ${duration ? duration.toFixed(1) : '?'}s`);
     } catch (e) {
       console.error(`     Concat failed: ${e.message}, using first chunk only`);
       fs.copyFileSync(normalizedParts[0], wavPath);
@@ -121,29 +196,33 @@ async function generateWithChatterbox(text, outputPath) {
   }
 
   try {
-    execSync(`ffmpeg -y -i "${wavPath}" -codec:a libmp3lame -b:a 192k "${outputPath}"`, { stdio: 'pipe' });
-    const mp3Duration = parseFloat(execSync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${outputPath}"`, { encoding: 'utf-8' }).trim());
-    console.log(`     Final audio: ${mp3Duration.toFixed(1)}s`);
+    await execAsync(`ffmpeg -y -i "${wavPath}" -codec:a libmp3lame -b:a 192k "${outputPath}"`);
+    const mp3Duration = await probeDuration(outputPath);
+    console.log(`     Final audio: ${mp3Duration ? mp3Duration.toFixed(1) : '?'}s`);
     fs.unlinkSync(wavPath);
   } catch {
     fs.renameSync(wavPath, outputPath);
   }
 
   const stats = fs.statSync(outputPath);
-  return { success: true, audioPath: outputPath, fileSize: stats.size, method: 'chatterbox' };
+  return {
+    success: true, audioPath: outputPath, fileSize: stats.size, method: 'chatterbox',
+    chunkDurations: chunkDurations.every(d => d !== null) ? chunkDurations : null
+  };
 }
 
 /**
  * Generate narration via Edge TTS (fallback — free, no voice clone)
  */
-async function generateWithEdgeTTS(text, outputPath) {
+async function generateWithEdgeTTS(text, outputPath, options = {}) {
+  const { locale = null, lexicon = lexiconFor(null, locale), voice = resolveVoice() } = options;
   const dir = path.dirname(outputPath);
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 
   try {
     // Use the edge-tts npm package
     const { ttsSave } = await import('edge-tts');
-    await ttsSave(text, outputPath, { voice: 'en-US-GuyNeural' });
+    await ttsSave(toSsml(text, { lexicon, locale }), outputPath, { voice: edgeVoice(voice) });
 
     const stats = fs.statSync(outputPath);
     return { success: true, audioPath: outputPath, fileSize: stats.size, method: 'edge-tts' };
@@ -156,7 +235,7 @@ async function generateWithEdgeTTS(text, outputPath) {
  * Generate narration for a single lecture
  */
 async function generateNarration(options) {
-  const { text, outputPath } = options;
+  const { text, outputPath, lexicon, locale, refresh, voice } = options;
 
   if (!text || text.length < 50) {
     return { success: false, error: 'Text too short' };
@@ -164,21 +243,59 @@ async function generateNarration(options) {
 
   console.log(`   NARRATOR: Generating audio (~${estimateAudioDuration(text)} min)...`);
 
-  const chatterboxReady = await isChatterboxAvailable();
+  return synthesize(text, outputPath, await isChatterboxAvailable(), { lexicon, locale, refresh, voice });
+}
+
+/**
+ * The voice's engine first — Chatterbox when reachable, the profile's Edge
+ * fallback voice otherwise — a clip already
+ * synthesized from the same spoken text and settings is served from the cache
+ * (options.refresh skips the lookup and overwrites the entry)
+ */
+async function synthesize(text, outputPath, chatterboxReady, options = {}) {
+  const { locale = null, lexicon = lexiconFor(null, locale), refresh = false, voice = resolveVoice() } = options;
+  const engine = chatterboxReady && voice.engine === 'chatterbox' ? 'chatterbox' : 'edge-tts';
+  const key = CACHE.cacheKey({ ...voiceSettings(voice, engine), input: spokenInput(engine, text, { lexicon, locale }) });
+  const cached = refresh ? null : CACHE.readCache('lectures', key, outputPath);
+  if (cached) {
+    console.log(`     Cached ${cached.method} audio (${key.substring(0, 12)})`);
+    return {
+      success: true, audioPath: outputPath, fileSize: fs.statSync(outputPath).size, method: cached.method, cached: true,
+      ...(cached.chunkDurations ? { chunkDurations: cached.chunkDurations } : {})
+    };
+  }
 
+  const result = await synthesizeLive(text, outputPath, engine === 'chatterbox', { lexicon, locale, refresh, voice });
+  // A fallback clip is not what this key describes
+  if (result.success && result.method === engine) {
+    CACHE.writeCache('lectures', key, outputPath, { method: result.method, chunkDurations: result.chunkDurations || null });
+  }
+  return result;
+}
+
+/**
+ * What the engine is actually sent: normalized chunks (Chatterbox) or SSML (Edge)
+ */
+function spokenInput(engine, text, speech) {
+  return engine === 'chatterbox'
+    ? splitTextIntoChunks(text).map(chunk => normalizeText(chunk, speech))
+    : toSsml(text, speech);
+}
+
+async function synthesizeLive(text, outputPath, chatterboxReady, options) {
   try {
     if (chatterboxReady) {
-      return await generateWithChatterbox(text, outputPath);
+      return await generateWithChatterbox(text, outputPath, options);
     } else {
-      console.log('   Chatterbox unavailable, using Edge TTS');
-      return await generateWithEdgeTTS(text, outputPath);
+      if (options.voice.engine === 'chatterbox') console.log('   Chatterbox unavailable, using Edge TTS');
+      return await generateWithEdgeTTS(text, outputPath, options);
     }
   } catch (error) {
     console.error(`   Primary TTS failed: ${error.message}`);
     if (chatterboxReady) {
       try {
         console.log('   Trying Edge TTS fallback...');
-        return await generateWithEdgeTTS(text, outputPath);
+        return await generateWithEdgeTTS(text, outputPath, options);
       } catch (e2) {
         return { success: false, error: e2.message };
       }
@@ -187,64 +304,277 @@ async function generateNarration(options) {
   }
 }
 
+/**
+ * Narrate a lecture slide by slide — returns the timing manifest
+ *
+ * Each clip is normalized to 44.1kHz mono WAV so durations are measured on
+ * the exact samples that get concatenated; a slide with no text gets
+ * SILENT_SLIDE_SECONDS of silence instead of being dropped.
+ */
+async function generateSlideNarration(lecture, lectureIndex, outputPath, options = {}) {
+  const { source = process.env.NARRATION_SOURCE || 'script', lexicon, locale, refresh, voice } = options;
+  const slides = lecture.slides || [];
+  const texts = mapScriptToSlides(slides, lecture.script, { source });
+  const partsDir = outputPath.replace('.mp3', '-slides');
+  fs.mkdirSync(partsDir, { recursive: true });
+
+  console.log(`   NARRATOR: Lecture ${lectureIndex} — ${slides.length} slide clips...`);
+  const chatterboxReady = await isChatterboxAvailable();
+  const entries = [];
+  const clips = [];
+  const methods = new Set();
+  let start = 0;
+
+  try {
+    for (let i = 0; i < slides.length; i++) {
+      const text = texts[i] || '';
+      const base = path.join(partsDir, `slide-${String(i + 1).padStart(3, '0')}`);
+      const wavPath = `${base}.wav`;
+
+      if (countWords(text) === 0) {
+        await execAsync(`ffmpeg -y -f lavfi -i anullsrc=r=44100:cl=mono -t ${SILENT_SLIDE_SECONDS} -sample_fmt s16 "${wavPath}"`);
+      } else {
+        const clip = await synthesize(text, `${base}.mp3`, chatterboxReady, { lexicon, locale, refresh, voice });
+        if (!clip.success) throw new Error(`slide ${i + 1}: ${clip.error}`);
+        methods.add(clip.method);
+        await execAsync(`ffmpeg -y -i "${base}.mp3" -ar 44100 -ac 1 -sample_fmt s16 "${wavPath}"`);
+      }
+
+      const duration = await probeDuration(wavPath) ?? (countWords(text) ? estimateAudioDurationSecs(text) : SILENT_SLIDE_SECONDS);
+      entries.push({
+        slideIndex: i, slideNumber: slides[i].slideNumber || i + 1, title: slides[i].title || '',
+        start: round3(start), end: round3(start + duration), duration: round3(duration), text
+      });
+      clips.push(wavPath);
+      start += duration;
+    }
+
+    await joinClips(clips, outputPath, partsDir);
+  } finally {
+    fs.rmSync(partsDir, { recursive: true, force: true });
+  }
+
+  const manifest = {
+    lectureIndex, lectureTitle: lecture.title, audioPath: path.basename(outputPath),
+    mode: 'slide', source, method: [...methods].join('+') || 'silence',
+    totalDuration: round3(start), slides: entries, createdAt: new Date().toISOString()
+  };
+  const timingPath = outputPath.replace('.mp3', '.timing.json');
+  fs.writeFileSync(timingPath, JSON.stringify(manifest, null, 2));
+  console.log(`     ${entries.length} slides → ${manifest.totalDuration.toFixed(1)}s (${path.basename(timingPath)})`);
+  return { ...manifest, timingPath };
+}
+
+/**
+ * Concatenate same-format WAV clips into one MP3
+ */
+async function joinClips(clips, outputPath, partsDir) {
+  const listFile = path.join(partsDir, 'clips.txt');
+  fs.writeFileSync(listFile, clips.map(c => `file '${path.resolve(c)}'`).join('\n'));
+  await execAsync(`ffmpeg -y -f concat -safe 0 -i "${listFile}" -codec:a libmp3lame -b:a 192k "${outputPath}"`);
+}
+
+/**
+ * Script text → dialogue turns [{ role, text }] — role is null for narration,
+ * consecutive lines of one speaker are merged
+ */
+function parseDialogue(text) {
+  const turns = [];
+  for (const line of String(text || '').split(/\n+/)) {
+    if (!line.trim()) continue;
+    const match = line.match(DIALOGUE_LINE);
+    const role = match ? match[1].trim() : null;
+    const spoken = match ? match[2].trim() : line.trim();
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) last.text += `\n\n${spoken}`;
+    else turns.push({ role, text: spoken });
+  }
+  return turns;
+}
+
+/**
+ * Narrate a role-play lecture — tagged roles alternate between the partner
+ * voice and the course voice (in order of first appearance), narration stays
+ * with the course voice. Returns { duration, method, turns }.
+ */
+async function generateDialogueNarration(turns, lectureIndex, outputPath, options = {}) {
+  const { lexicon, locale, refresh } = options;
+  const [primary, partner] = dialogueVoices(options.voice);
+  const roles = [...new Set(turns.map(t => t.role).filter(Boolean))];
+  const voiceFor = (role) => (role && roles.indexOf(role) % 2 === 0 ? partner : primary);
+  const partsDir = outputPath.replace('.mp3', '-turns');
+  fs.mkdirSync(partsDir, { recursive: true });
+
+  console.log(`   NARRATOR: Lecture ${lectureIndex} — dialogue, ${turns.length} turns (${roles.map(r => `${r} → ${voiceFor(r).name}`).join(', ')})...`);
+  const chatterboxReady = await isChatterboxAvailable();
+  const gapPath = path.join(partsDir, 'gap.wav');
+  const clips = [];
+  const methods = new Set();
+  const entries = [];
+  let start = 0;
+
+  try {
+    await execAsync(`ffmpeg -y -f lavfi -i anullsrc=r=44100:cl=mono -t ${TURN_GAP_SECONDS} -sample_fmt s16 "${gapPath}"`);
+    for (let i = 0; i < turns.length; i++) {
+      const voice = voiceFor(turns[i].role);
+      const base = path.join(partsDir, `turn-${String(i + 1).padStart(3, '0')}`);
+      const clip = await synthesize(turns[i].text, `${base}.mp3`, chatterboxReady, { lexicon, locale, refresh, voice });
+      if (!clip.success) throw new Error(`turn ${i + 1}: ${clip.error}`);
+      methods.add(clip.method);
+      await execAsync(`ffmpeg -y -i "${base}.mp3" -ar 44100 -ac 1 -sample_fmt s16 "${base}.wav"`);
+
+      const duration = await probeDuration(`${base}.wav`) ?? estimateAudioDurationSecs(turns[i].text);
+      if (i > 0) { clips.push(gapPath); start += TURN_GAP_SECONDS; }
+      clips.push(`${base}.wav`);
+      entries.push({ role: turns[i].role, voice: voice.name, start: round3(start), end: round3(start + duration) });
+      start += duration;
+    }
+    await joinClips(clips, outputPath, partsDir);
+  } finally {
+    fs.rmSync(partsDir, { recursive: true, force: true });
+  }
+
+  console.log(`     ${turns.length} turns → ${start.toFixed(1)}s`);
+  return { duration: round3(start), method: [...methods].join('+'), turns: entries };
+}
+
+/**
+ * Narrate one lecture into audioDir — its audioFiles entry, or null
+ *
+ * options: { mode: 'lecture' | 'slide' | 'dialogue', source: 'script' | 'notes', lexicon, locale, voice, refresh }
+ */
+async function narrateLecture(lecture, lectureIndex, audioDir, options = {}) {
+  const { mode = process.env.NARRATION_MODE || 'lecture', source, lexicon, locale, refresh, voice = resolveVoice() } = options;
+  const scriptText = extractFullScript(lecture);
+
+  if (!scriptText || scriptText.length < 50) {
+    console.log(`   Skipping lecture ${lectureIndex}: No script`);
+    return null;
+  }
+
+  const outputPath = path.join(audioDir, `lecture-${String(lectureIndex).padStart(2, '0')}.mp3`);
+  // A stale manifest from an earlier slide-mode run must not outlive its audio
+  const staleTiming = outputPath.replace('.mp3', '.timing.json');
+  if (fs.existsSync(staleTiming)) fs.unlinkSync(staleTiming);
+
+  try {
+    if (mode === 'slide' && (lecture.slides || []).length > 0) {
+      const timing = await generateSlideNarration(lecture, lectureIndex, outputPath, { source, lexicon, locale, refresh, voice });
+      return {
+        lectureIndex, lectureTitle: lecture.title, audioPath: outputPath,
+        duration: timing.totalDuration, method: timing.method, timingPath: timing.timingPath
+      };
+    }
+
+    // Lectures without tagged roles are narrated in one pass as usual
+    const turns = mode === 'dialogue' ? parseDialogue(scriptText) : [];
+    if (turns.some(t => t.role)) {
+      const dialogue = await generateDialogueNarration(turns, lectureIndex, outputPath, { lexicon, locale, refresh, voice });
+      return {
+        lectureIndex, lectureTitle: lecture.title, audioPath: outputPath,
+        duration: dialogue.duration, method: dialogue.method, voice: voice.name, turns: dialogue.turns
+      };
+    }
+
+    const result = await generateNarration({ text: scriptText, outputPath, lexicon, locale, refresh, voice });
+    if (!result.success) return null;
+    return {
+      lectureIndex, lectureTitle: lecture.title,
+      audioPath: outputPath, duration: estimateAudioDurationSecs(scriptText), method: result.method, voice: voice.name,
+      ...(result.chunkDurations ? { chunkDurations: result.chunkDurations } : {})
+    };
+  } catch (error) {
+    console.error(`   Error lecture ${lectureIndex}: ${error.message}`);
+    return null;
+  } finally {
+    // Wait between lectures to let GPU cool down (the pool slot stays held)
+    await new Promise(r => setTimeout(r, 3000));
+  }
+}
+
+/**
+ * Locale, lexicon and voice profile for a course — options.lexicon /
+ * options.voice, else picked by the course's id, category and locale
+ * (options, then content.json)
+ */
+function courseVoice(courseContent, options = {}) {
+  const courseId = options.courseId ?? courseContent?._meta?.courseId;
+  const category = options.category ?? courseContent?.metadata?.category;
+  const locale = options.locale ?? courseContent?._meta?.locale ?? null;
+  return {
+    locale,
+    lexicon: options.lexicon || lexiconFor(courseId, locale),
+    voice: resolveVoice(options.voice || { courseId, category, locale })
+  };
+}
+
 /**
  * Generate narration for entire course
+ *
+ * options: { mode: 'lecture' | 'slide' | 'dialogue', source: 'script' | 'notes', courseId, category, locale, lexicon, voice }
  */
 async function generateCourseNarration(courseContent, outputDir, options = {}) {
-  console.log('\n   NARRATOR: Generating course narration...');
+  const { mode = process.env.NARRATION_MODE || 'lecture', source } = options;
+  const { locale, lexicon, voice } = courseVoice(courseContent, options);
+  console.log(`\n   NARRATOR: Generating course narration (${mode} mode, voice ${voice.name})...`);
 
   const results = {
     totalLectures: 0, successfulLectures: 0, failedLectures: 0,
-    totalDuration: 0, audioFiles: []
+    totalDuration: 0, audioFiles: [], voice: voice.name
   };
 
   const audioDir = path.join(outputDir, 'audio');
   if (!fs.existsSync(audioDir)) fs.mkdirSync(audioDir, { recursive: true });
 
-  let lectureIndex = 1;
-
-  for (const section of courseContent.sections || []) {
-    for (const lecture of section.lectures || []) {
-      results.totalLectures++;
-      const scriptText = extractFullScript(lecture);
-
-      if (!scriptText || scriptText.length < 50) {
-        console.log(`   Skipping lecture ${lectureIndex}: No script`);
-        results.failedLectures++;
-        lectureIndex++;
-        continue;
-      }
+  const lectures = (courseContent.sections || []).flatMap(s => s.lectures || []);
+  results.totalLectures = lectures.length;
 
-      const outputPath = path.join(audioDir, `lecture-${String(lectureIndex).padStart(2, '0')}.mp3`);
-
-      try {
-        const result = await generateNarration({ text: scriptText, outputPath });
-        if (result.success) {
-          const duration = estimateAudioDurationSecs(scriptText);
-          results.successfulLectures++;
-          results.totalDuration += duration;
-          results.audioFiles.push({
-            lectureIndex, lectureTitle: lecture.title,
-            audioPath: outputPath, duration, method: result.method
-          });
-        } else {
-          results.failedLectures++;
-        }
-      } catch (error) {
-        console.error(`   Error lecture ${lectureIndex}: ${error.message}`);
-        results.failedLectures++;
-      }
+  const outcomes = await mapWithPool('tts', lectures, (lecture, i) => narrateLecture(lecture, i + 1, audioDir, { mode, source, locale, lexicon, voice }));
 
-      lectureIndex++;
-      // Wait between lectures to let GPU cool down
-      await new Promise(r => setTimeout(r, 3000));
-    }
+  for (const audio of outcomes) {
+    if (!audio) { results.failedLectures++; continue; }
+    results.successfulLectures++;
+    results.totalDuration += audio.duration;
+    results.audioFiles.push(audio);
   }
 
   console.log(`\n   Narration: ${results.successfulLectures}/${results.totalLectures} lectures, ~${(results.totalDuration / 60).toFixed(1)} min`);
   return results;
 }
 
+/**
+ * audioFiles for narration already in <outputDir>/audio (lecture-NN.mp3 and
+ * any .timing.json) — for courses narrated before checkpoints existed
+ */
+async function loadExistingNarration(courseContent, outputDir) {
+  const lectures = (courseContent.sections || []).flatMap(s => s.lectures || []);
+  const audioFiles = [];
+  for (const [i, lecture] of lectures.entries()) {
+    const audioPath = path.join(outputDir, 'audio', `lecture-${String(i + 1).padStart(2, '0')}.mp3`);
+    if (!fs.existsSync(audioPath)) continue;
+    const timingPath = audioPath.replace('.mp3', '.timing.json');
+    const timing = fs.existsSync(timingPath) ? JSON.parse(fs.readFileSync(timingPath, 'utf-8')) : null;
+    const duration = timing?.totalDuration || await probeDuration(audioPath) || estimateAudioDurationSecs(extractFullScript(lecture));
+    audioFiles.push({
+      lectureIndex: i + 1, lectureTitle: lecture.title, audioPath, duration,
+      method: timing?.method || 'existing', ...(timing ? { timingPath } : {})
+    });
+  }
+  return audioFiles;
+}
+
+/**
+ * Narrate one lecture of a course again (1-based index), through the tts pool —
+ * bypassing the narration cache, which would hand back the same take
+ */
+async function renarrateLecture(courseContent, outputDir, lectureIndex, options = {}) {
+  const lecture = (courseContent.sections || []).flatMap(s => s.lectures || [])[lectureIndex - 1];
+  if (!lecture) return null;
+  console.log(`   NARRATOR: Re-synthesizing lecture ${lectureIndex}...`);
+  const { locale, lexicon, voice } = courseVoice(courseContent, options);
+  return getPool('tts').run(() => narrateLecture(lecture, lectureIndex, path.join(outputDir, 'audio'), { refresh: true, ...options, locale, lexicon, voice }));
+}
+
 function extractFullScript(lecture) {
   if (!lecture.script) return '';
   const parts = [];
@@ -265,16 +595,22 @@ function estimateAudioDurationSecs(text) {
   return (text.split(/\s+/).filter(w => w).length / 150) * 60;
 }
 
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
 if (require.main === module) {
   console.log('\n   NARRATOR — Voice Generation Module\n');
   isChatterboxAvailable().then(ok => {
     console.log(`   Chatterbox: ${ok ? 'Available' : 'Unavailable'}`);
-    console.log(`   Voice reference: ${fs.existsSync(VOICE_REF) ? 'Found' : 'Not found'}`);
-    console.log('   Fallback: Edge TTS (en-US-GuyNeural)');
+    const voice = resolveVoice();
+    console.log(`   Voice: ${voice.name} — ${voice.label}`);
+    if (voice.engine === 'chatterbox') console.log(`   Voice reference: ${fs.existsSync(voice.reference) ? 'Found' : 'Not found'}`);
+    console.log(`   Fallback: Edge TTS (${edgeVoice(voice)})`);
   });
 }
 
 module.exports = {
-  generateNarration, generateCourseNarration, extractFullScript,
-  estimateAudioDuration, isChatterboxAvailable
+  generateNarration, generateCourseNarration, narrateLecture, renarrateLecture, loadExistingNarration, generateSlideNarration,
+  generateDialogueNarration, parseDialogue, extractFullScript, splitTextIntoChunks, estimateAudioDuration, isChatterboxAvailable
 };
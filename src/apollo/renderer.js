@@ -2,14 +2,45 @@
  * RENDERER — Video Compilation via Remotion or FFmpeg
  *
  * Renders animated slides + audio → MP4 per lecture.
- * Primary: Remotion (animated React components)
- * Fallback: FFmpeg (static slideshow)
+ * Remotion (method 'remotion' / RENDER_METHOD): animated React components,
+ * bundled once per process; a lecture that fails falls back to FFmpeg.
+ * FFmpeg (default): static slideshow, one SVG layout per visualType.
+ *
+ * Lectures render N-wide through the shared "render" worker pool
+ * (RENDER_CONCURRENCY); each lecture works in its own temp directory.
+ *
+ * When the narrator left a timing manifest next to the audio (slide mode),
+ * slides cut exactly on its measured boundaries in both render paths.
+ *
+ * With burnCaptions (or BURN_CAPTIONS=true) the FFmpeg path burns
+ * captions/lecture-NN.srt from the captioner into the picture; Remotion
+ * renders are not captioned.
+ *
+ * Both paths draw with the course theme (themes.js; options.theme, else the
+ * theme data/themes.json picks for the course).
+ *
+ * With bumpers (or VIDEO_BUMPERS=true) each lecture is stitched as
+ *   intro (course) → "Section N" card → lecture → outro (callToAction)
+ * with short crossfades. Bumpers are drawn like the slides (Remotion
+ * "Bumper" composition, or the SVG bumpers in slideTemplates.js), and
+ * BUMPER_MUSIC plays under the intro and outro, ducked under the narration
+ * (audioMixer.js). Captions for stitched videos are written next to them,
+ * shifted by the lead-in.
  */
 
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const execAsync = promisify(require('child_process').exec);
+const { mapWithPool } = require('../scripts/workerPool');
+const { computeSlideDurations, loadTimingManifest, manifestDurations } = require('./slideTiming');
+const { renderSlideSvg, renderBumperSvg } = require('./slideTemplates');
+const { themeForContent, loadLogo } = require('./themes');
+const { probeDuration, hasAudioStream } = require('./mediaProbe');
+const { musicBedFilter } = require('./audioMixer');
+const { shiftCaptions } = require('./captioner');
 
 const VIDEO_CONFIG = {
   width: 3840,
@@ -22,52 +53,117 @@ const VIDEO_CONFIG = {
   preset: 'medium'
 };
 
+const REMOTION_ENTRY = path.join(__dirname, '../remotion/index.ts');
+// Chrome for Remotion — unset lets Remotion download its own headless shell
+const REMOTION_BROWSER = process.env.REMOTION_BROWSER_EXECUTABLE || null;
+
+// Seconds on screen per bumper, the crossfade between stitched pieces and
+// the bumper music level (before ducking)
+const BUMPER_CONFIG = { intro: 4, section: 3, outro: 6, crossfade: 0.5, musicVolume: 0.3, musicFade: 2 };
+
+// Lecture length when there is no narration, or ffprobe cannot read it
+const SILENT_LECTURE_SECONDS = 60;
+
+// libass style for burned-in captions (sizes are relative to a 288px-high canvas)
+const CAPTION_STYLE = 'FontName=Arial,FontSize=16,PrimaryColour=&H00FFFFFF,OutlineColour=&H80000000,BorderStyle=1,Outline=1.5,Shadow=0,MarginV=22';
+
+let bundlePromise = null;
+
+/**
+ * Bundle the Remotion project once per process — a whole batch shares it
+ */
+function getRemotionBundle() {
+  if (!bundlePromise) {
+    const { bundle } = require('@remotion/bundler');
+    console.log('   RENDERER: Bundling Remotion project...');
+    bundlePromise = bundle({ entryPoint: REMOTION_ENTRY }).catch(error => {
+      bundlePromise = null;
+      throw error;
+    });
+  }
+  return bundlePromise;
+}
+
 /**
- * Render video for a lecture using Remotion
+ * Render video for a lecture using Remotion (CourseSlides composition)
+ *
+ * The composition is 1920x1080 and scaled up to VIDEO_CONFIG on render; its
+ * length comes from the audio (calculateMetadata in Root.tsx). Audio is
+ * copied into the bundle's public/ dir, the only place the browser can load
+ * it from, and removed again afterwards.
  */
-async function renderWithRemotion(slideJson, audioPath, outputPath) {
-  const remotionRoot = path.join(__dirname, '../remotion/Root.tsx');
-  if (!fs.existsSync(remotionRoot)) {
-    throw new Error('Remotion Root.tsx not found');
+async function renderWithRemotion(slides, audioPath, outputPath, options = {}) {
+  const { script = null, timing, slideDurations = null, courseTitle = '', sectionTitle = '', theme = null } = options;
+  if (!fs.existsSync(REMOTION_ENTRY)) {
+    throw new Error('Remotion entry point not found');
+  }
+
+  const { selectComposition, renderMedia } = require('@remotion/renderer');
+  const serveUrl = await getRemotionBundle();
+
+  const hasAudio = audioPath && fs.existsSync(audioPath);
+  const audioDuration = await probeDuration(audioPath) ?? SILENT_LECTURE_SECONDS;
+  const durations = slideDurations || computeSlideDurations(slides, audioDuration, script, { method: timing });
+
+  // Unique per source file and process — parallel courses share the bundle's public/ dir
+  const audioId = hasAudio ? crypto.createHash('sha256').update(`${path.resolve(audioPath)}:${path.resolve(outputPath)}:${process.pid}`).digest('hex').slice(0, 16) : '';
+  const publicAudio = hasAudio ? `audio/${audioId}${path.extname(audioPath)}` : '';
+  if (hasAudio) {
+    fs.mkdirSync(path.join(serveUrl, 'public', 'audio'), { recursive: true });
+    fs.copyFileSync(audioPath, path.join(serveUrl, 'public', publicAudio));
   }
 
-  const propsPath = outputPath.replace('.mp4', '-props.json');
-  fs.writeFileSync(propsPath, JSON.stringify({
-    slideData: slideJson,
-    audioPath: audioPath || '',
+  const inputProps = {
+    slideData: slides,
+    audioPath: publicAudio,
+    audioDuration,
+    slideDurations: durations,
+    courseTitle,
+    sectionTitle,
+    // Logo travels as a data URI — the browser cannot read local paths
+    theme: theme ? { ...theme, logo: loadLogo(theme)?.dataUri || null } : null,
     fps: VIDEO_CONFIG.fps,
-    width: VIDEO_CONFIG.width,
-    height: VIDEO_CONFIG.height
-  }, null, 2));
+    width: 1920,
+    height: 1080
+  };
 
   try {
-    execSync([
-      'npx', 'remotion', 'render',
-      remotionRoot, 'CourseSlides', outputPath,
-      '--props', propsPath,
-      '--codec', 'h264',
-      '--crf', VIDEO_CONFIG.crf.toString()
-    ].join(' '), { cwd: path.join(__dirname, '../..'), stdio: 'pipe', timeout: 300000 });
-
-    return { success: true, outputPath, method: 'remotion' };
+    const composition = await selectComposition({ serveUrl, id: 'CourseSlides', inputProps, browserExecutable: REMOTION_BROWSER });
+    await renderMedia({
+      composition, serveUrl, inputProps,
+      browserExecutable: REMOTION_BROWSER,
+      codec: 'h264',
+      outputLocation: outputPath,
+      crf: VIDEO_CONFIG.crf,
+      scale: VIDEO_CONFIG.width / composition.width,
+      audioBitrate: VIDEO_CONFIG.audioBitrate
+    });
+    return { success: true, outputPath, method: 'remotion', slideDurations: durations };
   } finally {
-    if (fs.existsSync(propsPath)) fs.unlinkSync(propsPath);
+    if (publicAudio) fs.rmSync(path.join(serveUrl, 'public', publicAudio), { force: true });
   }
 }
 
 /**
  * Render video with FFmpeg (fallback — static slides)
+ *
+ * options.slideDurations (from a timing manifest) are used as-is; otherwise
+ * options.script (the lecture script) lets slide changes follow the
+ * narration — see slideTiming.js; without it slides are timed by word count.
+ * options.captionsPath burns that SRT file into the video; options.theme
+ * styles the slides.
  */
-async function renderWithFFmpeg(slides, audioPath, outputPath) {
-  try { execSync('ffmpeg -version', { stdio: 'pipe' }); } catch {
+async function renderWithFFmpeg(slides, audioPath, outputPath, options = {}) {
+  const { script = null, timing, slideDurations = null, captionsPath = null, theme = null } = options;
+  try { await execAsync('ffmpeg -version'); } catch {
     throw new Error('FFmpeg not found');
   }
 
   const dir = path.dirname(outputPath);
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 
-  // Create slide images from text using sharp
-  const tempDir = path.join(dir, `_temp_slides_${Date.now()}`);
+  // Create slide images from text using sharp (one temp dir per lecture, safe to run in parallel)
+  const tempDir = path.join(dir, `_temp_${path.basename(outputPath, '.mp4')}`);
   if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir, { recursive: true });
 
   const slideFiles = [];
@@ -78,24 +174,27 @@ async function renderWithFFmpeg(slides, audioPath, outputPath) {
       courseTitle: slides._courseTitle || '',
       slideNum: i + 1,
       totalSlides: slides.length
-    });
+    }, theme);
     slideFiles.push(imgPath);
   }
 
   // Create concat file
-  const audioDuration = audioPath && fs.existsSync(audioPath) ? getAudioDuration(audioPath) : 60;
-  const perSlide = audioDuration / slideFiles.length;
+  const audioDuration = await probeDuration(audioPath) ?? SILENT_LECTURE_SECONDS;
+  const durations = slideDurations || computeSlideDurations(slides, audioDuration, script, { method: timing });
   const listFile = path.resolve(path.join(tempDir, 'slides.txt'));
-  const content = slideFiles.map(f => `file '${path.resolve(f)}'\nduration ${perSlide}`).join('\n') + `\nfile '${path.resolve(slideFiles[slideFiles.length - 1])}'`;
+  const content = slideFiles.map((f, i) => `file '${path.resolve(f)}'\nduration ${durations[i].toFixed(3)}`).join('\n') + `\nfile '${path.resolve(slideFiles[slideFiles.length - 1])}'`;
   fs.writeFileSync(listFile, content);
 
-  // Create video from slides
+  // Create video from slides (captions are burned in during this encode)
   const tempVideo = outputPath.replace('.mp4', '-temp.mp4');
-  execSync(`ffmpeg -y -f concat -safe 0 -i "${listFile}" -vsync vfr -pix_fmt yuv420p -s ${VIDEO_CONFIG.width}x${VIDEO_CONFIG.height} -c:v ${VIDEO_CONFIG.codec} -crf ${VIDEO_CONFIG.crf} "${tempVideo}"`, { stdio: 'pipe' });
+  const size = captionsPath && fs.existsSync(captionsPath)
+    ? `-vf "scale=${VIDEO_CONFIG.width}:${VIDEO_CONFIG.height},subtitles='${escapeFilterPath(captionsPath)}':force_style='${CAPTION_STYLE}'"`
+    : `-s ${VIDEO_CONFIG.width}x${VIDEO_CONFIG.height}`;
+  await execAsync(`ffmpeg -y -f concat -safe 0 -i "${listFile}" -vsync vfr -pix_fmt yuv420p ${size} -c:v ${VIDEO_CONFIG.codec} -crf ${VIDEO_CONFIG.crf} "${tempVideo}"`);
 
   // Add audio
   if (audioPath && fs.existsSync(audioPath)) {
-    execSync(`ffmpeg -y -i "${tempVideo}" -i "${audioPath}" -c:v copy -c:a ${VIDEO_CONFIG.audioCodec} -b:a ${VIDEO_CONFIG.audioBitrate} -shortest "${outputPath}"`, { stdio: 'pipe' });
+    await execAsync(`ffmpeg -y -i "${tempVideo}" -i "${audioPath}" -c:v copy -c:a ${VIDEO_CONFIG.audioCodec} -b:a ${VIDEO_CONFIG.audioBitrate} -shortest "${outputPath}"`);
     fs.unlinkSync(tempVideo);
   } else {
     fs.renameSync(tempVideo, outputPath);
@@ -104,159 +203,242 @@ async function renderWithFFmpeg(slides, audioPath, outputPath) {
   // Cleanup
   fs.rmSync(tempDir, { recursive: true, force: true });
 
-  return { success: true, outputPath, method: 'ffmpeg' };
+  return { success: true, outputPath, method: 'ffmpeg', slideDurations: durations };
 }
 
-async function createSlideImage(slide, outputPath, meta = {}) {
-  const W = 3840, H = 2160;
-  const title = escapeXml(slide.title || '').substring(0, 70);
-  const bullets = (slide.content || []).slice(0, 7).map(b => escapeXml(b).substring(0, 100));
-  const courseTitle = escapeXml(meta.courseTitle || '');
-  const slideNum = meta.slideNum || '';
-  const totalSlides = meta.totalSlides || '';
-
-  // Decorative background circles (abstract geometry)
-  const decoCircles = [
-    `<circle cx="3400" cy="400" r="500" fill="#7c3aed" opacity="0.07"/>`,
-    `<circle cx="3600" cy="1800" r="350" fill="#2563eb" opacity="0.06"/>`,
-    `<circle cx="300" cy="1900" r="400" fill="#7c3aed" opacity="0.05"/>`,
-    `<circle cx="1920" cy="1080" r="700" fill="#1e40af" opacity="0.03"/>`,
-  ].join('\n');
-
-  // Bullet items with glass-style cards
-  const bulletsSvg = bullets.map((b, i) => {
-    const y = 700 + i * 170;
-    return `
-      <rect x="200" y="${y - 55}" width="3440" height="130" rx="20" fill="#ffffff" opacity="0.05"/>
-      <rect x="200" y="${y - 55}" width="6" height="130" rx="3" fill="#a78bfa"/>
-      <circle cx="260" cy="${y + 10}" r="12" fill="#8b5cf6"/>
-      <text x="310" y="${y + 20}" font-family="Segoe UI, Helvetica, Arial" font-size="58" fill="#ddd6fe">${b}</text>`;
-  }).join('\n');
-
-  // Progress bar at bottom based on slide position
-  const progressWidth = totalSlides ? Math.round((slideNum / totalSlides) * W) : 0;
-
-  const svg = `<svg width="${W}" height="${H}" xmlns="http://www.w3.org/2000/svg">
-    <defs>
-      <linearGradient id="bg" x1="0" y1="0" x2="0.4" y2="1">
-        <stop offset="0%" stop-color="#0f0c29"/>
-        <stop offset="40%" stop-color="#1a1145"/>
-        <stop offset="100%" stop-color="#120e2e"/>
-      </linearGradient>
-      <linearGradient id="headerGrad" x1="0" y1="0" x2="1" y2="0.5">
-        <stop offset="0%" stop-color="#7c3aed" stop-opacity="0.3"/>
-        <stop offset="100%" stop-color="#1e40af" stop-opacity="0.15"/>
-      </linearGradient>
-      <linearGradient id="accent" x1="0" y1="0" x2="1" y2="0">
-        <stop offset="0%" stop-color="#8b5cf6"/>
-        <stop offset="100%" stop-color="#3b82f6"/>
-      </linearGradient>
-      <linearGradient id="progressGrad" x1="0" y1="0" x2="1" y2="0">
-        <stop offset="0%" stop-color="#7c3aed"/>
-        <stop offset="100%" stop-color="#2563eb"/>
-      </linearGradient>
-    </defs>
-
-    <!-- Background -->
-    <rect width="100%" height="100%" fill="url(#bg)"/>
-    ${decoCircles}
-
-    <!-- Header zone -->
-    <rect x="0" y="0" width="${W}" height="500" fill="url(#headerGrad)"/>
-    <rect x="0" y="490" width="${W}" height="2" fill="#8b5cf6" opacity="0.3"/>
-
-    <!-- Accent bar under title -->
-    <rect x="200" y="420" width="320" height="8" rx="4" fill="url(#accent)"/>
-
-    <!-- Title -->
-    <text x="200" y="340" font-family="Segoe UI, Helvetica, Arial" font-size="96" font-weight="bold" fill="#ffffff" letter-spacing="-1">${title}</text>
-
-    <!-- Slide number badge -->
-    ${slideNum ? `
-    <rect x="${W - 320}" y="60" width="220" height="80" rx="40" fill="#ffffff" opacity="0.08"/>
-    <text x="${W - 210}" y="115" font-family="Segoe UI, Helvetica, Arial" font-size="40" fill="#a5b4fc" text-anchor="middle">${slideNum} / ${totalSlides}</text>
-    ` : ''}
-
-    <!-- Bullet content -->
-    ${bulletsSvg}
-
-    <!-- Footer -->
-    <rect x="0" y="${H - 100}" width="${W}" height="100" fill="#0a0820" opacity="0.6"/>
-    ${courseTitle ? `<text x="200" y="${H - 42}" font-family="Segoe UI, Helvetica, Arial" font-size="38" fill="#6366a0">${courseTitle}</text>` : ''}
-
-    <!-- Progress bar -->
-    <rect x="0" y="${H - 8}" width="${W}" height="8" fill="#1e1b4b"/>
-    ${progressWidth > 0 ? `<rect x="0" y="${H - 8}" width="${progressWidth}" height="8" fill="url(#progressGrad)"/>` : ''}
-  </svg>`;
+/**
+ * Render one bumper clip — kind: intro | section | outro
+ *
+ * data is passed to the Bumper composition / renderBumperSvg(). Remotion
+ * clips are silent; FFmpeg clips carry a silent track. Remotion failures fall
+ * back to the static SVG card.
+ */
+async function renderBumper(kind, data, outputPath, options = {}) {
+  const { method = 'ffmpeg', theme = null, seconds = BUMPER_CONFIG[kind] } = options;
+
+  if (method === 'remotion') {
+    try {
+      const { selectComposition, renderMedia } = require('@remotion/renderer');
+      const serveUrl = await getRemotionBundle();
+      const inputProps = {
+        kind, ...data, seconds,
+        theme: theme ? { ...theme, logo: loadLogo(theme)?.dataUri || null } : null,
+        fps: VIDEO_CONFIG.fps, width: 1920, height: 1080
+      };
+      const composition = await selectComposition({ serveUrl, id: 'Bumper', inputProps, browserExecutable: REMOTION_BROWSER });
+      await renderMedia({
+        composition, serveUrl, inputProps,
+        browserExecutable: REMOTION_BROWSER,
+        codec: 'h264',
+        outputLocation: outputPath,
+        crf: VIDEO_CONFIG.crf,
+        scale: VIDEO_CONFIG.width / composition.width
+      });
+      return { success: true, outputPath, method: 'remotion', duration: seconds };
+    } catch (error) {
+      console.error(`   Remotion ${kind} bumper failed: ${error.message} — using the static card`);
+    }
+  }
+
+  const imgPath = outputPath.replace(/\.mp4$/, '.png');
+  await require('sharp')(Buffer.from(renderBumperSvg(kind, data, theme))).png().toFile(imgPath);
+  await execAsync(`ffmpeg -y -loop 1 -framerate ${VIDEO_CONFIG.fps} -i "${imgPath}" -f lavfi -i anullsrc=r=48000:cl=stereo -t ${seconds} -s ${VIDEO_CONFIG.width}x${VIDEO_CONFIG.height} -pix_fmt yuv420p -c:v ${VIDEO_CONFIG.codec} -crf ${VIDEO_CONFIG.crf} -c:a ${VIDEO_CONFIG.audioCodec} -b:a ${VIDEO_CONFIG.audioBitrate} "${outputPath}"`);
+  fs.rmSync(imgPath, { force: true });
+  return { success: true, outputPath, method: 'ffmpeg', duration: seconds };
+}
 
+/**
+ * Join clips with crossfades (xfade + acrossfade) — returns { duration, offsets }
+ *
+ * offsets[i] is where clip i starts in the output. Clips without an audio
+ * track get silence. options.music is looped under the result and ducked by
+ * its audio; options.musicEnvelope (an expression in t) shapes its level.
+ */
+async function stitchVideos(clips, outputPath, options = {}) {
+  const { crossfade = BUMPER_CONFIG.crossfade, music = null, musicVolume = BUMPER_CONFIG.musicVolume, musicEnvelope = null } = options;
+  const { width, height, fps } = VIDEO_CONFIG;
+
+  const pieces = [];
+  for (const clip of clips) pieces.push({ path: clip, duration: await clipDuration(clip), hasAudio: await hasAudioStream(clip) });
+  const offsets = pieces.reduce((acc, piece, i) => [...acc, i === 0 ? 0 : acc[i - 1] + pieces[i - 1].duration - crossfade], []);
+  const duration = offsets[offsets.length - 1] + pieces[pieces.length - 1].duration;
+
+  const filters = pieces.flatMap((piece, i) => [
+    `[${i}:v]fps=${fps},scale=${width}:${height},setsar=1,format=yuv420p,settb=AVTB[v${i}]`,
+    piece.hasAudio
+      ? `[${i}:a]aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo[a${i}]`
+      : `aevalsrc=0:c=stereo:s=48000:d=${piece.duration.toFixed(3)}[a${i}]`
+  ]);
+  let video = 'v0', audio = 'a0';
+  for (let i = 1; i < pieces.length; i++) {
+    filters.push(`[${video}][v${i}]xfade=transition=fade:duration=${crossfade}:offset=${offsets[i].toFixed(3)}[vx${i}]`);
+    filters.push(`[${audio}][a${i}]acrossfade=d=${crossfade}:c1=tri:c2=tri[ax${i}]`);
+    video = `vx${i}`;
+    audio = `ax${i}`;
+  }
+
+  const inputs = pieces.map(p => `-i "${p.path}"`);
+  if (music) {
+    inputs.push(`-stream_loop -1 -i "${music}"`);
+    filters.push(musicBedFilter(audio, `${pieces.length}:a`, 'mixed', { volume: musicVolume, duration, envelope: musicEnvelope, fadeIn: 0.5, fadeOut: 1.5 }));
+    audio = 'mixed';
+  }
+
+  await execAsync(`ffmpeg -y ${inputs.join(' ')} -filter_complex "${filters.join(';')}" -map "[${video}]" -map "[${audio}]" -c:v ${VIDEO_CONFIG.codec} -crf ${VIDEO_CONFIG.crf} -preset ${VIDEO_CONFIG.preset} -pix_fmt yuv420p -c:a ${VIDEO_CONFIG.audioCodec} -b:a ${VIDEO_CONFIG.audioBitrate} "${outputPath}"`);
+  return { duration, offsets };
+}
+
+/**
+ * Stitch bumpers around a rendered lecture — returns { leadIn, duration }
+ *
+ * bumpers: { intro, section, outro } clip paths (any may be null). The
+ * bumper music (if any) is full level over the bumpers and fades out of the
+ * way for the lecture itself.
+ */
+async function addBumpers(lecturePath, outputPath, bumpers, options = {}) {
+  const { music = null } = options;
+  const clips = [bumpers.intro, bumpers.section, lecturePath, bumpers.outro].filter(Boolean);
+  const lectureIndex = clips.indexOf(lecturePath);
+
+  const fade = BUMPER_CONFIG.musicFade;
+  let envelope = null;
+  if (music) {
+    const pieces = await Promise.all(clips.map(clipDuration));
+    const start = pieces.slice(0, lectureIndex).reduce((a, d) => a + d - BUMPER_CONFIG.crossfade, 0);
+    const end = start + pieces[lectureIndex];
+    envelope = `clip(max((${(start + fade).toFixed(3)}-t)/${fade},(t-${(end - fade).toFixed(3)})/${fade}),0,1)`;
+  }
+
+  const { offsets, duration } = await stitchVideos(clips, outputPath, { music, musicEnvelope: envelope });
+  return { leadIn: offsets[lectureIndex], duration };
+}
+
+/**
+ * Copy a lecture's SRT/VTT next to its video, shifted by the bumper lead-in
+ */
+function writeShiftedCaptions(outputDir, lectureIndex, videoPath, leadIn) {
+  const written = [];
+  for (const ext of ['srt', 'vtt']) {
+    const source = path.join(outputDir, 'captions', `lecture-${String(lectureIndex).padStart(2, '0')}.${ext}`);
+    if (!fs.existsSync(source)) continue;
+    const target = videoPath.replace(/\.mp4$/, `.${ext}`);
+    fs.writeFileSync(target, shiftCaptions(fs.readFileSync(source, 'utf-8'), leadIn));
+    written.push(target);
+  }
+  return written;
+}
+
+/**
+ * Rasterize a slide with the SVG template for its visualType (slideTemplates.js)
+ */
+async function createSlideImage(slide, outputPath, meta = {}, theme = null) {
+  const svg = renderSlideSvg(slide, meta, theme);
   await require('sharp')(Buffer.from(svg)).png().toFile(outputPath);
 }
 
-function escapeXml(text) {
-  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+// Filtergraph paths: forward slashes, and ':' escaped (Windows drive letters)
+function escapeFilterPath(file) {
+  return path.resolve(file).replace(/\\/g, '/').replace(/:/g, '\\:');
 }
 
-function getAudioDuration(audioPath) {
-  try {
-    const result = execSync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${audioPath}"`, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] });
-    return parseFloat(result.trim());
-  } catch { return 60; }
+// Clips are stitched at measured offsets — an unreadable one cannot be placed
+async function clipDuration(clip) {
+  const duration = await probeDuration(clip);
+  if (!duration) throw new Error(`Cannot read duration of ${clip}`);
+  return duration;
 }
 
 /**
  * Render all lecture videos for a course
  */
 async function renderCourseVideos(courseContent, outputDir, options = {}) {
-  const { audioFiles = [], method = 'ffmpeg' } = options;
+  const {
+    audioFiles = [], method = process.env.RENDER_METHOD || 'ffmpeg', burnCaptions = process.env.BURN_CAPTIONS === 'true',
+    bumpers = process.env.VIDEO_BUMPERS === 'true', bumperMusic = process.env.BUMPER_MUSIC || null
+  } = options;
+  const theme = themeForContent(courseContent, options.theme);
 
-  console.log('\n   RENDERER: Rendering course videos...');
+  console.log(`\n   RENDERER: Rendering course videos (theme: ${theme.name}${bumpers ? ', with bumpers' : ''})...`);
 
   const videosDir = path.join(outputDir, 'videos');
   if (!fs.existsSync(videosDir)) fs.mkdirSync(videosDir, { recursive: true });
 
   const results = { totalLectures: 0, successfulRenders: 0, failedRenders: 0, videoFiles: [] };
-  let lectureIndex = 1;
-
-  for (const section of courseContent.sections || []) {
-    for (const lecture of section.lectures || []) {
-      results.totalLectures++;
-      const slides = lecture.slides || [];
-      slides._courseTitle = courseContent.title || '';
-      if (slides.length === 0) {
-        console.log(`   Skip lecture ${lectureIndex}: no slides`);
-        results.failedRenders++;
-        lectureIndex++;
-        continue;
-      }
-
-      const audioPath = audioFiles[lectureIndex - 1]?.audioPath || null;
-      const outputPath = path.join(videosDir, `lecture-${String(lectureIndex).padStart(2, '0')}.mp4`);
+  const courseTitle = courseContent.metadata?.title || courseContent.title || '';
+  const lectures = (courseContent.sections || []).flatMap((s, sectionIndex) => (s.lectures || []).map(lecture => ({ lecture, sectionTitle: s.title || '', sectionNumber: sectionIndex + 1 })));
+  results.totalLectures = lectures.length;
+
+  // Bumpers: the intro is the same for every lecture, so it renders once
+  const bumpersDir = path.join(videosDir, '_bumpers');
+  const music = bumpers && bumperMusic && fs.existsSync(bumperMusic) ? bumperMusic : null;
+  if (bumpers && bumperMusic && !music) console.log(`   Bumper music not found: ${bumperMusic}`);
+  let introPromise = null;
+  const renderIntro = () => {
+    if (!introPromise) {
+      fs.mkdirSync(bumpersDir, { recursive: true });
+      introPromise = renderBumper('intro', { courseTitle, subtitle: courseContent.metadata?.subtitle || '' }, path.join(bumpersDir, 'intro.mp4'), { method, theme });
+    }
+    return introPromise;
+  };
+
+  const outcomes = await mapWithPool('render', lectures, async ({ lecture, sectionTitle, sectionNumber }, i) => {
+    const lectureIndex = i + 1;
+    const name = `lecture-${String(lectureIndex).padStart(2, '0')}`;
+    const slides = lecture.slides || [];
+    slides._courseTitle = courseTitle;
+    if (slides.length === 0) {
+      console.log(`   Skip lecture ${lectureIndex}: no slides`);
+      return null;
+    }
 
-      try {
-        let result;
-        if (method === 'remotion') {
-          result = await renderWithRemotion(slides, audioPath, outputPath);
-        } else {
-          result = await renderWithFFmpeg(slides, audioPath, outputPath);
+    const audioPath = audioFiles.find(a => a.lectureIndex === lectureIndex)?.audioPath || null;
+    const outputPath = path.join(videosDir, `${name}.mp4`);
+    const lecturePath = bumpers ? path.join(bumpersDir, `${name}-body.mp4`) : outputPath;
+    if (bumpers) fs.mkdirSync(bumpersDir, { recursive: true });
+    const slideDurations = manifestDurations(loadTimingManifest(audioPath), slides);
+    if (slideDurations) console.log(`   Lecture ${lectureIndex}: slide timing from narration manifest`);
+    const captionsPath = burnCaptions ? path.join(outputDir, 'captions', `${name}.srt`) : null;
+
+    try {
+      let result = null;
+      if (method === 'remotion') {
+        try {
+          result = await renderWithRemotion(slides, audioPath, lecturePath, { script: lecture.script, slideDurations, courseTitle, sectionTitle, theme });
+        } catch (error) {
+          console.error(`   Remotion failed for lecture ${lectureIndex}: ${error.message} — falling back to FFmpeg`);
         }
-
-        if (result.success) {
-          results.successfulRenders++;
-          results.videoFiles.push({ lectureIndex, lectureTitle: lecture.title, videoPath: outputPath });
-        } else {
-          results.failedRenders++;
+      }
+      if (!result?.success) result = await renderWithFFmpeg(slides, audioPath, lecturePath, { script: lecture.script, slideDurations, captionsPath, theme });
+      if (!result.success) return null;
+
+      const video = { lectureIndex, lectureTitle: lecture.title, videoPath: outputPath, method: result.method };
+      if (bumpers) {
+        try {
+          const intro = await renderIntro();
+          const section = await renderBumper('section', { sectionNumber, sectionTitle, lectureNumber: lectureIndex, lectureTitle: lecture.title }, path.join(bumpersDir, `${name}-section.mp4`), { method, theme });
+          const outro = await renderBumper('outro', { callToAction: lecture.script?.callToAction || '', courseTitle }, path.join(bumpersDir, `${name}-outro.mp4`), { method, theme });
+          const { leadIn } = await addBumpers(lecturePath, outputPath, { intro: intro.outputPath, section: section.outputPath, outro: outro.outputPath }, { music });
+          video.leadIn = leadIn;
+          video.captionFiles = writeShiftedCaptions(outputDir, lectureIndex, outputPath, leadIn);
+        } catch (error) {
+          console.error(`   Bumpers failed for lecture ${lectureIndex}: ${error.message} — keeping the lecture without them`);
+          fs.renameSync(lecturePath, outputPath);
         }
-      } catch (error) {
-        console.error(`   Render error lecture ${lectureIndex}: ${error.message}`);
-        results.failedRenders++;
       }
-
-      lectureIndex++;
+      return video;
+    } catch (error) {
+      console.error(`   Render error lecture ${lectureIndex}: ${error.message}`);
+      return null;
     }
+  });
+
+  for (const video of outcomes) {
+    if (video) { results.successfulRenders++; results.videoFiles.push(video); } else results.failedRenders++;
   }
+  if (bumpers) fs.rmSync(bumpersDir, { recursive: true, force: true });
 
   console.log(`   Rendered: ${results.successfulRenders}/${results.totalLectures} lectures`);
   return results;
 }
 
-module.exports = { renderWithRemotion, renderWithFFmpeg, renderCourseVideos, VIDEO_CONFIG };
+module.exports = { renderWithRemotion, renderWithFFmpeg, renderBumper, stitchVideos, renderCourseVideos, getRemotionBundle, VIDEO_CONFIG, BUMPER_CONFIG };
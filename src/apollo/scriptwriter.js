@@ -1,15 +1,38 @@
 /**
- * SCRIPTWRITER — Course Content Generation via Gemini
+ * SCRIPTWRITER — Course Content Generation via the LLM layer
+ *
+ * Uses the "scriptwriter" stage provider (LLM_PROVIDER_SCRIPTWRITER) unless
+ * options.provider / options.model override it.
+ *
+ * Modes (options.mode or SCRIPTWRITER_MODE):
+ *   golden — whole course in one Golden Bullet call (default)
+ *   staged — outline, then one call per lecture, then assessment and cheat
+ *            sheet; each piece is validated and retried on its own and saved
+ *            to content.json as it lands, so a crashed run resumes where it stopped
+ *
+ * improveCourse() regenerates only the lectures behind failing quality
+ * dimensions and keeps a per-lecture attempt history in _meta.regenerations.
+ *
+ * `node scriptwriter.js --check` runs improveCourse on course 1 against a
+ * provider that returns partial lectures — nothing it leaves out may be lost.
  */
 
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const { generateWithGoldenBullet } = require('../llm');
-const { buildGoldenBulletPrompt } = require('../llm/prompts/goldenBulletPrompt');
+const { generateWithGoldenBullet, generateJson } = require('../llm');
+const { registerProvider } = require('../llm/providers');
+const { repairAndValidate, formatSchemaErrors } = require('../llm/schemas');
+const {
+  buildGoldenBulletPrompt, buildOutlinePrompt, buildLectureContentPrompt,
+  buildAssessmentPrompt, buildCheatSheetPrompt, buildLectureRegenerationPrompt
+} = require('../llm/prompts/goldenBulletPrompt');
+const { evaluateCourseQuality, diagnoseLectures } = require('../scripts/qualityEngine');
 
 async function generateCourse(course, options = {}) {
-  const { maxRetries = 3, outputDir = null } = options;
+  const { maxRetries = 3, outputDir = null, provider, model, mode = process.env.SCRIPTWRITER_MODE || 'golden' } = options;
+
+  if (mode === 'staged') return generateCourseStaged(course, options);
 
   console.log('\n   SCRIPTWRITER: Generating course content...');
   console.log(`   Course: ${course.title}`);
@@ -23,14 +46,25 @@ async function generateCourse(course, options = {}) {
 
     try {
       const prompt = buildGoldenBulletPrompt(course);
-      const result = await generateWithGoldenBullet(prompt);
+      const result = await generateWithGoldenBullet(prompt, { provider, model });
 
       if (result.parsedContent) {
-        bestContent = result.parsedContent;
+        const checked = repairAndValidate(result.parsedContent);
+        if (checked.repairs.length > 0) console.log(`   Schema: ${checked.repairs.length} repair(s) applied`);
+        if (!checked.valid) {
+          console.log(`   Schema: ${checked.errors.length} error(s), retrying...`);
+          formatSchemaErrors(checked.errors, 5).forEach(e => console.log(`     ${e}`));
+          continue;
+        }
+
+        bestContent = checked.content;
         bestContent._meta = {
           courseId: course.id,
           generatedAt: new Date().toISOString(),
           provider: result.provider,
+          model: result.model,
+          tokensUsed: result.tokensUsed,
+          schemaRepairs: checked.repairs.length,
           attempts
         };
 
@@ -59,6 +93,227 @@ async function generateCourse(course, options = {}) {
   return bestContent;
 }
 
+/**
+ * Staged generation — outline → lectures → assessment → cheat sheet
+ */
+async function generateCourseStaged(course, options = {}) {
+  const { maxRetries = 3, outputDir = null, provider, model } = options;
+
+  console.log('\n   SCRIPTWRITER: Generating course content (staged)...');
+  console.log(`   Course: ${course.title}`);
+
+  const llm = { maxRetries, provider, model };
+  let content = outputDir ? loadPartialContent(outputDir, course) : null;
+
+  if (content) {
+    console.log(`   Resuming from content.json (${content._meta.staged.completed.length} pieces done)`);
+  } else {
+    const { _attempts, ...outline } = await generatePiece('outline', buildOutlinePrompt(course), { definition: 'outline', check: checkOutline }, llm);
+    content = {
+      metadata: outline.metadata,
+      sections: outline.sections,
+      thumbnailSuggestions: outline.thumbnailSuggestions || [],
+      promotionalContent: outline.promotionalContent || {},
+      _meta: {
+        courseId: course.id,
+        generatedAt: new Date().toISOString(),
+        mode: 'staged',
+        staged: { complete: false, completed: ['outline'], attempts: { outline: _attempts } }
+      }
+    };
+    if (outputDir) writeContentFile(content, outputDir);
+  }
+
+  const staged = content._meta.staged;
+  const done = piece => staged.completed.includes(piece);
+  const record = (piece, attempts) => {
+    staged.completed.push(piece);
+    staged.attempts[piece] = attempts;
+    if (outputDir) writeContentFile(content, outputDir);
+  };
+
+  for (const section of content.sections) {
+    for (const [i, lecture] of (section.lectures || []).entries()) {
+      const piece = `lecture:${section.sectionNumber}.${i + 1}`;
+      if (done(piece)) continue;
+      const prompt = buildLectureContentPrompt(course, content, section, lecture);
+      const { script, slides, _attempts } = await generatePiece(piece, prompt, { definition: 'lecturePiece' }, llm);
+      Object.assign(lecture, { script, slides });
+      record(piece, _attempts);
+    }
+  }
+
+  if (!done('assessment')) {
+    const { _attempts, ...assessment } = await generatePiece('assessment', buildAssessmentPrompt(course, content), { definition: 'assessment', check: checkAssessment }, llm);
+    content.assessment = assessment;
+    record('assessment', _attempts);
+  }
+
+  if (!done('cheatSheet')) {
+    const { _attempts, ...cheatSheet } = await generatePiece('cheatSheet', buildCheatSheetPrompt(course, content), { definition: 'cheatSheet' }, llm);
+    content.cheatSheet = cheatSheet;
+    record('cheatSheet', _attempts);
+  }
+
+  if (!validateCourseStructure(content)) {
+    throw new Error('Staged content failed structure validation');
+  }
+
+  staged.complete = true;
+  content._meta.attempts = Object.values(staged.attempts).reduce((a, b) => a + b, 0);
+  if (outputDir) await saveCourseContent(content, outputDir);
+  console.log(`   Content generated in ${staged.completed.length} pieces`);
+  return content;
+}
+
+/**
+ * Generate one staged piece, retrying until it parses, repairs and validates
+ * against its schema definition (plus an optional extra check)
+ */
+async function generatePiece(label, prompt, validation, options = {}) {
+  const { definition, check = () => [] } = validation;
+  const { maxRetries = 3, provider, model } = options;
+  let lastIssues = [];
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    console.log(`   [${label}] attempt ${attempt}/${maxRetries}...`);
+    try {
+      const result = await generateJson(prompt, { stage: 'scriptwriter', provider, model });
+      if (!result.success) {
+        lastIssues = [result.error];
+      } else if (!result.parsedContent) {
+        lastIssues = ['Response is not valid JSON'];
+      } else {
+        const checked = repairAndValidate(result.parsedContent, { definition });
+        lastIssues = [...formatSchemaErrors(checked.errors, 5), ...(checked.valid ? check(checked.content) : [])];
+        if (lastIssues.length === 0) return { ...checked.content, _attempts: attempt };
+      }
+    } catch (error) {
+      lastIssues = [error.message];
+    }
+    console.log(`   [${label}] rejected: ${lastIssues.join('; ')}`);
+  }
+
+  throw new Error(`Staged piece "${label}" failed after ${maxRetries} attempts: ${lastIssues.join('; ')}`);
+}
+
+function checkOutline(outline) {
+  const totalLectures = outline.sections.reduce((sum, s) => sum + s.lectures.length, 0);
+  return totalLectures < 5 ? [`Too few lectures: ${totalLectures}`] : [];
+}
+
+function checkAssessment(assessment) {
+  const issues = [];
+  if (assessment.finalQuiz.questions.length < 10) issues.push('Need 10+ final quiz questions');
+  if (!assessment.practicalAssignment) issues.push('Missing practicalAssignment');
+  return issues;
+}
+
+/**
+ * A regenerated lecture laid over the original — fields (and script parts)
+ * the response leaves out are kept, the lecture number never changes
+ */
+function mergeLecture(original, regenerated) {
+  const script = regenerated.script && typeof regenerated.script === 'object' ? regenerated.script : {};
+  return { ...original, ...regenerated, lectureNumber: original.lectureNumber, script: { ...original.script, ...script } };
+}
+
+/**
+ * Targeted regeneration — rewrite only the lectures behind failing dimensions
+ *
+ * Each round scores the course, picks the lectures whose findings belong to a
+ * dimension below targetScore (or that are under the Gate 2 word minimum),
+ * regenerates them with buildLectureRegenerationPrompt and re-scores. The
+ * response is merged onto the lecture (mergeLecture), and the result is kept
+ * only if the overall score does not drop.
+ */
+async function improveCourse(content, course, options = {}) {
+  const { targetScore = 95, maxRounds = 2, outputDir = null, provider, model } = options;
+
+  content._meta = content._meta || {};
+  const history = content._meta.regenerations = content._meta.regenerations || [];
+  let evaluation = evaluateCourseQuality(content);
+
+  for (let round = 1; round <= maxRounds && evaluation.overall < targetScore; round++) {
+    const failing = Object.entries(evaluation.scores).filter(([, r]) => r.score < targetScore).map(([dim]) => dim);
+    const targets = diagnoseLectures(content)
+      .map(d => ({ ...d, findings: d.findings.filter(f => failing.includes(f.dimension) || f.dimension === 'lectureLength') }))
+      .filter(d => d.findings.length > 0);
+
+    if (targets.length === 0) {
+      console.log(`   No lecture-level causes for: ${failing.join(', ') || 'none'}`);
+      break;
+    }
+    console.log(`\n   SCRIPTWRITER: Round ${round} — regenerating ${targets.length} lecture(s) (${failing.join(', ')})`);
+
+    for (const target of targets) {
+      if (evaluation.overall >= targetScore) break;
+      const section = content.sections[target.sectionIndex];
+      const original = section.lectures[target.lectureIndex];
+      const dimensions = [...new Set(target.findings.map(f => f.dimension))];
+      const feedback = [
+        ...target.findings.map(f => `- ${f.issue}`),
+        ...dimensions.flatMap(dim => (evaluation.scores[dim]?.issues || []).map(i => `- Course-level ${dim}: ${i}`))
+      ].join('\n');
+
+      const entry = {
+        round, section: section.sectionNumber, lecture: original.lectureNumber, title: original.title,
+        dimensions, feedback, before: evaluation.overall, after: evaluation.overall,
+        accepted: false, at: new Date().toISOString()
+      };
+      history.push(entry);
+
+      console.log(`   Lecture "${original.title}": ${target.findings.map(f => f.dimension).join(', ')}`);
+      const result = await generateJson(buildLectureRegenerationPrompt(original, feedback), { stage: 'scriptwriter', provider, model });
+      if (!result.parsedContent) {
+        entry.error = result.error || 'Response is not valid JSON';
+        console.log(`     Rejected: ${entry.error}`);
+        continue;
+      }
+
+      const checked = repairAndValidate(mergeLecture(original, result.parsedContent), { definition: 'lecture' });
+      if (!checked.valid) {
+        entry.error = formatSchemaErrors(checked.errors, 3).join('; ');
+        console.log(`     Rejected: ${entry.error}`);
+        continue;
+      }
+
+      section.lectures[target.lectureIndex] = checked.content;
+      const rescored = evaluateCourseQuality(content);
+      entry.after = rescored.overall;
+
+      if (rescored.overall >= evaluation.overall) {
+        entry.accepted = true;
+        evaluation = rescored;
+        if (outputDir) writeContentFile(content, outputDir);
+        console.log(`     Kept: ${entry.before} → ${entry.after}`);
+      } else {
+        section.lectures[target.lectureIndex] = original;
+        console.log(`     Reverted: ${entry.before} → ${entry.after}`);
+      }
+    }
+  }
+
+  if (outputDir) await saveCourseContent(content, outputDir);
+  return { content, evaluation, history };
+}
+
+/**
+ * Load an unfinished staged content.json for this course, if there is one
+ */
+function loadPartialContent(outputDir, course) {
+  const contentPath = path.join(outputDir, 'content.json');
+  if (!fs.existsSync(contentPath)) return null;
+  try {
+    const content = JSON.parse(fs.readFileSync(contentPath, 'utf-8'));
+    const staged = content._meta?.staged;
+    if (content._meta.courseId !== course.id || !staged || staged.complete) return null;
+    return content;
+  } catch {
+    return null;
+  }
+}
+
 function validateCourseStructure(content) {
   if (!content.metadata?.title) { console.log('   Missing: metadata.title'); return false; }
   if (!content.sections || content.sections.length === 0) { console.log('   Missing: sections'); return false; }
@@ -68,10 +323,17 @@ function validateCourseStructure(content) {
 }
 
 async function saveCourseContent(content, outputDir) {
+  writeContentFile(content, outputDir);
+  console.log(`   Saved content.json to ${outputDir}`);
+}
+
+// Write via a temp file + rename so a crash never leaves a half-written content.json
+function writeContentFile(content, outputDir) {
   if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
   const contentPath = path.join(outputDir, 'content.json');
-  fs.writeFileSync(contentPath, JSON.stringify(content, null, 2));
-  console.log(`   Saved content.json to ${outputDir}`);
+  const tempPath = `${contentPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(content, null, 2));
+  fs.renameSync(tempPath, contentPath);
 }
 
 function extractScriptText(lecture) {
@@ -93,7 +355,44 @@ function calculateDuration(text) {
   return { wordCount, estimatedMinutes: Math.round((wordCount / 150) * 10) / 10 };
 }
 
-if (require.main === module) {
+/**
+ * improveCourse against a provider that answers with partial lectures —
+ * script and slides without duration, type or objective, or just the title
+ * and opening — returns the failures (lectures that lost a field)
+ */
+async function runChecks() {
+  const CURRICULUM = require('./curriculum');
+  const course = CURRICULUM.getCourseById('1');
+  const content = JSON.parse(fs.readFileSync(path.join(CURRICULUM.getCourseDirectory(course), 'content.json'), 'utf-8'));
+  const originals = content.sections.map(s => s.lectures.map(l => JSON.stringify(l)));
+
+  let calls = 0;
+  registerProvider('partial', () => ({
+    name: 'partial', model: 'partial',
+    async generate(prompt) {
+      const lecture = JSON.parse(prompt.match(/ORIGINAL LECTURE:\n([\s\S]*?)\n\nQUALITY FEEDBACK:/)[1]);
+      const partial = calls++ % 2
+        ? { title: lecture.title, script: { opening: lecture.script.opening } }
+        : { title: lecture.title, script: lecture.script, slides: lecture.slides };
+      return { text: JSON.stringify(partial), tokensUsed: {} };
+    }
+  }));
+  const { history } = await improveCourse(content, course, { provider: 'partial', targetScore: 101, maxRounds: 1 });
+
+  const accepted = history.filter(h => h.accepted);
+  const failures = history.filter(h => !h.accepted).map(h => `Lecture ${h.section}.${h.lecture} rejected: ${h.error || `${h.before} → ${h.after}`}`);
+  content.sections.forEach((s, i) => s.lectures.forEach((l, j) => {
+    if (JSON.stringify(l) !== originals[i][j]) failures.push(`Lecture ${s.sectionNumber}.${l.lectureNumber} changed: ${Object.keys(JSON.parse(originals[i][j])).filter(k => !(k in l)).join(', ') || 'fields rewritten'}`);
+  }));
+  console.log(`\n   SCRIPTWRITER: ${accepted.length} partial lecture(s) accepted, ${failures.length} failure(s)`);
+  failures.forEach(f => console.log(`   FAIL  ${f}`));
+  return failures;
+}
+
+if (require.main === module && process.argv[2] === '--check') {
+  runChecks().then(failures => process.exit(failures.length ? 1 : 0))
+    .catch(e => { console.error('Error:', e.message); process.exit(1); });
+} else if (require.main === module) {
   const testCourse = { id: 'test-001', title: 'Introduction to Process Improvement', category: 'Process Analysis', subcategory: 'Basics', targetAudience: 'Business professionals', skillLevel: 'Beginner', duration: 60, objectives: ['Understand fundamentals'], prerequisites: [] };
   generateCourse(testCourse).then(c => {
     console.log(`\n   Generated: ${c.metadata?.title} — ${c.sections?.length} sections`);
@@ -101,6 +400,6 @@ if (require.main === module) {
 }
 
 module.exports = {
-  generateCourse, extractScriptText, calculateDuration,
-  saveCourseContent, validateCourseStructure
+  generateCourse, generateCourseStaged, improveCourse, mergeLecture, extractScriptText, calculateDuration,
+  saveCourseContent, validateCourseStructure, runChecks
 };
@@ -0,0 +1,465 @@
+/**
+ * SLIDE TEMPLATES — SVG layouts for static (FFmpeg) slide renders
+ *
+ * One template per visualType the Golden Bullet prompt allows, mirroring the
+ * Remotion layouts in src/remotion/compositions/CourseSlides.tsx:
+ *   title, bullets, code, diagram, comparison, quote, image
+ * All templates draw on a 3840x2160 canvas inside the same frame
+ * (background, slide badge, footer, progress bar). Unknown types fall back
+ * to bullets.
+ *
+ * Text is laid out with textLayout.js: it wraps, shrinks to fit its box and
+ * is only ellipsized when the minimum font size still overflows.
+ *
+ * Colours, fonts, logo and background style come from the course theme
+ * (themes.js); templates take (slide, theme).
+ *
+ * BUMPERS are the frameless cards the renderer puts around a lecture:
+ * intro (course title), section ("Section N: title") and outro (the
+ * lecture's callToAction) — see renderBumperSvg().
+ */
+
+const { fitText, fitParagraphs, ellipsize, measureText, wrapText, svgText, escapeXml } = require('./textLayout');
+const { resolveTheme, loadLogo } = require('./themes');
+
+const W = 3840, H = 2160;
+const MARGIN = 200;
+const CONTENT_TOP = 620;
+const CONTENT_BOTTOM = H - 180;
+
+/**
+ * Header zone with title and accent bar (every template except title/quote)
+ *
+ * Long titles wrap onto a second line above the same last baseline.
+ */
+function header(slide, theme) {
+  const p = theme.palette;
+  const fit = fitText(slide.title || '', { maxWidth: W - MARGIN - 420, maxLines: 2, fontSize: 96, minFontSize: 64, lineHeight: 1.1, bold: true });
+  return `
+    <rect x="0" y="0" width="${W}" height="500" fill="url(#headerGrad)"/>
+    <rect x="0" y="490" width="${W}" height="2" fill="${p.accent}" opacity="0.3"/>
+    <rect x="${MARGIN}" y="420" width="320" height="8" rx="4" fill="url(#accent)"/>
+    ${svgText(fit.lines, { x: MARGIN, y: 340 - (fit.lines.length - 1) * fit.lineHeight, fontSize: fit.fontSize, lineHeight: fit.lineHeight, fill: p.text, weight: 'bold', family: theme.fonts.heading, extra: 'letter-spacing="-1"' })}`;
+}
+
+// ═══ Templates ═══
+
+function titleTemplate(slide, theme) {
+  const p = theme.palette, font = theme.fonts;
+  const [subtitle, ...rest] = slide.content || [];
+  const title = fitText(slide.title || '', { maxWidth: W - 800, maxLines: 3, fontSize: 150, minFontSize: 96, lineHeight: 1.15, bold: true });
+  const sub = subtitle ? fitText(subtitle, { maxWidth: W - 800, maxLines: 2, fontSize: 72, minFontSize: 52 }) : null;
+  const extra = fitParagraphs(rest.slice(0, 3), { maxWidth: W - 800, maxHeight: Infinity, fontSize: 54, minFontSize: 40, maxLinesEach: 1, lineHeight: 1.67, gap: 0 });
+
+  const subHeight = sub ? 150 + (sub.lines.length - 1) * sub.lineHeight + 50 : 0;
+  const blockHeight = title.lines.length * title.lineHeight + subHeight + extra.blocks.length * extra.lineHeight;
+  const top = (H - blockHeight) / 2 + title.fontSize * 0.8;
+  const accentY = top + (title.lines.length - 1) * title.lineHeight + 90;
+  const restY = accentY + (sub ? subHeight + 130 : 150);
+
+  return `
+    <circle cx="${W / 2}" cy="${H / 2}" r="900" fill="none" stroke="${p.accent}" stroke-width="4" opacity="0.12"/>
+    <circle cx="${W / 2}" cy="${H / 2}" r="1150" fill="none" stroke="${p.accentAlt}" stroke-width="2" opacity="0.08"/>
+    ${svgText(title.lines, { x: W / 2, y: top, fontSize: title.fontSize, lineHeight: title.lineHeight, fill: p.text, weight: 'bold', anchor: 'middle', family: font.heading })}
+    <rect x="${W / 2 - 200}" y="${accentY}" width="400" height="10" rx="5" fill="url(#accent)"/>
+    ${sub ? svgText(sub.lines, { x: W / 2, y: accentY + 150, fontSize: sub.fontSize, lineHeight: sub.lineHeight, fill: p.highlight, anchor: 'middle', family: font.body }) : ''}
+    ${extra.blocks.length ? svgText(extra.blocks.flat(), { x: W / 2, y: restY, fontSize: extra.fontSize, lineHeight: extra.lineHeight, fill: p.subtle, anchor: 'middle', family: font.body }) : ''}`;
+}
+
+function bulletsTemplate(slide, theme) {
+  const p = theme.palette;
+  const items = (slide.content || []).slice(0, 7).map(String);
+  if (items.length === 0) return header(slide, theme);
+
+  // Cards stack from y=645 with 30px padding and 40px between them
+  const padding = 30, spacing = 40, top = 645;
+  const fit = fitParagraphs(items, {
+    maxWidth: 3250, maxHeight: CONTENT_BOTTOM - top - items.length * padding * 2 - (items.length - 1) * spacing,
+    fontSize: 58, minFontSize: 40, maxLinesEach: 2, lineHeight: 1.2, gap: 0
+  });
+
+  let y = top;
+  return header(slide, theme) + fit.blocks.map(lines => {
+    const cardH = lines.length * fit.lineHeight + padding * 2;
+    const baseline = y + padding + (fit.lineHeight + fit.fontSize * 0.7) / 2;
+    const block = `
+      <rect x="${MARGIN}" y="${y}" width="3440" height="${cardH}" rx="20" fill="${p.surface}" opacity="0.05"/>
+      <rect x="${MARGIN}" y="${y}" width="6" height="${cardH}" rx="3" fill="${p.accentLight}"/>
+      <circle cx="260" cy="${y + padding + fit.lineHeight / 2}" r="12" fill="${p.accent}"/>
+      ${svgText(lines, { x: 310, y: baseline, fontSize: fit.fontSize, lineHeight: fit.lineHeight, fill: p.body, family: theme.fonts.body })}`;
+    y += cardH + spacing;
+    return block;
+  }).join('');
+}
+
+// Token colours for highlighted code (on the dark code panel in every theme)
+const CODE_COLORS = { key: '#c4b5fd', string: '#86efac', placeholder: '#fbbf24' };
+
+/**
+ * Minimal highlighting: "key:" labels, quoted strings and [placeholders]
+ *
+ * Returns [{ text, kind }] where kind is a CODE_COLORS key or null.
+ */
+function codeTokens(line) {
+  const tokens = [];
+  const pattern = /^(\s*[\w .#-]+:)|("[^"]*"|'[^']*')|(\[[^\]]*\])/g;
+  let last = 0, m;
+  while ((m = pattern.exec(line)) !== null) {
+    if (m.index > last) tokens.push({ text: line.slice(last, m.index), kind: null });
+    tokens.push({ text: m[0], kind: m[1] ? 'key' : m[2] ? 'string' : 'placeholder' });
+    last = m.index + m[0].length;
+  }
+  if (last < line.length) tokens.push({ text: line.slice(last), kind: null });
+  return tokens;
+}
+
+function highlightCode(line, textColor) {
+  return codeTokens(line).map(t => `<tspan fill="${t.kind ? CODE_COLORS[t.kind] : textColor}">${escapeXml(t.text)}</tspan>`).join('');
+}
+
+/**
+ * Wrap one code line at maxWidth, repeating its indentation on continuations
+ */
+function wrapCodeLine(line, maxWidth, size) {
+  const indent = line.match(/^\s*/)[0];
+  const indentWidth = measureText(indent, size, { mono: true });
+  return wrapText(line.slice(indent.length), maxWidth - indentWidth, size, { mono: true }).map(l => indent + l);
+}
+
+function codeTemplate(slide, theme) {
+  const p = theme.palette, mono = theme.fonts.mono;
+  const source = (slide.content || []).flatMap(item => String(item).split('\n'));
+  const maxWidth = W - MARGIN * 2 - 270, maxHeight = CONTENT_BOTTOM - CONTENT_TOP - 200;
+
+  // Shrink until every wrapped line fits the panel; cut with '…' at the minimum size
+  let size = 54, rows;
+  for (;;) {
+    rows = source.flatMap((line, n) => wrapCodeLine(line, maxWidth, size).map((text, k) => ({ text, number: k === 0 ? n + 1 : null })));
+    if (rows.length * size * 1.55 <= maxHeight || size <= 36) break;
+    size = Math.max(36, Math.floor(size * 0.94));
+  }
+  const lineHeight = size * 1.55;
+  const maxRows = Math.floor(maxHeight / lineHeight);
+  if (rows.length > maxRows) {
+    rows = rows.slice(0, maxRows);
+    rows[maxRows - 1] = { ...rows[maxRows - 1], text: ellipsize(`${rows[maxRows - 1].text} …`, maxWidth, size, { mono: true }) };
+  }
+  const panelHeight = Math.min(CONTENT_BOTTOM - CONTENT_TOP, 200 + rows.length * lineHeight);
+
+  const code = rows.map((row, i) => {
+    const y = Math.round(CONTENT_TOP + 220 + i * lineHeight);
+    return `
+      ${row.number ? `<text x="${MARGIN + 150}" y="${y}" font-family="${mono}" font-size="${size}" fill="#64748b" text-anchor="end">${row.number}</text>` : ''}
+      <text x="${MARGIN + 210}" y="${y}" font-family="${mono}" font-size="${size}" xml:space="preserve">${highlightCode(row.text, p.codeText)}</text>`;
+  }).join('');
+
+  return header(slide, theme) + `
+    <rect x="${MARGIN}" y="${CONTENT_TOP}" width="${W - MARGIN * 2}" height="${panelHeight}" rx="28" fill="${p.codeBackground}" opacity="0.95"/>
+    <rect x="${MARGIN}" y="${CONTENT_TOP}" width="${W - MARGIN * 2}" height="90" rx="28" fill="#2d2d2d"/>
+    <rect x="${MARGIN}" y="${CONTENT_TOP + 60}" width="${W - MARGIN * 2}" height="30" fill="#2d2d2d"/>
+    <circle cx="${MARGIN + 60}" cy="${CONTENT_TOP + 45}" r="16" fill="#ff5f56"/>
+    <circle cx="${MARGIN + 110}" cy="${CONTENT_TOP + 45}" r="16" fill="#ffbd2e"/>
+    <circle cx="${MARGIN + 160}" cy="${CONTENT_TOP + 45}" r="16" fill="#27c93f"/>
+    <rect x="${MARGIN + 170}" y="${CONTENT_TOP + 130}" width="2" height="${panelHeight - 170}" fill="#3f3f46"/>
+    ${code}`;
+}
+
+function diagramTemplate(slide, theme) {
+  const p = theme.palette, font = theme.fonts;
+  const steps = (slide.content || []).slice(0, 6).map(s => String(s).replace(/^\s*\d+[.)]\s*/, ''));
+  if (steps.length === 0) return header(slide, theme);
+
+  const gap = 160;
+  const boxW = (W - MARGIN * 2 - gap * (steps.length - 1)) / steps.length;
+  const boxH = 760, top = 880;
+  const box = { maxWidth: boxW - 80, maxHeight: boxH - 360, lineHeight: 1.3 };
+
+  // Fit each box, then lay all of them out at the smallest size any one needed
+  const start = steps.length > 4 ? 46 : 56;
+  const size = Math.min(...steps.map(step => fitText(step, { ...box, fontSize: start, minFontSize: 32 }).fontSize));
+  const fits = steps.map(step => fitText(step, { ...box, fontSize: size, minFontSize: size }));
+
+  return header(slide, theme) + steps.map((step, i) => {
+    const x = MARGIN + i * (boxW + gap);
+    const { lines, lineHeight } = fits[i];
+    const textTop = top + 300 + (boxH - 300 - lines.length * lineHeight) / 2 + size * 0.8;
+    const arrow = i < steps.length - 1 ? `
+      <line x1="${x + boxW + 30}" y1="${top + boxH / 2}" x2="${x + boxW + gap - 50}" y2="${top + boxH / 2}" stroke="${p.accentLight}" stroke-width="10" stroke-linecap="round"/>
+      <polygon points="${x + boxW + gap - 30},${top + boxH / 2} ${x + boxW + gap - 70},${top + boxH / 2 - 28} ${x + boxW + gap - 70},${top + boxH / 2 + 28}" fill="${p.accentLight}"/>` : '';
+    return `
+      <rect x="${x}" y="${top}" width="${boxW}" height="${boxH}" rx="36" fill="${p.surface}" opacity="0.06"/>
+      <rect x="${x}" y="${top}" width="${boxW}" height="12" rx="6" fill="url(#accent)"/>
+      <circle cx="${x + boxW / 2}" cy="${top + 170}" r="80" fill="${p.primary}" opacity="0.85"/>
+      <text x="${x + boxW / 2}" y="${top + 200}" font-family="${font.heading}" font-size="88" font-weight="bold" fill="#ffffff" text-anchor="middle">${i + 1}</text>
+      ${svgText(lines, { x: x + boxW / 2, y: textTop, fontSize: size, lineHeight, fill: p.body, anchor: 'middle', family: font.body })}
+      ${arrow}`;
+  }).join('');
+}
+
+/**
+ * Comparison content as two columns: [{ heading, rows }, { heading, rows }]
+ *
+ * The first half of the items is the left column; "Label: text" as a
+ * column's first item becomes its heading.
+ */
+function splitComparison(items = [], maxRows = 5) {
+  const half = Math.ceil(items.length / 2);
+  return [items.slice(0, half), items.slice(half)].map(colItems => {
+    let heading = null;
+    const rows = colItems.map(String).slice(0, maxRows);
+    const m = rows[0]?.match(/^([^:]{2,40}):\s*(.+)$/);
+    if (m) { heading = m[1]; rows[0] = m[2]; }
+    return { heading, rows };
+  });
+}
+
+function comparisonTemplate(slide, theme) {
+  const p = theme.palette, font = theme.fonts;
+  const colW = 1580, gutter = W - MARGIN * 2 - colW * 2;
+
+  const fitColumn = ({ heading, rows }, fontSize, minFontSize) => fitParagraphs(rows, {
+    maxWidth: colW - 200, maxHeight: CONTENT_BOTTOM - CONTENT_TOP - (heading ? 250 : 140) - 60,
+    fontSize, minFontSize, maxLinesEach: 4, lineHeight: 1.31, gap: 1.2
+  });
+
+  // Both columns share one font size — the smaller of the two fits
+  const columns = splitComparison(slide.content);
+  const size = Math.min(...columns.map(c => fitColumn(c, 58, 40).fontSize));
+
+  const column = ({ heading, rows }, x, color) => {
+    const fit = fitColumn({ heading, rows }, size, size);
+    const title = heading ? fitText(heading, { maxWidth: colW - 160, maxLines: 1, fontSize: 70, minFontSize: 48, bold: true }) : null;
+
+    let y = CONTENT_TOP + (heading ? 250 : 140);
+    const body = fit.blocks.map(lines => {
+      const block = `
+        <circle cx="${x + 90}" cy="${y - fit.fontSize * 0.35}" r="14" fill="${color}"/>
+        ${svgText(lines, { x: x + 140, y, fontSize: fit.fontSize, lineHeight: fit.lineHeight, fill: p.body, family: font.body })}`;
+      y += lines.length * fit.lineHeight + fit.gap;
+      return block;
+    }).join('');
+
+    return `
+      <rect x="${x}" y="${CONTENT_TOP}" width="${colW}" height="${CONTENT_BOTTOM - CONTENT_TOP}" rx="32" fill="${p.surface}" opacity="0.05"/>
+      <rect x="${x}" y="${CONTENT_TOP}" width="${colW}" height="12" rx="6" fill="${color}"/>
+      ${title ? svgText(title.lines, { x: x + 80, y: CONTENT_TOP + 140, fontSize: title.fontSize, fill: color, weight: 'bold', family: font.heading }) : ''}
+      ${body}`;
+  };
+
+  const midY = (CONTENT_TOP + CONTENT_BOTTOM) / 2;
+  return header(slide, theme)
+    + column(columns[0], MARGIN, p.accentLight)
+    + column(columns[1], MARGIN + colW + gutter, p.accentAlt) + `
+    <circle cx="${W / 2}" cy="${midY}" r="${gutter / 2 + 30}" fill="${p.backgroundAlt}" stroke="${p.accent}" stroke-width="6"/>
+    <text x="${W / 2}" y="${midY + 30}" font-family="${font.heading}" font-size="80" font-weight="bold" fill="${p.text}" text-anchor="middle">VS</text>`;
+}
+
+function quoteTemplate(slide, theme) {
+  const p = theme.palette, font = theme.fonts;
+  const text = (slide.content || []).join(' ').replace(/^["“”']+|["“”']+$/g, '') || slide.title || '';
+  const fit = fitText(text, { maxWidth: W - 800, maxLines: 5, fontSize: 116, minFontSize: 72, lineHeight: 1.38 });
+  const { lines, lineHeight } = fit;
+  const top = (H - lines.length * lineHeight) / 2 + fit.fontSize * 0.6;
+  const showTitle = slide.title && slide.title !== text;
+
+  return `
+    <text x="${W / 2}" y="${top - 220}" font-family="${font.quote}" font-size="420" fill="${p.accent}" opacity="0.35" text-anchor="middle">“</text>
+    ${svgText(lines, { x: W / 2, y: top, fontSize: fit.fontSize, lineHeight, fill: p.text, family: font.quote, italic: true, anchor: 'middle' })}
+    <rect x="${W / 2 - 160}" y="${top + (lines.length - 1) * lineHeight + 110}" width="320" height="8" rx="4" fill="url(#accent)"/>
+    ${showTitle ? svgText([ellipsize(`— ${slide.title}`, W - 800, 60)], { x: W / 2, y: top + (lines.length - 1) * lineHeight + 250, fontSize: 60, fill: p.subtle, anchor: 'middle', family: font.body }) : ''}`;
+}
+
+function imageTemplate(slide, theme) {
+  const p = theme.palette;
+  // No image asset in content.json — an abstract illustration panel stands in
+  const panelX = MARGIN, panelW = 1400, panelH = CONTENT_BOTTOM - CONTENT_TOP;
+  const cx = panelX + panelW / 2, cy = CONTENT_TOP + panelH / 2;
+  const fit = fitParagraphs((slide.content || []).slice(0, 5).map(String), {
+    maxWidth: W - 1860 - MARGIN, maxHeight: panelH - 160, fontSize: 60, minFontSize: 40, maxLinesEach: 3, lineHeight: 1.27, gap: 1.5
+  });
+  const scale = fit.fontSize / 60;
+  let y = CONTENT_TOP + 150;
+  const bullets = fit.blocks.map(lines => {
+    const block = `
+      <rect x="1800" y="${Math.round(y - 70 * scale)}" width="8" height="${Math.round(lines.length * fit.lineHeight + 30 * scale)}" rx="4" fill="${p.accentLight}"/>
+      ${svgText(lines, { x: 1860, y, fontSize: fit.fontSize, lineHeight: fit.lineHeight, fill: p.body, family: theme.fonts.body })}`;
+    y += lines.length * fit.lineHeight + fit.gap;
+    return block;
+  }).join('');
+
+  return header(slide, theme) + `
+    <rect x="${panelX}" y="${CONTENT_TOP}" width="${panelW}" height="${panelH}" rx="40" fill="url(#panelGrad)"/>
+    <circle cx="${cx}" cy="${cy}" r="440" fill="none" stroke="#ffffff" stroke-width="4" opacity="0.15"/>
+    <circle cx="${cx}" cy="${cy}" r="300" fill="#ffffff" opacity="0.08"/>
+    <circle cx="${cx}" cy="${cy}" r="170" fill="#ffffff" opacity="0.12"/>
+    <path d="M ${cx} ${cy - 120} L ${cx + 35} ${cy - 35} L ${cx + 120} ${cy} L ${cx + 35} ${cy + 35} L ${cx} ${cy + 120} L ${cx - 35} ${cy + 35} L ${cx - 120} ${cy} L ${cx - 35} ${cy - 35} Z" fill="#ffffff" opacity="0.9"/>
+    <circle cx="${cx + 330}" cy="${cy - 330}" r="36" fill="#ffffff" opacity="0.5"/>
+    <circle cx="${cx - 360}" cy="${cy + 280}" r="24" fill="#ffffff" opacity="0.4"/>
+    ${bullets}`;
+}
+
+const TEMPLATES = {
+  title: titleTemplate,
+  bullets: bulletsTemplate,
+  code: codeTemplate,
+  diagram: diagramTemplate,
+  comparison: comparisonTemplate,
+  quote: quoteTemplate,
+  image: imageTemplate
+};
+
+// ═══ Bumpers ═══
+
+function introBumper(data, theme) {
+  const p = theme.palette, font = theme.fonts;
+  const logo = loadLogo(theme);
+  const title = fitText(data.courseTitle || '', { maxWidth: W - 800, maxLines: 3, fontSize: 160, minFontSize: 100, lineHeight: 1.12, bold: true });
+  const sub = data.subtitle ? fitText(data.subtitle, { maxWidth: W - 1000, maxLines: 2, fontSize: 64, minFontSize: 48 }) : null;
+  const top = H / 2 - ((title.lines.length - 1) * title.lineHeight) / 2 + (logo ? 80 : 0) - (sub ? 120 : 0);
+  const accentY = top + (title.lines.length - 1) * title.lineHeight + 100;
+
+  return `
+    <circle cx="${W / 2}" cy="${H / 2}" r="1000" fill="none" stroke="${p.accent}" stroke-width="6" opacity="0.15"/>
+    ${logo ? `<image x="${W / 2 - 400}" y="${top - title.fontSize - 300}" width="800" height="200" preserveAspectRatio="xMidYMid meet" xlink:href="${logo.dataUri}"/>` : ''}
+    ${svgText(title.lines, { x: W / 2, y: top, fontSize: title.fontSize, lineHeight: title.lineHeight, fill: p.text, weight: 'bold', anchor: 'middle', family: font.heading })}
+    <rect x="${W / 2 - 240}" y="${accentY}" width="480" height="12" rx="6" fill="url(#accent)"/>
+    ${sub ? svgText(sub.lines, { x: W / 2, y: accentY + 160, fontSize: sub.fontSize, lineHeight: sub.lineHeight, fill: p.highlight, anchor: 'middle', family: font.body }) : ''}`;
+}
+
+function sectionBumper(data, theme) {
+  const p = theme.palette, font = theme.fonts;
+  const number = data.sectionNumber || 1;
+  const title = fitText(data.sectionTitle || '', { maxWidth: W - 1000, maxLines: 2, fontSize: 140, minFontSize: 90, lineHeight: 1.12, bold: true });
+  const lecture = data.lectureTitle ? fitText(`Lecture ${data.lectureNumber || ''}: ${data.lectureTitle}`.replace(' :', ':'), { maxWidth: W - 1000, maxLines: 2, fontSize: 64, minFontSize: 48 }) : null;
+  const top = 960;
+  const lectureY = top + (title.lines.length - 1) * title.lineHeight + 220;
+
+  return `
+    <rect x="0" y="0" width="40" height="${H}" fill="url(#accent)"/>
+    <text x="${W - MARGIN}" y="${H - 160}" font-family="${font.heading}" font-size="720" font-weight="bold" fill="${p.accent}" opacity="0.12" text-anchor="end">${String(number).padStart(2, '0')}</text>
+    <text x="${MARGIN + 200}" y="${top - title.fontSize - 60}" font-family="${font.body}" font-size="64" font-weight="bold" fill="${p.accent}" letter-spacing="12">SECTION ${number}</text>
+    ${svgText(title.lines, { x: MARGIN + 200, y: top, fontSize: title.fontSize, lineHeight: title.lineHeight, fill: p.text, weight: 'bold', family: font.heading })}
+    ${lecture ? svgText(lecture.lines, { x: MARGIN + 200, y: lectureY, fontSize: lecture.fontSize, lineHeight: lecture.lineHeight, fill: p.subtle, family: font.body }) : ''}`;
+}
+
+function outroBumper(data, theme) {
+  const p = theme.palette, font = theme.fonts;
+  const logo = loadLogo(theme);
+  const cta = data.callToAction ? fitText(data.callToAction, { maxWidth: W - 1000, maxLines: 4, fontSize: 84, minFontSize: 56, lineHeight: 1.35 }) : null;
+  const top = cta ? H / 2 - ((cta.lines.length - 1) * cta.lineHeight) / 2 + 60 : H / 2;
+
+  return `
+    <circle cx="${W / 2}" cy="${H / 2}" r="1000" fill="none" stroke="${p.accentAlt}" stroke-width="6" opacity="0.12"/>
+    <text x="${W / 2}" y="${top - (cta ? 260 : 0)}" font-family="${font.heading}" font-size="${cta ? 96 : 140}" font-weight="bold" fill="${p.accent}" text-anchor="middle">${escapeXml(data.heading || 'Up Next')}</text>
+    ${cta ? svgText(cta.lines, { x: W / 2, y: top, fontSize: cta.fontSize, lineHeight: cta.lineHeight, fill: p.text, anchor: 'middle', family: font.body }) : ''}
+    <rect x="${W / 2 - 200}" y="${H - 420}" width="400" height="10" rx="5" fill="url(#accent)"/>
+    ${data.courseTitle ? svgText([ellipsize(data.courseTitle, W - 1000, 54)], { x: W / 2, y: H - 300, fontSize: 54, fill: p.muted, anchor: 'middle', family: font.body }) : ''}
+    ${logo ? `<image x="${W / 2 - 250}" y="${H - 240}" width="500" height="120" preserveAspectRatio="xMidYMid meet" xlink:href="${logo.dataUri}"/>` : ''}`;
+}
+
+const BUMPERS = {
+  intro: introBumper,
+  section: sectionBumper,
+  outro: outroBumper
+};
+
+/**
+ * Background for the theme's style: orbs (gradient + soft circles), gradient, solid
+ */
+function background(theme) {
+  const p = theme.palette;
+  if (theme.background === 'solid') return `<rect width="100%" height="100%" fill="${p.background}"/>`;
+  const base = '<rect width="100%" height="100%" fill="url(#bg)"/>';
+  if (theme.background !== 'orbs') return base;
+  return `${base}
+    <circle cx="3400" cy="400" r="500" fill="${p.primary}" opacity="0.07"/>
+    <circle cx="3600" cy="1800" r="350" fill="${p.accentAlt}" opacity="0.06"/>
+    <circle cx="300" cy="1900" r="400" fill="${p.primary}" opacity="0.05"/>
+    <circle cx="1920" cy="1080" r="700" fill="${p.secondary}" opacity="0.03"/>`;
+}
+
+/**
+ * SVG document with the theme's gradients and background around body
+ */
+function svgDocument(theme, comment, body) {
+  const p = theme.palette;
+  return `<svg width="${W}" height="${H}" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+    <defs>
+      <linearGradient id="bg" x1="0" y1="0" x2="0.4" y2="1">
+        <stop offset="0%" stop-color="${p.background}"/>
+        <stop offset="40%" stop-color="${p.backgroundAlt}"/>
+        <stop offset="100%" stop-color="${p.background}"/>
+      </linearGradient>
+      <linearGradient id="headerGrad" x1="0" y1="0" x2="1" y2="0.5">
+        <stop offset="0%" stop-color="${p.primary}" stop-opacity="0.3"/>
+        <stop offset="100%" stop-color="${p.secondary}" stop-opacity="0.15"/>
+      </linearGradient>
+      <linearGradient id="accent" x1="0" y1="0" x2="1" y2="0">
+        <stop offset="0%" stop-color="${p.accent}"/>
+        <stop offset="100%" stop-color="${p.accentAlt}"/>
+      </linearGradient>
+      <linearGradient id="panelGrad" x1="0" y1="0" x2="1" y2="1">
+        <stop offset="0%" stop-color="${p.primary}"/>
+        <stop offset="100%" stop-color="${p.secondary}"/>
+      </linearGradient>
+      <linearGradient id="progressGrad" x1="0" y1="0" x2="1" y2="0">
+        <stop offset="0%" stop-color="${p.primary}"/>
+        <stop offset="100%" stop-color="${p.accentAlt}"/>
+      </linearGradient>
+    </defs>
+
+    <!-- Background (${escapeXml(theme.name || '')}) -->
+    ${background(theme)}
+
+    <!-- ${escapeXml(comment)} -->
+    ${body}
+  </svg>`;
+}
+
+/**
+ * Full slide SVG for a slide — meta: { courseTitle, slideNum, totalSlides }
+ *
+ * theme is a resolved theme or anything resolveTheme() accepts.
+ */
+function renderSlideSvg(slide, meta = {}, theme = null) {
+  theme = resolveTheme(theme || undefined);
+  const p = theme.palette, font = theme.fonts;
+  const template = TEMPLATES[slide.visualType] || TEMPLATES.bullets;
+  const logo = loadLogo(theme);
+  const courseTitle = escapeXml(ellipsize(meta.courseTitle || '', W - MARGIN * 2 - (logo ? 460 : 0), 38));
+  const slideNum = meta.slideNum || '';
+  const totalSlides = meta.totalSlides || '';
+  const progressWidth = totalSlides ? Math.round((slideNum / totalSlides) * W) : 0;
+
+  return svgDocument(theme, `${slide.visualType || 'bullets'} layout`, `${template(slide, theme)}
+
+    <!-- Slide number badge -->
+    ${slideNum ? `
+    <rect x="${W - 320}" y="60" width="220" height="80" rx="40" fill="${p.surface}" opacity="0.08"/>
+    <text x="${W - 210}" y="115" font-family="${font.body}" font-size="40" fill="${p.subtle}" text-anchor="middle">${slideNum} / ${totalSlides}</text>
+    ` : ''}
+
+    <!-- Footer -->
+    <rect x="0" y="${H - 100}" width="${W}" height="100" fill="${p.shadow}" opacity="0.6"/>
+    ${courseTitle ? `<text x="${MARGIN}" y="${H - 42}" font-family="${font.body}" font-size="38" fill="${p.muted}">${courseTitle}</text>` : ''}
+    ${logo ? `<image x="${W - MARGIN - 400}" y="${H - 88}" width="400" height="72" preserveAspectRatio="xMaxYMid meet" xlink:href="${logo.dataUri}"/>` : ''}
+
+    <!-- Progress bar -->
+    <rect x="0" y="${H - 8}" width="${W}" height="8" fill="${p.backgroundAlt}"/>
+    ${progressWidth > 0 ? `<rect x="0" y="${H - 8}" width="${progressWidth}" height="8" fill="url(#progressGrad)"/>` : ''}`);
+}
+
+/**
+ * Frameless bumper card — kind: intro | section | outro
+ *
+ * data: { courseTitle, subtitle, sectionNumber, sectionTitle, lectureNumber,
+ *         lectureTitle, callToAction, heading }
+ */
+function renderBumperSvg(kind, data = {}, theme = null) {
+  theme = resolveTheme(theme || undefined);
+  const bumper = BUMPERS[kind];
+  if (!bumper) throw new Error(`Unknown bumper: ${kind}`);
+  return svgDocument(theme, `${kind} bumper`, bumper(data, theme));
+}
+
+module.exports = { renderSlideSvg, renderBumperSvg, TEMPLATES, BUMPERS, codeTokens, splitComparison, CODE_COLORS };
@@ -0,0 +1,256 @@
+/**
+ * SLIDE TIMING — align slide changes with the narration
+ *
+ * A lecture's narration is opening → mainContent[] → summary + call to
+ * action. Slides are mapped onto those script segments in order (by word
+ * overlap between the slide text and the segment), each segment's share of
+ * the audio is split across its slides, and the result is scaled to the real
+ * audio length.
+ *
+ * Methods (options.method or SLIDE_TIMING):
+ *   words      — segment length from its word count (default; TTS speaks at
+ *                a near-constant rate, so this tracks the audio closely)
+ *   timestamps — segment length from mainContent[].timestamp gaps, falling
+ *                back to words when the timestamps are missing or unordered
+ *   equal      — every slide gets the same share (the old behaviour)
+ *
+ * When the narrator ran in per-slide mode it leaves a timing manifest
+ * (audio/lecture-NN.timing.json) with the measured duration of every slide;
+ * loadTimingManifest() returns it and those durations win over any estimate.
+ */
+
+const fs = require('fs');
+
+const MIN_SLIDE_SECONDS = 3;
+const STOP_WORDS = new Set(['this', 'that', 'with', 'from', 'your', 'what', 'will', 'have', 'they', 'their', 'about', 'into', 'more', 'when', 'where', 'which', 'there', 'these', 'those', 'then', 'than', 'just', 'like', 'some']);
+
+function countWords(text) {
+  return String(text || '').split(/\s+/).filter(Boolean).length;
+}
+
+function keywords(text) {
+  return String(text || '').toLowerCase().match(/[a-z0-9]{4,}/g)?.filter(w => !STOP_WORDS.has(w)) || [];
+}
+
+function slideText(slide) {
+  return [slide.title, ...(slide.content || []), slide.speakerNotes].filter(Boolean).join(' ');
+}
+
+/**
+ * "7:00" / "1:02:30" → seconds (null when unparseable)
+ */
+function parseTimestamp(value) {
+  if (typeof value === 'number') return value;
+  const parts = String(value || '').trim().split(':').map(Number);
+  if (parts.length < 2 || parts.some(isNaN)) return null;
+  return parts.reduce((sum, p) => sum * 60 + p, 0);
+}
+
+/**
+ * Narration segments in spoken order: [{ kind, text, words, timestamp }]
+ */
+function buildNarrationSegments(script = {}) {
+  const segments = [];
+  if (script.opening) segments.push({ kind: 'opening', text: script.opening });
+  for (const m of script.mainContent || []) {
+    if (m.content) segments.push({ kind: 'main', text: m.content, topic: m.topic, timestamp: parseTimestamp(m.timestamp) });
+  }
+  const closing = [script.summary, script.callToAction].filter(Boolean).join(' ');
+  if (closing) segments.push({ kind: 'closing', text: closing });
+  return segments.map(s => ({ ...s, words: countWords(s.text) }));
+}
+
+/**
+ * Relative length of each segment — from timestamps when asked and usable
+ */
+function segmentSpans(segments, method) {
+  const byWords = segments.map(s => Math.max(1, s.words));
+  if (method !== 'timestamps') return byWords;
+
+  const main = segments.map((s, i) => ({ s, i })).filter(x => x.s.kind === 'main');
+  const stamps = main.map(x => x.s.timestamp);
+  const ordered = stamps.length >= 2 && stamps.every((t, k) => t !== null && (k === 0 || t > stamps[k - 1]));
+  if (!ordered) return byWords;
+
+  // Seconds per word implied by the timestamped gaps; used for the segments
+  // the timestamps cannot bound (opening, last main segment, closing)
+  let gapSeconds = 0, gapWords = 0;
+  for (let k = 0; k < main.length - 1; k++) {
+    gapSeconds += stamps[k + 1] - stamps[k];
+    gapWords += Math.max(1, main[k].s.words);
+  }
+  const rate = gapSeconds / gapWords;
+
+  const spans = byWords.map(w => w * rate);
+  for (let k = 0; k < main.length - 1; k++) spans[main[k].i] = stamps[k + 1] - stamps[k];
+  return spans;
+}
+
+/**
+ * Assign every slide to a narration segment, keeping both in order
+ *
+ * Maximizes total keyword overlap with a small pull towards the slide's
+ * proportional position, so slides with no overlap still spread evenly.
+ * Returns one segment index per slide (non-decreasing).
+ */
+function mapSlidesToSegments(slides, segments) {
+  const n = slides.length, m = segments.length;
+  if (m === 0) return slides.map(() => -1);
+
+  const segWords = segments.map(s => new Set(keywords(s.text)));
+  const score = slides.map((slide, i) => {
+    const words = keywords(slideText(slide));
+    return segments.map((_, j) => {
+      const overlap = words.length ? words.filter(w => segWords[j].has(w)).length / words.length : 0;
+      const position = Math.abs((i + 0.5) / n - (j + 0.5) / m);
+      return overlap - 0.5 * position;
+    });
+  });
+
+  // best[i][j] — best total for slides 0..i with slide i on segment j
+  const best = score.map(() => new Array(m).fill(-Infinity));
+  const from = score.map(() => new Array(m).fill(0));
+  for (let j = 0; j < m; j++) best[0][j] = score[0][j];
+  for (let i = 1; i < n; i++) {
+    let runMax = -Infinity, runArg = 0;
+    for (let j = 0; j < m; j++) {
+      if (best[i - 1][j] > runMax) { runMax = best[i - 1][j]; runArg = j; }
+      best[i][j] = runMax + score[i][j];
+      from[i][j] = runArg;
+    }
+  }
+
+  const assignment = new Array(n);
+  let j = best[n - 1].indexOf(Math.max(...best[n - 1]));
+  for (let i = n - 1; i >= 0; i--) {
+    assignment[i] = j;
+    j = from[i][j];
+  }
+  return assignment;
+}
+
+/**
+ * Scale durations to total, lifting short slides to the minimum where possible
+ */
+function fitDurations(weights, totalDuration, minDuration) {
+  const sum = weights.reduce((a, b) => a + b, 0) || 1;
+  let durations = weights.map(w => (w / sum) * totalDuration);
+  if (minDuration * weights.length > totalDuration) return durations;
+
+  const pinned = new Array(weights.length).fill(false);
+  while (durations.some((d, i) => !pinned[i] && d < minDuration)) {
+    durations.forEach((d, i) => { if (d < minDuration) pinned[i] = true; });
+    const fixed = pinned.filter(Boolean).length * minDuration;
+    const flexSum = durations.reduce((a, d, i) => a + (pinned[i] ? 0 : d), 0);
+    durations = durations.map((d, i) => pinned[i] ? minDuration : (d / flexSum) * (totalDuration - fixed));
+  }
+  return durations;
+}
+
+/**
+ * Per-slide durations (seconds) that add up to totalDuration
+ *
+ * options: { method, minDuration }
+ */
+function computeSlideDurations(slides, totalDuration, script = null, options = {}) {
+  const { method = process.env.SLIDE_TIMING || 'words', minDuration = MIN_SLIDE_SECONDS } = options;
+  if (slides.length === 0) return [];
+  if (method === 'equal') return slides.map(() => totalDuration / slides.length);
+
+  const slideWeights = slides.map(s => Math.max(1, countWords(slideText(s))));
+  const segments = script ? buildNarrationSegments(script) : [];
+  if (segments.length === 0) return fitDurations(slideWeights, totalDuration, minDuration);
+
+  const spans = segmentSpans(segments, method);
+  const assignment = mapSlidesToSegments(slides, segments);
+
+  // Split each segment's span across its slides; a segment with no slide of
+  // its own stays on the slide already showing (or the next one at the start)
+  const weights = new Array(slides.length).fill(0);
+  segments.forEach((_, j) => {
+    const owners = assignment.map((a, i) => (a === j ? i : -1)).filter(i => i >= 0);
+    if (owners.length === 0) {
+      const prev = assignment.reduce((last, a, i) => (a < j ? i : last), -1);
+      owners.push(prev >= 0 ? prev : 0);
+    }
+    const ownerWeight = owners.reduce((a, i) => a + slideWeights[i], 0);
+    owners.forEach(i => { weights[i] += spans[j] * (slideWeights[i] / ownerWeight); });
+  });
+
+  return fitDurations(weights, totalDuration, minDuration);
+}
+
+/**
+ * Narration text per slide, covering the whole script in order
+ *
+ * options.source: 'script' (default) splits each mapped segment across its
+ * slides at sentence boundaries; 'notes' uses a slide's speakerNotes when it
+ * has at least a few words and falls back to the mapped script text.
+ */
+function mapScriptToSlides(slides, script, options = {}) {
+  const { source = 'script' } = options;
+  const texts = slides.map(() => []);
+  const segments = script ? buildNarrationSegments(script) : [];
+
+  if (segments.length > 0) {
+    const assignment = mapSlidesToSegments(slides, segments);
+    const weights = slides.map(s => Math.max(1, countWords(slideText(s))));
+
+    segments.forEach((segment, j) => {
+      const owners = assignment.map((a, i) => (a === j ? i : -1)).filter(i => i >= 0);
+      if (owners.length === 0) {
+        const prev = assignment.reduce((last, a, i) => (a < j ? i : last), -1);
+        texts[prev >= 0 ? prev : 0].push(segment.text);
+        return;
+      }
+
+      // Hand out sentences in order, moving to the next slide once this one has its share
+      const sentences = segment.text.split(/(?<=[.!?])\s+/).filter(Boolean);
+      const totalWeight = owners.reduce((a, i) => a + weights[i], 0);
+      let k = 0, taken = 0;
+      owners.forEach((i, n) => {
+        const remainingOwners = owners.length - n - 1;
+        const share = (weights[i] / totalWeight) * segment.words;
+        const start = k;
+        while (k < sentences.length - remainingOwners && (k === start || taken + countWords(sentences[k]) / 2 <= share)) {
+          taken += countWords(sentences[k]);
+          k++;
+        }
+        taken -= share;
+        if (n === owners.length - 1) k = sentences.length;
+        texts[i].push(sentences.slice(start, k).join(' '));
+      });
+    });
+  }
+
+  return slides.map((slide, i) => {
+    const mapped = texts[i].filter(Boolean).join(' ');
+    if (source === 'notes' && countWords(slide.speakerNotes) >= 3) return slide.speakerNotes;
+    return mapped;
+  });
+}
+
+/**
+ * Per-slide timing manifest written by the narrator (null when absent)
+ */
+function loadTimingManifest(audioPath) {
+  const file = audioPath ? audioPath.replace(/\.(mp3|wav)$/, '.timing.json') : null;
+  if (!file || !fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Exact slide durations from a timing manifest, if it matches these slides
+ */
+function manifestDurations(manifest, slides) {
+  if (!manifest?.slides || manifest.slides.length !== slides.length) return null;
+  return manifest.slides.map(s => s.duration);
+}
+
+module.exports = {
+  computeSlideDurations, mapScriptToSlides, loadTimingManifest, manifestDurations, mapSlidesToSegments, buildNarrationSegments, parseTimestamp, countWords, slideText
+};
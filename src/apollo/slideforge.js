@@ -1,5 +1,13 @@
 /**
  * SLIDEFORGE — PPTX Generation + Thumbnail
+ *
+ * The deck is a standalone student resource: title, objectives, agenda, a
+ * divider per section, then every lecture slide in a native layout for its
+ * visualType (comparison table, chevron process diagram, highlighted code
+ * panel, large quote, ...) with its speakerNotes in the notes pane.
+ *
+ * Both are styled with the course theme (themes.js) so they match the
+ * rendered videos and the cheatsheet.
  */
 
 require('dotenv').config();
@@ -7,17 +15,13 @@ const fs = require('fs');
 const path = require('path');
 const pptxgen = require('pptxgenjs');
 const sharp = require('sharp');
-
-const COLORS = {
-  primary: '1a1a2e',
-  secondary: '16213e',
-  accent: 'f4a261',
-  text: '333333',
-  light: 'FFFFFF'
-};
+const { fitText, svgText } = require('./textLayout');
+const { codeTokens, splitComparison, CODE_COLORS } = require('./slideTemplates');
+const { themeForContent, resolveTheme, loadLogo, hex, fontFace } = require('./themes');
 
 async function generateCoursePresentation(courseContent, outputDir, options = {}) {
-  console.log('\n   SLIDEFORGE: Generating PPTX...');
+  const theme = themeForContent(courseContent, options.theme);
+  console.log(`\n   SLIDEFORGE: Generating PPTX (theme: ${theme.name})...`);
 
   const pptx = new pptxgen();
   pptx.title = courseContent.metadata?.title || 'Course';
@@ -25,26 +29,33 @@ async function generateCoursePresentation(courseContent, outputDir, options = {}
   pptx.defineLayout({ name: 'UDEMY', width: 10, height: 5.625 });
   pptx.layout = 'UDEMY';
 
+  const sections = courseContent.sections || [];
   let totalSlides = 0;
 
   // Title slide
-  addTitleSlide(pptx, courseContent.metadata?.title || 'Course', courseContent.metadata?.subtitle || '');
+  addTitleSlide(pptx, theme, courseContent.metadata?.title || 'Course', courseContent.metadata?.subtitle || '');
   totalSlides++;
 
   // Objectives slide
   if (courseContent.metadata?.objectives?.length) {
-    addBulletsSlide(pptx, 'What You Will Learn', courseContent.metadata.objectives);
+    addBulletsSlide(pptx, theme, 'What You Will Learn', courseContent.metadata.objectives);
+    totalSlides++;
+  }
+
+  // Agenda
+  if (sections.length > 1) {
+    addAgendaSlide(pptx, theme, sections);
     totalSlides++;
   }
 
-  // Section slides
-  for (const section of courseContent.sections || []) {
-    addTitleSlide(pptx, section.title, section.objective || '');
+  // Section dividers + lecture slides
+  for (const [index, section] of sections.entries()) {
+    addSectionSlide(pptx, theme, section, index, sections.length);
     totalSlides++;
 
     for (const lecture of section.lectures || []) {
       for (const slide of lecture.slides || []) {
-        addContentSlide(pptx, slide);
+        addContentSlide(pptx, theme, slide);
         totalSlides++;
       }
     }
@@ -52,12 +63,12 @@ async function generateCoursePresentation(courseContent, outputDir, options = {}
 
   // Takeaways
   if (courseContent.cheatSheet?.tips?.length) {
-    addBulletsSlide(pptx, 'Key Takeaways', courseContent.cheatSheet.tips.slice(0, 6));
+    addBulletsSlide(pptx, theme, 'Key Takeaways', courseContent.cheatSheet.tips.slice(0, 6));
     totalSlides++;
   }
 
   // Thank you
-  addTitleSlide(pptx, 'Thank You!', 'Questions? Leave them in the Q&A section.');
+  addTitleSlide(pptx, theme, 'Thank You!', 'Questions? Leave them in the Q&A section.');
   totalSlides++;
 
   const slidesDir = path.join(outputDir, 'slides');
@@ -70,77 +81,280 @@ async function generateCoursePresentation(courseContent, outputDir, options = {}
   return { success: true, outputPath, totalSlides };
 }
 
-function addTitleSlide(pptx, title, subtitle) {
+function addTitleSlide(pptx, theme, title, subtitle) {
+  const p = theme.palette;
   const slide = pptx.addSlide();
-  slide.background = { color: COLORS.primary };
-  slide.addText(title, { x: 0.5, y: '35%', w: '90%', h: 1.5, fontSize: 40, color: COLORS.light, align: 'center', bold: true });
+  slide.background = { color: hex(p.background) };
+  slide.addText(title, { x: 0.5, y: '35%', w: '90%', h: 1.5, fontSize: 40, color: hex(p.text), fontFace: fontFace(theme.fonts.heading), align: 'center', bold: true });
+  slide.addShape(pptx.ShapeType.rect, { x: 4.4, y: 3.12, w: 1.2, h: 0.05, fill: { color: hex(p.accent) }, line: { color: hex(p.accent) } });
   if (subtitle) {
-    slide.addText(subtitle, { x: 0.5, y: '55%', w: '90%', h: 1, fontSize: 22, color: 'AAAAAA', align: 'center' });
+    slide.addText(subtitle, { x: 0.5, y: '55%', w: '90%', h: 1, fontSize: 22, color: hex(p.subtle), fontFace: fontFace(theme.fonts.body), align: 'center' });
   }
+  addLogo(slide, theme);
+}
+
+/**
+ * Slide title with the accent bar under it; content starts at y=1.35
+ */
+function addHeading(pptx, slide, theme, title) {
+  const p = theme.palette;
+  slide.addText(title || '', { x: 0.5, y: 0.35, w: 9, h: 0.75, fontSize: 26, color: hex(p.text), fontFace: fontFace(theme.fonts.heading), bold: true, valign: 'bottom', fit: 'shrink' });
+  slide.addShape(pptx.ShapeType.rect, { x: 0.5, y: 1.15, w: 1, h: 0.05, fill: { color: hex(p.accent) }, line: { color: hex(p.accent) } });
 }
 
-function addBulletsSlide(pptx, title, bullets, notes) {
+function bulletRuns(items) {
+  return items.map(b => ({ text: String(b), options: { bullet: true, paraSpaceAfter: 6 } }));
+}
+
+function addBulletsSlide(pptx, theme, title, bullets, notes) {
+  const p = theme.palette;
   const slide = pptx.addSlide();
-  slide.background = { color: 'FFFFFF' };
-  slide.addText(title, { x: 0.5, y: 0.4, w: '90%', h: 0.8, fontSize: 28, color: COLORS.primary, bold: true });
-  slide.addText(bullets.map(b => ({ text: b, options: { bullet: true } })), { x: 0.5, y: 1.4, w: '90%', h: 4, fontSize: 18, color: COLORS.text, valign: 'top' });
+  slide.background = { color: hex(p.background) };
+  addHeading(pptx, slide, theme, title);
+  slide.addText(bulletRuns(bullets), { x: 0.5, y: 1.4, w: 9, h: 3.9, fontSize: 18, color: hex(p.body), fontFace: fontFace(theme.fonts.body), valign: 'top', fit: 'shrink' });
   if (notes) slide.addNotes(notes);
 }
 
-function addContentSlide(pptx, slideData) {
+/**
+ * Agenda — numbered sections with their lecture counts, in two columns past six
+ */
+function addAgendaSlide(pptx, theme, sections) {
+  const p = theme.palette;
   const slide = pptx.addSlide();
-  const type = slideData.visualType || 'bullets';
-
-  switch (type) {
-    case 'title':
-      slide.background = { color: COLORS.primary };
-      slide.addText(slideData.title || '', { x: 0.5, y: '40%', w: '90%', h: 1.5, fontSize: 36, color: COLORS.light, align: 'center', bold: true });
-      break;
-    case 'code':
-      slide.background = { color: '1e1e1e' };
-      slide.addText(slideData.title || '', { x: 0.5, y: 0.3, w: '90%', h: 0.5, fontSize: 22, color: 'FFFFFF', bold: true });
-      slide.addText(Array.isArray(slideData.content) ? slideData.content.join('\n') : (slideData.content || ''), { x: 0.3, y: 1, w: 9.4, h: 4.3, fontSize: 14, color: '00FF00', fontFace: 'Courier New', fill: { color: '0d0d0d' }, valign: 'top' });
-      break;
-    case 'quote':
-      slide.background = { color: COLORS.accent };
-      const quoteText = Array.isArray(slideData.content) ? slideData.content.join(' ') : (slideData.content || '');
-      slide.addText(`"${quoteText}"`, { x: 0.5, y: '30%', w: '90%', h: 2, fontSize: 28, color: 'FFFFFF', align: 'center', italic: true });
-      break;
-    default: // bullets, comparison, diagram, image
-      slide.background = { color: 'FFFFFF' };
-      slide.addText(slideData.title || '', { x: 0.5, y: 0.4, w: '90%', h: 0.7, fontSize: 26, color: COLORS.primary, bold: true });
-      if (Array.isArray(slideData.content)) {
-        slide.addText(slideData.content.map(b => ({ text: b, options: { bullet: true } })), { x: 0.5, y: 1.3, w: '90%', h: 4, fontSize: 18, color: COLORS.text, valign: 'top' });
-      }
-      break;
+  slide.background = { color: hex(p.background) };
+  addHeading(pptx, slide, theme, 'Course Agenda');
+
+  const perColumn = sections.length > 6 ? Math.ceil(sections.length / 2) : sections.length;
+  const colW = sections.length > 6 ? 4.4 : 9;
+  const rowH = Math.min(0.75, 3.9 / perColumn);
+
+  sections.forEach((section, i) => {
+    const x = 0.5 + Math.floor(i / perColumn) * 4.6;
+    const y = 1.45 + (i % perColumn) * rowH;
+    const lectures = (section.lectures || []).length;
+    slide.addText(String(i + 1), { shape: pptx.ShapeType.ellipse, x, y, w: 0.4, h: 0.4, fill: { color: hex(p.accent) }, color: 'FFFFFF', fontSize: 13, bold: true, align: 'center', valign: 'middle', fontFace: fontFace(theme.fonts.heading) });
+    slide.addText([
+      { text: section.title || `Section ${i + 1}`, options: { bold: true, color: hex(p.text), fontSize: 14, breakLine: true } },
+      { text: `${lectures} lecture${lectures === 1 ? '' : 's'}`, options: { color: hex(p.subtle), fontSize: 10 } }
+    ], { x: x + 0.55, y: y - 0.06, w: colW - 0.6, h: rowH, fontFace: fontFace(theme.fonts.body), valign: 'top', fit: 'shrink' });
+  });
+
+  // addNotes() writes a single run, so notes stay on one line
+  slide.addNotes(`Course agenda: ${sections.map((s, i) => `${i + 1}. ${s.title}`).join('; ')}`);
+}
+
+/**
+ * Section divider — "SECTION n OF m", title, objective and the lecture list
+ */
+function addSectionSlide(pptx, theme, section, index, total) {
+  const p = theme.palette;
+  const slide = pptx.addSlide();
+  const heading = fontFace(theme.fonts.heading), body = fontFace(theme.fonts.body);
+  const lectures = (section.lectures || []).map(l => l.title).filter(Boolean);
+
+  slide.background = { color: hex(p.background) };
+  slide.addShape(pptx.ShapeType.rect, { x: 0, y: 0, w: 0.2, h: 5.625, fill: { color: hex(p.accent) }, line: { color: hex(p.accent) } });
+  slide.addText(String(index + 1).padStart(2, '0'), { x: 6.2, y: 0.3, w: 3.5, h: 2.2, fontSize: 140, bold: true, color: hex(p.accent), transparency: 80, fontFace: heading, align: 'right', valign: 'top' });
+  slide.addText(`SECTION ${index + 1} OF ${total}`, { x: 0.8, y: 1.2, w: 8.4, h: 0.4, fontSize: 14, bold: true, charSpacing: 4, color: hex(p.accent), fontFace: body });
+  slide.addText(section.title || `Section ${index + 1}`, { x: 0.8, y: 1.6, w: 8.4, h: 1.2, fontSize: 34, bold: true, color: hex(p.text), fontFace: heading, valign: 'top', fit: 'shrink' });
+  if (section.objective) {
+    slide.addText(section.objective, { x: 0.8, y: 2.85, w: 8.4, h: 0.8, fontSize: 18, color: hex(p.subtle), fontFace: body, valign: 'top', fit: 'shrink' });
+  }
+  if (lectures.length) {
+    slide.addText(lectures.slice(0, 6).map(t => ({ text: t, options: { bullet: true } })), { x: 0.8, y: 3.7, w: 8.4, h: 1.5, fontSize: 14, color: hex(p.body), fontFace: body, valign: 'top', fit: 'shrink' });
+  }
+
+  slide.addNotes([`Section ${index + 1}: ${section.title}`, section.objective, lectures.length ? `Lectures: ${lectures.join('; ')}` : null].filter(Boolean).join(' — '));
+}
+
+function contentLines(slideData) {
+  return Array.isArray(slideData.content) ? slideData.content.map(String) : String(slideData.content || '').split('\n').filter(Boolean);
+}
+
+// ═══ Layouts per visualType (mirroring slideTemplates.js) ═══
+
+function titleLayout(pptx, slide, theme, slideData) {
+  const p = theme.palette;
+  const [subtitle] = contentLines(slideData);
+  slide.addText(slideData.title || '', { x: 0.5, y: 1.4, w: 9, h: 1.6, fontSize: 36, color: hex(p.text), fontFace: fontFace(theme.fonts.heading), align: 'center', valign: 'bottom', bold: true, fit: 'shrink' });
+  slide.addShape(pptx.ShapeType.rect, { x: 4.4, y: 3.15, w: 1.2, h: 0.05, fill: { color: hex(p.accent) }, line: { color: hex(p.accent) } });
+  if (subtitle) {
+    slide.addText(subtitle, { x: 0.5, y: 3.35, w: 9, h: 0.9, fontSize: 20, color: hex(p.highlight), fontFace: fontFace(theme.fonts.body), align: 'center', valign: 'top' });
   }
+}
+
+function bulletsLayout(pptx, slide, theme, slideData) {
+  addHeading(pptx, slide, theme, slideData.title);
+  slide.addText(bulletRuns(contentLines(slideData)), { x: 0.5, y: 1.4, w: 9, h: 3.9, fontSize: 18, color: hex(theme.palette.body), fontFace: fontFace(theme.fonts.body), valign: 'top', fit: 'shrink' });
+}
+
+/**
+ * Code panel in the mono font, with the same token colours as the video slides
+ */
+function codeLayout(pptx, slide, theme, slideData) {
+  const p = theme.palette;
+  const lines = contentLines(slideData).flatMap(item => item.split('\n'));
+  addHeading(pptx, slide, theme, slideData.title);
+
+  slide.addShape(pptx.ShapeType.roundRect, { x: 0.5, y: 1.4, w: 9, h: 3.85, rectRadius: 0.08, fill: { color: hex(p.codeBackground) }, line: { color: hex(p.codeBackground) } });
+  ['FF5F56', 'FFBD2E', '27C93F'].forEach((dot, i) => {
+    slide.addShape(pptx.ShapeType.ellipse, { x: 0.7 + i * 0.22, y: 1.55, w: 0.13, h: 0.13, fill: { color: dot }, line: { color: dot } });
+  });
+
+  const runs = lines.flatMap(line => {
+    const tokens = codeTokens(line);
+    if (tokens.length === 0) tokens.push({ text: ' ', kind: null });
+    return tokens.map((t, i) => ({
+      text: t.text,
+      options: { color: hex(t.kind ? CODE_COLORS[t.kind] : p.codeText), breakLine: i === tokens.length - 1 }
+    }));
+  });
+  const fontSize = lines.length > 14 ? 11 : lines.length > 10 ? 12 : 14;
+  slide.addText(runs, { x: 0.7, y: 1.85, w: 8.6, h: 3.3, fontSize, fontFace: fontFace(theme.fonts.mono), valign: 'top', fit: 'shrink' });
+}
+
+/**
+ * Chevron process (like SmartArt's Basic Chevron Process) over one box per step
+ */
+function diagramLayout(pptx, slide, theme, slideData) {
+  const p = theme.palette;
+  const steps = contentLines(slideData).slice(0, 6).map(s => s.replace(/^\s*\d+[.)]\s*/, ''));
+  addHeading(pptx, slide, theme, slideData.title);
+  if (steps.length === 0) return;
+
+  const gap = 0.15;
+  const boxW = (9 - gap * (steps.length - 1)) / steps.length;
+  steps.forEach((step, i) => {
+    const x = 0.5 + i * (boxW + gap);
+    slide.addText(`${i + 1}`, {
+      shape: i === 0 ? pptx.ShapeType.homePlate : pptx.ShapeType.chevron,
+      x, y: 1.55, w: boxW + (i < steps.length - 1 ? gap + 0.1 : 0), h: 0.6,
+      fill: { color: hex(i % 2 === 0 ? p.primary : p.accent) }, line: { color: hex(p.background), width: 2 },
+      color: 'FFFFFF', fontSize: 20, bold: true, align: 'center', valign: 'middle', fontFace: fontFace(theme.fonts.heading)
+    });
+    slide.addText(step, {
+      shape: pptx.ShapeType.roundRect, rectRadius: 0.08,
+      x, y: 2.35, w: boxW, h: 2.8,
+      fill: { color: hex(p.backgroundAlt) }, line: { color: hex(p.accent), width: 1 },
+      color: hex(p.body), fontSize: steps.length > 4 ? 12 : 15, align: 'center', valign: 'middle', fontFace: fontFace(theme.fonts.body), fit: 'shrink'
+    });
+  });
+}
+
+/**
+ * Two-column table — column headings from "Label: text" first items
+ */
+function comparisonLayout(pptx, slide, theme, slideData) {
+  const p = theme.palette;
+  const columns = splitComparison(contentLines(slideData), Infinity);
+  const colors = [p.accent, p.accentAlt];
+  const rowCount = Math.max(...columns.map(c => c.rows.length), 1);
+  addHeading(pptx, slide, theme, slideData.title);
+
+  const cell = (text, i, options = {}) => ({ text, options: { fontFace: fontFace(theme.fonts.body), color: hex(p.body), fill: { color: hex(i % 2 === 0 ? p.backgroundAlt : p.background) }, ...options } });
+  const rows = [];
+  if (columns.some(c => c.heading)) {
+    rows.push(columns.map((c, col) => ({
+      text: c.heading || '',
+      options: { bold: true, fontSize: 18, color: 'FFFFFF', fill: { color: hex(colors[col]) }, fontFace: fontFace(theme.fonts.heading), align: 'center' }
+    })));
+  }
+  for (let i = 0; i < rowCount; i++) rows.push(columns.map(c => cell(c.rows[i] || '', i)));
+
+  slide.addTable(rows, {
+    x: 0.5, y: 1.45, w: 9, colW: [4.5, 4.5], fontSize: rowCount > 5 ? 13 : 16, valign: 'middle',
+    border: { type: 'solid', pt: 1, color: hex(p.muted) }, rowH: Math.min(0.7, 3.8 / (rows.length || 1)), autoPage: false
+  });
+}
+
+function quoteLayout(pptx, slide, theme, slideData) {
+  const text = contentLines(slideData).join(' ').replace(/^["“”']+|["“”']+$/g, '') || slideData.title || '';
+  slide.background = { color: hex(theme.palette.accent) };
+  slide.addText('“', { x: 0.5, y: 0.2, w: 9, h: 1.6, fontSize: 140, color: 'FFFFFF', transparency: 50, fontFace: fontFace(theme.fonts.quote), align: 'center', valign: 'top' });
+  slide.addText(text, { x: 1, y: 1.5, w: 8, h: 2.5, fontSize: 32, color: 'FFFFFF', fontFace: fontFace(theme.fonts.quote), align: 'center', valign: 'middle', italic: true, fit: 'shrink' });
+  if (slideData.title && slideData.title !== text) {
+    slide.addText(`— ${slideData.title}`, { x: 1, y: 4.2, w: 8, h: 0.5, fontSize: 16, color: 'FFFFFF', fontFace: fontFace(theme.fonts.body), align: 'center' });
+  }
+}
+
+/**
+ * Illustration panel beside the bullets (content.json has no image assets)
+ */
+function imageLayout(pptx, slide, theme, slideData) {
+  const p = theme.palette;
+  addHeading(pptx, slide, theme, slideData.title);
+  slide.addShape(pptx.ShapeType.roundRect, { x: 0.5, y: 1.45, w: 3.6, h: 3.8, rectRadius: 0.12, fill: { color: hex(p.primary) }, line: { color: hex(p.primary) } });
+  slide.addShape(pptx.ShapeType.ellipse, { x: 1.2, y: 2.25, w: 2.2, h: 2.2, fill: { color: 'FFFFFF', transparency: 85 }, line: { color: 'FFFFFF', transparency: 70, width: 1.5 } });
+  slide.addShape(pptx.ShapeType.star4, { x: 1.95, y: 3.0, w: 0.7, h: 0.7, fill: { color: 'FFFFFF', transparency: 10 }, line: { color: 'FFFFFF' } });
+  slide.addText(bulletRuns(contentLines(slideData).slice(0, 6)), { x: 4.4, y: 1.45, w: 5.1, h: 3.8, fontSize: 18, color: hex(p.body), fontFace: fontFace(theme.fonts.body), valign: 'top', fit: 'shrink' });
+}
+
+const LAYOUTS = {
+  title: titleLayout,
+  bullets: bulletsLayout,
+  code: codeLayout,
+  diagram: diagramLayout,
+  comparison: comparisonLayout,
+  quote: quoteLayout,
+  image: imageLayout
+};
+
+function addContentSlide(pptx, theme, slideData) {
+  const slide = pptx.addSlide();
+  const layout = LAYOUTS[slideData.visualType] || LAYOUTS.bullets;
+  slide.background = { color: hex(theme.palette.background) };
+  layout(pptx, slide, theme, slideData);
 
   if (slideData.speakerNotes) slide.addNotes(slideData.speakerNotes);
 }
 
+/**
+ * Theme logo in the top-right corner of a title slide
+ */
+function addLogo(slide, theme) {
+  const logo = loadLogo(theme);
+  if (logo) slide.addImage({ path: logo.path, x: 8.3, y: 0.25, w: 1.4, h: 0.5, sizing: { type: 'contain', w: 1.4, h: 0.5 } });
+}
+
 async function generateThumbnail(contentOrOptions, outputDir) {
-  // Support both: generateThumbnail(content, outputDir) and generateThumbnail({title, text, outputPath})
-  let title, text, outputPath, width = 2048, height = 1152;
+  // Support both: generateThumbnail(content, outputDir) and generateThumbnail({title, text, outputPath, theme})
+  let title, text, outputPath, theme, width = 2048, height = 1152;
   if (outputDir) {
     title = contentOrOptions.metadata?.title || contentOrOptions.title || 'Course';
     text = contentOrOptions.metadata?.subtitle || '';
     outputPath = path.join(outputDir, 'thumbnail.jpg');
+    theme = themeForContent(contentOrOptions);
   } else {
     ({ title, text, outputPath, width = 2048, height = 1152 } = contentOrOptions);
+    theme = resolveTheme(contentOrOptions.theme || undefined);
   }
   console.log('   Generating thumbnail...');
 
   try {
-    const safeTitle = escapeXml(title || '').substring(0, 40);
-    const safeText = escapeXml(text || '').substring(0, 60);
-    const svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+    const p = theme.palette;
+    const logo = loadLogo(theme);
+
+    // Title and subtitle wrap and shrink to fit; the pair is centred vertically
+    const titleFit = fitText(title || '', { maxWidth: width * 0.85, maxLines: 3, fontSize: 80, minFontSize: 56, lineHeight: 1.15, bold: true });
+    const textFit = text ? fitText(text, { maxWidth: width * 0.8, maxLines: 2, fontSize: 40, minFontSize: 30 }) : null;
+    const titleHeight = titleFit.lines.length * titleFit.lineHeight;
+    const blockHeight = titleHeight + (textFit ? 60 + textFit.lines.length * textFit.lineHeight : 0);
+    const titleY = (height - blockHeight) / 2 + titleFit.fontSize * 0.85;
+    const accentY = titleY - titleFit.fontSize * 0.85 + titleHeight + 14;
+    const textY = accentY + 46 + (textFit ? textFit.fontSize * 0.85 : 0);
+    const svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
       <defs><linearGradient id="bg" x1="0%" y1="0%" x2="100%" y2="100%">
-        <stop offset="0%" style="stop-color:#${COLORS.primary};stop-opacity:1"/>
-        <stop offset="100%" style="stop-color:#${COLORS.secondary};stop-opacity:1"/>
+        <stop offset="0%" style="stop-color:${p.background};stop-opacity:1"/>
+        <stop offset="100%" style="stop-color:${theme.background === 'solid' ? p.background : p.backgroundAlt};stop-opacity:1"/>
       </linearGradient></defs>
       <rect width="100%" height="100%" fill="url(#bg)"/>
-      <text x="50%" y="40%" dominant-baseline="middle" text-anchor="middle" font-family="Arial" font-size="80" font-weight="bold" fill="white">${safeTitle}</text>
-      <text x="50%" y="58%" dominant-baseline="middle" text-anchor="middle" font-family="Arial" font-size="40" fill="#AAAAAA">${safeText}</text>
+      ${theme.background === 'orbs' ? `
+      <circle cx="${width * 0.88}" cy="${height * 0.18}" r="${height * 0.3}" fill="${p.primary}" opacity="0.12"/>
+      <circle cx="${width * 0.08}" cy="${height * 0.9}" r="${height * 0.25}" fill="${p.accentAlt}" opacity="0.08"/>` : ''}
+      ${svgText(titleFit.lines, { x: width / 2, y: titleY, fontSize: titleFit.fontSize, lineHeight: titleFit.lineHeight, anchor: 'middle', family: theme.fonts.heading, weight: 'bold', fill: p.text })}
+      <rect x="${width / 2 - 120}" y="${Math.round(accentY)}" width="240" height="8" rx="4" fill="${p.accent}"/>
+      ${textFit ? svgText(textFit.lines, { x: width / 2, y: textY, fontSize: textFit.fontSize, lineHeight: textFit.lineHeight, anchor: 'middle', family: theme.fonts.body, fill: p.subtle }) : ''}
+      ${logo ? `<image x="${width - 360}" y="${height - 140}" width="300" height="90" preserveAspectRatio="xMaxYMid meet" xlink:href="${logo.dataUri}"/>` : ''}
     </svg>`;
 
     const dir = path.dirname(outputPath);
@@ -154,8 +368,4 @@ async function generateThumbnail(contentOrOptions, outputDir) {
   }
 }
 
-function escapeXml(text) {
-  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
-}
-
 module.exports = { generateCoursePresentation, generateThumbnail };
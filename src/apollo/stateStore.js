@@ -0,0 +1,393 @@
+/**
+ * STATE STORE — SQLite-backed course and stage state
+ *
+ * Replaces data/status.json. Every write is a single transaction, so
+ * concurrent orchestrator / batch runs never clobber each other's updates.
+ *
+ * Tables:
+ *   courses — status, attempts, quality score, output dir, timestamps
+ *   stages  — per-course, per-stage status, attempts and timings
+ *   errors  — append-only error history (course + optional stage)
+ *   meta    — one-off markers (e.g. the status.json migration)
+ *
+ * Leases: a run claims a course with an owner ID and an expiry, and keeps it
+ * alive with heartbeats. An in_progress course whose lease has expired (or
+ * that has no lease at all, e.g. migrated from status.json) can be claimed
+ * again, so a crashed run never strands its course.
+ *
+ * The database lives at data/state.db (STATE_DB_PATH overrides). On first
+ * open an existing data/status.json is imported once.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+
+const DATA_DIR = path.join(__dirname, '../../data');
+const DB_PATH = process.env.STATE_DB_PATH || path.join(DATA_DIR, 'state.db');
+const LEGACY_STATUS_FILE = path.join(DATA_DIR, 'status.json');
+const LEASE_TTL_MS = (parseInt(process.env.COURSE_LEASE_TTL_MINUTES) || 15) * 60 * 1000;
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS courses (
+    id TEXT PRIMARY KEY,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    quality_score REAL,
+    output_dir TEXT,
+    last_error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    started_at TEXT,
+    finished_at TEXT,
+    lease_owner TEXT,
+    lease_expires_at TEXT,
+    heartbeat_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS stages (
+    course_id TEXT NOT NULL,
+    stage TEXT NOT NULL,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    started_at TEXT,
+    finished_at TEXT,
+    error TEXT,
+    PRIMARY KEY (course_id, stage)
+  );
+  CREATE TABLE IF NOT EXISTS errors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    course_id TEXT NOT NULL,
+    stage TEXT,
+    message TEXT NOT NULL,
+    at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_courses_status ON courses (status);
+  CREATE INDEX IF NOT EXISTS idx_errors_course ON errors (course_id);
+  CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+`;
+
+let db = null;
+
+function now() {
+  return new Date().toISOString();
+}
+
+/**
+ * Open (once) and migrate the database
+ */
+function getDb() {
+  if (db) return db;
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+  db = new Database(DB_PATH);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(SCHEMA_SQL);
+  addMissingColumns('courses', { lease_owner: 'TEXT', lease_expires_at: 'TEXT', heartbeat_at: 'TEXT' });
+  migrateFromStatusJson(LEGACY_STATUS_FILE);
+  return db;
+}
+
+function closeStore() {
+  if (db) db.close();
+  db = null;
+}
+
+function addMissingColumns(table, columns) {
+  const existing = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  for (const [name, type] of Object.entries(columns)) {
+    if (!existing.includes(name)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+  }
+}
+
+/**
+ * Import data/status.json (one time) — existing rows are never overwritten
+ */
+function migrateFromStatusJson(file) {
+  const done = db.prepare("SELECT value FROM meta WHERE key = 'migrated_status_json'").get();
+  if (done || !fs.existsSync(file)) return 0;
+
+  const legacy = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO courses (id, status, attempts, quality_score, output_dir, last_error, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const migrate = db.transaction(() => {
+    for (const [id, s] of Object.entries(legacy)) {
+      const at = s.updatedAt || now();
+      insert.run(id, s.status || 'pending', s.status === 'pending' ? 0 : 1, s.qualityScore ?? null, s.outputDir || null, s.error || null, at, at);
+      if (s.error) db.prepare('INSERT INTO errors (course_id, stage, message, at) VALUES (?, NULL, ?, ?)').run(id, s.error, at);
+    }
+    db.prepare("INSERT INTO meta (key, value) VALUES ('migrated_status_json', ?)").run(now());
+  });
+  migrate();
+  console.log(`   State store: migrated ${Object.keys(legacy).length} course(s) from status.json`);
+  return Object.keys(legacy).length;
+}
+
+function rowToState(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    status: row.status,
+    attempts: row.attempts,
+    qualityScore: row.quality_score,
+    outputDir: row.output_dir,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    leaseOwner: row.lease_owner,
+    leaseExpiresAt: row.lease_expires_at,
+    heartbeatAt: row.heartbeat_at,
+    leaseActive: isLeaseActive(row)
+  };
+}
+
+/**
+ * An in_progress course is only unavailable while its lease is unexpired
+ */
+function isLeaseActive(row, at = now()) {
+  return row?.status === 'in_progress' && !!row.lease_expires_at && row.lease_expires_at > at;
+}
+
+function getCourseState(courseId) {
+  return rowToState(getDb().prepare('SELECT * FROM courses WHERE id = ?').get(courseId));
+}
+
+/**
+ * All known course states, keyed by course ID
+ */
+function getAllCourseStates() {
+  const states = {};
+  for (const row of getDb().prepare('SELECT * FROM courses').all()) states[row.id] = rowToState(row);
+  return states;
+}
+
+/**
+ * Atomically move a course to a new status
+ *
+ * options.from — only transition if the current status is one of these
+ * (a missing row counts as 'pending'). options.owner — only transition
+ * while that owner still holds the course's lease. Returns false when a
+ * guard fails. Moving to in_progress counts an attempt; metadata.error is
+ * appended to the error history.
+ */
+function transitionCourse(courseId, status, options = {}) {
+  const { from = null, owner = null, qualityScore, outputDir, error } = options;
+  const store = getDb();
+
+  return store.transaction(() => {
+    const current = store.prepare('SELECT status, lease_owner FROM courses WHERE id = ?').get(courseId);
+    if (from && !from.includes(current?.status || 'pending')) return false;
+    if (owner && (current?.status !== 'in_progress' || current.lease_owner !== owner)) return false;
+
+    const at = now();
+    if (!current) {
+      store.prepare('INSERT INTO courses (id, status, created_at, updated_at) VALUES (?, ?, ?, ?)').run(courseId, 'pending', at, at);
+    }
+
+    const starting = status === 'in_progress';
+    const finished = ['completed', 'needs_review', 'failed'].includes(status);
+    store.prepare(`
+      UPDATE courses SET
+        status = @status,
+        attempts = attempts + @inc,
+        quality_score = COALESCE(@qualityScore, quality_score),
+        output_dir = COALESCE(@outputDir, output_dir),
+        last_error = CASE WHEN @starting THEN NULL ELSE COALESCE(@error, last_error) END,
+        updated_at = @at,
+        started_at = CASE WHEN @starting THEN @at ELSE started_at END,
+        finished_at = CASE WHEN @starting THEN NULL WHEN @finished THEN @at ELSE finished_at END,
+        lease_owner = CASE WHEN @starting THEN lease_owner ELSE NULL END,
+        lease_expires_at = CASE WHEN @starting THEN lease_expires_at ELSE NULL END
+      WHERE id = @courseId
+    `).run({
+      courseId, status, at, inc: starting ? 1 : 0, starting: starting ? 1 : 0, finished: finished ? 1 : 0,
+      qualityScore: qualityScore ?? null, outputDir: outputDir || null, error: error || null
+    });
+
+    if (error) store.prepare('INSERT INTO errors (course_id, stage, message, at) VALUES (?, NULL, ?, ?)').run(courseId, error, at);
+    return true;
+  }).immediate();
+}
+
+// ═══ Leases ═══
+
+/**
+ * Unique owner ID for this process — host:pid:random
+ */
+function createOwnerId() {
+  return `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Atomically claim a course for owner
+ *
+ * Fails (returns false) while another owner holds an unexpired lease, or
+ * when options.from is given and the current status is not in it. A
+ * successful claim sets in_progress, counts an attempt and starts a lease.
+ */
+function claimCourse(courseId, owner, options = {}) {
+  const { ttlMs = LEASE_TTL_MS, from = null } = options;
+  const store = getDb();
+
+  return store.transaction(() => {
+    const at = now();
+    const row = store.prepare('SELECT * FROM courses WHERE id = ?').get(courseId);
+    if (isLeaseActive(row, at) && row.lease_owner !== owner) return false;
+    if (from && row?.status !== 'in_progress' && !from.includes(row?.status || 'pending')) return false;
+
+    if (!row) store.prepare("INSERT INTO courses (id, status, created_at, updated_at) VALUES (?, 'pending', ?, ?)").run(courseId, at, at);
+    if (row?.status === 'in_progress' && row.lease_owner !== owner) {
+      const message = `Lease ${row.lease_owner ? `held by ${row.lease_owner} expired` : 'missing'} — reclaimed by ${owner}`;
+      store.prepare('INSERT INTO errors (course_id, stage, message, at) VALUES (?, NULL, ?, ?)').run(courseId, message, at);
+    }
+
+    store.prepare(`
+      UPDATE courses SET
+        status = 'in_progress', attempts = attempts + 1, last_error = NULL,
+        updated_at = @at, started_at = @at, finished_at = NULL,
+        lease_owner = @owner, lease_expires_at = @expires, heartbeat_at = @at
+      WHERE id = @courseId
+    `).run({ courseId, owner, at, expires: new Date(Date.now() + ttlMs).toISOString() });
+    return true;
+  }).immediate();
+}
+
+/**
+ * Extend owner's lease — returns false if the lease was lost to another run
+ */
+function heartbeatCourse(courseId, owner, options = {}) {
+  const { ttlMs = LEASE_TTL_MS } = options;
+  const at = now();
+  const info = getDb().prepare(`
+    UPDATE courses SET heartbeat_at = ?, lease_expires_at = ?
+    WHERE id = ? AND status = 'in_progress' AND lease_owner = ?
+  `).run(at, new Date(Date.now() + ttlMs).toISOString(), courseId, owner);
+  return info.changes > 0;
+}
+
+/**
+ * Keep a lease alive in the background until stop() is called
+ *
+ * The first failed heartbeat stops the timer and calls options.onLost;
+ * check() renews the lease on demand and returns false once it is lost.
+ */
+function startHeartbeat(courseId, owner, options = {}) {
+  const { ttlMs = LEASE_TTL_MS, onLost = null } = options;
+  let lost = false;
+  const beat = () => {
+    if (lost) return false;
+    if (heartbeatCourse(courseId, owner, { ttlMs })) return true;
+    lost = true;
+    clearInterval(timer);
+    console.log(`   Lease lost: ${courseId} is no longer held by ${owner}`);
+    if (onLost) onLost();
+    return false;
+  };
+  const timer = setInterval(beat, Math.max(1000, Math.floor(ttlMs / 3)));
+  timer.unref();
+  return { stop: () => clearInterval(timer), check: beat, isLost: () => lost };
+}
+
+/**
+ * Release a claim — owner null releases regardless of holder (manual recovery)
+ */
+function releaseCourse(courseId, options = {}) {
+  const { owner = null, status = 'pending', reason = null } = options;
+  const store = getDb();
+
+  return store.transaction(() => {
+    const row = store.prepare("SELECT * FROM courses WHERE id = ? AND status = 'in_progress'").get(courseId);
+    if (!row || (owner && row.lease_owner !== owner)) return false;
+
+    const at = now();
+    store.prepare(`
+      UPDATE courses SET status = ?, updated_at = ?, lease_owner = NULL, lease_expires_at = NULL
+      WHERE id = ?
+    `).run(status, at, courseId);
+    const message = `Claim${row.lease_owner ? ` by ${row.lease_owner}` : ''} released → ${status}${reason ? ` (${reason})` : ''}`;
+    store.prepare('INSERT INTO errors (course_id, stage, message, at) VALUES (?, NULL, ?, ?)').run(courseId, message, at);
+    return true;
+  }).immediate();
+}
+
+/**
+ * All in_progress courses with their lease state
+ */
+function listClaims() {
+  return getDb().prepare("SELECT * FROM courses WHERE status = 'in_progress' ORDER BY updated_at").all().map(rowToState);
+}
+
+/**
+ * Mark a pipeline stage as running (counts an attempt)
+ */
+function startStage(courseId, stage) {
+  const at = now();
+  getDb().prepare(`
+    INSERT INTO stages (course_id, stage, status, attempts, started_at) VALUES (?, ?, 'running', 1, ?)
+    ON CONFLICT (course_id, stage) DO UPDATE SET
+      status = 'running', attempts = attempts + 1, started_at = excluded.started_at, finished_at = NULL, error = NULL
+  `).run(courseId, stage, at);
+}
+
+/**
+ * Record a stage outcome — status is completed | failed | skipped
+ */
+function finishStage(courseId, stage, status, options = {}) {
+  const { error = null } = options;
+  const store = getDb();
+  const at = now();
+
+  store.transaction(() => {
+    store.prepare(`
+      INSERT INTO stages (course_id, stage, status, attempts, started_at, finished_at, error) VALUES (?, ?, ?, 0, NULL, ?, ?)
+      ON CONFLICT (course_id, stage) DO UPDATE SET status = excluded.status, finished_at = excluded.finished_at, error = excluded.error
+    `).run(courseId, stage, status, at, error);
+    if (error) store.prepare('INSERT INTO errors (course_id, stage, message, at) VALUES (?, ?, ?, ?)').run(courseId, stage, error, at);
+  })();
+}
+
+function getStageStates(courseId) {
+  return getDb().prepare('SELECT stage, status, attempts, started_at AS startedAt, finished_at AS finishedAt, error FROM stages WHERE course_id = ? ORDER BY started_at').all(courseId);
+}
+
+function getErrorHistory(courseId) {
+  return getDb().prepare('SELECT stage, message, at FROM errors WHERE course_id = ? ORDER BY id').all(courseId);
+}
+
+/**
+ * Course counts per status, e.g. { completed: 3, in_progress: 1 }
+ */
+function countByStatus() {
+  const counts = {};
+  for (const row of getDb().prepare('SELECT status, COUNT(*) AS n FROM courses GROUP BY status').all()) counts[row.status] = row.n;
+  return counts;
+}
+
+// CLI — course state and history
+if (require.main === module) {
+  const courseId = process.argv[2];
+  if (courseId) {
+    const state = getCourseState(courseId);
+    if (!state) { console.error(`   No state for ${courseId}`); process.exit(1); }
+    console.log(`\n   ${state.id}: ${state.status} (attempts: ${state.attempts}, updated ${state.updatedAt})`);
+    getStageStates(courseId).forEach(s => console.log(`     ${s.stage.padEnd(12)} ${s.status.padEnd(10)} x${s.attempts}${s.error ? ` — ${s.error}` : ''}`));
+    const errors = getErrorHistory(courseId);
+    if (errors.length > 0) console.log(`   Errors:\n${errors.map(e => `     [${e.at}] ${e.stage || 'pipeline'}: ${e.message}`).join('\n')}`);
+  } else {
+    console.log(`\n   State store: ${DB_PATH}`);
+    Object.entries(countByStatus()).forEach(([status, n]) => console.log(`   ${status}: ${n}`));
+  }
+  closeStore();
+}
+
+module.exports = {
+  getDb, closeStore, migrateFromStatusJson, getCourseState, getAllCourseStates, transitionCourse,
+  createOwnerId, claimCourse, heartbeatCourse, startHeartbeat, releaseCourse, listClaims, LEASE_TTL_MS,
+  startStage, finishStage, getStageStates, getErrorHistory, countByStatus
+};
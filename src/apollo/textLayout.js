@@ -0,0 +1,207 @@
+/**
+ * TEXT LAYOUT — measure, wrap and fit text for SVG slides and thumbnails
+ *
+ * Widths come from the Adobe Helvetica / Helvetica-Bold AFM metrics (units
+ * per 1000 em), which Arial and the Segoe UI → Helvetica → Arial stacks used
+ * in our SVGs match closely. Monospace text uses Courier's fixed 600 units.
+ * Render hosts without those fonts fall back to DejaVu Sans, which runs about
+ * 12% wider, so proportional text is measured with that margin to stay inside
+ * its box on either.
+ *
+ * fitText() wraps at word boundaries, shrinks the font size until the text
+ * fits the box, and only ellipsizes when even the minimum size overflows.
+ */
+
+// AFM advance widths for ASCII 32..126
+const HELVETICA = [278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584];
+const HELVETICA_BOLD = [278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584];
+// Common non-ASCII glyphs in generated content (same in both weights unless listed)
+const EXTRA = { '—': 1000, '–': 556, '…': 1000, '“': 333, '”': 333, '‘': 222, '’': 222, '•': 350, '€': 556, '©': 737, '®': 737, '°': 400, '×': 584, '÷': 584, '→': 1000, '✓': 750 };
+const EXTRA_BOLD = { '“': 500, '”': 500, '‘': 278, '’': 278 };
+const MONO_WIDTH = 600;
+const DEFAULT_WIDTH = 556;
+const ELLIPSIS = '…';
+const FALLBACK_SCALE = 1.12;
+
+function glyphWidth(ch, { bold = false, mono = false } = {}) {
+  if (mono) return MONO_WIDTH;
+  const code = ch.codePointAt(0);
+  if (code >= 32 && code <= 126) return (bold ? HELVETICA_BOLD : HELVETICA)[code - 32];
+  if (bold && EXTRA_BOLD[ch]) return EXTRA_BOLD[ch];
+  if (EXTRA[ch]) return EXTRA[ch];
+  // Emoji and CJK are roughly square
+  return code > 0x2e80 ? 1000 : DEFAULT_WIDTH;
+}
+
+/**
+ * Width of text in px at fontSize — options: { bold, mono }
+ */
+function measureText(text, fontSize, options = {}) {
+  let units = 0;
+  for (const ch of String(text ?? '')) units += glyphWidth(ch, options);
+  return (units * fontSize * (options.mono ? 1 : FALLBACK_SCALE)) / 1000;
+}
+
+/**
+ * Split a word that is wider than maxWidth into pieces that fit
+ */
+function breakWord(word, maxWidth, fontSize, options) {
+  const pieces = [];
+  let current = '';
+  for (const ch of word) {
+    if (current && measureText(current + ch, fontSize, options) > maxWidth) {
+      pieces.push(current);
+      current = ch;
+    } else {
+      current += ch;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Wrap text into lines no wider than maxWidth (explicit newlines are kept)
+ */
+function wrapText(text, maxWidth, fontSize, options = {}) {
+  const lines = [];
+  for (const paragraph of String(text ?? '').split('\n')) {
+    let current = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = current ? `${current} ${word}` : word;
+      if (measureText(candidate, fontSize, options) <= maxWidth) {
+        current = candidate;
+        continue;
+      }
+      if (current) lines.push(current);
+      if (measureText(word, fontSize, options) <= maxWidth) {
+        current = word;
+      } else {
+        const pieces = breakWord(word, maxWidth, fontSize, options);
+        current = pieces.pop();
+        lines.push(...pieces);
+      }
+    }
+    lines.push(current);
+  }
+  return lines;
+}
+
+/**
+ * Shorten text to maxWidth, ending in '…' (at a word boundary when possible)
+ */
+function ellipsize(text, maxWidth, fontSize, options = {}) {
+  const str = String(text ?? '');
+  if (measureText(str, fontSize, options) <= maxWidth) return str;
+  let cut = str;
+  while (cut && measureText(cut + ELLIPSIS, fontSize, options) > maxWidth) cut = cut.slice(0, -1);
+  const atWord = cut.replace(/\s+\S*$/, '');
+  const base = atWord && atWord.length >= cut.length * 0.6 ? atWord : cut;
+  return base.replace(/[\s,;:.\-–—]+$/, '') + ELLIPSIS;
+}
+
+/**
+ * Fit text into a box: { lines, fontSize, lineHeight, truncated }
+ *
+ * options: { maxWidth, maxLines, maxHeight, fontSize, minFontSize,
+ *            lineHeight (multiple of fontSize, default 1.25), bold, mono }
+ */
+function fitText(text, options) {
+  const {
+    maxWidth, maxLines = Infinity, maxHeight = Infinity,
+    fontSize: startSize, minFontSize = Math.round(startSize * 0.6), lineHeight = 1.25
+  } = options;
+
+  let size = startSize;
+  for (;;) {
+    const lines = wrapText(text, maxWidth, size, options);
+    const allowedLines = Math.min(maxLines, Math.max(1, Math.floor((maxHeight - size) / (size * lineHeight)) + 1));
+    if (lines.length <= allowedLines) return { lines, fontSize: size, lineHeight: size * lineHeight, truncated: false };
+
+    if (size <= minFontSize) {
+      const kept = lines.slice(0, allowedLines);
+      kept[allowedLines - 1] = ellipsize(`${kept[allowedLines - 1]} ${lines[allowedLines]}`, maxWidth, size, options);
+      return { lines: kept, fontSize: size, lineHeight: size * lineHeight, truncated: true };
+    }
+    size = Math.max(minFontSize, Math.floor(size * 0.94));
+  }
+}
+
+/**
+ * Fit several paragraphs into one box at a shared font size
+ *
+ * Returns { fontSize, lineHeight, gap, blocks: [lines[]], truncated }. gap is
+ * the space between paragraphs as a multiple of the font size.
+ */
+function fitParagraphs(texts, options) {
+  const {
+    maxWidth, maxHeight, fontSize: startSize, minFontSize = Math.round(startSize * 0.6),
+    maxLinesEach = 3, lineHeight = 1.25, gap = 0.9
+  } = options;
+
+  let size = startSize;
+  for (;;) {
+    const fitted = texts.map(t => fitText(t, { ...options, fontSize: size, minFontSize: size, maxLines: maxLinesEach, maxHeight: Infinity }));
+    const lineCount = fitted.reduce((a, f) => a + f.lines.length, 0);
+    const height = lineCount * size * lineHeight + Math.max(0, texts.length - 1) * size * gap;
+    const overflow = fitted.some(f => f.truncated);
+    if ((height <= maxHeight && !overflow) || size <= minFontSize) {
+      const blocks = fitted.map(f => f.lines);
+      return {
+        fontSize: size, lineHeight: size * lineHeight, gap: size * gap,
+        blocks: height > maxHeight ? trimBlocks(blocks, maxHeight, size, lineHeight * size, gap * size, maxWidth, options) : blocks,
+        truncated: overflow || height > maxHeight
+      };
+    }
+    size = Math.max(minFontSize, Math.floor(size * 0.94));
+  }
+}
+
+/**
+ * Keep whole lines that fit in maxHeight, ellipsizing the last one kept
+ */
+function trimBlocks(blocks, maxHeight, size, lineHeight, gap, maxWidth, options) {
+  const kept = [];
+  let used = 0;
+  for (const lines of blocks) {
+    const room = Math.floor((maxHeight - used - (kept.length ? gap : 0) - size) / lineHeight) + 1;
+    if (room <= 0) break;
+    if (room < lines.length) {
+      const cut = lines.slice(0, room);
+      cut[room - 1] = ellipsize(`${cut[room - 1]} ${lines[room]}`, maxWidth, size, options);
+      kept.push(cut);
+      break;
+    }
+    used += (kept.length ? gap : 0) + lines.length * lineHeight;
+    kept.push(lines);
+  }
+  if (kept.length < blocks.length && kept.length > 0) {
+    const last = kept[kept.length - 1];
+    if (!last[last.length - 1].endsWith(ELLIPSIS)) last[last.length - 1] = ellipsize(`${last[last.length - 1]} ${ELLIPSIS}`, maxWidth, size, options);
+  }
+  return kept;
+}
+
+function escapeXml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * <text> element with one <tspan> per line; y is the first baseline
+ *
+ * attrs: { x, y, fontSize, lineHeight, fill, weight, anchor, family, italic, extra }
+ */
+function svgText(lines, attrs) {
+  const {
+    x, y, fontSize, lineHeight = fontSize * 1.25, fill = '#ffffff', weight = 'normal',
+    anchor = 'start', family = 'Segoe UI, Helvetica, Arial', italic = false, extra = ''
+  } = attrs;
+  const tspans = lines.map((line, i) => `<tspan x="${x}" dy="${i === 0 ? 0 : round(lineHeight)}">${escapeXml(line)}</tspan>`).join('');
+  return `<text x="${x}" y="${round(y)}" font-family="${family}" font-size="${round(fontSize)}" font-weight="${weight}" fill="${fill}" text-anchor="${anchor}"${italic ? ' font-style="italic"' : ''}${extra ? ` ${extra}` : ''}>${tspans}</text>`;
+}
+
+function round(n) {
+  return Math.round(n * 10) / 10;
+}
+
+module.exports = { measureText, wrapText, ellipsize, fitText, fitParagraphs, svgText, escapeXml };
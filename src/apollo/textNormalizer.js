@@ -0,0 +1,341 @@
+/**
+ * TEXT NORMALIZER — spoken-form text for TTS
+ *
+ * Scripts are written to be read: "LLM", "FMEA", "$1.2M", "5-10 min",
+ * `df.head()`. Before synthesis every chunk goes through here:
+ *
+ *   code      — fenced blocks point at the screen, inline code is spoken
+ *   lexicon   — terms → spoken forms (data/lexicon.json: project-wide
+ *               terms, overridden per course in courses[courseId])
+ *   numbers   — ISO dates, digit groups (555-1234), currency, percentages,
+ *               units, ordinals, years, ranges, decimals and plain numbers
+ *               to words
+ *   symbols   — &, @, %, →, e.g./i.e./vs. and the like
+ *
+ * normalizeText() gives plain text (Chatterbox); toSsml() gives an SSML
+ * fragment with pauses and emphasis (Edge TTS, which wraps it in
+ * <speak><voice><prosody>). Captions keep the written text — chunks are
+ * split before normalizing, so their boundaries do not move.
+ *
+ * The code, number and symbol rules are English. For any other locale
+ * (options.locale) only the lexicon — locales[locale] in lexicon.json — and
+ * the SSML pauses apply; the locale's voice reads numbers itself.
+ *
+ * `node textNormalizer.js --check` runs CHECKS (input → expected plain text).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const LEXICON_PATH = path.join(ROOT_DIR, 'data/lexicon.json');
+
+const CODE_BLOCK_SPOKEN = 'the code on screen';
+
+const ABBREVIATIONS = [
+  [/\be\.g\.,?/gi, 'for example,'],
+  [/\bi\.e\.,?/gi, 'that is,'],
+  [/\betc\./gi, 'et cetera'],
+  [/\bvs\.?(?=\s)/gi, 'versus'],
+  [/\bw\/(?=\s)/gi, 'with'],
+  [/\bapprox\./gi, 'approximately']
+];
+
+// Number + unit → unit words [singular, plural]; matched case-sensitively
+const UNITS = {
+  ms: ['millisecond', 'milliseconds'], s: ['second', 'seconds'], sec: ['second', 'seconds'], secs: ['seconds', 'seconds'],
+  min: ['minute', 'minutes'], mins: ['minutes', 'minutes'], h: ['hour', 'hours'], hr: ['hour', 'hours'], hrs: ['hours', 'hours'],
+  mm: ['millimeter', 'millimeters'], cm: ['centimeter', 'centimeters'], km: ['kilometer', 'kilometers'],
+  mg: ['milligram', 'milligrams'], g: ['gram', 'grams'], kg: ['kilogram', 'kilograms'], lb: ['pound', 'pounds'], lbs: ['pounds', 'pounds'],
+  KB: ['kilobyte', 'kilobytes'], MB: ['megabyte', 'megabytes'], GB: ['gigabyte', 'gigabytes'], TB: ['terabyte', 'terabytes'],
+  Hz: ['hertz', 'hertz'], kHz: ['kilohertz', 'kilohertz'], MHz: ['megahertz', 'megahertz'], GHz: ['gigahertz', 'gigahertz'],
+  '°C': ['degree Celsius', 'degrees Celsius'], '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+  x: ['times', 'times'], k: ['thousand', 'thousand'], K: ['thousand', 'thousand'], M: ['million', 'million'], B: ['billion', 'billion'], bn: ['billion', 'billion']
+};
+
+const SCALES = { k: 'thousand', K: 'thousand', thousand: 'thousand', M: 'million', m: 'million', million: 'million', B: 'billion', bn: 'billion', billion: 'billion' };
+const CURRENCIES = { $: ['dollar', 'dollars', 'cent', 'cents'], '€': ['euro', 'euros', 'cent', 'cents'], '£': ['pound', 'pounds', 'penny', 'pence'], '₹': ['rupee', 'rupees', 'paisa', 'paise'] };
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve',
+  'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const GROUPS = ['', 'thousand', 'million', 'billion', 'trillion'];
+const ORDINAL_WORDS = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+// Written → spoken pairs the English rules must keep producing
+const CHECKS = [
+  ['Takes 5-10 min', 'Takes five to ten minutes'],
+  ['3–4 days, 10,000-50,000 users', 'three to four days, ten thousand to fifty thousand users'],
+  ['from 1990-2024', 'from nineteen ninety to twenty twenty-four'],
+  ['Released 2024-05-01.', 'Released May first, twenty twenty-four.'],
+  ['Call 555-1234 now', 'Call five five five, one two three four now'],
+  ['Ticket 4111-0000-1234', 'Ticket four one one one, zero zero zero zero, one two three four'],
+  ['ID 007-42', 'ID zero zero seven, four two'],
+  ['$1.2M at 35% in 2024', 'one point two million dollars at thirty-five percent in twenty twenty-four']
+];
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isEnglish(locale) {
+  return !locale || /^en(\b|[-_])/i.test(locale);
+}
+
+/**
+ * data/lexicon.json (empty lexicon when absent)
+ */
+function loadLexicon(configPath = LEXICON_PATH) {
+  let raw = {};
+  if (fs.existsSync(configPath)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+      console.error(`   Lexicon error: ${error.message}`);
+    }
+  }
+  return { terms: raw.terms || {}, courses: raw.courses || {}, locales: raw.locales || {} };
+}
+
+/**
+ * Term → spoken form for a course: project terms with the course's on top;
+ * other locales use locales[locale] (or its language, 'pt' for 'pt-BR') alone
+ */
+function lexiconFor(courseId = null, locale = null, config = loadLexicon()) {
+  if (!isEnglish(locale)) return { ...config.locales[locale.split(/[-_]/)[0]], ...config.locales[locale] };
+  return { ...config.terms, ...(courseId ? config.courses[courseId] : null) };
+}
+
+/**
+ * 1234 → 'one thousand two hundred thirty-four' (digit by digit past trillions)
+ */
+function numberToWords(n) {
+  n = Math.floor(Math.abs(n));
+  if (n < 20) return ONES[n];
+  if (n < 100) return TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : '');
+  if (n < 1000) return `${ONES[Math.floor(n / 100)]} hundred${n % 100 ? ` ${numberToWords(n % 100)}` : ''}`;
+  if (n >= 1e15) return String(n).split('').map(d => ONES[d]).join(' ');
+
+  const words = [];
+  for (let group = GROUPS.length - 1; group >= 0; group--) {
+    const value = Math.floor(n / 1000 ** group) % 1000;
+    if (value) words.push(`${numberToWords(value)}${GROUPS[group] ? ` ${GROUPS[group]}` : ''}`);
+  }
+  return words.join(' ');
+}
+
+/**
+ * '3.05' → 'three point zero five', '-2' → 'minus two'
+ */
+function decimalToWords(text) {
+  const [whole, fraction] = String(text).replace(/,/g, '').split('.');
+  const sign = whole.startsWith('-') ? 'minus ' : '';
+  const spoken = sign + numberToWords(parseInt(whole.replace('-', ''), 10) || 0);
+  return fraction ? `${spoken} point ${fraction.split('').map(d => ONES[d]).join(' ')}` : spoken;
+}
+
+function ordinalToWords(n) {
+  const words = numberToWords(n).split(/([ -])/);
+  const last = words.pop();
+  const ordinal = ORDINAL_WORDS[last] || (last.endsWith('y') ? `${last.slice(0, -1)}ieth` : `${last}th`);
+  return [...words, ordinal].join('');
+}
+
+/**
+ * 2024 → 'twenty twenty-four', 2005 → 'two thousand five', 1990 → 'nineteen ninety'
+ */
+function yearToWords(year) {
+  const [high, low] = [Math.floor(year / 100), year % 100];
+  if (year % 1000 < 10 && high % 10 === 0) return numberToWords(year);
+  return `${numberToWords(high)} ${low === 0 ? 'hundred' : low < 10 ? `oh ${ONES[low]}` : numberToWords(low)}`;
+}
+
+/**
+ * '555-1234' → 'five five five, one two three four'
+ */
+function digitGroupsToWords(text) {
+  return text.split('-').map(group => group.split('').map(d => ONES[d]).join(' ')).join(', ');
+}
+
+/**
+ * Hyphenated digits that are not a range: three or more groups, a group
+ * with a leading zero or longer than four digits, or a 555-1234 phone number
+ */
+function isDigitGroups(text) {
+  const groups = text.split('-');
+  return groups.length > 2 || /^\d{3}-\d{4}$/.test(text) || groups.some(g => (g.length > 1 && g.startsWith('0')) || g.length > 4);
+}
+
+/**
+ * `df.head()` → 'df dot head' — identifiers split, operators spoken
+ */
+function speakCode(code) {
+  return code
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/\(\)/g, '')
+    .replace(/===?/g, ' equals ')
+    .replace(/!=/g, ' not equal to ')
+    .replace(/=>/g, ' arrow ')
+    .replace(/[.]/g, ' dot ')
+    .replace(/_/g, ' underscore ')
+    .replace(/\//g, ' slash ')
+    .replace(/[()[\]{}"'`;:,<>]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function expandCode(text) {
+  return text
+    .replace(/```[\s\S]*?```/g, ` ${CODE_BLOCK_SPOKEN}. `)
+    .replace(/`([^`]+)`/g, (_, code) => speakCode(code))
+    .replace(/\bhttps?:\/\/(?:www\.)?([^\s)]+?)(?=[.,;:!?)]?(?:\s|$))/g, (_, url) => speakCode(url.replace(/\/$/, '')))
+    .replace(/\b([\w.+-]+)@([\w-]+(?:\.[\w-]+)+)\b/g, (_, user, domain) => `${speakCode(user)} at ${speakCode(domain)}`);
+}
+
+/**
+ * Lexicon terms, longest first; all-caps terms also match their plural (LLMs)
+ */
+function applyLexicon(text, lexicon = {}) {
+  const terms = Object.keys(lexicon).sort((a, b) => b.length - a.length);
+  for (const term of terms) {
+    const plural = /^[A-Z0-9]+$/.test(term) ? '(s?)' : '()';
+    const pattern = new RegExp(`(?<![\\w])${escapeRegExp(term)}${plural}(?![\\w])`, 'g');
+    text = text.replace(pattern, (_, s) => lexicon[term] + s);
+  }
+  return text;
+}
+
+function expandNumbers(text) {
+  const number = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?';
+  const unitPattern = Object.keys(UNITS).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  const plural = (value) => parseFloat(String(value).replace(/,/g, '')) !== 1;
+
+  return text
+    // 2024-05-01 (ISO dates), before anything reads the hyphens as ranges
+    .replace(/(?<![\w.-])(\d{4})-(\d{2})-(\d{2})(?![\w-]|\.\d)/g, (match, year, month, day) => {
+      if (month < 1 || month > 12 || day < 1 || day > 31) return digitGroupsToWords(match);
+      return `${MONTHS[month - 1]} ${ordinalToWords(parseInt(day, 10))}, ${yearToWords(parseInt(year, 10))}`;
+    })
+    // 555-1234, 4111-0000-1234 (phone numbers, IDs) — read digit by digit
+    .replace(/(?<![\w.,-])\d+(?:-\d+)+(?![\w,-]|\.\d)/g, (match) => isDigitGroups(match) ? digitGroupsToWords(match) : match)
+    // $1.2M, €5 billion, £4.99
+    .replace(new RegExp(`([$€£₹])\\s?(${number})(?:\\s?(k|K|M|m|B|bn|thousand|million|billion)\\b)?`, 'g'), (_, symbol, value, scale) => {
+      const [one, many, subOne, subMany] = CURRENCIES[symbol];
+      if (scale) return `${decimalToWords(value)} ${SCALES[scale]} ${many}`;
+      const [whole, cents] = value.replace(/,/g, '').split('.');
+      const main = `${numberToWords(parseInt(whole, 10))} ${whole === '1' ? one : many}`;
+      if (!cents || /^0+$/.test(cents)) return main;
+      const sub = parseInt(cents.padEnd(2, '0').slice(0, 2), 10);
+      return `${main} and ${numberToWords(sub)} ${sub === 1 ? subOne : subMany}`;
+    })
+    // 5-10, 3–4 (ranges)
+    .replace(new RegExp(`(?<![\\w.])(${number})\\s?[-–]\\s?(${number})(?![\\w.]*\\d)`, 'g'), (_, a, b) => `${a} to ${b}`)
+    // 50%, 99.9 %
+    .replace(new RegExp(`(${number})\\s?%`, 'g'), (_, value) => `${decimalToWords(value)} percent`)
+    // 1st, 22nd
+    .replace(/\b(\d+)(?:st|nd|rd|th)\b/g, (_, n) => ordinalToWords(parseInt(n, 10)))
+    // 10ms, 5 km/h, 3x
+    .replace(new RegExp(`(?<![\\w.])(${number})\\s?(${unitPattern})(?:\\/(${unitPattern}))?(?![\\w°])`, 'g'), (_, value, unit, per) => {
+      const spoken = `${decimalToWords(value)} ${UNITS[unit][plural(value) ? 1 : 0]}`;
+      return per ? `${spoken} per ${UNITS[per][0]}` : spoken;
+    })
+    // 1990, 2024 — years read as years
+    .replace(/(?<![\w.,])(19\d{2}|20\d{2})(?![\w.,]\d|\d)/g, (_, year) => yearToWords(parseInt(year, 10)))
+    // -3, 1,250, 3.14, 42
+    .replace(new RegExp(`(?<![\\w.])(-?(?:${number}))(?![\\w]|\\.\\d)`, 'g'), (_, value) => decimalToWords(value));
+}
+
+function expandSymbols(text) {
+  let out = text;
+  for (const [pattern, spoken] of ABBREVIATIONS) out = out.replace(pattern, spoken);
+  return out
+    .replace(/\s?(?:->|→|⇒)\s?/g, ' to ')
+    .replace(/\s?&\s?/g, ' and ')
+    .replace(/\s@\s/g, ' at ')
+    .replace(/\s\+\s/g, ' plus ')
+    .replace(/\s=\s/g, ' equals ')
+    .replace(/(\d)\s?[x×]\s?(?=\d)/g, '$1 times ')
+    .replace(/\s?×\s?/g, ' times ')
+    .replace(/[~≈]\s?(?=[\w$€£₹])/g, 'about ')
+    .replace(/#(?=\d)/g, 'number ');
+}
+
+/**
+ * Written text → spoken text, keeping *emphasis* markers and line breaks
+ */
+function expand(text, lexicon, locale) {
+  if (!isEnglish(locale)) return applyLexicon(String(text || ''), lexicon).replace(/^#+\s*/gm, '').replace(/[ \t]+/g, ' ').trim();
+  let out = expandCode(String(text || ''));
+  out = applyLexicon(out, lexicon);
+  out = expandSymbols(out);
+  out = expandNumbers(out)
+    .replace(/([a-z])\/([a-z])/gi, '$1 or $2')
+    .replace(/\s?°/g, ' degrees');
+  return out
+    .replace(/^#+\s*/gm, '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ ([,.;:!?])/g, '$1')
+    .trim();
+}
+
+/**
+ * Plain normalized text (Chatterbox) — options: { lexicon, locale }
+ */
+function normalizeText(text, options = {}) {
+  const { locale = null, lexicon = lexiconFor(null, locale) } = options;
+  return expand(text, lexicon, locale)
+    .replace(/\*\*(\S(?:[^*]*\S)?)\*\*|\*(\S(?:[^*]*\S)?)\*/g, (_, strong, em) => strong || em)
+    .replace(/\s?(?:—|–| -- )\s?/g, ', ')
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * SSML fragment (Edge TTS) — paragraph and dash pauses, *emphasis* —
+ * options: { lexicon, locale, paragraphPause, dashPause } (ms)
+ */
+function toSsml(text, options = {}) {
+  const { locale = null, lexicon = lexiconFor(null, locale), paragraphPause = 600, dashPause = 250 } = options;
+  return escapeXml(expand(text, lexicon, locale))
+    .replace(/\*\*(\S(?:[^*]*\S)?)\*\*/g, '<emphasis level="strong">$1</emphasis>')
+    .replace(/\*(\S(?:[^*]*\S)?)\*/g, '<emphasis level="moderate">$1</emphasis>')
+    .replace(/\s?(?:—|–| -- )\s?/g, ` <break time="${dashPause}ms"/> `)
+    .replace(/\.{3}|…/g, `<break time="${dashPause}ms"/>`)
+    .replace(/\s*\n\s*\n\s*/g, ` <break time="${paragraphPause}ms"/> `)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Run CHECKS with an empty lexicon — returns the failures as { input, expected, actual }
+ */
+function runChecks() {
+  return CHECKS
+    .map(([input, expected]) => ({ input, expected, actual: normalizeText(input, { lexicon: {} }) }))
+    .filter(c => c.actual !== c.expected);
+}
+
+// CLI: node textNormalizer.js "text" [courseId] [locale] — print both forms
+//      node textNormalizer.js --check — run CHECKS
+if (require.main === module && process.argv[2] === '--check') {
+  const failures = runChecks();
+  failures.forEach(f => console.log(`   FAIL  ${f.input}\n         expected: ${f.expected}\n         got:      ${f.actual}`));
+  console.log(`\n   TEXT NORMALIZER: ${CHECKS.length - failures.length}/${CHECKS.length} checks passed`);
+  process.exit(failures.length ? 1 : 0);
+} else if (require.main === module) {
+  const [text = 'LLMs cut review time by 35% in 2024 — see `df.head()` for the first 5 rows (~$1.2M saved, 3-5 days).', courseId] = process.argv.slice(2);
+  const locale = process.argv[4] || null;
+  const lexicon = lexiconFor(courseId, locale);
+  console.log('\n   TEXT NORMALIZER\n');
+  console.log(`   Input: ${text}`);
+  console.log(`   Plain: ${normalizeText(text, { lexicon, locale })}`);
+  console.log(`   SSML:  ${toSsml(text, { lexicon, locale })}`);
+}
+
+module.exports = { normalizeText, toSsml, lexiconFor, loadLexicon, isEnglish, applyLexicon, numberToWords, speakCode, runChecks };
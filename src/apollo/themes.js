@@ -0,0 +1,172 @@
+/**
+ * THEMES — one visual identity per course across every deliverable
+ *
+ * A theme is a palette, font stacks, an optional logo and a background
+ * style. slideforge (PPTX + thumbnail), the FFmpeg SVG templates, the
+ * Remotion compositions and the cheatsheet PDF all take their colours from
+ * the resolved theme, so a course looks the same everywhere.
+ *
+ * Selection comes from data/themes.json:
+ *   courses[courseId] → categories[category] → default
+ * categoryAccents[category] then replaces the theme's accent colour, and
+ * themes{} adds custom themes ({ extends: 'classic', palette: {...}, logo }).
+ * Category keys are matched case-insensitively.
+ *
+ * Background styles: orbs (gradient + soft circles), gradient, solid.
+ * Logos must be PNG or JPEG — the only formats every consumer can embed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadCategoryConfig, resolveForCourse, normalizeKey, normalizeMap } = require('./categoryConfig');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const CONFIG_PATH = path.join(ROOT_DIR, 'data/themes.json');
+const DEFAULT_THEME = 'midnight';
+
+const THEMES = {
+  // The purple 4K look of the FFmpeg slides
+  midnight: {
+    label: 'Midnight',
+    background: 'orbs',
+    logo: null,
+    fonts: { heading: 'Segoe UI, Helvetica, Arial', body: 'Segoe UI, Helvetica, Arial', mono: 'Consolas, Menlo, DejaVu Sans Mono, monospace', quote: 'Georgia, serif', print: 'Helvetica' },
+    palette: {
+      background: '#0f0c29', backgroundAlt: '#1a1145', surface: '#ffffff', shadow: '#0a0820',
+      text: '#ffffff', body: '#ddd6fe', highlight: '#c4b5fd', subtle: '#a5b4fc', muted: '#6366a0',
+      primary: '#7c3aed', secondary: '#1e40af', accent: '#8b5cf6', accentLight: '#a78bfa', accentAlt: '#3b82f6',
+      codeBackground: '#1e1e1e', codeText: '#e2e8f0', success: '#22c55e', danger: '#ef4444'
+    }
+  },
+  // Navy and orange — the original PPTX / Remotion colours
+  classic: {
+    label: 'Classic',
+    background: 'gradient',
+    logo: null,
+    fonts: { heading: 'Arial, Helvetica', body: 'Arial, Helvetica', mono: 'Courier New, monospace', quote: 'Georgia, serif', print: 'Helvetica' },
+    palette: {
+      background: '#1a1a2e', backgroundAlt: '#16213e', surface: '#ffffff', shadow: '#0f0f1c',
+      text: '#ffffff', body: '#e5e7eb', highlight: '#f6bd8e', subtle: '#aaaaaa', muted: '#8a8aa0',
+      primary: '#e76f51', secondary: '#16213e', accent: '#f4a261', accentLight: '#f6bd8e', accentAlt: '#e76f51',
+      codeBackground: '#0d0d0d', codeText: '#e2e8f0', success: '#2a9d8f', danger: '#e63946'
+    }
+  },
+  // Light background for print-leaning topics
+  daylight: {
+    label: 'Daylight',
+    background: 'solid',
+    logo: null,
+    fonts: { heading: 'Segoe UI, Helvetica, Arial', body: 'Segoe UI, Helvetica, Arial', mono: 'Consolas, Menlo, DejaVu Sans Mono, monospace', quote: 'Georgia, serif', print: 'Helvetica' },
+    palette: {
+      background: '#f8fafc', backgroundAlt: '#e2e8f0', surface: '#0f172a', shadow: '#e2e8f0',
+      text: '#0f172a', body: '#1e293b', highlight: '#0369a1', subtle: '#475569', muted: '#64748b',
+      primary: '#0284c7', secondary: '#0369a1', accent: '#0ea5e9', accentLight: '#38bdf8', accentAlt: '#6366f1',
+      codeBackground: '#1e1e1e', codeText: '#e2e8f0', success: '#16a34a', danger: '#dc2626'
+    }
+  }
+};
+
+/**
+ * data/themes.json (see categoryConfig) with categoryAccents keys normalized too
+ */
+function loadThemeConfig(configPath = CONFIG_PATH) {
+  const config = loadCategoryConfig(configPath);
+  return {
+    ...config,
+    default: config.default || DEFAULT_THEME,
+    categoryAccents: normalizeMap(config.categoryAccents),
+    themes: config.themes || {}
+  };
+}
+
+/**
+ * A named theme, following `extends` chains for custom themes
+ */
+function getTheme(name, config = loadThemeConfig(), seen = []) {
+  const custom = config.themes[name];
+  if (custom && !seen.includes(name)) {
+    const base = getTheme(custom.extends || config.default, config, [...seen, name]);
+    return {
+      ...base, ...custom,
+      fonts: { ...base.fonts, ...custom.fonts },
+      palette: { ...base.palette, ...custom.palette }
+    };
+  }
+  if (THEMES[name]) return THEMES[name];
+  if (name !== DEFAULT_THEME) console.log(`   Unknown theme "${name}", using ${DEFAULT_THEME}`);
+  return THEMES[DEFAULT_THEME];
+}
+
+/**
+ * Resolve the theme for a course — selector: { courseId, category, theme }
+ *
+ * Also accepts a theme name, or an already resolved theme (returned as is).
+ */
+function resolveTheme(selector = {}, config = loadThemeConfig()) {
+  if (selector?.palette) return selector;
+  const { courseId = null, category = null, theme = null } = typeof selector === 'string' ? { theme: selector } : selector;
+  const name = theme || resolveForCourse(config, { courseId, category });
+  const base = getTheme(name, config);
+  const accent = config.categoryAccents[normalizeKey(category)];
+
+  return {
+    name, ...base,
+    extends: undefined,
+    category: category || null,
+    palette: accent ? { ...base.palette, accent } : base.palette
+  };
+}
+
+/**
+ * Theme for a generated course from its content.json (courseId + category)
+ */
+function themeForContent(courseContent, theme = null) {
+  return resolveTheme(theme || { courseId: courseContent?._meta?.courseId, category: courseContent?.metadata?.category });
+}
+
+/**
+ * '#f4a261' → 'F4A261' (pptxgenjs colours)
+ */
+function hex(color) {
+  return String(color).replace('#', '').toUpperCase();
+}
+
+/**
+ * '#f4a261' → { r, g, b } in 0..1 (pdf-lib rgb())
+ */
+function rgbOf(color) {
+  const h = hex(color).replace(/^(.)(.)(.)$/, '$1$1$2$2$3$3');
+  return { r: parseInt(h.slice(0, 2), 16) / 255, g: parseInt(h.slice(2, 4), 16) / 255, b: parseInt(h.slice(4, 6), 16) / 255 };
+}
+
+/**
+ * First family of a CSS font stack (PPTX takes a single face)
+ */
+function fontFace(stack) {
+  return String(stack || 'Arial').split(',')[0].trim();
+}
+
+/**
+ * The theme's logo as { path, mime, buffer, dataUri } (null when unset or unreadable)
+ */
+function loadLogo(theme) {
+  if (!theme?.logo) return null;
+  const file = path.isAbsolute(theme.logo) ? theme.logo : path.join(ROOT_DIR, theme.logo);
+  const mime = /\.png$/i.test(file) ? 'image/png' : /\.jpe?g$/i.test(file) ? 'image/jpeg' : null;
+  if (!mime || !fs.existsSync(file)) {
+    console.log(`   Theme logo skipped: ${theme.logo} (${mime ? 'not found' : 'PNG or JPEG only'})`);
+    return null;
+  }
+  const buffer = fs.readFileSync(file);
+  return { path: file, mime, buffer, dataUri: `data:${mime};base64,${buffer.toString('base64')}` };
+}
+
+// CLI: node themes.js [courseId] [category] — print the resolved theme
+if (require.main === module) {
+  const [courseId, ...category] = process.argv.slice(2);
+  const theme = resolveTheme({ courseId, category: category.join(' ') || null });
+  console.log(`\n   THEMES — ${Object.keys(THEMES).join(', ')}${Object.keys(loadThemeConfig().themes).map(t => `, ${t}`).join('')}\n`);
+  console.log(JSON.stringify(theme, null, 2));
+}
+
+module.exports = { THEMES, DEFAULT_THEME, resolveTheme, themeForContent, getTheme, loadThemeConfig, loadLogo, hex, rgbOf, fontFace };
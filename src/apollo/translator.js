@@ -0,0 +1,157 @@
+/**
+ * TRANSLATOR — Course content localization via the LLM layer
+ *
+ * Uses the "translate" stage provider (LLM_PROVIDER_TRANSLATE) unless
+ * options.provider / options.model override it.
+ *
+ * Every translatable string of content.json is collected under its JSON
+ * Pointer ("/sections/0/lectures/1/script/opening"), sent in batches and
+ * written back as a patch onto a copy of the course — structure, numbering,
+ * enums, timestamps, code slides and _meta never go through the model.
+ * A key the model drops is retried once, then kept in English and listed
+ * in the report.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { generateJson } = require('../llm');
+const { repairAndValidate, formatSchemaErrors } = require('../llm/schemas');
+const { buildTranslationPrompt } = require('../llm/prompts/goldenBulletPrompt');
+const { applyJsonPatch } = require('../scripts/courseOptimizer');
+
+const SOURCE_LOCALE = 'en';
+const LOCALES = {
+  es: 'Spanish', 'es-MX': 'Mexican Spanish', fr: 'French', de: 'German', it: 'Italian',
+  pt: 'Brazilian Portuguese', 'pt-PT': 'European Portuguese', nl: 'Dutch', pl: 'Polish',
+  tr: 'Turkish', ar: 'Arabic', hi: 'Hindi', ja: 'Japanese', ko: 'Korean',
+  zh: 'Simplified Chinese', id: 'Indonesian'
+};
+// Machine-read fields — enums, answer keys, timestamps, lookup keys
+const KEEP_KEYS = ['_meta', 'visualType', 'type', 'correctAnswer', 'difficulty', 'timestamp', 'category', 'colors'];
+const BATCH_CHARS = 8000;
+
+/**
+ * Language name for a locale ("es-MX" → "Mexican Spanish", unknown → null)
+ */
+function languageFor(locale) {
+  return LOCALES[locale] || LOCALES[String(locale).split(/[-_]/)[0]] || null;
+}
+
+function escapeToken(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Translatable strings of a course as { pointer: text }
+ */
+function collectStrings(node, pointer = '', out = {}) {
+  if (typeof node === 'string') {
+    if (/\p{L}/u.test(node)) out[pointer] = node;
+  } else if (Array.isArray(node)) {
+    node.forEach((item, i) => collectStrings(item, `${pointer}/${i}`, out));
+  } else if (node && typeof node === 'object') {
+    Object.entries(node).forEach(([key, value]) => {
+      if (KEEP_KEYS.includes(key)) return;
+      if (key === 'content' && node.visualType === 'code') return;
+      collectStrings(value, `${pointer}/${escapeToken(key)}`, out);
+    });
+  }
+  return out;
+}
+
+/**
+ * Split { pointer: text } into batches of about maxChars
+ */
+function batchStrings(strings, maxChars = BATCH_CHARS) {
+  const batches = [];
+  let current = {};
+  let size = 0;
+  Object.entries(strings).forEach(([pointer, text]) => {
+    if (size > 0 && size + text.length > maxChars) {
+      batches.push(current);
+      current = {};
+      size = 0;
+    }
+    current[pointer] = text;
+    size += text.length;
+  });
+  if (size > 0) batches.push(current);
+  return batches;
+}
+
+async function translateBatch(batch, options) {
+  const { locale, language, title, provider, model } = options;
+  const result = await generateJson(buildTranslationPrompt(batch, { language, locale, title }), { stage: 'translate', provider, model });
+  const parsed = result.parsedContent && typeof result.parsedContent === 'object' ? result.parsedContent : {};
+  const translated = Object.fromEntries(Object.keys(batch)
+    .filter(k => typeof parsed[k] === 'string' && parsed[k].trim())
+    .map(k => [k, parsed[k]]));
+  return { translated, tokensUsed: result.tokensUsed?.total || 0, provider: result.provider, error: result.success ? null : result.error };
+}
+
+function sourceHash(courseContent) {
+  const { _meta, ...content } = courseContent;
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Translate a finished course into a locale — returns { success, content, report }
+ */
+async function translateCourse(courseContent, locale, options = {}) {
+  const language = languageFor(locale);
+  if (!language) return { success: false, error: `Unsupported locale "${locale}" (${Object.keys(LOCALES).join(', ')})` };
+
+  const strings = collectStrings(courseContent);
+  const batches = batchStrings(strings, options.batchChars || BATCH_CHARS);
+  const title = courseContent.metadata?.title;
+  console.log(`\n   TRANSLATOR: ${Object.keys(strings).length} strings → ${language} (${batches.length} batches)`);
+
+  const settings = { ...options, locale, language, title };
+  const results = await Promise.all(batches.map(batch => translateBatch(batch, settings)));
+  const translated = Object.assign({}, ...results.map(r => r.translated));
+  let tokensUsed = results.reduce((sum, r) => sum + r.tokensUsed, 0);
+
+  const missing = Object.fromEntries(Object.entries(strings).filter(([k]) => !translated[k]));
+  if (Object.keys(missing).length > 0) {
+    console.log(`   ${Object.keys(missing).length} string(s) missing, retrying...`);
+    const retries = await Promise.all(batchStrings(missing, options.batchChars || BATCH_CHARS).map(batch => translateBatch(batch, settings)));
+    Object.assign(translated, ...retries.map(r => r.translated));
+    tokensUsed += retries.reduce((sum, r) => sum + r.tokensUsed, 0);
+  }
+
+  const untranslated = Object.keys(strings).filter(k => !translated[k]);
+  const errors = [...new Set(results.map(r => r.error).filter(Boolean))];
+  if (untranslated.length === Object.keys(strings).length) {
+    return { success: false, error: errors[0] || 'No strings translated' };
+  }
+
+  const patched = applyJsonPatch(courseContent, Object.entries(translated).map(([path, value]) => ({ op: 'replace', path, value })));
+  const checked = repairAndValidate(patched);
+  if (checked.repairs.length > 0) console.log(`   Schema: ${checked.repairs.length} repair(s) applied`);
+  if (!checked.valid) formatSchemaErrors(checked.errors, 5).forEach(e => console.log(`     ${e}`));
+
+  const content = checked.content;
+  content._meta = {
+    ...courseContent._meta,
+    locale,
+    sourceLocale: courseContent._meta?.locale || SOURCE_LOCALE,
+    sourceHash: sourceHash(courseContent),
+    localizedAt: new Date().toISOString(),
+    translationProvider: results.find(r => r.provider)?.provider || null
+  };
+
+  const report = {
+    locale, language,
+    strings: Object.keys(strings).length,
+    batches: batches.length,
+    translated: Object.keys(strings).length - untranslated.length,
+    untranslated,
+    tokensUsed,
+    schemaErrors: checked.valid ? [] : formatSchemaErrors(checked.errors, 10)
+  };
+  console.log(`   Translated: ${report.translated}/${report.strings}${untranslated.length ? ` (${untranslated.length} kept in English)` : ''}`);
+
+  return { success: checked.valid, content, report, error: checked.valid ? null : 'Translated content fails the schema' };
+}
+
+module.exports = { LOCALES, SOURCE_LOCALE, languageFor, collectStrings, batchStrings, translateCourse, sourceHash };
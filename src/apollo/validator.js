@@ -1,8 +1,11 @@
 /**
- * VALIDATOR — Quick structure validation
+ * VALIDATOR — Quick structure validation + full schema validation
+ *
+ * Usage: node validator.js <path/to/content.json>
  */
 
 const fs = require('fs');
+const { validateCourseContent, repairCourseContent, formatSchemaErrors } = require('../llm/schemas');
 
 function validateCourseData(content) {
   const issues = [];
@@ -17,6 +20,14 @@ function validateCourseData(content) {
   return { valid: issues.length === 0, issues };
 }
 
+/**
+ * Validate against courseContent.schema.json — one issue per offending path
+ */
+function validateCourseSchema(content) {
+  const { valid, errors } = validateCourseContent(content);
+  return { valid, errors, issues: errors.map(e => `${e.path}: ${e.message}`) };
+}
+
 function validateProduction(outputDir) {
   const issues = [];
   const check = (file, label) => { if (!fs.existsSync(file)) issues.push(`Missing ${label}`); };
@@ -28,4 +39,27 @@ function validateProduction(outputDir) {
   return { valid: issues.length === 0, issues };
 }
 
-module.exports = { validateCourseData, validateProduction };
+if (require.main === module) {
+  const file = process.argv[2];
+  if (!file || !fs.existsSync(file)) {
+    console.error('Usage: node validator.js <path/to/content.json>');
+    process.exit(1);
+  }
+
+  const content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const { repairs } = repairCourseContent(content);
+  const schema = validateCourseSchema(content);
+  const quick = validateCourseData(content);
+
+  console.log(`\n   VALIDATOR: ${file}\n`);
+  console.log(`   Schema: ${schema.valid ? 'VALID' : `${schema.errors.length} error(s)`}`);
+  formatSchemaErrors(schema.errors, 50).forEach(e => console.log(`     ✗ ${e}`));
+  if (repairs.length > 0) {
+    console.log(`   Auto-repair would apply ${repairs.length} fix(es):`);
+    repairs.forEach(r => console.log(`     ~ ${r.path}: ${r.action}`));
+  }
+  console.log(`   Structure: ${quick.valid ? 'OK' : quick.issues.join('; ')}`);
+  process.exit(schema.valid && quick.valid ? 0 : 1);
+}
+
+module.exports = { validateCourseData, validateCourseSchema, validateProduction };
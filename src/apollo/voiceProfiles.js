@@ -0,0 +1,179 @@
+/**
+ * VOICE PROFILES — who narrates a course
+ *
+ * A profile bundles everything that shapes a voice:
+ *   engine        chatterbox (cloned from a reference clip) | edge-tts
+ *   reference     reference clip under data/ (Chatterbox)
+ *   exaggeration  0 = closest to the reference, 1 = most expressive
+ *   cfg           higher = more faithful to the reference (3-7)
+ *   voice         Edge TTS voice (edge-tts profiles)
+ *   fallback      Edge TTS voice when Chatterbox is unreachable
+ *   partner       the second voice of a dialogue-mode lecture
+ *
+ * Selection comes from data/voices.json:
+ *   courses[courseId] → categories[category] → default
+ * profiles{} adds custom profiles ({ extends: 'narrator', reference, cfg }).
+ * Category keys are matched case-insensitively.
+ *
+ * Any Edge voice is also a profile by name: "edge:es-ES-AlvaroNeural".
+ * A non-English locale (localized courses) picks locales[locale] from
+ * voices.json, else the built-in LOCALE_VOICES pair — the cloned voice
+ * only speaks English.
+ *
+ * The Colab server looks a reference up by its path under data/, downloading
+ * it from the repo on first use — commit new clips before pointing at them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadCategoryConfig, resolveForCourse } = require('./categoryConfig');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const DATA_DIR = path.join(ROOT_DIR, 'data');
+const CONFIG_PATH = path.join(DATA_DIR, 'voices.json');
+const DEFAULT_PROFILE = 'narrator';
+
+const PROFILES = {
+  // The course author's cloned voice
+  narrator: {
+    label: 'Narrator (voice clone)',
+    engine: 'chatterbox', reference: 'data/voice-reference.wav', exaggeration: 0.3, cfg: 5.0,
+    fallback: 'en-US-GuyNeural', partner: 'jenny'
+  },
+  // A livelier take on the clone for role-plays and storytelling
+  storyteller: {
+    label: 'Storyteller (voice clone, expressive)',
+    engine: 'chatterbox', reference: 'data/voice-reference.wav', exaggeration: 0.6, cfg: 4.0,
+    fallback: 'en-US-GuyNeural', partner: 'jenny'
+  },
+  guy: { label: 'Guy (Edge)', engine: 'edge-tts', voice: 'en-US-GuyNeural', partner: 'jenny' },
+  jenny: { label: 'Jenny (Edge)', engine: 'edge-tts', voice: 'en-US-JennyNeural', partner: 'guy' },
+  aria: { label: 'Aria (Edge)', engine: 'edge-tts', voice: 'en-US-AriaNeural', partner: 'guy' },
+  davis: { label: 'Davis (Edge)', engine: 'edge-tts', voice: 'en-US-DavisNeural', partner: 'aria' }
+};
+
+// Edge voices per language: [course voice, dialogue partner]
+const LOCALE_VOICES = {
+  es: ['es-ES-AlvaroNeural', 'es-ES-ElviraNeural'],
+  'es-MX': ['es-MX-JorgeNeural', 'es-MX-DaliaNeural'],
+  fr: ['fr-FR-HenriNeural', 'fr-FR-DeniseNeural'],
+  de: ['de-DE-ConradNeural', 'de-DE-KatjaNeural'],
+  it: ['it-IT-DiegoNeural', 'it-IT-ElsaNeural'],
+  pt: ['pt-BR-AntonioNeural', 'pt-BR-FranciscaNeural'],
+  'pt-PT': ['pt-PT-DuarteNeural', 'pt-PT-RaquelNeural'],
+  nl: ['nl-NL-MaartenNeural', 'nl-NL-ColetteNeural'],
+  pl: ['pl-PL-MarekNeural', 'pl-PL-ZofiaNeural'],
+  tr: ['tr-TR-AhmetNeural', 'tr-TR-EmelNeural'],
+  ar: ['ar-SA-HamedNeural', 'ar-SA-ZariyahNeural'],
+  hi: ['hi-IN-MadhurNeural', 'hi-IN-SwaraNeural'],
+  ja: ['ja-JP-KeitaNeural', 'ja-JP-NanamiNeural'],
+  ko: ['ko-KR-InJoonNeural', 'ko-KR-SunHiNeural'],
+  zh: ['zh-CN-YunxiNeural', 'zh-CN-XiaoxiaoNeural'],
+  id: ['id-ID-ArdiNeural', 'id-ID-GadisNeural']
+};
+
+/**
+ * data/voices.json (see categoryConfig) with locales{} and profiles{} filled in
+ */
+function loadVoiceConfig(configPath = CONFIG_PATH) {
+  const config = loadCategoryConfig(configPath);
+  return {
+    ...config,
+    default: config.default || DEFAULT_PROFILE,
+    locales: config.locales || {},
+    profiles: config.profiles || {}
+  };
+}
+
+/**
+ * "edge:<voice>" — an Edge voice as a profile, partnered with its LOCALE_VOICES pair
+ */
+function edgeProfile(voice) {
+  const pair = Object.values(LOCALE_VOICES).find(p => p.includes(voice));
+  return {
+    label: `${voice} (Edge)`, engine: 'edge-tts', voice,
+    partner: pair ? `edge:${pair[1 - pair.indexOf(voice)]}` : undefined
+  };
+}
+
+/**
+ * Profile name for a non-English locale (null for English)
+ */
+function localeProfile(locale, config = loadVoiceConfig()) {
+  if (!locale || /^en(\b|[-_])/i.test(locale)) return null;
+  const language = locale.split(/[-_]/)[0];
+  if (config.locales[locale] || config.locales[language]) return config.locales[locale] || config.locales[language];
+  const pair = LOCALE_VOICES[locale] || LOCALE_VOICES[language];
+  if (!pair) throw new Error(`No voice for locale "${locale}" — add one to locales in data/voices.json`);
+  return `edge:${pair[0]}`;
+}
+
+/**
+ * A named profile, following `extends` chains for custom profiles
+ */
+function getProfile(name, config = loadVoiceConfig(), seen = []) {
+  const custom = config.profiles[name];
+  if (!custom && String(name).startsWith('edge:')) return edgeProfile(name.slice(5));
+  if (custom && !seen.includes(name)) {
+    return { ...getProfile(custom.extends || config.default, config, [...seen, name]), ...custom, extends: undefined };
+  }
+  if (PROFILES[name]) return PROFILES[name];
+  if (name !== DEFAULT_PROFILE) console.log(`   Unknown voice profile "${name}", using ${DEFAULT_PROFILE}`);
+  return PROFILES[DEFAULT_PROFILE];
+}
+
+/**
+ * A profile ready for the narrator — reference resolved to an absolute path,
+ * `voice` (Chatterbox request) as the reference's path under data/
+ */
+function withPaths(name, profile) {
+  if (profile.engine !== 'chatterbox') return { name, ...profile, fallback: profile.fallback || profile.voice };
+  const reference = path.isAbsolute(profile.reference) ? profile.reference : path.join(ROOT_DIR, profile.reference);
+  return {
+    name, ...profile, reference,
+    voice: path.relative(DATA_DIR, reference).split(path.sep).join('/'),
+    fallback: profile.fallback || PROFILES[DEFAULT_PROFILE].fallback
+  };
+}
+
+/**
+ * Resolve the voice for a course — selector: { courseId, category, locale, profile }
+ *
+ * Also accepts a profile name, or an already resolved profile (returned as is).
+ */
+function resolveVoice(selector = {}, config = loadVoiceConfig()) {
+  if (selector?.engine) return selector;
+  const { courseId = null, category = null, locale = null, profile = null } = typeof selector === 'string' ? { profile: selector } : selector;
+  const name = profile || localeProfile(locale, config) || resolveForCourse(config, { courseId, category });
+  return withPaths(name, getProfile(name, config));
+}
+
+/**
+ * The two voices of a dialogue: the course voice and its partner
+ */
+function dialogueVoices(selector = {}, config = loadVoiceConfig()) {
+  const primary = resolveVoice(selector, config);
+  const partnerName = primary.partner && primary.partner !== primary.name ? primary.partner : primary.name === 'jenny' ? 'guy' : 'jenny';
+  return [primary, resolveVoice(partnerName, config)];
+}
+
+/**
+ * Voice for a generated course from its content.json (courseId, category, locale)
+ */
+function voiceForContent(courseContent, voice = null) {
+  return resolveVoice(voice || { courseId: courseContent?._meta?.courseId, category: courseContent?.metadata?.category, locale: courseContent?._meta?.locale });
+}
+
+// CLI: node voiceProfiles.js [courseId] [category] [--locale=es] — print the resolved voice and its partner
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const locale = args.find(a => a.startsWith('--locale='))?.split('=')[1] || null;
+  const [courseId, ...category] = args.filter(a => !a.startsWith('--'));
+  const [voice, partner] = dialogueVoices({ courseId, category: category.join(' ') || null, locale });
+  console.log(`\n   VOICE PROFILES — ${Object.keys(PROFILES).join(', ')}${Object.keys(loadVoiceConfig().profiles).map(p => `, ${p}`).join('')}\n`);
+  console.log(JSON.stringify(voice, null, 2));
+  if (voice.engine === 'chatterbox') console.log(`   Reference clip: ${fs.existsSync(voice.reference) ? 'Found' : 'Not found'}`);
+  console.log(`   Dialogue partner: ${partner.name} (${partner.label})`);
+}
+
+module.exports = { PROFILES, DEFAULT_PROFILE, LOCALE_VOICES, resolveVoice, localeProfile, dialogueVoices, voiceForContent, getProfile, loadVoiceConfig };
@@ -0,0 +1,88 @@
+/**
+ * LLM Cassettes — record/replay of prompt/response pairs
+ *
+ * Modes (LLM_CASSETTE_MODE or setCassetteMode):
+ *   off     — live provider calls (default)
+ *   record  — live calls, every successful response is saved to the cassette
+ *   replay  — responses are served from the cassette only; a miss, or an
+ *             entry that cannot be read, is an error
+ *
+ * Each entry is <cassetteDir>/<sha256(prompt)>.json, so identical prompts
+ * always map to the same file regardless of provider or stage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CASSETTE_DIR = path.join(__dirname, '../../data/cassettes');
+const MODES = ['off', 'record', 'replay'];
+
+let override = null;
+// Prompt hashes replay could not find, in order (regression checks)
+const misses = [];
+
+/**
+ * Override LLM_CASSETTE_MODE / LLM_CASSETTE_DIR — a null mode keeps the env mode
+ */
+function setCassetteMode(mode, dir) {
+  if (mode && !MODES.includes(mode)) throw new Error(`Unknown cassette mode "${mode}" (use ${MODES.join('|')})`);
+  override = mode || dir ? { mode: mode || null, dir: dir || null } : null;
+}
+
+function getCassetteConfig() {
+  const mode = override?.mode || process.env.LLM_CASSETTE_MODE || 'off';
+  const dir = override?.dir || process.env.LLM_CASSETTE_DIR || DEFAULT_CASSETTE_DIR;
+  return { mode: MODES.includes(mode) ? mode : 'off', dir: path.resolve(dir) };
+}
+
+function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(prompt).digest('hex');
+}
+
+function cassettePath(prompt, dir) {
+  return path.join(dir || getCassetteConfig().dir, `${hashPrompt(prompt)}.json`);
+}
+
+/**
+ * The recorded entry for a prompt — null on a miss, throws for a truncated or corrupt entry
+ */
+function readCassette(prompt, dir) {
+  const file = cassettePath(prompt, dir);
+  if (!fs.existsSync(file)) {
+    misses.push(hashPrompt(prompt));
+    return null;
+  }
+  try {
+    const entry = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (typeof entry?.response !== 'string') throw new Error('no response recorded');
+    return entry;
+  } catch (error) {
+    misses.push(hashPrompt(prompt));
+    throw new Error(`Unreadable cassette ${path.basename(file)}: ${error.message}`);
+  }
+}
+
+function writeCassette(prompt, result, dir) {
+  const file = cassettePath(prompt, dir);
+  if (!fs.existsSync(path.dirname(file))) fs.mkdirSync(path.dirname(file), { recursive: true });
+  const entry = {
+    hash: hashPrompt(prompt),
+    recordedAt: new Date().toISOString(),
+    provider: result.provider || null,
+    model: result.model || null,
+    tokensUsed: result.tokensUsed || null,
+    prompt,
+    response: result.response
+  };
+  fs.writeFileSync(file, JSON.stringify(entry, null, 2));
+  return file;
+}
+
+function getCassetteMisses() {
+  return [...misses];
+}
+
+module.exports = {
+  getCassetteConfig, setCassetteMode, hashPrompt, cassettePath, readCassette, writeCassette, getCassetteMisses
+};
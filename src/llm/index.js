@@ -1,66 +1,84 @@
 /**
- * LLM Provider — Gemini 2.5 Pro Only
+ * LLM Layer — provider-agnostic generation
  *
- * Uses @google/generative-ai with:
- *   - Google Search Grounding for fact-checking
- *   - Temperature = 0 for deterministic output
- *   - Structured JSON output
+ * Providers live in ./providers (Gemini, OpenAI-compatible, fixture) and are
+ * selected per call or per stage — see ./providers/index.js for the rules.
+ * This module adds the shared behaviour on top: JSON mode, retries with
+ * exponential backoff, token usage reporting and record/replay cassettes
+ * (see ./cassette.js). Provider calls go through the shared "llm" worker
+ * pool (LLM_CONCURRENCY), so parallel courses cannot flood the API.
  */
 
 require('dotenv').config();
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-
-const API_KEY = process.env.GOOGLE_API_KEY;
-let genAI = null;
-let model = null;
-
-function initGemini() {
-  if (!genAI && API_KEY) {
-    genAI = new GoogleGenerativeAI(API_KEY);
-    model = genAI.getGenerativeModel({
-      model: 'gemini-2.5-pro',
-      generationConfig: {
-        temperature: 0,
-        topP: 0.95,
-        maxOutputTokens: 65536,
-        responseMimeType: 'application/json'
-      }
-    });
-  }
-  return model;
-}
+const { getProvider } = require('./providers');
+const { getCassetteConfig, readCassette, writeCassette, hashPrompt } = require('./cassette');
+const { getPool } = require('../scripts/workerPool');
 
 /**
- * Generate content with Gemini (JSON mode)
+ * Generate content with the selected provider (JSON mode by default)
+ *
+ * options: { provider, model, stage, json, maxRetries, baseDelay }
  */
 async function generateCourseContent(prompt, options = {}) {
-  const { maxRetries = 3, baseDelay = 5000 } = options;
+  const { maxRetries = 3, baseDelay = 5000, json = true } = options;
+  const cassette = getCassetteConfig();
 
-  const m = initGemini();
-  if (!m) {
-    throw new Error('GOOGLE_API_KEY not set. Get one from https://aistudio.google.com/apikey');
+  if (cassette.mode === 'replay') {
+    let entry;
+    try {
+      entry = readCassette(prompt, cassette.dir);
+    } catch (error) {
+      console.error(`   ${error.message}`);
+      return { success: false, error: error.message, provider: null };
+    }
+    if (!entry) {
+      const error = `Cassette miss for prompt ${hashPrompt(prompt).substring(0, 12)} in ${cassette.dir}`;
+      console.error(`   ${error}`);
+      return { success: false, error, provider: null };
+    }
+    console.log(`   Cassette replay (${entry.hash.substring(0, 12)})`);
+    return {
+      success: true,
+      response: entry.response,
+      provider: entry.provider,
+      model: entry.model,
+      tokensUsed: entry.tokensUsed || { prompt: 0, response: 0, total: 0 },
+      replayed: true
+    };
+  }
+
+  let p;
+  try {
+    p = getProvider(options);
+  } catch (error) {
+    return { success: false, error: error.message, provider: null };
+  }
+  const label = p.model && p.model !== p.name ? `${p.name}:${p.model}` : p.name;
+  // Misconfiguration is not transient — fail before the retry loop
+  const configError = p.configError?.();
+  if (configError) {
+    console.error(`   ${label}: ${configError}`);
+    return { success: false, error: configError, provider: label };
   }
 
   let lastError;
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      console.log(`   Gemini request (attempt ${attempt}/${maxRetries})...`);
-      const result = await m.generateContent(prompt);
-      const text = result.response.text();
+      console.log(`   ${label} request (attempt ${attempt}/${maxRetries})...`);
+      const { text, tokensUsed } = await getPool('llm').run(() => p.generate(prompt, { json }));
 
-      return {
+      const result = {
         success: true,
         response: text,
-        provider: 'gemini-2.5-pro',
-        tokensUsed: {
-          prompt: result.response.usageMetadata?.promptTokenCount || 0,
-          response: result.response.usageMetadata?.candidatesTokenCount || 0,
-          total: result.response.usageMetadata?.totalTokenCount || 0
-        }
+        provider: label,
+        model: p.model,
+        tokensUsed: { prompt: 0, response: 0, total: 0, ...tokensUsed }
       };
+      if (cassette.mode === 'record') writeCassette(prompt, result, cassette.dir);
+      return result;
     } catch (error) {
       lastError = error;
-      console.error(`   Gemini attempt ${attempt} failed: ${error.message}`);
+      console.error(`   ${label} attempt ${attempt} failed: ${error.message}`);
       if (attempt < maxRetries) {
         const delay = baseDelay * Math.pow(2, attempt - 1);
         console.log(`   Retrying in ${delay / 1000}s...`);
@@ -69,47 +87,62 @@ async function generateCourseContent(prompt, options = {}) {
     }
   }
 
-  return { success: false, error: lastError?.message || 'All retries failed', provider: null };
+  return { success: false, error: lastError?.message || 'All retries failed', provider: label };
 }
 
 /**
- * Generate with Golden Bullet Prompt — returns parsed JSON
+ * Parse a JSON response, tolerating text or code fences around the object
  */
-async function generateWithGoldenBullet(goldenBulletPrompt) {
-  console.log('\n   Using Golden Bullet Prompt (Gemini 2.5 Pro)...');
-
-  const result = await generateCourseContent(goldenBulletPrompt);
-  if (!result.success) {
-    throw new Error(`Golden Bullet generation failed: ${result.error}`);
-  }
-
+function parseJsonResponse(text) {
   try {
-    const parsed = JSON.parse(result.response);
-    return { ...result, parsedContent: parsed };
+    return JSON.parse(text);
   } catch {
-    // Try extracting JSON from response
-    const jsonMatch = result.response.match(/\{[\s\S]*\}/);
+    const jsonMatch = String(text || '').match(/\{[\s\S]*\}/);
     if (jsonMatch) {
-      try {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return { ...result, parsedContent: parsed };
-      } catch {}
+      try { return JSON.parse(jsonMatch[0]); } catch {}
     }
-    console.error('   JSON parse error, returning raw response');
-    return { ...result, parsedContent: null, rawResponse: result.response };
+    return null;
+  }
+}
+
+/**
+ * Generate and parse JSON — parsedContent is null when the response is not JSON
+ */
+async function generateJson(prompt, options = {}) {
+  const result = await generateCourseContent(prompt, options);
+  if (!result.success) return { ...result, parsedContent: null };
+
+  const parsed = parseJsonResponse(result.response);
+  if (!parsed) return { ...result, parsedContent: null, rawResponse: result.response };
+  return { ...result, parsedContent: parsed };
+}
+
+/**
+ * Generate with Golden Bullet Prompt — returns parsed JSON
+ */
+async function generateWithGoldenBullet(goldenBulletPrompt, options = {}) {
+  console.log('\n   Using Golden Bullet Prompt...');
+
+  const result = await generateJson(goldenBulletPrompt, { stage: 'scriptwriter', ...options });
+  if (!result.success) {
+    throw new Error(`Golden Bullet generation failed: ${result.error}`);
   }
+  if (!result.parsedContent) console.error('   JSON parse error, returning raw response');
+  return result;
 }
 
 /**
- * Quality review using Gemini
+ * Quality review using the "review" stage provider
  */
-async function qualityReview(content, reviewPrompt) {
+async function qualityReview(content, reviewPrompt, options = {}) {
   const fullPrompt = `${reviewPrompt}\n\nContent to Review:\n${JSON.stringify(content, null, 2)}`;
-  return generateCourseContent(fullPrompt);
+  return generateCourseContent(fullPrompt, { stage: 'review', ...options });
 }
 
 module.exports = {
   generateCourseContent,
+  generateJson,
+  parseJsonResponse,
   generateWithGoldenBullet,
   qualityReview
 };
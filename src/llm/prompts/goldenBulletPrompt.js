@@ -3,6 +3,9 @@
  *
  * Merged with the 9-section timing structure from the reference prompt.
  * Generates everything in one shot as structured JSON.
+ *
+ * The staged builders further down split the same course into smaller calls:
+ * outline → one call per lecture → assessment → cheat sheet.
  */
 
 function buildGoldenBulletPrompt(course) {
@@ -253,8 +256,215 @@ ${JSON.stringify(sectionContent, null, 2)}
 Return: { "questions": [{ "question": "...", "type": "mcq|truefalse", "options": ["A)","B)","C)","D)"], "correctAnswer": "A", "explanation": "...", "difficulty": "easy|medium|hard" }] }`;
 }
 
+function buildOptimizationPrompt(dimension, evaluation, excerpt) {
+  return `You are improving an existing Udemy course so it scores higher on the "${dimension}" quality dimension. Return ONLY valid JSON.
+
+CURRENT SCORE: ${evaluation.score}/100
+ISSUES FOUND:
+${(evaluation.issues || []).map(i => `- ${i}`).join('\n') || '- (none listed)'}
+
+RELEVANT CONTENT (keys are JSON Pointer paths into content.json):
+${JSON.stringify(excerpt, null, 2)}
+
+Propose up to 3 concrete, independent fixes. Each fix is an RFC 6902 JSON Patch using only "replace", "add" or "remove" on the paths above (or their children). Replacement text must be complete, final copy — no placeholders — and keep the same structure and field types.
+
+Return:
+{
+  "fixes": [
+    {
+      "problem": "Which issue this fixes",
+      "fix": "What the patch changes, in one sentence",
+      "patch": [{ "op": "replace", "path": "/sections/0/lectures/0/script/opening", "value": "New text" }]
+    }
+  ]
+}`;
+}
+
+// ═══ Staged generation ═══
+
+function describeCourse(course) {
+  const { title, category, subcategory, targetAudience, skillLevel, duration = 60, objectives = [], prerequisites = [] } = course;
+  return [
+    `Title: "${title}"`,
+    `Category: ${category}`,
+    `Subcategory: ${subcategory || 'General'}`,
+    `Target Audience: ${targetAudience || 'Professionals looking to upskill'}`,
+    `Skill Level: ${skillLevel || 'Beginner to Intermediate'}`,
+    `Duration: ${duration} minutes`,
+    objectives.length > 0 ? `Objectives: ${objectives.join(', ')}` : '',
+    prerequisites.length > 0 ? `Prerequisites: ${prerequisites.join(', ')}` : ''
+  ].filter(Boolean).join('\n');
+}
+
+function describeOutline(content) {
+  return (content.sections || []).map(s =>
+    `Section ${s.sectionNumber}: ${s.title}\n${(s.lectures || []).map(l => `  - Lecture ${l.lectureNumber}: ${l.title} (${l.duration} min)`).join('\n')}`
+  ).join('\n');
+}
+
+function buildOutlinePrompt(course) {
+  const { category, skillLevel, duration = 60 } = course;
+
+  return `You are an expert Udemy course creator. Plan the OUTLINE of a ${duration}-minute micro-course. Do NOT write scripts or slides yet — they are generated lecture by lecture afterwards.
+
+COURSE DETAILS
+${describeCourse(course)}
+
+STRUCTURE: 9 sections in this order — Introduction (3 min), Foundation (4 min), Core Concept 1 (10 min), Core Concept 2 (10 min), Core Concept 3 (10 min), Practical Application (8 min), Summary & Cheat Sheet (5 min), Assessment (2 min), Closing (3 min). One or more lectures per section; lecture durations must add up to the section time.
+
+RULES: Only verifiable facts. The description must be 2000+ characters and include "This course was created with AI assistance". Objectives start with action verbs.
+
+Return ONLY valid JSON:
+{
+  "metadata": {
+    "title": "Course title (max 60 chars)",
+    "subtitle": "Subtitle (max 120 chars, benefit-focused)",
+    "description": "Full description",
+    "objectives": ["4-6 items"],
+    "prerequisites": ["2-3 items"],
+    "targetAudience": ["3-4 specific professional roles"],
+    "keywords": ["10 SEO keywords"],
+    "category": "${category}",
+    "level": "${skillLevel || 'Beginner'}"
+  },
+  "sections": [
+    {
+      "sectionNumber": 1,
+      "title": "Section title",
+      "objective": "What students achieve",
+      "lectures": [
+        { "lectureNumber": 1, "title": "Lecture title", "duration": 3, "type": "video", "learningObjective": "Specific outcome" }
+      ]
+    }
+  ],
+  "thumbnailSuggestions": [{ "concept": "Visual concept", "text": "3-4 words max", "colors": ["#primary", "#accent"], "style": "professional|creative|bold|minimal" }],
+  "promotionalContent": {
+    "promoVideo": { "script": "2-minute promo script", "keyPoints": ["Highlight 1", "Highlight 2"] },
+    "welcomeMessage": "Welcome message for students"
+  }
+}`;
+}
+
+function buildLectureContentPrompt(course, content, section, lecture) {
+  return `You are an expert Udemy course creator writing ONE lecture of the course below. Return ONLY valid JSON.
+
+COURSE DETAILS
+${describeCourse(course)}
+
+COURSE OUTLINE
+${describeOutline(content)}
+
+WRITE THIS LECTURE
+Section ${section.sectionNumber}: ${section.title} — ${section.objective || ''}
+Lecture ${lecture.lectureNumber}: ${lecture.title} (${lecture.duration} min)
+Learning objective: ${lecture.learningObjective || ''}
+
+RULES:
+1. ~150 words per minute of narration (~${(lecture.duration || 5) * 150} words in total), second person ("you"), no placeholders.
+2. Open with a compelling hook (question, surprising fact or relatable scenario); end with a clear call to action.
+3. Core concept lectures include at least 2 real-world examples, a step-by-step walkthrough and common mistakes.
+4. Slides: 3-4 bullets each, max 8 words per bullet, vary visualType (title, bullets, code, diagram, comparison, quote, image).
+5. Only verifiable facts. Never fabricate statistics, studies or company names.
+
+Return:
+{
+  "script": {
+    "opening": "Hook/intro (~75 words)",
+    "mainContent": [
+      { "timestamp": "0:30", "topic": "Topic heading", "content": "Detailed narration", "visualCue": "What to show on screen" }
+    ],
+    "summary": "Key takeaways",
+    "callToAction": "What to do next"
+  },
+  "slides": [
+    { "slideNumber": 1, "title": "Slide title", "content": ["Bullet 1", "Bullet 2", "Bullet 3"], "speakerNotes": "What to say while showing this slide", "visualType": "title|bullets|image|diagram|code|comparison|quote" }
+  ]
+}`;
+}
+
+function buildAssessmentPrompt(course, content) {
+  return `Write the final assessment and course project for the course below. Return ONLY valid JSON.
+
+COURSE DETAILS
+${describeCourse(course)}
+
+COURSE OUTLINE
+${describeOutline(content)}
+
+OBJECTIVES
+${(content.metadata?.objectives || []).join('\n')}
+
+RULES: Exactly 15 questions — 10 MCQ (4 options), 3 True/False (options "A) True", "B) False"), 2 Scenario-based (4 options). Difficulty: 5 easy, 7 medium, 3 hard. correctAnswer is the option letter. Every explanation is 2+ sentences.
+
+Return:
+{
+  "finalQuiz": {
+    "title": "Final Assessment",
+    "passingScore": 70,
+    "questions": [
+      { "questionNumber": 1, "question": "Question text", "type": "mcq|truefalse|scenario", "options": ["A) ...", "B) ...", "C) ...", "D) ..."], "correctAnswer": "A", "explanation": "Detailed explanation", "difficulty": "easy|medium|hard", "conceptTested": "Which concept" }
+    ]
+  },
+  "practicalAssignment": {
+    "title": "Course Project",
+    "description": "Hands-on assignment",
+    "requirements": ["Requirement 1"],
+    "deliverables": ["What to submit"],
+    "evaluationCriteria": ["How assessed"]
+  }
+}`;
+}
+
+function buildCheatSheetPrompt(course, content) {
+  return `Write a one-page quick reference (cheat sheet) for the course below. Return ONLY valid JSON.
+
+COURSE DETAILS
+${describeCourse(course)}
+
+COURSE OUTLINE
+${describeOutline(content)}
+
+Return:
+{
+  "title": "Quick Reference Guide",
+  "sections": [
+    { "heading": "Key Definitions", "items": ["Term: Definition"] },
+    { "heading": "Core Concept 1 Summary", "items": ["Key point"] },
+    { "heading": "Core Concept 2 Summary", "items": ["Key point"] },
+    { "heading": "Core Concept 3 Summary", "items": ["Key point"] }
+  ],
+  "doList": ["Best practice 1"],
+  "dontList": ["Common mistake 1"],
+  "checklist": ["Step 1: Action"],
+  "tips": ["Pro tip 1"]
+}`;
+}
+
+function buildTranslationPrompt(strings, { language, locale, title }) {
+  return `Translate the text values of an online video course from English into ${language} (${locale}). Return ONLY valid JSON.
+
+COURSE: ${title || 'Course'}
+
+RULES:
+- Return an object with exactly the same keys (JSON Pointer paths into content.json), each value translated. Never add, drop or rename keys.
+- Lecture scripts are read aloud by a narrator: write natural, spoken ${language} with the same tone, meaning and roughly the same length. Do not summarize.
+- Slide bullets and titles stay short. Quiz options keep their "A) ", "B) " prefixes.
+- Keep unchanged: code and \`inline code\`, URLs, e-mail addresses, file names, formulas, numbers, product and brand names (ChatGPT, Excel, Python).
+- Keep markdown (**bold**, *italic*, # headings) and dialogue tags like "[Manager]: " at the start of a line — translate only the role name inside the brackets.
+- Acronyms: use the form professionals use in ${language}; when it differs from English, give the English one in parentheses the first time (e.g. "IA (AI)").
+
+TEXT:
+${JSON.stringify(strings, null, 2)}`;
+}
+
 module.exports = {
   buildGoldenBulletPrompt,
   buildLectureRegenerationPrompt,
-  buildQuizPrompt
+  buildQuizPrompt,
+  buildOptimizationPrompt,
+  buildOutlinePrompt,
+  buildLectureContentPrompt,
+  buildAssessmentPrompt,
+  buildCheatSheetPrompt,
+  buildTranslationPrompt
 };
@@ -0,0 +1,70 @@
+/**
+ * Fixture Provider — deterministic offline responses
+ *
+ * Each fixture file in the fixture directory is JSON of the form:
+ *   { "match": "<regex tested against the prompt>",
+ *     "response": <any JSON> | "responseFile": "<path relative to the fixture>",
+ *     "path": "optional.dot.path into the loaded response" }
+ *
+ * Fixtures are tried in filename order; the first match wins. The same prompt
+ * always yields the same response, so runs are reproducible without network.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '../../../data/fixtures/llm');
+
+function loadFixtures(fixtureDir) {
+  if (!fs.existsSync(fixtureDir)) return [];
+  return fs.readdirSync(fixtureDir)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .map(f => {
+      const file = path.join(fixtureDir, f);
+      return { ...JSON.parse(fs.readFileSync(file, 'utf-8')), _file: file };
+    });
+}
+
+function resolveResponse(fixture) {
+  let response = fixture.response;
+  if (fixture.responseFile) {
+    const file = path.resolve(path.dirname(fixture._file || DEFAULT_FIXTURE_DIR), fixture.responseFile);
+    response = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  }
+  if (fixture.path) {
+    response = fixture.path.split('.').reduce((obj, key) => (obj == null ? obj : obj[key]), response);
+  }
+  return typeof response === 'string' ? response : JSON.stringify(response);
+}
+
+function createFixtureProvider(config = {}) {
+  const {
+    model = 'fixture',
+    fixtureDir = process.env.LLM_FIXTURE_DIR || DEFAULT_FIXTURE_DIR,
+    fixtures = null
+  } = config;
+
+  let loaded = fixtures;
+
+  return {
+    name: 'fixture',
+    model,
+
+    async generate(prompt) {
+      if (!loaded) loaded = loadFixtures(fixtureDir);
+      const fixture = loaded.find(f => new RegExp(f.match).test(prompt));
+      if (!fixture) throw new Error(`No fixture matches prompt (${fixtureDir})`);
+
+      const text = resolveResponse(fixture);
+      const promptTokens = Math.ceil(prompt.length / 4);
+      const responseTokens = Math.ceil(text.length / 4);
+      return {
+        text,
+        tokensUsed: { prompt: promptTokens, response: responseTokens, total: promptTokens + responseTokens }
+      };
+    }
+  };
+}
+
+module.exports = { createFixtureProvider };
@@ -0,0 +1,64 @@
+/**
+ * Gemini Provider — Google Gemini via @google/generative-ai
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODEL = 'gemini-2.5-pro';
+const MISSING_KEY = 'GOOGLE_API_KEY not set. Get one from https://aistudio.google.com/apikey';
+
+function createGeminiProvider(config = {}) {
+  const {
+    model: modelName = process.env.GEMINI_MODEL || DEFAULT_MODEL,
+    apiKey = process.env.GOOGLE_API_KEY,
+    temperature = 0,
+    topP = 0.95,
+    maxOutputTokens = 65536
+  } = config;
+
+  let genAI = null;
+  const models = {};
+
+  function getModel(json) {
+    if (!apiKey) throw new Error(MISSING_KEY);
+    if (!genAI) genAI = new GoogleGenerativeAI(apiKey);
+    const key = json ? 'json' : 'text';
+    if (!models[key]) {
+      models[key] = genAI.getGenerativeModel({
+        model: modelName,
+        generationConfig: {
+          temperature,
+          topP,
+          maxOutputTokens,
+          ...(json ? { responseMimeType: 'application/json' } : {})
+        }
+      });
+    }
+    return models[key];
+  }
+
+  return {
+    name: 'gemini',
+    model: modelName,
+
+    configError() {
+      return apiKey ? null : MISSING_KEY;
+    },
+
+    async generate(prompt, options = {}) {
+      const { json = true } = options;
+      const result = await getModel(json).generateContent(prompt);
+      const usage = result.response.usageMetadata || {};
+      return {
+        text: result.response.text(),
+        tokensUsed: {
+          prompt: usage.promptTokenCount || 0,
+          response: usage.candidatesTokenCount || 0,
+          total: usage.totalTokenCount || 0
+        }
+      };
+    }
+  };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,65 @@
+/**
+ * LLM Provider Registry
+ *
+ * Every provider exposes the same interface:
+ *   { name, model, generate(prompt, { json }) → { text, tokensUsed } }
+ * and optionally configError() → a message when it cannot be called at all
+ * (missing API key) — such a call fails at once instead of being retried.
+ *
+ * Selection (first match wins):
+ *   1. options.provider / options.model passed to generateCourseContent
+ *   2. LLM_PROVIDER_<STAGE>   e.g. LLM_PROVIDER_QUIZ=openai:llama3.1:8b
+ *   3. LLM_PROVIDER           e.g. LLM_PROVIDER=gemini
+ *   4. gemini
+ *
+ * A spec is "name" or "name:model" (everything after the first colon is the model).
+ */
+
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createFixtureProvider } = require('./fixture');
+
+const DEFAULT_PROVIDER = 'gemini';
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  fixture: createFixtureProvider
+};
+
+const instances = {};
+
+function registerProvider(name, factory) {
+  PROVIDERS[name] = factory;
+  Object.keys(instances).filter(k => k.startsWith(`${name}:`)).forEach(k => delete instances[k]);
+}
+
+function parseProviderSpec(spec) {
+  if (!spec) return {};
+  const idx = spec.indexOf(':');
+  if (idx === -1) return { provider: spec.trim() };
+  return { provider: spec.slice(0, idx).trim(), model: spec.slice(idx + 1).trim() || undefined };
+}
+
+function resolveProviderSpec(options = {}) {
+  const { provider, model, stage } = options;
+  if (provider) return { ...parseProviderSpec(provider), ...(model ? { model } : {}) };
+
+  const stageSpec = stage ? process.env[`LLM_PROVIDER_${stage.toUpperCase()}`] : null;
+  const resolved = parseProviderSpec(stageSpec || process.env.LLM_PROVIDER || DEFAULT_PROVIDER);
+  return model ? { ...resolved, model } : resolved;
+}
+
+function getProvider(options = {}) {
+  const { provider: name, model } = resolveProviderSpec(options);
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  const key = `${name}:${model || ''}`;
+  if (!instances[key]) instances[key] = factory(model ? { model } : {});
+  return instances[key];
+}
+
+module.exports = { getProvider, registerProvider, resolveProviderSpec, parseProviderSpec, PROVIDERS };
@@ -0,0 +1,72 @@
+/**
+ * OpenAI-Compatible Provider — any /v1/chat/completions endpoint
+ *
+ * Works with OpenAI itself and with local servers that speak the same API:
+ *   - llama.cpp server:  OPENAI_BASE_URL=http://localhost:8080/v1
+ *   - Ollama:            OPENAI_BASE_URL=http://localhost:11434/v1
+ */
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o';
+
+function createOpenAIProvider(config = {}) {
+  const {
+    model = process.env.OPENAI_MODEL || DEFAULT_MODEL,
+    baseUrl = process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL,
+    apiKey = process.env.OPENAI_API_KEY || '',
+    temperature = 0,
+    maxOutputTokens = parseInt(process.env.OPENAI_MAX_TOKENS) || 16384,
+    timeoutMs = 600000
+  } = config;
+
+  return {
+    name: 'openai',
+    model,
+
+    async generate(prompt, options = {}) {
+      const { json = true } = options;
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const res = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+          method: 'POST',
+          signal: controller.signal,
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+          },
+          body: JSON.stringify({
+            model,
+            temperature,
+            max_tokens: maxOutputTokens,
+            messages: [{ role: 'user', content: prompt }],
+            ...(json ? { response_format: { type: 'json_object' } } : {})
+          })
+        });
+
+        if (!res.ok) {
+          const body = await res.text().catch(() => '');
+          throw new Error(`${baseUrl}: ${res.status} ${res.statusText} ${body.substring(0, 200)}`.trim());
+        }
+
+        const data = await res.json();
+        const text = data.choices?.[0]?.message?.content;
+        if (typeof text !== 'string') throw new Error('Empty completion');
+
+        return {
+          text,
+          tokensUsed: {
+            prompt: data.usage?.prompt_tokens || 0,
+            response: data.usage?.completion_tokens || 0,
+            total: data.usage?.total_tokens || 0
+          }
+        };
+      } finally {
+        clearTimeout(timeout);
+      }
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,324 @@
+/**
+ * Course Content Schema — validation + auto-repair
+ *
+ * courseContent.schema.json is the formal definition of content.json. This
+ * module validates against it (the JSON Schema subset the file uses: type,
+ * enum, required, properties, items, min/max Items/Length, minimum/maximum,
+ * pattern and local $ref) and reports one error per offending path, e.g.
+ *   sections[2].lectures[0].slides[3].visualType: must be one of title, bullets, ...
+ *
+ * repairCourseContent coerces the deviations LLMs commonly produce before the
+ * content is validated (and possibly rejected).
+ */
+
+const SCHEMA = require('./courseContent.schema.json');
+
+const VISUAL_TYPE_ALIASES = {
+  bullet: 'bullets', list: 'bullets', text: 'bullets', bulletpoints: 'bullets',
+  table: 'comparison', compare: 'comparison', versus: 'comparison', vs: 'comparison',
+  chart: 'diagram', flowchart: 'diagram', flow: 'diagram', process: 'diagram', steps: 'diagram',
+  picture: 'image', photo: 'image', illustration: 'image', graphic: 'image',
+  citation: 'quote', cover: 'title', intro: 'title', snippet: 'code'
+};
+
+const QUESTION_TYPE_ALIASES = {
+  multiplechoice: 'mcq', multiple: 'mcq', choice: 'mcq',
+  truefalse: 'truefalse', tf: 'truefalse', boolean: 'truefalse',
+  scenariobased: 'scenario', casestudy: 'scenario'
+};
+
+// ═══ Validation ═══
+
+function resolveRef(ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref.slice(2).split('/').reduce((node, key) => node[key], SCHEMA);
+}
+
+function getDefinition(name) {
+  if (!name) return SCHEMA;
+  const def = SCHEMA.definitions[name];
+  if (!def) throw new Error(`Unknown schema definition: ${name}`);
+  return def;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+function validateNode(value, schema, path, errors) {
+  if (schema.$ref) return validateNode(value, resolveRef(schema.$ref), path, errors);
+  const at = path || '(root)';
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})` });
+    return;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path: at, message: `must be ${types.join(' or ')} (got ${typeOf(value)})` });
+      return;
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters (got ${value.length})` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters (got ${value.length})` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `must match ${schema.pattern} (got ${JSON.stringify(value)})` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path: at, message: `must be >= ${schema.minimum} (got ${value})` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path: at, message: `must be <= ${schema.maximum} (got ${value})` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path: at, message: `must have at least ${schema.minItems} item(s) (got ${value.length})` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path: at, message: `must have at most ${schema.maxItems} item(s) (got ${value.length})` });
+    if (schema.items) value.forEach((item, i) => validateNode(item, schema.items, joinPath(path, i), errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) errors.push({ path: joinPath(path, key), message: 'is required' });
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) validateNode(value[key], propSchema, joinPath(path, key), errors);
+    }
+  }
+}
+
+/**
+ * Validate content (or a piece of it, via options.definition) against the schema
+ */
+function validateCourseContent(content, options = {}) {
+  const errors = [];
+  validateNode(content, getDefinition(options.definition), '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+function formatSchemaErrors(errors, limit = 10) {
+  const lines = errors.slice(0, limit).map(e => `${e.path}: ${e.message}`);
+  if (errors.length > limit) lines.push(`...and ${errors.length - limit} more`);
+  return lines;
+}
+
+// ═══ Repair ═══
+
+function splitList(text) {
+  const lines = text.split(/\n+/).map(l => l.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim()).filter(Boolean);
+  return lines.length > 0 ? lines : [text.trim()].filter(Boolean);
+}
+
+// Generic, schema-driven coercion: string ↔ array, numeric strings, single objects → arrays
+function coerceNode(value, schema, path, repairs) {
+  if (schema.$ref) return coerceNode(value, resolveRef(schema.$ref), path, repairs);
+  if (value === undefined || value === null) return value;
+  const at = path || '(root)';
+  const type = schema.type;
+
+  if (type === 'array') {
+    if (typeof value === 'string') {
+      const itemType = (schema.items?.$ref ? resolveRef(schema.items.$ref) : schema.items)?.type;
+      if (itemType === 'string') {
+        repairs.push({ path: at, action: 'split string into list' });
+        value = splitList(value);
+      } else if (itemType === 'object' && schema.items.$ref === '#/definitions/mainContentEntry') {
+        repairs.push({ path: at, action: 'wrapped string as mainContent entry' });
+        value = [{ content: value }];
+      }
+    } else if (typeOf(value) === 'object') {
+      repairs.push({ path: at, action: 'wrapped single object in array' });
+      value = [value];
+    }
+    if (Array.isArray(value) && schema.items) {
+      return value.map((item, i) => coerceNode(item, schema.items, joinPath(path, i), repairs));
+    }
+    return value;
+  }
+
+  if (type === 'string') {
+    if (Array.isArray(value) && value.every(v => typeof v === 'string')) {
+      repairs.push({ path: at, action: 'joined list into string' });
+      return value.join('\n\n');
+    }
+    if (typeof value === 'number') {
+      repairs.push({ path: at, action: 'converted number to string' });
+      return String(value);
+    }
+    return value;
+  }
+
+  if ((type === 'integer' || type === 'number') && typeof value === 'string') {
+    const num = parseFloat(value.replace(/[^\d.-]/g, ''));
+    if (!isNaN(num)) {
+      repairs.push({ path: at, action: `parsed number from ${JSON.stringify(value)}` });
+      return type === 'integer' ? Math.round(num) : num;
+    }
+    return value;
+  }
+
+  if (type === 'object' && typeOf(value) === 'object') {
+    const out = { ...value };
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (out[key] !== undefined) out[key] = coerceNode(out[key], propSchema, joinPath(path, key), repairs);
+    }
+    return out;
+  }
+
+  return value;
+}
+
+function renumber(items, key, path, repairs) {
+  (items || []).forEach((item, i) => {
+    if (typeOf(item) === 'object' && !Number.isInteger(item[key])) {
+      repairs.push({ path: joinPath(joinPath(path, i), key), action: `set missing ${key} to ${i + 1}` });
+      item[key] = i + 1;
+    }
+  });
+}
+
+function normalizeKey(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+function repairSlide(slide, path, repairs) {
+  const allowed = getDefinition('slide').properties.visualType.enum;
+  const key = normalizeKey(slide.visualType);
+  if (!allowed.includes(slide.visualType)) {
+    const fixed = allowed.includes(key) ? key : (VISUAL_TYPE_ALIASES[key] || 'bullets');
+    repairs.push({ path: joinPath(path, 'visualType'), action: `${JSON.stringify(slide.visualType)} → ${fixed}` });
+    slide.visualType = fixed;
+  }
+  if (slide.content === undefined) {
+    repairs.push({ path: joinPath(path, 'content'), action: 'added empty content list' });
+    slide.content = [];
+  }
+}
+
+function repairQuestion(q, path, repairs) {
+  const types = getDefinition('question').properties.type.enum;
+  if (q.type !== undefined && !types.includes(q.type)) {
+    const key = normalizeKey(q.type);
+    const fixed = types.includes(key) ? key : QUESTION_TYPE_ALIASES[key];
+    if (fixed) {
+      repairs.push({ path: joinPath(path, 'type'), action: `${JSON.stringify(q.type)} → ${fixed}` });
+      q.type = fixed;
+    }
+  }
+
+  if (typeof q.difficulty === 'string' && q.difficulty !== q.difficulty.toLowerCase().trim()) {
+    repairs.push({ path: joinPath(path, 'difficulty'), action: 'lower-cased' });
+    q.difficulty = q.difficulty.toLowerCase().trim();
+  }
+
+  const options = Array.isArray(q.options) ? q.options : [];
+  if (q.type === 'truefalse' && options.length === 0) {
+    repairs.push({ path: joinPath(path, 'options'), action: 'added True/False options' });
+    q.options = ['A) True', 'B) False'];
+  }
+
+  const answer = typeof q.correctAnswer === 'boolean' ? (q.correctAnswer ? 'True' : 'False') : String(q.correctAnswer ?? '').trim();
+  if (/^[A-D]$/.test(answer)) return;
+
+  let letter = null;
+  const prefixed = answer.match(/^\(?([A-Da-d])(?:[).:\s]|$)/);
+  if (prefixed) {
+    letter = prefixed[1].toUpperCase();
+  } else if (answer) {
+    const idx = (q.options || []).findIndex(o => {
+      const text = o.replace(/^[A-D][).:]\s*/, '').trim().toLowerCase();
+      return text === answer.toLowerCase();
+    });
+    if (idx >= 0 && idx < 4) letter = 'ABCD'[idx];
+  }
+
+  if (letter) {
+    repairs.push({ path: joinPath(path, 'correctAnswer'), action: `${JSON.stringify(q.correctAnswer)} → ${letter}` });
+    q.correctAnswer = letter;
+  }
+}
+
+function repairQuestions(questions, path, repairs) {
+  if (!Array.isArray(questions)) return;
+  renumber(questions, 'questionNumber', path, repairs);
+  questions.forEach((q, i) => { if (typeOf(q) === 'object') repairQuestion(q, joinPath(path, i), repairs); });
+}
+
+function repairLecture(lecture, path, repairs) {
+  if (typeOf(lecture) !== 'object') return;
+  if (Array.isArray(lecture.script?.mainContent)) {
+    lecture.script.mainContent = lecture.script.mainContent.map((m, i) => {
+      if (typeof m !== 'string') return m;
+      repairs.push({ path: joinPath(joinPath(path, 'script.mainContent'), i), action: 'wrapped string as mainContent entry' });
+      return { content: m };
+    });
+  }
+  if (Array.isArray(lecture.slides)) {
+    renumber(lecture.slides, 'slideNumber', joinPath(path, 'slides'), repairs);
+    lecture.slides.forEach((s, i) => { if (typeOf(s) === 'object') repairSlide(s, joinPath(joinPath(path, 'slides'), i), repairs); });
+  }
+}
+
+/**
+ * Coerce common LLM deviations. Returns a repaired copy plus a list of
+ * { path, action } describing every change; the input is not modified.
+ */
+function repairCourseContent(content, options = {}) {
+  const { definition = null } = options;
+  const repairs = [];
+  if (typeOf(content) !== 'object') return { content, repairs };
+
+  const schema = getDefinition(definition);
+  const out = coerceNode(JSON.parse(JSON.stringify(content)), schema, '', repairs);
+
+  if (!definition || definition === 'outline') {
+    renumber(out.sections, 'sectionNumber', 'sections', repairs);
+    (out.sections || []).forEach((section, si) => {
+      if (typeOf(section) !== 'object') return;
+      const sectionPath = joinPath('sections', si);
+      renumber(section.lectures, 'lectureNumber', joinPath(sectionPath, 'lectures'), repairs);
+      if (!definition) (section.lectures || []).forEach((l, li) => repairLecture(l, joinPath(joinPath(sectionPath, 'lectures'), li), repairs));
+      if (section.quiz) repairQuestions(section.quiz.questions, joinPath(sectionPath, 'quiz.questions'), repairs);
+    });
+  }
+  if (!definition) repairQuestions(out.assessment?.finalQuiz?.questions, 'assessment.finalQuiz.questions', repairs);
+  if (definition === 'lecturePiece' || definition === 'lecture') repairLecture(out, '', repairs);
+  if (definition === 'quiz' || definition === 'questionList') repairQuestions(out.questions, 'questions', repairs);
+  if (definition === 'assessment') repairQuestions(out.finalQuiz?.questions, 'finalQuiz.questions', repairs);
+
+  return { content: out, repairs };
+}
+
+/**
+ * Repair, then validate — the path used for every LLM response
+ */
+function repairAndValidate(content, options = {}) {
+  const { content: repaired, repairs } = repairCourseContent(content, options);
+  const { valid, errors } = validateCourseContent(repaired, options);
+  return { valid, errors, repairs, content: repaired };
+}
+
+module.exports = {
+  SCHEMA, validateCourseContent, repairCourseContent, repairAndValidate, formatSchemaErrors
+};
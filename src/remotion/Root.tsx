@@ -1,6 +1,22 @@
-import { Composition } from 'remotion';
+import { CalculateMetadataFunction, Composition } from 'remotion';
 import { LectureVideo, LectureVideoProps } from './compositions/LectureVideo';
-import { CourseSlides } from './compositions/CourseSlides';
+import { CourseSlides, CourseSlidesProps } from './compositions/CourseSlides';
+import { Bumper, BumperProps } from './compositions/Bumper';
+
+// Length follows the narration: audio duration, else the sum of slide durations
+const courseSlidesMetadata: CalculateMetadataFunction<CourseSlidesProps> = ({ props }) => {
+  const seconds = props.audioDuration || (props.slideDurations || []).reduce((a, b) => a + b, 0) || 60;
+  return { durationInFrames: Math.max(1, Math.ceil(seconds * props.fps)), fps: props.fps, width: props.width, height: props.height };
+};
+
+const lectureVideoMetadata: CalculateMetadataFunction<LectureVideoProps> = ({ props }) => {
+  const seconds = props.slides.reduce((a, s) => a + s.duration, 0) || 60;
+  return { durationInFrames: Math.max(1, Math.ceil(seconds * props.fps)), fps: props.fps, width: props.width, height: props.height };
+};
+
+const bumperMetadata: CalculateMetadataFunction<BumperProps> = ({ props }) => {
+  return { durationInFrames: Math.max(1, Math.ceil((props.seconds || 4) * props.fps)), fps: props.fps, width: props.width, height: props.height };
+};
 
 export const RemotionRoot: React.FC = () => {
   return (
@@ -8,6 +24,7 @@ export const RemotionRoot: React.FC = () => {
       <Composition
         id="CourseSlides"
         component={CourseSlides}
+        calculateMetadata={courseSlidesMetadata}
         durationInFrames={30 * 60 * 10}
         fps={30}
         width={1920}
@@ -15,17 +32,21 @@ export const RemotionRoot: React.FC = () => {
         defaultProps={{
           slideData: [],
           audioPath: '',
+          audioDuration: 0,
+          slideDurations: null,
           courseTitle: 'Course',
           sectionTitle: '',
+          theme: null,
           fps: 30,
           width: 1920,
           height: 1080
-        }}
+        } as CourseSlidesProps}
       />
 
       <Composition
         id="LectureVideo"
         component={LectureVideo}
+        calculateMetadata={lectureVideoMetadata}
         durationInFrames={30 * 60 * 10}
         fps={30}
         width={1920}
@@ -34,11 +55,31 @@ export const RemotionRoot: React.FC = () => {
           slides: [],
           audioPath: '',
           title: 'Lecture',
+          theme: null,
           fps: 30,
           width: 1920,
           height: 1080
         } as LectureVideoProps}
       />
+
+      <Composition
+        id="Bumper"
+        component={Bumper}
+        calculateMetadata={bumperMetadata}
+        durationInFrames={30 * 4}
+        fps={30}
+        width={1920}
+        height={1080}
+        defaultProps={{
+          kind: 'intro',
+          courseTitle: 'Course',
+          seconds: 4,
+          theme: null,
+          fps: 30,
+          width: 1920,
+          height: 1080
+        } as BumperProps}
+      />
     </>
   );
 };
@@ -1,5 +1,6 @@
 import React from 'react';
 import { useCurrentFrame, interpolate, spring, useVideoConfig } from 'remotion';
+import { useTheme } from '../theme';
 
 interface AnimatedBulletsProps {
   bullets: string[];
@@ -9,9 +10,10 @@ interface AnimatedBulletsProps {
 
 export const AnimatedBullets: React.FC<AnimatedBulletsProps> = ({
   bullets,
-  color = '#333333',
+  color,
   fontSize = 36
 }) => {
+  const { palette, fonts } = useTheme();
   const frame = useCurrentFrame();
   const { fps } = useVideoConfig();
 
@@ -24,8 +26,8 @@ export const AnimatedBullets: React.FC<AnimatedBulletsProps> = ({
 
         return (
           <div key={i} style={{ opacity, transform: `translateX(${translateX}px)`, marginBottom: 20, display: 'flex', alignItems: 'flex-start' }}>
-            <span style={{ color: '#f4a261', fontSize: fontSize + 4, marginRight: 16, lineHeight: 1 }}>•</span>
-            <span style={{ color, fontSize, fontFamily: 'Arial, sans-serif', lineHeight: 1.4 }}>{bullet}</span>
+            <span style={{ color: palette.accent, fontSize: fontSize + 4, marginRight: 16, lineHeight: 1 }}>•</span>
+            <span style={{ color: color || palette.body, fontSize, fontFamily: fonts.body, lineHeight: 1.4 }}>{bullet}</span>
           </div>
         );
       })}
@@ -1,5 +1,6 @@
 import React from 'react';
 import { useCurrentFrame, interpolate } from 'remotion';
+import { useTheme } from '../theme';
 
 interface AnimatedChartProps {
   data: { label: string; value: number }[];
@@ -7,6 +8,7 @@ interface AnimatedChartProps {
 }
 
 export const AnimatedChart: React.FC<AnimatedChartProps> = ({ data, maxValue }) => {
+  const { palette, fonts } = useTheme();
   const frame = useCurrentFrame();
   const max = maxValue || Math.max(...data.map(d => d.value));
 
@@ -18,8 +20,8 @@ export const AnimatedChart: React.FC<AnimatedChartProps> = ({ data, maxValue })
 
         return (
           <div key={i} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
-            <div style={{ width: 60, height, backgroundColor: i % 2 === 0 ? '#f4a261' : '#1a1a2e', borderRadius: '8px 8px 0 0', transition: 'height 0.3s' }} />
-            <span style={{ marginTop: 8, fontSize: 16, color: '#666', fontFamily: 'Arial' }}>{item.label}</span>
+            <div style={{ width: 60, height, backgroundColor: i % 2 === 0 ? palette.accent : palette.primary, borderRadius: '8px 8px 0 0', transition: 'height 0.3s' }} />
+            <span style={{ marginTop: 8, fontSize: 16, color: palette.subtle, fontFamily: fonts.body }}>{item.label}</span>
           </div>
         );
       })}
@@ -1,4 +1,6 @@
 import React from 'react';
+import { Img } from 'remotion';
+import { useTheme } from '../theme';
 
 interface CourseHeaderProps {
   title: string;
@@ -6,14 +8,18 @@ interface CourseHeaderProps {
 }
 
 export const CourseHeader: React.FC<CourseHeaderProps> = ({ title, sectionTitle }) => {
+  const { palette, fonts, logo } = useTheme();
   return (
     <div style={{
       position: 'absolute', top: 0, left: 0, right: 0,
-      background: 'linear-gradient(180deg, rgba(26,26,46,0.9) 0%, transparent 100%)',
+      background: `linear-gradient(180deg, ${palette.background}e6 0%, transparent 100%)`,
       padding: '20px 40px', display: 'flex', justifyContent: 'space-between', alignItems: 'center'
     }}>
-      <span style={{ color: 'white', fontSize: 18, fontFamily: 'Arial', fontWeight: 'bold' }}>{title}</span>
-      {sectionTitle && <span style={{ color: '#f4a261', fontSize: 16, fontFamily: 'Arial' }}>{sectionTitle}</span>}
+      <span style={{ display: 'flex', alignItems: 'center', gap: 16 }}>
+        {logo && <Img src={logo} style={{ height: 32 }} />}
+        <span style={{ color: palette.text, fontSize: 18, fontFamily: fonts.heading, fontWeight: 'bold' }}>{title}</span>
+      </span>
+      {sectionTitle && <span style={{ color: palette.accent, fontSize: 16, fontFamily: fonts.body }}>{sectionTitle}</span>}
     </div>
   );
 };
@@ -1,11 +1,13 @@
 import React from 'react';
 import { useCurrentFrame, interpolate } from 'remotion';
+import { useTheme } from '../theme';
 
 interface StepDiagramProps {
   steps: string[];
 }
 
 export const StepDiagram: React.FC<StepDiagramProps> = ({ steps }) => {
+  const { palette, fonts } = useTheme();
   const frame = useCurrentFrame();
 
   return (
@@ -19,15 +21,16 @@ export const StepDiagram: React.FC<StepDiagramProps> = ({ steps }) => {
           <React.Fragment key={i}>
             <div style={{
               opacity, transform: `scale(${scale})`,
-              backgroundColor: '#1a1a2e', color: 'white', borderRadius: 12,
-              padding: '16px 24px', fontSize: 20, fontFamily: 'Arial',
+              backgroundColor: palette.backgroundAlt, color: palette.text, borderRadius: 12,
+              border: `2px solid ${palette.accent}`,
+              padding: '16px 24px', fontSize: 20, fontFamily: fonts.body,
               textAlign: 'center', minWidth: 120, maxWidth: 200
             }}>
-              <div style={{ fontSize: 28, fontWeight: 'bold', color: '#f4a261', marginBottom: 4 }}>{i + 1}</div>
+              <div style={{ fontSize: 28, fontWeight: 'bold', color: palette.accent, marginBottom: 4 }}>{i + 1}</div>
               {step}
             </div>
             {i < steps.length - 1 && (
-              <div style={{ opacity, color: '#f4a261', fontSize: 32, margin: '0 8px' }}>→</div>
+              <div style={{ opacity, color: palette.accent, fontSize: 32, margin: '0 8px' }}>→</div>
             )}
           </React.Fragment>
         );
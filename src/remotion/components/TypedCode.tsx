@@ -1,5 +1,6 @@
 import React from 'react';
 import { useCurrentFrame, interpolate } from 'remotion';
+import { useTheme } from '../theme';
 
 interface TypedCodeProps {
   code: string;
@@ -7,24 +8,25 @@ interface TypedCodeProps {
 }
 
 export const TypedCode: React.FC<TypedCodeProps> = ({ code, fontSize = 24 }) => {
+  const { palette, fonts } = useTheme();
   const frame = useCurrentFrame();
   const chars = Math.floor(interpolate(frame, [0, 90], [0, code.length], { extrapolateRight: 'clamp' }));
   const visible = code.substring(0, chars);
 
   return (
     <div style={{
-      backgroundColor: '#0d0d0d',
+      backgroundColor: palette.codeBackground,
       borderRadius: 12,
       padding: 40,
       margin: '0 60px',
-      fontFamily: 'Courier New, monospace',
+      fontFamily: fonts.mono,
       fontSize,
-      color: '#00ff00',
+      color: palette.codeText,
       whiteSpace: 'pre-wrap',
       lineHeight: 1.6
     }}>
       {visible}
-      <span style={{ opacity: frame % 30 < 15 ? 1 : 0, color: '#00ff00' }}>▌</span>
+      <span style={{ opacity: frame % 30 < 15 ? 1 : 0, color: palette.accent }}>▌</span>
     </div>
   );
 };
@@ -0,0 +1,96 @@
+import React from 'react';
+import { AbsoluteFill, Img, interpolate, useCurrentFrame } from 'remotion';
+import { Theme, ThemeProvider, themeBackground, useTheme } from '../theme';
+
+// Cards the renderer stitches around a lecture (mirrors the BUMPERS in
+// src/apollo/slideTemplates.js); the crossfade into the lecture is done by FFmpeg
+export type BumperProps = {
+  kind: 'intro' | 'section' | 'outro';
+  courseTitle?: string;
+  subtitle?: string;
+  sectionNumber?: number;
+  sectionTitle?: string;
+  lectureNumber?: number;
+  lectureTitle?: string;
+  callToAction?: string;
+  heading?: string;
+  // Seconds on screen — sets the composition length (see Root.tsx)
+  seconds: number;
+  theme?: Theme | null;
+  fps: number;
+  width: number;
+  height: number;
+};
+
+const useEntrance = (delay = 0) => {
+  const frame = useCurrentFrame();
+  return {
+    opacity: interpolate(frame, [delay, delay + 18], [0, 1], { extrapolateLeft: 'clamp', extrapolateRight: 'clamp' }),
+    transform: `translateY(${interpolate(frame, [delay, delay + 18], [24, 0], { extrapolateLeft: 'clamp', extrapolateRight: 'clamp' })}px)`
+  };
+};
+
+const IntroCard: React.FC<BumperProps> = ({ courseTitle, subtitle }) => {
+  const { palette, fonts, logo } = useTheme();
+  const [logoIn, titleIn, barIn, subtitleIn] = [useEntrance(0), useEntrance(4), useEntrance(10), useEntrance(16)];
+  return (
+    <AbsoluteFill style={{ justifyContent: 'center', alignItems: 'center', padding: '0 160px', textAlign: 'center' }}>
+      {logo && <Img src={logo} style={{ height: 90, marginBottom: 40, ...logoIn }} />}
+      <h1 style={{ color: palette.text, fontSize: 76, fontFamily: fonts.heading, margin: 0, ...titleIn }}>{courseTitle}</h1>
+      <div style={{ width: 240, height: 6, borderRadius: 3, margin: '36px 0', background: `linear-gradient(90deg, ${palette.accent}, ${palette.accentAlt})`, ...barIn }} />
+      {subtitle && <p style={{ color: palette.highlight, fontSize: 32, fontFamily: fonts.body, margin: 0, ...subtitleIn }}>{subtitle}</p>}
+    </AbsoluteFill>
+  );
+};
+
+const SectionCard: React.FC<BumperProps> = ({ sectionNumber = 1, sectionTitle, lectureNumber, lectureTitle }) => {
+  const { palette, fonts } = useTheme();
+  const [labelIn, titleIn, lectureIn] = [useEntrance(0), useEntrance(6), useEntrance(14)];
+  return (
+    <AbsoluteFill style={{ justifyContent: 'center', padding: '0 200px' }}>
+      <div style={{ position: 'absolute', left: 0, top: 0, bottom: 0, width: 20, background: `linear-gradient(180deg, ${palette.accent}, ${palette.accentAlt})` }} />
+      <div style={{ position: 'absolute', right: 100, bottom: 20, fontSize: 360, fontWeight: 'bold', fontFamily: fonts.heading, color: palette.accent, opacity: 0.12 }}>
+        {String(sectionNumber).padStart(2, '0')}
+      </div>
+      <div style={{ color: palette.accent, fontSize: 32, fontWeight: 'bold', letterSpacing: 6, fontFamily: fonts.body, ...labelIn }}>SECTION {sectionNumber}</div>
+      <h1 style={{ color: palette.text, fontSize: 70, fontFamily: fonts.heading, margin: '20px 0 40px', ...titleIn }}>{sectionTitle}</h1>
+      {lectureTitle && <p style={{ color: palette.subtle, fontSize: 32, fontFamily: fonts.body, margin: 0, ...lectureIn }}>Lecture {lectureNumber}: {lectureTitle}</p>}
+    </AbsoluteFill>
+  );
+};
+
+const OutroCard: React.FC<BumperProps> = ({ callToAction, heading = 'Up Next', courseTitle }) => {
+  const { palette, fonts, logo } = useTheme();
+  const [headingIn, ctaIn, footerIn] = [useEntrance(0), useEntrance(8), useEntrance(16)];
+  return (
+    <AbsoluteFill style={{ justifyContent: 'center', alignItems: 'center', padding: '0 240px', textAlign: 'center' }}>
+      <h2 style={{ color: palette.accent, fontSize: 48, fontFamily: fonts.heading, margin: 0, ...headingIn }}>{heading}</h2>
+      {callToAction && <p style={{ color: palette.text, fontSize: 42, lineHeight: 1.35, fontFamily: fonts.body, margin: '40px 0', ...ctaIn }}>{callToAction}</p>}
+      <div style={{ position: 'absolute', bottom: 80, display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 20, ...footerIn }}>
+        <div style={{ width: 200, height: 5, borderRadius: 3, background: `linear-gradient(90deg, ${palette.accent}, ${palette.accentAlt})` }} />
+        {courseTitle && <span style={{ color: palette.muted, fontSize: 26, fontFamily: fonts.body }}>{courseTitle}</span>}
+        {logo && <Img src={logo} style={{ height: 60 }} />}
+      </div>
+    </AbsoluteFill>
+  );
+};
+
+const CARDS = { intro: IntroCard, section: SectionCard, outro: OutroCard };
+
+const BumperCard: React.FC<BumperProps> = (props) => {
+  const theme = useTheme();
+  const Card = CARDS[props.kind] || IntroCard;
+  return (
+    <AbsoluteFill style={{ background: themeBackground(theme) }}>
+      <Card {...props} />
+    </AbsoluteFill>
+  );
+};
+
+export const Bumper: React.FC<BumperProps> = (props) => (
+  <ThemeProvider theme={props.theme}>
+    <BumperCard {...props} />
+  </ThemeProvider>
+);
+
+export default Bumper;
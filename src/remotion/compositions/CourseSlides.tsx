@@ -9,6 +9,7 @@ import { StepDiagram } from '../components/StepDiagram';
 import { SlideTransition } from '../components/SlideTransition';
 import { ProgressBar } from '../components/ProgressBar';
 import { CourseHeader } from '../components/CourseHeader';
+import { Theme, ThemeProvider, defaultTheme, themeBackground, useTheme } from '../theme';
 
 interface SlideData {
   slideNumber: number;
@@ -18,17 +19,26 @@ interface SlideData {
   visualType: 'title' | 'bullets' | 'code' | 'diagram' | 'comparison' | 'quote' | 'image';
 }
 
-interface CourseSlidesProps {
+export type CourseSlidesProps = {
   slideData: SlideData[];
+  // File in the bundle's public/ dir (or a URL)
   audioPath?: string;
+  // Seconds of narration — sets the composition length (see Root.tsx)
+  audioDuration?: number;
+  // Seconds per slide — the narrator's timing manifest or the renderer's estimate
+  slideDurations?: number[] | null;
   courseTitle?: string;
   sectionTitle?: string;
+  // Resolved course theme (src/apollo/themes.js); defaults to 'midnight'
+  theme?: Theme | null;
   fps: number;
   width: number;
   height: number;
-}
+};
 
 const TitleSlide: React.FC<{ title: string; subtitle?: string }> = ({ title, subtitle }) => {
+  const theme = useTheme();
+  const { palette, fonts } = theme;
   const frame = useCurrentFrame();
   const { fps } = useVideoConfig();
   const titleOpacity = interpolate(frame, [0, 20], [0, 1], { extrapolateRight: 'clamp' });
@@ -36,21 +46,23 @@ const TitleSlide: React.FC<{ title: string; subtitle?: string }> = ({ title, sub
   const subOpacity = interpolate(frame, [15, 35], [0, 1], { extrapolateLeft: 'clamp', extrapolateRight: 'clamp' });
 
   return (
-    <AbsoluteFill style={{ background: 'linear-gradient(135deg, #1a1a2e 0%, #16213e 100%)', justifyContent: 'center', alignItems: 'center' }}>
-      <h1 style={{ color: 'white', fontSize: 64, fontFamily: 'Arial', textAlign: 'center', padding: '0 80px', opacity: titleOpacity, transform: `translateY(${titleY}px)` }}>{title}</h1>
-      {subtitle && <p style={{ color: '#AAAAAA', fontSize: 32, fontFamily: 'Arial', textAlign: 'center', marginTop: 20, opacity: subOpacity }}>{subtitle}</p>}
+    <AbsoluteFill style={{ background: themeBackground(theme), justifyContent: 'center', alignItems: 'center' }}>
+      <h1 style={{ color: palette.text, fontSize: 64, fontFamily: fonts.heading, textAlign: 'center', padding: '0 80px', opacity: titleOpacity, transform: `translateY(${titleY}px)` }}>{title}</h1>
+      <div style={{ width: 160, height: 6, borderRadius: 3, backgroundColor: palette.accent, opacity: subOpacity }} />
+      {subtitle && <p style={{ color: palette.subtle, fontSize: 32, fontFamily: fonts.body, textAlign: 'center', marginTop: 20, opacity: subOpacity }}>{subtitle}</p>}
     </AbsoluteFill>
   );
 };
 
 const BulletSlide: React.FC<{ title: string; bullets: string[] }> = ({ title, bullets }) => {
+  const theme = useTheme();
   const frame = useCurrentFrame();
   const titleOpacity = interpolate(frame, [0, 15], [0, 1], { extrapolateRight: 'clamp' });
 
   return (
-    <AbsoluteFill style={{ backgroundColor: '#FFFFFF' }}>
+    <AbsoluteFill style={{ background: themeBackground(theme) }}>
       <div style={{ padding: '100px 0 0 0' }}>
-        <h2 style={{ color: '#1a1a2e', fontSize: 44, fontFamily: 'Arial', padding: '0 80px', marginBottom: 40, opacity: titleOpacity, fontWeight: 'bold' }}>{title}</h2>
+        <h2 style={{ color: theme.palette.text, fontSize: 44, fontFamily: theme.fonts.heading, padding: '0 80px', marginBottom: 40, opacity: titleOpacity, fontWeight: 'bold' }}>{title}</h2>
         <AnimatedBullets bullets={bullets} />
       </div>
     </AbsoluteFill>
@@ -58,57 +70,62 @@ const BulletSlide: React.FC<{ title: string; bullets: string[] }> = ({ title, bu
 };
 
 const CodeSlide: React.FC<{ title: string; code: string }> = ({ title, code }) => {
+  const theme = useTheme();
   const frame = useCurrentFrame();
   const titleOpacity = interpolate(frame, [0, 15], [0, 1], { extrapolateRight: 'clamp' });
 
   return (
-    <AbsoluteFill style={{ backgroundColor: '#1e1e1e' }}>
-      <h2 style={{ color: 'white', fontSize: 36, fontFamily: 'Arial', padding: '40px 60px 20px', opacity: titleOpacity, fontWeight: 'bold' }}>{title}</h2>
+    <AbsoluteFill style={{ background: themeBackground(theme) }}>
+      <h2 style={{ color: theme.palette.text, fontSize: 36, fontFamily: theme.fonts.heading, padding: '40px 60px 20px', opacity: titleOpacity, fontWeight: 'bold' }}>{title}</h2>
       <TypedCode code={code} />
     </AbsoluteFill>
   );
 };
 
 const DiagramSlide: React.FC<{ title: string; steps: string[] }> = ({ title, steps }) => {
+  const theme = useTheme();
   const frame = useCurrentFrame();
   const titleOpacity = interpolate(frame, [0, 15], [0, 1], { extrapolateRight: 'clamp' });
 
   return (
-    <AbsoluteFill style={{ backgroundColor: '#F5F5F5' }}>
-      <h2 style={{ color: '#1a1a2e', fontSize: 40, fontFamily: 'Arial', padding: '60px 60px 30px', opacity: titleOpacity, fontWeight: 'bold', textAlign: 'center' }}>{title}</h2>
+    <AbsoluteFill style={{ background: themeBackground(theme) }}>
+      <h2 style={{ color: theme.palette.text, fontSize: 40, fontFamily: theme.fonts.heading, padding: '60px 60px 30px', opacity: titleOpacity, fontWeight: 'bold', textAlign: 'center' }}>{title}</h2>
       <StepDiagram steps={steps} />
     </AbsoluteFill>
   );
 };
 
 const QuoteSlide: React.FC<{ text: string }> = ({ text }) => {
+  const { palette, fonts } = useTheme();
   const frame = useCurrentFrame();
   const opacity = interpolate(frame, [0, 25], [0, 1], { extrapolateRight: 'clamp' });
   const scale = interpolate(frame, [0, 25], [0.9, 1], { extrapolateRight: 'clamp' });
 
   return (
-    <AbsoluteFill style={{ background: 'linear-gradient(135deg, #f4a261 0%, #e76f51 100%)', justifyContent: 'center', alignItems: 'center' }}>
-      <p style={{ color: 'white', fontSize: 48, fontFamily: 'Georgia, serif', textAlign: 'center', padding: '0 100px', fontStyle: 'italic', opacity, transform: `scale(${scale})`, lineHeight: 1.5 }}>"{text}"</p>
+    <AbsoluteFill style={{ background: `linear-gradient(135deg, ${palette.accent} 0%, ${palette.accentAlt} 100%)`, justifyContent: 'center', alignItems: 'center' }}>
+      <p style={{ color: '#ffffff', fontSize: 48, fontFamily: fonts.quote, textAlign: 'center', padding: '0 100px', fontStyle: 'italic', opacity, transform: `scale(${scale})`, lineHeight: 1.5 }}>"{text}"</p>
     </AbsoluteFill>
   );
 };
 
 const ComparisonSlide: React.FC<{ title: string; items: string[] }> = ({ title, items }) => {
+  const theme = useTheme();
+  const { palette } = theme;
   const frame = useCurrentFrame();
   const half = Math.ceil(items.length / 2);
   const left = items.slice(0, half);
   const right = items.slice(half);
 
   return (
-    <AbsoluteFill style={{ backgroundColor: '#FFFFFF' }}>
-      <h2 style={{ color: '#1a1a2e', fontSize: 40, fontFamily: 'Arial', padding: '60px 60px 20px', fontWeight: 'bold', textAlign: 'center' }}>{title}</h2>
+    <AbsoluteFill style={{ background: themeBackground(theme) }}>
+      <h2 style={{ color: palette.text, fontSize: 40, fontFamily: theme.fonts.heading, padding: '60px 60px 20px', fontWeight: 'bold', textAlign: 'center' }}>{title}</h2>
       <div style={{ display: 'flex', padding: '0 60px', gap: 40 }}>
         <div style={{ flex: 1 }}>
-          <AnimatedBullets bullets={left} color="#1a1a2e" fontSize={28} />
+          <AnimatedBullets bullets={left} color={palette.body} fontSize={28} />
         </div>
-        <div style={{ width: 2, backgroundColor: '#ddd' }} />
+        <div style={{ width: 2, backgroundColor: palette.muted }} />
         <div style={{ flex: 1 }}>
-          <AnimatedBullets bullets={right} color="#666666" fontSize={28} />
+          <AnimatedBullets bullets={right} color={palette.highlight} fontSize={28} />
         </div>
       </div>
     </AbsoluteFill>
@@ -116,7 +133,7 @@ const ComparisonSlide: React.FC<{ title: string; items: string[] }> = ({ title,
 };
 
 export const CourseSlides: React.FC<CourseSlidesProps> = ({
-  slideData, audioPath, courseTitle, sectionTitle, fps
+  slideData, audioPath, slideDurations, courseTitle, sectionTitle, theme, fps
 }) => {
   const { durationInFrames } = useVideoConfig();
 
@@ -124,57 +141,66 @@ export const CourseSlides: React.FC<CourseSlidesProps> = ({
     ? Math.floor(durationInFrames / slideData.length)
     : durationInFrames;
 
+  // Measured timings: cut on the rounded cumulative boundary so frame
+  // rounding never drifts away from the audio
+  const timed = slideDurations && slideDurations.length === slideData.length;
+  const boundaries = timed
+    ? slideDurations!.reduce<number[]>((acc, d) => [...acc, acc[acc.length - 1] + d], [0]).map(t => Math.round(t * fps))
+    : [];
+
   const transitions: Array<'fade' | 'slide' | 'zoom'> = ['fade', 'slide', 'zoom'];
   let currentFrame = 0;
 
   return (
-    <AbsoluteFill style={{ backgroundColor: '#1a1a2e' }}>
-      {slideData.map((slide, i) => {
-        const from = currentFrame;
-        const dur = i === slideData.length - 1
-          ? durationInFrames - currentFrame
-          : slideDurationFrames;
-        currentFrame += dur;
-
-        const transition = transitions[i % transitions.length];
-
-        let SlideComponent: React.ReactNode;
-        const content = slide.content || [];
-
-        switch (slide.visualType) {
-          case 'title':
-            SlideComponent = <TitleSlide title={slide.title} subtitle={content[0]} />;
-            break;
-          case 'code':
-            SlideComponent = <CodeSlide title={slide.title} code={content.join('\n')} />;
-            break;
-          case 'diagram':
-            SlideComponent = <DiagramSlide title={slide.title} steps={content} />;
-            break;
-          case 'quote':
-            SlideComponent = <QuoteSlide text={content.join(' ')} />;
-            break;
-          case 'comparison':
-            SlideComponent = <ComparisonSlide title={slide.title} items={content} />;
-            break;
-          default:
-            SlideComponent = <BulletSlide title={slide.title} bullets={content} />;
-        }
-
-        return (
-          <Sequence key={i} from={from} durationInFrames={dur}>
-            <SlideTransition durationInFrames={dur} type={transition}>
-              {SlideComponent}
-            </SlideTransition>
-          </Sequence>
-        );
-      })}
-
-      {courseTitle && <CourseHeader title={courseTitle} sectionTitle={sectionTitle} />}
-      <ProgressBar />
-
-      {audioPath && <Audio src={audioPath} />}
-    </AbsoluteFill>
+    <ThemeProvider theme={theme}>
+      <AbsoluteFill style={{ backgroundColor: (theme || defaultTheme).palette.background }}>
+        {slideData.map((slide, i) => {
+          const from = currentFrame;
+          const dur = i === slideData.length - 1
+            ? durationInFrames - currentFrame
+            : timed ? boundaries[i + 1] - boundaries[i] : slideDurationFrames;
+          currentFrame += dur;
+
+          const transition = transitions[i % transitions.length];
+
+          let SlideComponent: React.ReactNode;
+          const content = slide.content || [];
+
+          switch (slide.visualType) {
+            case 'title':
+              SlideComponent = <TitleSlide title={slide.title} subtitle={content[0]} />;
+              break;
+            case 'code':
+              SlideComponent = <CodeSlide title={slide.title} code={content.join('\n')} />;
+              break;
+            case 'diagram':
+              SlideComponent = <DiagramSlide title={slide.title} steps={content} />;
+              break;
+            case 'quote':
+              SlideComponent = <QuoteSlide text={content.join(' ')} />;
+              break;
+            case 'comparison':
+              SlideComponent = <ComparisonSlide title={slide.title} items={content} />;
+              break;
+            default:
+              SlideComponent = <BulletSlide title={slide.title} bullets={content} />;
+          }
+
+          return (
+            <Sequence key={i} from={from} durationInFrames={dur}>
+              <SlideTransition durationInFrames={dur} type={transition}>
+                {SlideComponent}
+              </SlideTransition>
+            </Sequence>
+          );
+        })}
+
+        {courseTitle && <CourseHeader title={courseTitle} sectionTitle={sectionTitle} />}
+        <ProgressBar />
+
+        {audioPath && <Audio src={/^https?:\/\//.test(audioPath) ? audioPath : staticFile(audioPath)} />}
+      </AbsoluteFill>
+    </ThemeProvider>
   );
 };
 
@@ -1,5 +1,6 @@
 import React from 'react';
 import { AbsoluteFill, Audio, Img, interpolate, Sequence, useCurrentFrame, useVideoConfig } from 'remotion';
+import { Theme, defaultTheme, themeBackground } from '../theme';
 
 interface Slide {
   imagePath: string;
@@ -7,14 +8,16 @@ interface Slide {
   title?: string;
 }
 
-export interface LectureVideoProps {
+export type LectureVideoProps = {
   slides: Slide[];
   audioPath?: string;
   title?: string;
+  // Resolved course theme (src/apollo/themes.js); defaults to 'midnight'
+  theme?: Theme | null;
   fps: number;
   width: number;
   height: number;
-}
+};
 
 const SlideWithKenBurns: React.FC<{ imagePath: string; durationInFrames: number; effect: string }> = ({ imagePath, durationInFrames, effect }) => {
   const frame = useCurrentFrame();
@@ -35,7 +38,8 @@ const SlideWithKenBurns: React.FC<{ imagePath: string; durationInFrames: number;
   );
 };
 
-export const LectureVideo: React.FC<LectureVideoProps> = ({ slides, audioPath, title, fps }) => {
+export const LectureVideo: React.FC<LectureVideoProps> = ({ slides, audioPath, title, theme, fps }) => {
+  const { palette, fonts } = theme || defaultTheme;
   const { durationInFrames } = useVideoConfig();
   const effects = ['zoomIn', 'panRight', 'zoomOut', 'panLeft'];
   const totalDur = slides.reduce((s, sl) => s + sl.duration, 0);
@@ -43,7 +47,7 @@ export const LectureVideo: React.FC<LectureVideoProps> = ({ slides, audioPath, t
   let cur = 0;
 
   return (
-    <AbsoluteFill style={{ background: 'linear-gradient(135deg, #1a1a2e 0%, #16213e 100%)' }}>
+    <AbsoluteFill style={{ background: themeBackground(theme || defaultTheme) }}>
       {slides.map((slide, i) => {
         const dur = Math.round(slide.duration * fps * scale);
         const from = cur;
@@ -56,7 +60,7 @@ export const LectureVideo: React.FC<LectureVideoProps> = ({ slides, audioPath, t
       })}
       {title && slides.length === 0 && (
         <AbsoluteFill style={{ justifyContent: 'center', alignItems: 'center' }}>
-          <h1 style={{ color: 'white', fontSize: 64, fontFamily: 'Arial', textAlign: 'center', padding: 40 }}>{title}</h1>
+          <h1 style={{ color: palette.text, fontSize: 64, fontFamily: fonts.heading, textAlign: 'center', padding: 40 }}>{title}</h1>
         </AbsoluteFill>
       )}
       {audioPath && <Audio src={audioPath} />}
@@ -0,0 +1,63 @@
+import React, { createContext, useContext } from 'react';
+
+// Mirrors the resolved theme from src/apollo/themes.js (passed in as a prop);
+// logo arrives as a data URI
+export type ThemePalette = {
+  background: string;
+  backgroundAlt: string;
+  surface: string;
+  shadow: string;
+  text: string;
+  body: string;
+  highlight: string;
+  subtle: string;
+  muted: string;
+  primary: string;
+  secondary: string;
+  accent: string;
+  accentLight: string;
+  accentAlt: string;
+  codeBackground: string;
+  codeText: string;
+  success: string;
+  danger: string;
+};
+
+export type Theme = {
+  name: string;
+  background: 'orbs' | 'gradient' | 'solid';
+  logo?: string | null;
+  fonts: { heading: string; body: string; mono: string; quote: string };
+  palette: ThemePalette;
+};
+
+// Fallback when no theme prop is given — the 'midnight' theme
+export const defaultTheme: Theme = {
+  name: 'midnight',
+  background: 'orbs',
+  logo: null,
+  fonts: { heading: 'Segoe UI, Helvetica, Arial', body: 'Segoe UI, Helvetica, Arial', mono: 'Consolas, Menlo, DejaVu Sans Mono, monospace', quote: 'Georgia, serif' },
+  palette: {
+    background: '#0f0c29', backgroundAlt: '#1a1145', surface: '#ffffff', shadow: '#0a0820',
+    text: '#ffffff', body: '#ddd6fe', highlight: '#c4b5fd', subtle: '#a5b4fc', muted: '#6366a0',
+    primary: '#7c3aed', secondary: '#1e40af', accent: '#8b5cf6', accentLight: '#a78bfa', accentAlt: '#3b82f6',
+    codeBackground: '#1e1e1e', codeText: '#e2e8f0', success: '#22c55e', danger: '#ef4444'
+  }
+};
+
+export const ThemeContext = createContext<Theme>(defaultTheme);
+
+export const useTheme = (): Theme => useContext(ThemeContext);
+
+export const ThemeProvider: React.FC<{ theme?: Theme | null; children: React.ReactNode }> = ({ theme, children }) => (
+  <ThemeContext.Provider value={theme || defaultTheme}>{children}</ThemeContext.Provider>
+);
+
+// CSS background for the theme's style: orbs, gradient or solid
+export const themeBackground = (theme: Theme): string => {
+  const { palette } = theme;
+  if (theme.background === 'solid') return palette.background;
+  const gradient = `linear-gradient(135deg, ${palette.background} 0%, ${palette.backgroundAlt} 100%)`;
+  if (theme.background !== 'orbs') return gradient;
+  return `radial-gradient(circle at 88% 18%, ${palette.primary}22 0, transparent 28%), radial-gradient(circle at 8% 88%, ${palette.accentAlt}1a 0, transparent 24%), ${gradient}`;
+};
@@ -5,15 +5,17 @@
  *   node batchRunner.js                # Run 5 courses (default)
  *   node batchRunner.js --count=10     # Run 10 courses
  *   node batchRunner.js --category="AI" --count=3
+ *   node batchRunner.js --count=20 --parallel=3   # 3 courses at once
  *
  * Cron example (run 5 courses every 6 hours):
- *   0 */6 * * * cd /home/udemycrores && node src/scripts/batchRunner.js --count=5 >> logs/cron.log 2>&1
+ *   0 0-23/6 * * * cd /home/udemycrores && node src/scripts/batchRunner.js --count=5 >> logs/cron.log 2>&1
  */
 
 require('dotenv').config();
 const { orchestrateBatch } = require('./courseOrchestrator');
 const { getStatistics } = require('../apollo/curriculum');
 const { sendDailyReport } = require('./emailNotifier');
+const { setConcurrency } = require('./workerPool');
 const fs = require('fs');
 const path = require('path');
 
@@ -25,6 +27,7 @@ async function main() {
   args.forEach(arg => {
     if (arg.startsWith('--count=')) count = parseInt(arg.split('=')[1]) || 5;
     if (arg.startsWith('--category=')) category = arg.split('=')[1];
+    if (arg.startsWith('--parallel=')) setConcurrency('courses', parseInt(arg.split('=')[1]) || 1);
   });
 
   console.log('\n═══════════════════════════════════════════════════════════════');
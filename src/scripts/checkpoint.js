@@ -0,0 +1,181 @@
+/**
+ * Checkpoint — per-course stage manifest for resumable pipeline runs
+ *
+ * After each stage the orchestrator records, in <courseDir>/checkpoint.json,
+ * a hash of the inputs that stage read, the files it wrote and its stage
+ * result. A stage can be skipped on --resume when its input hash still
+ * matches and all of its outputs are on disk.
+ *
+ * Inputs are narrow on purpose: the narrator hashes only lecture scripts,
+ * the renderer only slides and audio file fingerprints, and so on — a quiz
+ * added to content.json does not invalidate the audio.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const MIXER = require('../apollo/audioMixer');
+const MASTERING = require('../apollo/audioMastering');
+const TEXT = require('../apollo/textNormalizer');
+const VOICES = require('../apollo/voiceProfiles');
+
+const CHECKPOINT_FILE = 'checkpoint.json';
+const STAGES = ['curriculum', 'scriptwriter', 'narrator', 'mastering', 'captions', 'music', 'slideforge', 'renderer', 'quiz', 'cheatsheet', 'validator', 'notify'];
+// Cheap or side-effecting stages that always run when they are in range
+const ALWAYS_RUN = ['curriculum', 'validator', 'notify'];
+
+function hashValue(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
+function fileFingerprint(file) {
+  if (!file || !fs.existsSync(file)) return null;
+  const stat = fs.statSync(file);
+  return `${stat.size}:${Math.round(stat.mtimeMs)}`;
+}
+
+/**
+ * The part of the run state each stage depends on
+ */
+function stageInputs(stage, { course, content, mode, stages = {}, burnCaptions = false, renderMethod = 'ffmpeg', bumpers = false, bumperMusic = null, theme = null }) {
+  const look = theme ? { name: theme.name, fonts: theme.fonts, palette: theme.palette, background: theme.background, logo: theme.logo } : null;
+  const sections = content?.sections || [];
+  const fingerprints = (audioFiles = []) => audioFiles.map(a => [a.lectureIndex, fileFingerprint(a.audioPath), fileFingerprint(a.timingPath)]);
+  const raw = fingerprints(stages.narrator?.audioFiles);
+  const voice = stages.mastering?.audioFiles?.length > 0 ? stages.mastering.audioFiles : stages.narrator?.audioFiles || [];
+  const audio = fingerprints(voice);
+  switch (stage) {
+    case 'scriptwriter':
+      return { course: { ...course, status: undefined }, mode };
+    case 'narrator': {
+      const profile = VOICES.resolveVoice({ courseId: course?.id, category: course?.category });
+      return {
+        scripts: sections.map(s => (s.lectures || []).map(l => l.script)), lexicon: TEXT.lexiconFor(course?.id),
+        voice: { ...profile, reference: profile.reference ? fileFingerprint(profile.reference) : null }
+      };
+    }
+    case 'mastering':
+      return { audio: raw, chunks: (stages.narrator?.audioFiles || []).map(a => a.chunkDurations || null), config: MASTERING.MASTERING_CONFIG };
+    case 'captions':
+      return {
+        scripts: sections.map(s => (s.lectures || []).map(l => l.script)),
+        audio, chunks: voice.map(a => a.chunkDurations || null)
+      };
+    case 'music': {
+      const music = MIXER.resolveMusic({ courseId: course?.id, category: course?.category });
+      return { audio, music, tracks: MIXER.listTracks(music.mood, music.library).map(t => [path.basename(t), fileFingerprint(t)]) };
+    }
+    case 'slideforge':
+      return { title: content?.metadata?.title, category: course?.category, theme: look, sections: sections.map(s => ({ title: s.title, objective: s.objective, lectures: (s.lectures || []).map(l => ({ title: l.title, slides: l.slides })) })) };
+    case 'renderer':
+      return {
+        slides: sections.map(s => (s.lectures || []).map(l => l.slides)),
+        audio: stages.music?.audioFiles?.length > 0 ? fingerprints(stages.music.audioFiles) : audio,
+        method: renderMethod, theme: look,
+        captions: burnCaptions || bumpers ? (stages.captions?.captionFiles || []).map(c => fileFingerprint(c.srtPath)) : null,
+        bumpers: bumpers ? {
+          music: fileFingerprint(bumperMusic),
+          cards: sections.map(s => [s.title, (s.lectures || []).map(l => [l.title, l.script?.callToAction])])
+        } : null
+      };
+    case 'quiz':
+      return { metadata: content?.metadata, sections: sections.map(s => ({ title: s.title, lectures: s.lectures })) };
+    case 'cheatsheet':
+      return { metadata: content?.metadata, cheatSheet: content?.cheatSheet, theme: look };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Files a stage wrote, taken from its stage result
+ */
+function stageOutputs(stage, result, outputDir) {
+  switch (stage) {
+    case 'scriptwriter': return [path.join(outputDir, 'content.json')];
+    case 'narrator': return (result.audioFiles || []).flatMap(a => [a.audioPath, a.timingPath].filter(Boolean));
+    case 'mastering': return [...(result.audioFiles || []).filter(a => a.rawPath).flatMap(a => [a.audioPath, a.timingPath].filter(Boolean)), result.reportPath].filter(Boolean);
+    case 'captions': return (result.captionFiles || []).flatMap(c => [c.srtPath, c.vttPath]);
+    case 'music': return (result.audioFiles || []).filter(a => a.voicePath).flatMap(a => [a.audioPath, a.timingPath].filter(Boolean));
+    case 'slideforge': return [result.pptxPath, result.thumbnailPath].filter(Boolean);
+    case 'renderer': return (result.videoFiles || []).flatMap(v => [v.videoPath, ...(v.captionFiles || [])]);
+    case 'quiz': return [path.join(outputDir, 'quiz.json')];
+    case 'cheatsheet': return [result.outputPath].filter(Boolean);
+    default: return [];
+  }
+}
+
+function loadManifest(outputDir) {
+  const file = path.join(outputDir, CHECKPOINT_FILE);
+  if (!fs.existsSync(file)) return { stages: {} };
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return { stages: {} };
+  }
+}
+
+function saveManifest(outputDir, manifest) {
+  const file = path.join(outputDir, CHECKPOINT_FILE);
+  manifest.updatedAt = new Date().toISOString();
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(manifest, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Record a successful stage — skipped or failed stages are never checkpointed
+ */
+function recordStage(outputDir, stage, inputs, result) {
+  if (!result?.success || result.skipped || ALWAYS_RUN.includes(stage)) return;
+  const manifest = loadManifest(outputDir);
+  manifest.stages = manifest.stages || {};
+  manifest.stages[stage] = {
+    completedAt: new Date().toISOString(),
+    inputHash: hashValue(inputs),
+    outputs: stageOutputs(stage, result, outputDir).map(f => path.relative(outputDir, f)),
+    result
+  };
+  saveManifest(outputDir, manifest);
+}
+
+/**
+ * Is the stage's checkpoint still good? Returns { valid, reason, entry }
+ */
+function checkStage(outputDir, stage, inputs) {
+  const entry = loadManifest(outputDir).stages?.[stage];
+  if (!entry) return { valid: false, reason: 'no checkpoint' };
+  if (entry.inputHash !== hashValue(inputs)) return { valid: false, reason: 'inputs changed', entry };
+  const missing = entry.outputs.find(f => !fs.existsSync(path.join(outputDir, f)));
+  if (missing) return { valid: false, reason: `missing ${missing}`, entry };
+  return { valid: true, reason: 'up to date', entry };
+}
+
+/**
+ * Validate --from-stage / --only-stage names
+ */
+function assertStage(name, flag, allowed) {
+  if (name && !allowed.includes(name)) throw new Error(`Unknown stage for ${flag}: ${name} (expected ${allowed.join(', ')})`);
+}
+
+/**
+ * Which stages a run covers: { inRange(stage), partial }
+ *
+ * --only-stage=X runs X alone; --from-stage=X runs X and everything after.
+ * Stages before the range reuse their checkpointed result. Notify needs the
+ * validator's gate results, so a range has to start at the validator or
+ * earlier to reach it.
+ */
+function planRun({ fromStage = null, onlyStage = null } = {}) {
+  assertStage(fromStage, '--from-stage', STAGES.slice(1, -1));
+  assertStage(onlyStage, '--only-stage', STAGES.slice(1, -1));
+  const start = fromStage ? STAGES.indexOf(fromStage) : 0;
+  return {
+    partial: !!(fromStage || onlyStage),
+    inRange: (stage) => onlyStage ? stage === onlyStage : STAGES.indexOf(stage) >= start
+  };
+}
+
+module.exports = {
+  STAGES, ALWAYS_RUN, CHECKPOINT_FILE, hashValue, stageInputs, stageOutputs,
+  loadManifest, recordStage, checkStage, planRun
+};
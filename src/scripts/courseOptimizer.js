@@ -1,37 +1,264 @@
 /**
  * Course Optimizer — Self-Healing Agent
+ *
+ * For every quality dimension below the threshold the "optimizer" stage
+ * provider (LLM_PROVIDER_OPTIMIZER) proposes fixes as RFC 6902 JSON Patches
+ * against content.json. optimizeCourse() applies each patch, re-runs the
+ * Quality Engine and keeps the fix only if the measured score improves —
+ * every fix is reported with its real before/after delta.
+ *
+ * Usage: node courseOptimizer.js <course-dir|content.json> [--dry-run] [--threshold=85]
  */
 
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
 const { evaluateCourseQuality } = require('./qualityEngine');
-const { generateCourseContent } = require('../llm');
+const { generateJson } = require('../llm');
+const { repairAndValidate, formatSchemaErrors } = require('../llm/schemas');
+const { buildOptimizationPrompt } = require('../llm/prompts/goldenBulletPrompt');
 
-async function analyzeCourse(courseContent, qualityEvaluation = null) {
+const DEFAULT_THRESHOLD = 85;
+const PATCH_OPS = ['add', 'replace', 'remove'];
+
+async function analyzeCourse(courseContent, qualityEvaluation = null, options = {}) {
+  const { threshold = DEFAULT_THRESHOLD, provider, model } = options;
   console.log('\n   OPTIMIZER: Analyzing...');
   if (!qualityEvaluation) qualityEvaluation = evaluateCourseQuality(courseContent);
 
-  const issues = Object.entries(qualityEvaluation.scores)
-    .filter(([, r]) => r.score < 85)
-    .map(([dim, r]) => ({ dimension: dim, score: r.score, problems: r.issues || [] }));
-
+  const issues = findIssues(qualityEvaluation, threshold);
   if (issues.length === 0) { console.log('   No issues found'); return { suggestions: [], issues: [] }; }
 
+  const suggestions = [];
+  for (const issue of issues) {
+    const proposals = await proposeFixes(courseContent, issue, { provider, model });
+    suggestions.push(...(proposals.length > 0 ? proposals : generateFallbackSuggestions([issue])));
+  }
+
   return {
     courseName: courseContent.metadata?.title,
     currentScore: qualityEvaluation.overall,
     issues,
-    suggestions: generateFallbackSuggestions(issues)
+    suggestions
   };
 }
 
+/**
+ * Apply LLM-proposed patches one at a time, keeping only those that raise the score
+ *
+ * Returns { content, before, after, fixes: [{ dimension, problem, fix, patch,
+ * before, after, delta, kept, error? }] }. content is a new object; the input
+ * is left untouched. With options.outputPath the result is written there when
+ * a fix was kept.
+ */
+async function optimizeCourse(courseContent, options = {}) {
+  const { threshold = DEFAULT_THRESHOLD, outputPath = null, provider, model } = options;
+  console.log('\n   OPTIMIZER: Self-healing...');
+
+  let content = JSON.parse(JSON.stringify(courseContent));
+  let evaluation = evaluateCourseQuality(content);
+  const before = evaluation.overall;
+  const fixes = [];
+
+  for (const issue of findIssues(evaluation, threshold)) {
+    const proposals = await proposeFixes(content, issue, { provider, model });
+    console.log(`   ${issue.dimension} (${issue.score}/100): ${proposals.length} fix(es) proposed`);
+
+    for (const proposal of proposals) {
+      const dimBefore = evaluation.scores[issue.dimension].score;
+      const entry = {
+        dimension: issue.dimension, problem: proposal.problem, fix: proposal.fix, patch: proposal.patch,
+        before: { overall: evaluation.overall, dimension: dimBefore },
+        after: { overall: evaluation.overall, dimension: dimBefore },
+        delta: 0, kept: false
+      };
+      fixes.push(entry);
+
+      let candidate;
+      try {
+        candidate = applyJsonPatch(content, proposal.patch);
+      } catch (error) {
+        entry.error = error.message;
+        console.log(`     ✗ ${proposal.fix} — ${error.message}`);
+        continue;
+      }
+
+      const checked = repairAndValidate(candidate);
+      if (!checked.valid) {
+        entry.error = `Schema: ${formatSchemaErrors(checked.errors, 3).join('; ')}`;
+        console.log(`     ✗ ${proposal.fix} — ${entry.error}`);
+        continue;
+      }
+
+      const rescored = evaluateCourseQuality(checked.content);
+      const dimAfter = rescored.scores[issue.dimension].score;
+      entry.after = { overall: rescored.overall, dimension: dimAfter };
+      entry.delta = rescored.overall - evaluation.overall;
+      entry.kept = entry.delta > 0 || (entry.delta === 0 && dimAfter > dimBefore);
+
+      if (entry.kept) {
+        content = checked.content;
+        evaluation = rescored;
+      }
+      console.log(`     ${entry.kept ? '✓' : '↺'} ${proposal.fix} — ${entry.before.overall} → ${entry.after.overall} (${issue.dimension} ${dimBefore} → ${dimAfter})`);
+    }
+  }
+
+  const kept = fixes.filter(f => f.kept).length;
+  console.log(`   Optimizer: ${kept}/${fixes.length} fix(es) kept, ${before} → ${evaluation.overall}`);
+
+  if (outputPath && kept > 0) {
+    content._meta = content._meta || {};
+    content._meta.optimizations = [
+      ...(content._meta.optimizations || []),
+      ...fixes.map(({ patch, ...f }) => ({ ...f, at: new Date().toISOString() }))
+    ];
+    fs.writeFileSync(outputPath, JSON.stringify(content, null, 2));
+  }
+
+  return { content, before, after: evaluation.overall, evaluation, fixes };
+}
+
+function findIssues(evaluation, threshold) {
+  return Object.entries(evaluation.scores)
+    .filter(([, r]) => r.score < threshold)
+    .map(([dim, r]) => ({ dimension: dim, score: r.score, problems: r.issues || [] }));
+}
+
+/**
+ * Ask the LLM for JSON Patch fixes for one dimension — returns [] on any failure
+ */
+async function proposeFixes(content, issue, options = {}) {
+  const prompt = buildOptimizationPrompt(issue.dimension, { score: issue.score, issues: issue.problems }, buildExcerpt(content, issue.dimension));
+  const result = await generateJson(prompt, { stage: 'optimizer', ...options });
+  if (!result.parsedContent) {
+    console.log(`   ${issue.dimension}: no usable proposal (${result.error || 'response is not valid JSON'})`);
+    return [];
+  }
+
+  return (result.parsedContent.fixes || [])
+    .filter(f => Array.isArray(f.patch) && f.patch.length > 0)
+    .map(f => ({
+      dimension: issue.dimension,
+      problem: f.problem || issue.problems[0] || 'Quality issue',
+      fix: f.fix || 'Apply patch',
+      patch: f.patch,
+      source: 'llm'
+    }));
+}
+
+/**
+ * The parts of content.json a dimension is scored on, keyed by JSON Pointer
+ */
+function buildExcerpt(content, dimension) {
+  const excerpt = {};
+  const sections = content.sections || [];
+  const eachLecture = fn => sections.forEach((s, si) => (s.lectures || []).forEach((l, li) => fn(l, `/sections/${si}/lectures/${li}`)));
+
+  switch (dimension) {
+    case 'learningObjectives':
+      excerpt['/metadata/objectives'] = content.metadata?.objectives || [];
+      sections.forEach((s, si) => { excerpt[`/sections/${si}/title`] = s.title; });
+      break;
+    case 'contentStructure':
+      sections.forEach((s, si) => { excerpt[`/sections/${si}/title`] = s.title; });
+      eachLecture((l, p) => { excerpt[`${p}/duration`] = l.duration; });
+      break;
+    case 'assessmentQuality':
+      excerpt['/assessment/finalQuiz'] = content.assessment?.finalQuiz || null;
+      sections.forEach((s, si) => { if (s.quiz) excerpt[`/sections/${si}/quiz`] = s.quiz; });
+      break;
+    case 'productionCompleteness':
+      eachLecture((l, p) => { excerpt[`${p}/slides`] = l.slides || []; });
+      excerpt['/cheatSheet'] = content.cheatSheet || null;
+      break;
+    case 'practicalApplication':
+      excerpt['/assessment/practicalAssignment'] = content.assessment?.practicalAssignment || null;
+      eachLecture((l, p) => { excerpt[`${p}/script`] = l.script; });
+      break;
+    default:
+      eachLecture((l, p) => { excerpt[`${p}/script`] = l.script; });
+  }
+  return excerpt;
+}
+
+// ═══ JSON Patch (add / replace / remove) ═══
+
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) throw new Error(`Invalid JSON Pointer: ${pointer}`);
+  return pointer.slice(1).split('/').map(t => t.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function arrayIndex(arr, token, allowEnd) {
+  if (allowEnd && token === '-') return arr.length;
+  const i = Number(token);
+  if (!/^\d+$/.test(token) || i > arr.length || (!allowEnd && i === arr.length)) throw new Error(`Index ${token} out of range`);
+  return i;
+}
+
+/**
+ * Apply a patch to a deep copy of doc — throws if any operation does not apply
+ */
+function applyJsonPatch(doc, patch) {
+  const out = JSON.parse(JSON.stringify(doc));
+
+  for (const op of patch) {
+    if (!PATCH_OPS.includes(op.op)) throw new Error(`Unsupported patch op: ${op.op}`);
+    const tokens = parsePointer(op.path);
+    if (tokens[0] === '_meta') throw new Error('Patches may not touch _meta');
+    if (op.op !== 'remove' && op.value === undefined) throw new Error(`Missing value for ${op.op} ${op.path}`);
+
+    const key = tokens.pop();
+    let parent = out;
+    for (const t of tokens) {
+      parent = Array.isArray(parent) ? parent[arrayIndex(parent, t, false)] : parent?.[t];
+      if (parent === null || typeof parent !== 'object') throw new Error(`Path not found: ${op.path}`);
+    }
+
+    if (Array.isArray(parent)) {
+      const i = arrayIndex(parent, key, op.op === 'add');
+      if (op.op === 'add') parent.splice(i, 0, op.value);
+      else if (op.op === 'replace') parent[i] = op.value;
+      else parent.splice(i, 1);
+    } else {
+      if (op.op !== 'add' && !(key in parent)) throw new Error(`Path not found: ${op.path}`);
+      if (op.op === 'remove') delete parent[key];
+      else parent[key] = op.value;
+    }
+  }
+  return out;
+}
+
 function generateFallbackSuggestions(issues) {
   return issues.map(i => ({
     dimension: i.dimension,
     problem: i.problems[0] || 'Quality issue',
     fix: `Improve ${i.dimension} — address: ${i.problems.join('; ')}`,
-    expectedImpact: 10,
-    difficulty: 'medium',
-    confidence: 0.7
+    patch: null,
+    source: 'fallback'
   }));
 }
 
-module.exports = { analyzeCourse };
+if (require.main === module) {
+  const target = process.argv[2];
+  const args = process.argv.slice(3);
+  const dryRun = args.includes('--dry-run');
+  const threshold = parseInt((args.find(a => a.startsWith('--threshold=')) || '').split('=')[1], 10) || DEFAULT_THRESHOLD;
+  const file = target && fs.existsSync(target) && fs.statSync(target).isDirectory() ? path.join(target, 'content.json') : target;
+
+  if (!file || !fs.existsSync(file)) {
+    console.error('Usage: node courseOptimizer.js <course-dir|content.json> [--dry-run] [--threshold=85]');
+    process.exit(1);
+  }
+
+  const content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  optimizeCourse(content, { threshold, outputPath: dryRun ? null : file })
+    .then(({ before, after, fixes }) => {
+      console.log(`\n   OPTIMIZER: ${path.basename(path.dirname(file))}`);
+      console.log(`   Score: ${before} → ${after}${dryRun ? ' (dry run, not saved)' : ''}`);
+      fixes.forEach(f => console.log(`   ${f.kept ? 'KEPT    ' : 'REVERTED'} [${f.dimension}] ${f.fix} (${f.delta >= 0 ? '+' : ''}${f.delta})${f.error ? ` — ${f.error}` : ''}`));
+    })
+    .catch(err => { console.error(`   Optimizer failed: ${err.message}`); process.exit(1); });
+}
+
+module.exports = { analyzeCourse, optimizeCourse, applyJsonPatch };
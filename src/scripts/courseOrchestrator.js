@@ -4,19 +4,38 @@
  * Stage 1: CURRICULUM → load course from Excel
  * Stage 2: SCRIPTWRITER → generate content via Gemini
  * Stage 3: NARRATOR → Chatterbox/Edge TTS audio
+ * Stage 3a: MASTERING → loudness, silence trim and TTS defect checks (re-synthesis, flags for gate 3)
+ * Stage 3b: CAPTIONS → SRT + WebVTT per lecture (burned in with --burn-captions)
+ * Stage 3c: MUSIC → music bed ducked under the narration (--music, moods in data/music.json)
  * Stage 4: SLIDEFORGE → PPTX + thumbnail
- * Stage 5: RENDERER → Remotion/FFmpeg MP4 videos
+ *
+ * Slides, thumbnail, videos and cheatsheet share one theme, chosen per course
+ * or category in data/themes.json (see apollo/themes.js).
+ * Stage 5: RENDERER → Remotion/FFmpeg MP4 videos (RENDER_METHOD, FFmpeg fallback per lecture)
  * Stage 6: QUIZ → section quizzes + final assessment
  * Stage 7: CHEATSHEET → PDF
  * Stage 8: VALIDATOR → 7-dimension quality scoring (min 95, retry up to 3x)
- * Stage 9: NOTIFY → email + status.json
+ * Stage 9: NOTIFY → email + state store (data/state.db)
  *
  * Usage:
  *   node courseOrchestrator.js                  # Next course
  *   node courseOrchestrator.js --course=1       # Course by number/ID
  *   node courseOrchestrator.js --batch=5        # Batch of 5
+ *   node courseOrchestrator.js --batch=20 --parallel=3  # Up to 3 courses at once (COURSE_CONCURRENCY)
  *   node courseOrchestrator.js --skip-voice     # Skip audio
  *   node courseOrchestrator.js --skip-video     # Skip video
+ *   node courseOrchestrator.js --render=remotion # Animated Remotion render (default: ffmpeg)
+ *   node courseOrchestrator.js --burn-captions  # Burn captions into the FFmpeg render (BURN_CAPTIONS)
+ *   node courseOrchestrator.js --skip-mastering # Use the raw narration (AUDIO_MASTERING=false)
+ *   node courseOrchestrator.js --music          # Music bed under the narration (MUSIC_BED)
+ *   node courseOrchestrator.js --bumpers        # Intro/section/outro bumpers around each lecture (VIDEO_BUMPERS)
+ *   node courseOrchestrator.js --staged         # Section-by-section generation (resumable)
+ *   node courseOrchestrator.js --record         # Save LLM responses to cassettes
+ *   node courseOrchestrator.js --replay         # Serve LLM responses from cassettes (offline)
+ *   node courseOrchestrator.js --cassette=dir   # Cassette directory (default data/cassettes)
+ *   node courseOrchestrator.js --course=1 --resume             # Skip stages whose checkpoint is still valid
+ *   node courseOrchestrator.js --course=1 --from-stage=renderer # Rerun renderer onwards on existing content.json
+ *   node courseOrchestrator.js --course=1 --only-stage=quiz     # Rerun one stage on existing content.json
  */
 
 require('dotenv').config();
@@ -25,15 +44,23 @@ const path = require('path');
 const { format } = require('date-fns');
 
 const CURRICULUM = require('../apollo/curriculum');
+const STATE = require('../apollo/stateStore');
 const SCRIPTWRITER = require('../apollo/scriptwriter');
 const NARRATOR = require('../apollo/narrator');
 const SLIDEFORGE = require('../apollo/slideforge');
 const RENDERER = require('../apollo/renderer');
+const CAPTIONER = require('../apollo/captioner');
+const MASTERING = require('../apollo/audioMastering');
+const MIXER = require('../apollo/audioMixer');
+const THEMES = require('../apollo/themes');
 const { generateCheatsheet } = require('../apollo/cheatsheet');
 const { runAllGates } = require('./qualityGates');
 const { evaluateCourseQuality, printQualityReport } = require('./qualityEngine');
 const { generateFinalAssessment } = require('./quizGenerator');
 const { sendCourseCompletion } = require('./emailNotifier');
+const { setCassetteMode } = require('../llm/cassette');
+const CHECKPOINT = require('./checkpoint');
+const { getPool, setConcurrency, getLimits } = require('./workerPool');
 
 const CONFIG = {
   quality: {
@@ -41,7 +68,15 @@ const CONFIG = {
     minimum: parseInt(process.env.QUALITY_THRESHOLD_MINIMUM) || 85
   },
   maxRetries: 3,
+  scriptMode: process.env.SCRIPTWRITER_MODE || 'golden',
   enableVoice: true,
+  enableMastering: process.env.AUDIO_MASTERING !== 'false',
+  enableCaptions: true,
+  musicBed: process.env.MUSIC_BED === 'true',
+  burnCaptions: process.env.BURN_CAPTIONS === 'true',
+  renderMethod: process.env.RENDER_METHOD || 'ffmpeg',
+  bumpers: process.env.VIDEO_BUMPERS === 'true',
+  bumperMusic: process.env.BUMPER_MUSIC || null,
   enableSlides: true,
   enableVideo: true,
   enableQuiz: true,
@@ -49,7 +84,9 @@ const CONFIG = {
 };
 
 async function orchestrate(options = {}) {
-  const timestamp = format(new Date(), 'yyyyMMdd-HHmmss');
+  // Lease owner doubles as the run ID, so parallel runs never share a log file
+  const owner = options.owner || STATE.createOwnerId();
+  const timestamp = `${format(new Date(), 'yyyyMMdd-HHmmss')}-${owner.split(':').pop()}`;
   const logsDir = path.join(__dirname, '../../logs');
   if (!fs.existsSync(logsDir)) fs.mkdirSync(logsDir, { recursive: true });
   const logFile = path.join(logsDir, `orchestrator-${timestamp}.log`);
@@ -62,10 +99,58 @@ async function orchestrate(options = {}) {
 
   const result = {
     success: false, timestamp: new Date().toISOString(),
-    course: null, content: null, outputDir: null, qualityScore: 0,
+    course: null, content: null, outputDir: null, theme: null, qualityScore: 0,
     stages: {}, errors: [], warnings: []
   };
 
+  // Lease on the course — claimed in Stage 1, kept alive until the run ends
+  let heartbeat = null;
+
+  // Per-stage state: a stage is closed from result.stages when the next one begins,
+  // and successful stages are checkpointed against the inputs they started with
+  let currentStage = null, currentInputs = null;
+  const closeStage = (error = null) => {
+    if (!currentStage || !result.course) return;
+    const r = result.stages[currentStage];
+    const status = error ? 'failed' : !r || r.skipped ? 'skipped' : r.resumed ? 'resumed' : r.success ? 'completed' : 'failed';
+    STATE.finishStage(result.course.id, currentStage, status, { error: error || r?.error || null });
+    if (!error && r && !r.resumed) CHECKPOINT.recordStage(result.outputDir, currentStage, currentInputs, r);
+    currentStage = null;
+  };
+  // A lost lease means another run owns the course directory now — stop at the next stage
+  const assertLease = () => {
+    if (heartbeat && !heartbeat.check()) throw new Error(`Lease lost: ${result.course.id} was reclaimed by another run`);
+  };
+  const beginStage = (name) => {
+    assertLease();
+    closeStage();
+    currentStage = name;
+    currentInputs = CHECKPOINT.stageInputs(name, { course: result.course, content: result.content, mode: CONFIG.scriptMode, stages: result.stages, burnCaptions: CONFIG.burnCaptions, renderMethod: CONFIG.renderMethod, bumpers: CONFIG.bumpers, bumperMusic: CONFIG.bumperMusic, theme: result.theme });
+    if (result.course) STATE.startStage(result.course.id, name);
+  };
+
+  // Returns true when the current stage should not run: out of the
+  // --from-stage / --only-stage range, or (--resume) checkpoint still valid.
+  // Its result is then restored from the checkpoint when there is one.
+  const plan = CHECKPOINT.planRun(options);
+  const reuseStage = (name) => {
+    const inRange = plan.inRange(name);
+    if (inRange && !options.resume) return false;
+    const check = CHECKPOINT.checkStage(result.outputDir, name, currentInputs);
+    if (inRange && !check.valid) {
+      log(`   Checkpoint: ${name} — ${check.reason}, running`);
+      return false;
+    }
+    if (check.entry) {
+      result.stages[name] = { ...check.entry.result, resumed: true };
+      log(`   Checkpoint: ${name} — reusing result from ${check.entry.completedAt}${check.valid ? '' : ` (${check.reason})`}`);
+    } else {
+      result.stages[name] = { success: true, skipped: true };
+      log(`   Checkpoint: ${name} — not in range, no checkpoint`);
+    }
+    return true;
+  };
+
   try {
     log('═'.repeat(70));
     log('   UDEMY CRORES — Course Generation Pipeline');
@@ -73,39 +158,58 @@ async function orchestrate(options = {}) {
 
     // ═══ STAGE 1: CURRICULUM ═══
     log('\n   STAGE 1: CURRICULUM');
-    let course;
+    let course, previousStatus = null;
+    if (plan.partial && !options.courseId) throw new Error('--from-stage / --only-stage need --course');
     if (options.courseId) {
       course = CURRICULUM.getCourseById(options.courseId);
       if (!course) throw new Error(`Course not found: ${options.courseId}`);
-    } else if (options.category) {
-      const courses = CURRICULUM.getCoursesByCategory(options.category);
-      course = courses.find(c => c.status !== 'completed');
-      if (!course) throw new Error(`No pending courses in category: ${options.category}`);
+      previousStatus = STATE.getCourseState(course.id)?.status || null;
+      if (!STATE.claimCourse(course.id, owner)) {
+        const held = STATE.getCourseState(course.id);
+        throw new Error(`Course ${course.id} is claimed by ${held.leaseOwner} until ${held.leaseExpiresAt}`);
+      }
     } else {
-      course = CURRICULUM.getNextCourse();
-      if (!course) throw new Error('No courses available');
+      course = CURRICULUM.claimNextCourse(owner, { category: options.category });
+      if (!course) throw new Error(options.category ? `No pending courses in category: ${options.category}` : 'No courses available');
     }
+    heartbeat = STATE.startHeartbeat(course.id, owner, {
+      onLost: () => log(`   Lease lost — stopping ${course.id} at the next stage`, 'WARN')
+    });
 
     result.course = course;
     const outputDir = CURRICULUM.createCourseDirectory(course);
     result.outputDir = outputDir;
     log(`   Course: ${course.title} [${course.id}]`);
     log(`   Output: ${outputDir}`);
-    CURRICULUM.updateCourseStatus(course.id, 'in_progress');
+    log(`   Lease: ${owner} (${STATE.LEASE_TTL_MS / 60000} min, heartbeat)`);
+    const theme = THEMES.resolveTheme({ courseId: course.id, category: course.category });
+    result.theme = theme;
+    log(`   Theme: ${theme.name}${theme.category ? ` (${theme.category})` : ''}`);
+    beginStage('curriculum');
     result.stages.curriculum = { success: true };
 
     // ═══ STAGE 2: SCRIPTWRITER (with quality retry) ═══
     log('\n   STAGE 2: SCRIPTWRITER');
+    beginStage('scriptwriter');
     let content = null;
     let qualityScore = 0;
     let scriptAttempts = 0;
+    let regenerations = [];
+
+    const reusedScript = reuseStage('scriptwriter');
+    if (reusedScript) {
+      const contentPath = path.join(outputDir, 'content.json');
+      if (!fs.existsSync(contentPath)) throw new Error(`No content.json in ${outputDir} — run the scriptwriter stage first`);
+      content = JSON.parse(fs.readFileSync(contentPath, 'utf-8'));
+      qualityScore = result.stages.scriptwriter.qualityScore || 0;
+    }
 
-    while (scriptAttempts < CONFIG.maxRetries) {
+    while (!reusedScript && scriptAttempts < CONFIG.maxRetries) {
       scriptAttempts++;
       log(`   Generation attempt ${scriptAttempts}/${CONFIG.maxRetries}...`);
 
       try {
-        content = await SCRIPTWRITER.generateCourse(course, { outputDir });
+        content = await SCRIPTWRITER.generateCourse(course, { outputDir, mode: CONFIG.scriptMode });
         const sections = content.sections || [];
         const lectureCount = sections.reduce((s, sec) => s + (sec.lectures?.length || 0), 0);
 
@@ -116,21 +220,28 @@ async function orchestrate(options = {}) {
         }
 
         // Quick quality check
-        const eval_ = evaluateCourseQuality(content);
-        qualityScore = eval_.overall;
+        qualityScore = evaluateCourseQuality(content).overall;
         log(`   Quality score: ${qualityScore}/100`);
 
+        // Below target: regenerate only the weak lectures instead of the whole course
+        if (qualityScore < CONFIG.quality.target) {
+          log(`   Below target (${CONFIG.quality.target}), regenerating weak lectures...`);
+          const improved = await SCRIPTWRITER.improveCourse(content, course, { outputDir, targetScore: CONFIG.quality.target });
+          content = improved.content;
+          qualityScore = improved.evaluation.overall;
+          regenerations = improved.history;
+          log(`   Quality after targeted regeneration: ${qualityScore}/100`);
+        }
+
         if (qualityScore >= CONFIG.quality.target) {
           log(`   Quality target met (${CONFIG.quality.target})`);
           break;
-        } else if (qualityScore >= CONFIG.quality.minimum && scriptAttempts >= CONFIG.maxRetries) {
-          log(`   Acceptable quality after ${scriptAttempts} attempts`);
+        } else if (qualityScore >= CONFIG.quality.minimum) {
+          log(`   Acceptable quality after ${scriptAttempts} attempt(s)`);
           break;
-        } else if (qualityScore < CONFIG.quality.minimum) {
-          log(`   Below minimum (${CONFIG.quality.minimum}), retrying with stricter prompt...`);
-          content = null;
         } else {
-          break; // Acceptable
+          log(`   Below minimum (${CONFIG.quality.minimum}), regenerating course...`);
+          content = null;
         }
       } catch (error) {
         log(`   Error: ${error.message}`, 'ERROR');
@@ -140,69 +251,157 @@ async function orchestrate(options = {}) {
 
     if (!content) throw new Error('Failed to generate course content');
     result.content = content;
-    result.stages.scriptwriter = { success: true, attempts: scriptAttempts, qualityScore };
+    if (!reusedScript) {
+      result.stages.scriptwriter = {
+        success: true, attempts: scriptAttempts, qualityScore,
+        regeneratedLectures: regenerations.filter(r => r.accepted).length, regenerationAttempts: regenerations.length
+      };
+    }
 
     // ═══ STAGE 3: NARRATOR ═══
-    if (CONFIG.enableVoice) {
+    beginStage('narrator');
+    if (CONFIG.enableVoice && !reuseStage('narrator')) {
       log('\n   STAGE 3: NARRATOR');
       try {
-        const narResult = await NARRATOR.generateCourseNarration(content, outputDir);
+        const narResult = await NARRATOR.generateCourseNarration(content, outputDir, { courseId: course.id, category: course.category });
         result.stages.narrator = {
-          success: true, lectures: narResult.successfulLectures,
+          success: true, lectures: narResult.successfulLectures, voice: narResult.voice,
           duration: narResult.totalDuration, audioFiles: narResult.audioFiles
         };
-        log(`   Audio: ${narResult.successfulLectures}/${narResult.totalLectures} lectures`);
+        log(`   Audio: ${narResult.successfulLectures}/${narResult.totalLectures} lectures (voice ${narResult.voice})`);
       } catch (error) {
         log(`   Narration error: ${error.message}`, 'WARN');
         result.warnings.push(`Narration: ${error.message}`);
         result.stages.narrator = { success: false, error: error.message, audioFiles: [] };
       }
-    } else {
+    } else if (!result.stages.narrator) {
       result.stages.narrator = { success: true, skipped: true, audioFiles: [] };
     }
+    // Out of range with no checkpoint (narrated before checkpoints existed): use the audio on disk
+    if (!plan.inRange('narrator') && result.stages.narrator.skipped) {
+      const audioFiles = await NARRATOR.loadExistingNarration(content, outputDir);
+      if (audioFiles.length > 0) {
+        result.stages.narrator = { success: true, resumed: true, lectures: audioFiles.length, audioFiles };
+        log(`   Narration: ${audioFiles.length} lecture(s) found in ${path.join(outputDir, 'audio')}`);
+      }
+    }
+
+    // ═══ STAGE 3a: MASTERING ═══
+    beginStage('mastering');
+    if (CONFIG.enableMastering && result.stages.narrator?.audioFiles?.length > 0 && !reuseStage('mastering')) {
+      log('\n   STAGE 3a: MASTERING');
+      try {
+        const masterResult = await MASTERING.masterCourseNarration(content, outputDir, {
+          audioFiles: result.stages.narrator.audioFiles,
+          resynthesize: CONFIG.enableVoice ? (lectureIndex) => NARRATOR.renarrateLecture(content, outputDir, lectureIndex, { courseId: course.id, category: course.category }) : null
+        });
+        result.stages.mastering = {
+          success: true, lectures: masterResult.masteredLectures, flagged: masterResult.flaggedLectures,
+          metrics: masterResult.lectures, reportPath: masterResult.reportPath, audioFiles: masterResult.audioFiles
+        };
+        if (masterResult.flaggedLectures.length > 0) result.warnings.push(`Mastering: lecture(s) ${masterResult.flaggedLectures.join(', ')} failed audio QA`);
+      } catch (error) {
+        log(`   Mastering error: ${error.message}`, 'WARN');
+        result.warnings.push(`Mastering: ${error.message}`);
+        result.stages.mastering = { success: false, error: error.message, audioFiles: [] };
+      }
+    } else if (!result.stages.mastering) {
+      result.stages.mastering = { success: true, skipped: true, audioFiles: [] };
+    }
+    // Everything downstream hears the mastered narration when there is one
+    const narration = () => [result.stages.mastering, result.stages.narrator].find(s => s?.audioFiles?.length > 0)?.audioFiles || [];
+
+    // ═══ STAGE 3b: CAPTIONS ═══
+    beginStage('captions');
+    if (CONFIG.enableCaptions && narration().length > 0 && !reuseStage('captions')) {
+      log('\n   STAGE 3b: CAPTIONS');
+      try {
+        const capResult = await CAPTIONER.generateCourseCaptions(content, outputDir, { audioFiles: narration() });
+        result.stages.captions = { success: true, lectures: capResult.captionedLectures, captionFiles: capResult.captionFiles };
+      } catch (error) {
+        log(`   Captions error: ${error.message}`, 'WARN');
+        result.warnings.push(`Captions: ${error.message}`);
+        result.stages.captions = { success: false, error: error.message, captionFiles: [] };
+      }
+    } else if (!result.stages.captions) {
+      result.stages.captions = { success: true, skipped: true, captionFiles: [] };
+    }
+
+    // ═══ STAGE 3c: MUSIC ═══
+    beginStage('music');
+    if (CONFIG.musicBed && narration().length > 0 && !reuseStage('music')) {
+      log('\n   STAGE 3c: MUSIC');
+      try {
+        const mixResult = await MIXER.mixCourseMusic(content, outputDir, {
+          audioFiles: narration(), courseId: course.id, category: course.category
+        });
+        result.stages.music = mixResult.skipped
+          ? { success: true, skipped: true, mood: mixResult.mood, audioFiles: [] }
+          : { success: true, mood: mixResult.mood, track: path.basename(mixResult.track), lectures: mixResult.mixedLectures, audioFiles: mixResult.audioFiles };
+      } catch (error) {
+        log(`   Music bed error: ${error.message}`, 'WARN');
+        result.warnings.push(`Music bed: ${error.message}`);
+        result.stages.music = { success: false, error: error.message, audioFiles: [] };
+      }
+    } else if (!result.stages.music) {
+      result.stages.music = { success: true, skipped: true, audioFiles: [] };
+    }
 
     // ═══ STAGE 4: SLIDEFORGE ═══
-    if (CONFIG.enableSlides) {
+    beginStage('slideforge');
+    if (CONFIG.enableSlides && !reuseStage('slideforge')) {
       log('\n   STAGE 4: SLIDEFORGE');
       try {
-        const slideResult = await SLIDEFORGE.generateCoursePresentation(content, outputDir);
-        result.stages.slideforge = { success: true, slides: slideResult.totalSlides };
+        const slideResult = await SLIDEFORGE.generateCoursePresentation(content, outputDir, { theme });
 
         // Thumbnail
         const thumbPath = path.join(outputDir, 'thumbnail.jpg');
-        await SLIDEFORGE.generateThumbnail({
+        const thumbResult = await SLIDEFORGE.generateThumbnail({
           title: content.metadata?.title || course.title,
           text: course.category,
-          outputPath: thumbPath
+          outputPath: thumbPath,
+          theme
         });
+        result.stages.slideforge = {
+          success: true, slides: slideResult.totalSlides,
+          pptxPath: slideResult.outputPath, thumbnailPath: thumbResult.success ? thumbPath : null
+        };
       } catch (error) {
         log(`   Slides error: ${error.message}`, 'WARN');
         result.stages.slideforge = { success: false, error: error.message };
       }
-    } else {
+    } else if (!result.stages.slideforge) {
       result.stages.slideforge = { success: true, skipped: true };
     }
 
     // ═══ STAGE 5: RENDERER ═══
-    if (CONFIG.enableVideo && result.stages.narrator?.audioFiles?.length > 0) {
+    beginStage('renderer');
+    if (CONFIG.enableVideo && narration().length > 0 && !reuseStage('renderer')) {
       log('\n   STAGE 5: RENDERER');
       try {
         const renderResult = await RENDERER.renderCourseVideos(content, outputDir, {
-          audioFiles: result.stages.narrator.audioFiles,
-          method: 'ffmpeg'
+          audioFiles: result.stages.music?.audioFiles?.length > 0 ? result.stages.music.audioFiles : narration(),
+          method: CONFIG.renderMethod,
+          burnCaptions: CONFIG.burnCaptions && result.stages.captions?.captionFiles?.length > 0,
+          bumpers: CONFIG.bumpers,
+          bumperMusic: CONFIG.bumperMusic,
+          theme
         });
         result.stages.renderer = { success: true, videos: renderResult.successfulRenders, videoFiles: renderResult.videoFiles };
+        const fellBack = renderResult.videoFiles.filter(v => v.method !== CONFIG.renderMethod).length;
+        if (fellBack > 0) result.warnings.push(`Renderer: ${fellBack} lecture(s) fell back to FFmpeg`);
       } catch (error) {
         log(`   Render error: ${error.message}`, 'WARN');
         result.stages.renderer = { success: false, error: error.message };
       }
-    } else {
+    } else if (!result.stages.renderer) {
       log('\n   STAGE 5: RENDERER (skipped — no audio)');
       result.stages.renderer = { success: true, skipped: true };
     }
 
     // ═══ STAGE 6: QUIZ ═══
-    if (CONFIG.enableQuiz) {
+    beginStage('quiz');
+    if (CONFIG.enableQuiz && !reuseStage('quiz')) {
       log('\n   STAGE 6: QUIZ');
       try {
         // Generate final assessment if not already in content
@@ -228,11 +427,12 @@ async function orchestrate(options = {}) {
     }
 
     // ═══ STAGE 7: CHEATSHEET ═══
-    if (CONFIG.enableCheatsheet) {
+    beginStage('cheatsheet');
+    if (CONFIG.enableCheatsheet && !reuseStage('cheatsheet')) {
       log('\n   STAGE 7: CHEATSHEET');
       try {
-        await generateCheatsheet(content, outputDir);
-        result.stages.cheatsheet = { success: true };
+        const sheet = await generateCheatsheet(content, outputDir, { theme });
+        result.stages.cheatsheet = { success: sheet.success !== false, outputPath: sheet.outputPath, error: sheet.error };
       } catch (error) {
         log(`   Cheatsheet error: ${error.message}`, 'WARN');
         result.stages.cheatsheet = { success: false, error: error.message };
@@ -240,91 +440,134 @@ async function orchestrate(options = {}) {
     }
 
     // ═══ STAGE 8: VALIDATOR ═══
-    log('\n   STAGE 8: VALIDATOR');
-    const productionData = {
-      audioFiles: result.stages.narrator?.audioFiles || [],
-      videoFiles: result.stages.renderer?.videoFiles || []
-    };
-
-    const gateResults = await runAllGates(content, productionData);
-    result.qualityScore = gateResults.overall || qualityScore;
-    result.stages.validator = { success: gateResults.passed, score: result.qualityScore };
-
-    if (gateResults.passed) {
-      log(`   Quality PASSED: ${result.qualityScore}/100`);
-    } else {
-      log(`   Quality NEEDS REVIEW at Gate ${gateResults.failedAt}: ${result.qualityScore}/100`, 'WARN');
+    beginStage('validator');
+    let gateResults = null;
+    if (plan.inRange('validator')) {
+      log('\n   STAGE 8: VALIDATOR');
+      const productionData = {
+        audioFiles: narration(),
+        audioQA: result.stages.mastering?.metrics || [],
+        videoFiles: result.stages.renderer?.videoFiles || []
+      };
+
+      gateResults = await runAllGates(content, productionData);
+      result.qualityScore = gateResults.overall || qualityScore;
+      result.stages.validator = { success: gateResults.passed, score: result.qualityScore };
+
+      if (gateResults.passed) {
+        log(`   Quality PASSED: ${result.qualityScore}/100`);
+      } else {
+        log(`   Quality NEEDS REVIEW at Gate ${gateResults.failedAt}: ${result.qualityScore}/100`, 'WARN');
+      }
     }
 
     // Save updated content.json
+    assertLease();
     fs.writeFileSync(path.join(outputDir, 'content.json'), JSON.stringify(content, null, 2));
 
     // ═══ STAGE 9: NOTIFY ═══
-    log('\n   STAGE 9: NOTIFY');
+    closeStage();
     result.success = true;
-    const finalStatus = gateResults.passed ? 'completed' : 'needs_review';
-    CURRICULUM.updateCourseStatus(course.id, finalStatus, { qualityScore: result.qualityScore, outputDir });
+    if (!plan.inRange('notify')) {
+      // Partial run: hand the course back in the state it was in
+      CURRICULUM.updateCourseStatus(course.id, previousStatus && previousStatus !== 'in_progress' ? previousStatus : 'pending', { owner });
+      log(`\n   PARTIAL RUN COMPLETE — ${course.title} (${CHECKPOINT.STAGES.filter(plan.inRange).join(', ')})`);
+    } else {
+      log('\n   STAGE 9: NOTIFY');
+      const finalStatus = gateResults.passed ? 'completed' : 'needs_review';
+      CURRICULUM.updateCourseStatus(course.id, finalStatus, { owner, qualityScore: result.qualityScore, outputDir });
 
-    try {
-      await sendCourseCompletion(result);
-    } catch (error) {
-      log(`   Notify error: ${error.message}`, 'WARN');
-    }
+      try {
+        await sendCourseCompletion(result);
+      } catch (error) {
+        log(`   Notify error: ${error.message}`, 'WARN');
+      }
 
-    log('\n' + '═'.repeat(70));
-    log(`   PIPELINE COMPLETE — ${course.title}`);
-    log(`   Quality: ${result.qualityScore}/100 | Status: ${finalStatus}`);
-    log(`   Output: ${outputDir}`);
-    log('═'.repeat(70));
+      log('\n' + '═'.repeat(70));
+      log(`   PIPELINE COMPLETE — ${course.title}`);
+      log(`   Quality: ${result.qualityScore}/100 | Status: ${finalStatus}`);
+      log(`   Output: ${outputDir}`);
+      log('═'.repeat(70));
+    }
 
   } catch (error) {
     result.success = false;
     result.errors.push(error.message);
     log(`\n   PIPELINE ERROR: ${error.message}`, 'ERROR');
-    if (result.course) CURRICULUM.updateCourseStatus(result.course.id, 'failed', { error: error.message });
+    closeStage(error.message);
+    if (result.course) CURRICULUM.updateCourseStatus(result.course.id, 'failed', { owner, error: error.message });
   }
 
+  if (heartbeat) heartbeat.stop();
+
   // Save result
   fs.writeFileSync(path.join(logsDir, `result-${timestamp}.json`), JSON.stringify(result, null, 2));
   return result;
 }
 
+/**
+ * Run `count` courses through the shared "courses" pool (COURSE_CONCURRENCY)
+ *
+ * Each run claims its own course lease, so parallel runs never pick the same
+ * course; LLM, TTS and render work inside them is bounded by their own pools.
+ */
 async function orchestrateBatch(count = 5, options = {}) {
-  console.log(`\n   Batch: ${count} courses`);
-  const results = [];
+  const pool = getPool('courses');
+  const limits = getLimits();
+  console.log(`\n   Batch: ${count} courses (courses ${limits.courses}, llm ${limits.llm}, tts ${limits.tts}, render ${limits.render} at once)`);
   let successful = 0, failed = 0;
+  // Start gate: runs start at least 3s apart, so --parallel runs do not claim at the same moment
+  let nextStart = Date.now();
 
-  for (let i = 0; i < count; i++) {
+  const results = await Promise.all(Array.from({ length: count }, (_, i) => pool.run(async () => {
+    const wait = Math.max(0, nextStart - Date.now());
+    nextStart = Date.now() + wait + 3000;
+    if (wait > 0) await new Promise(r => setTimeout(r, wait));
     console.log(`\n${'═'.repeat(70)}\n   BATCH ${i + 1}/${count}\n${'═'.repeat(70)}`);
     try {
       const result = await orchestrate({ category: options.category });
-      results.push(result);
       if (result.success) successful++; else failed++;
+      return result;
     } catch (error) {
       console.error(`   Batch ${i + 1} error: ${error.message}`);
       failed++;
+      return null;
     }
-    if (i < count - 1) await new Promise(r => setTimeout(r, 3000));
-  }
+  })));
 
   console.log(`\n   BATCH DONE: ${successful}/${count} successful`);
-  return { results, successful, failed, total: count };
+  return { results: results.filter(Boolean), successful, failed, total: count };
 }
 
 // CLI
 if (require.main === module) {
   const args = process.argv.slice(2);
   const options = {};
+  let cassetteMode = null, cassetteDir = null;
 
   args.forEach(arg => {
     if (arg.startsWith('--course=')) options.courseId = arg.split('=')[1];
     if (arg.startsWith('--category=')) options.category = arg.split('=')[1];
     if (arg.startsWith('--batch=')) options.batch = parseInt(arg.split('=')[1]) || 5;
+    if (arg.startsWith('--parallel=')) setConcurrency('courses', parseInt(arg.split('=')[1]) || 1);
     if (arg === '--skip-voice') CONFIG.enableVoice = false;
+    if (arg === '--skip-mastering') CONFIG.enableMastering = false;
     if (arg === '--skip-slides') CONFIG.enableSlides = false;
     if (arg === '--skip-video') CONFIG.enableVideo = false;
     if (arg === '--skip-quiz') CONFIG.enableQuiz = false;
+    if (arg === '--burn-captions') CONFIG.burnCaptions = true;
+    if (arg === '--music') CONFIG.musicBed = true;
+    if (arg === '--bumpers') CONFIG.bumpers = true;
+    if (arg.startsWith('--render=')) CONFIG.renderMethod = arg.split('=')[1];
+    if (arg === '--staged') CONFIG.scriptMode = 'staged';
+    if (arg === '--resume') options.resume = true;
+    if (arg.startsWith('--from-stage=')) options.fromStage = arg.split('=')[1];
+    if (arg.startsWith('--only-stage=')) options.onlyStage = arg.split('=')[1];
+    if (arg === '--record') cassetteMode = 'record';
+    if (arg === '--replay') cassetteMode = 'replay';
+    if (arg.startsWith('--cassette=')) cassetteDir = arg.split('=')[1];
   });
+  if (cassetteMode || cassetteDir) setCassetteMode(cassetteMode, cassetteDir);
 
   const run = options.batch ? orchestrateBatch(options.batch, options) : orchestrate(options);
   run.then(r => {
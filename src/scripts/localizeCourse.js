@@ -0,0 +1,270 @@
+/**
+ * Localize Course — translated build of a finished course
+ *
+ * Takes <courseDir>/content.json, translates it through the LLM layer
+ * (apollo/translator.js, "translate" stage) and rebuilds the course in
+ * <courseDir>/locales/<locale>/: narration in a voice of that language
+ * (locales in data/voices.json), mastering, captions, optional music bed,
+ * slides, thumbnail, videos, quiz.json, cheatsheet and quality.json.
+ *
+ * The English build and the course status are never touched. An existing
+ * translation is reused while the English content.json it came from is
+ * unchanged (_meta.sourceHash) — --retranslate forces a new one.
+ *
+ * Limits: bumpers stay off (their cards are English), the word-count gate
+ * assumes space-separated words (ja, zh), and the cheatsheet PDF only
+ * prints Latin-1 text.
+ *
+ * Usage:
+ *   node localizeCourse.js --course=1 --locale=es
+ *   node localizeCourse.js --course=1 --locale=de --skip-voice   # Translate, slides, quiz and cheatsheet only
+ *   node localizeCourse.js --course=1 --locale=fr --skip-video
+ *   node localizeCourse.js --course=1 --locale=es --retranslate  # Ignore the saved translation
+ *   node localizeCourse.js --course=1 --locale=es --render=remotion
+ *   node localizeCourse.js --course=1 --locale=es --replay --cassette=dir
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const CURRICULUM = require('../apollo/curriculum');
+const TRANSLATOR = require('../apollo/translator');
+const NARRATOR = require('../apollo/narrator');
+const MASTERING = require('../apollo/audioMastering');
+const CAPTIONER = require('../apollo/captioner');
+const MIXER = require('../apollo/audioMixer');
+const SLIDEFORGE = require('../apollo/slideforge');
+const RENDERER = require('../apollo/renderer');
+const THEMES = require('../apollo/themes');
+const { generateCheatsheet } = require('../apollo/cheatsheet');
+const { runAllGates } = require('./qualityGates');
+const { setCassetteMode } = require('../llm/cassette');
+const { CONFIG } = require('./courseOrchestrator');
+
+/**
+ * Translated content for a locale — the saved one while its source is unchanged
+ */
+async function loadTranslation(content, localeDir, locale, options = {}) {
+  const contentPath = path.join(localeDir, 'content.json');
+  if (!options.retranslate && fs.existsSync(contentPath)) {
+    const saved = JSON.parse(fs.readFileSync(contentPath, 'utf-8'));
+    if (saved._meta?.sourceHash === TRANSLATOR.sourceHash(content)) {
+      console.log(`   Translation: reusing ${path.relative(process.cwd(), contentPath)}`);
+      const reportPath = path.join(localeDir, 'translation.json');
+      const report = fs.existsSync(reportPath) ? JSON.parse(fs.readFileSync(reportPath, 'utf-8')) : null;
+      return { success: true, content: saved, report, reused: true };
+    }
+    console.log('   Translation: English content changed, translating again');
+  }
+
+  const result = await TRANSLATOR.translateCourse(content, locale, options);
+  if (!result.content) return result;
+  fs.writeFileSync(contentPath, JSON.stringify(result.content, null, 2));
+  fs.writeFileSync(path.join(localeDir, 'translation.json'), JSON.stringify(result.report, null, 2));
+  return result;
+}
+
+async function localizeCourse(options = {}) {
+  const { courseId, locale } = options;
+  const result = { success: false, locale, course: null, outputDir: null, stages: {}, warnings: [], errors: [] };
+
+  try {
+    if (!courseId || !locale) throw new Error('--course and --locale are required');
+    if (!TRANSLATOR.languageFor(locale)) throw new Error(`Unsupported locale "${locale}" (${Object.keys(TRANSLATOR.LOCALES).join(', ')})`);
+
+    const course = CURRICULUM.getCourseById(courseId);
+    if (!course) throw new Error(`Course not found: ${courseId}`);
+    const courseDir = CURRICULUM.getCourseDirectory(course);
+    const sourcePath = path.join(courseDir, 'content.json');
+    if (!fs.existsSync(sourcePath)) throw new Error(`No content.json in ${courseDir} — generate the course first`);
+
+    const outputDir = path.join(courseDir, 'locales', locale);
+    fs.mkdirSync(outputDir, { recursive: true });
+    result.course = course;
+    result.outputDir = outputDir;
+
+    console.log('═'.repeat(70));
+    console.log(`   LOCALIZE — ${course.title} → ${TRANSLATOR.languageFor(locale)} (${locale})`);
+    console.log('═'.repeat(70));
+    console.log(`   Output: ${outputDir}`);
+
+    // ═══ TRANSLATE ═══
+    const source = JSON.parse(fs.readFileSync(sourcePath, 'utf-8'));
+    const translation = await loadTranslation(source, outputDir, locale, options);
+    if (!translation.content) throw new Error(`Translation failed: ${translation.error}`);
+    if (!translation.success) result.warnings.push(`Translation: ${translation.error}`);
+    const content = translation.content;
+    result.stages.translate = { success: translation.success, reused: !!translation.reused, ...translation.report, untranslated: translation.report?.untranslated?.length || 0 };
+
+    const theme = THEMES.resolveTheme({ courseId: course.id, category: course.category });
+    const voiceOptions = { courseId: course.id, category: course.category, locale };
+
+    // ═══ NARRATOR ═══
+    let narration = [];
+    if (CONFIG.enableVoice) {
+      console.log('\n   NARRATOR');
+      try {
+        const narResult = await NARRATOR.generateCourseNarration(content, outputDir, voiceOptions);
+        narration = narResult.audioFiles;
+        result.stages.narrator = { success: true, lectures: narResult.successfulLectures, voice: narResult.voice, duration: narResult.totalDuration };
+        console.log(`   Audio: ${narResult.successfulLectures}/${narResult.totalLectures} lectures (voice ${narResult.voice})`);
+      } catch (error) {
+        result.warnings.push(`Narration: ${error.message}`);
+        result.stages.narrator = { success: false, error: error.message };
+      }
+    }
+
+    // ═══ MASTERING ═══
+    let audioQA = [];
+    if (CONFIG.enableMastering && narration.length > 0) {
+      console.log('\n   MASTERING');
+      try {
+        const masterResult = await MASTERING.masterCourseNarration(content, outputDir, {
+          audioFiles: narration,
+          resynthesize: (lectureIndex) => NARRATOR.renarrateLecture(content, outputDir, lectureIndex, voiceOptions)
+        });
+        if (masterResult.audioFiles.length > 0) narration = masterResult.audioFiles;
+        audioQA = masterResult.lectures;
+        result.stages.mastering = { success: true, lectures: masterResult.masteredLectures, flagged: masterResult.flaggedLectures };
+        if (masterResult.flaggedLectures.length > 0) result.warnings.push(`Mastering: lecture(s) ${masterResult.flaggedLectures.join(', ')} failed audio QA`);
+      } catch (error) {
+        result.warnings.push(`Mastering: ${error.message}`);
+        result.stages.mastering = { success: false, error: error.message };
+      }
+    }
+
+    // ═══ CAPTIONS ═══
+    let captionFiles = [];
+    if (CONFIG.enableCaptions && narration.length > 0) {
+      console.log('\n   CAPTIONS');
+      try {
+        const capResult = await CAPTIONER.generateCourseCaptions(content, outputDir, { audioFiles: narration });
+        captionFiles = capResult.captionFiles;
+        result.stages.captions = { success: true, lectures: capResult.captionedLectures };
+      } catch (error) {
+        result.warnings.push(`Captions: ${error.message}`);
+        result.stages.captions = { success: false, error: error.message };
+      }
+    }
+
+    // ═══ MUSIC ═══
+    let videoAudio = narration;
+    if (CONFIG.musicBed && narration.length > 0) {
+      console.log('\n   MUSIC');
+      try {
+        const mixResult = await MIXER.mixCourseMusic(content, outputDir, { audioFiles: narration, courseId: course.id, category: course.category });
+        if (!mixResult.skipped) videoAudio = mixResult.audioFiles;
+        result.stages.music = { success: true, skipped: !!mixResult.skipped, mood: mixResult.mood };
+      } catch (error) {
+        result.warnings.push(`Music bed: ${error.message}`);
+        result.stages.music = { success: false, error: error.message };
+      }
+    }
+
+    // ═══ SLIDEFORGE ═══
+    if (CONFIG.enableSlides) {
+      console.log('\n   SLIDEFORGE');
+      try {
+        const slideResult = await SLIDEFORGE.generateCoursePresentation(content, outputDir, { theme });
+        const thumbPath = path.join(outputDir, 'thumbnail.jpg');
+        const thumbResult = await SLIDEFORGE.generateThumbnail({ title: content.metadata?.title || course.title, text: course.category, outputPath: thumbPath, theme });
+        result.stages.slideforge = { success: true, slides: slideResult.totalSlides, pptxPath: slideResult.outputPath, thumbnailPath: thumbResult.success ? thumbPath : null };
+      } catch (error) {
+        result.stages.slideforge = { success: false, error: error.message };
+      }
+    }
+
+    // ═══ RENDERER ═══
+    let videoFiles = [];
+    if (CONFIG.enableVideo && videoAudio.length > 0) {
+      console.log('\n   RENDERER');
+      try {
+        const renderResult = await RENDERER.renderCourseVideos(content, outputDir, {
+          audioFiles: videoAudio,
+          method: CONFIG.renderMethod,
+          burnCaptions: CONFIG.burnCaptions && captionFiles.length > 0,
+          bumpers: false,
+          theme
+        });
+        videoFiles = renderResult.videoFiles;
+        result.stages.renderer = { success: true, videos: renderResult.successfulRenders };
+      } catch (error) {
+        result.stages.renderer = { success: false, error: error.message };
+      }
+    }
+
+    // ═══ QUIZ ═══
+    const questions = [
+      ...(content.assessment?.finalQuiz?.questions || []),
+      ...(content.sections || []).flatMap(s => s.quiz?.questions || [])
+    ];
+    fs.writeFileSync(path.join(outputDir, 'quiz.json'), JSON.stringify({ title: content.assessment?.finalQuiz?.title || 'Course Assessment', questions }, null, 2));
+    result.stages.quiz = { success: true, questions: questions.length };
+
+    // ═══ CHEATSHEET ═══
+    if (CONFIG.enableCheatsheet) {
+      console.log('\n   CHEATSHEET');
+      try {
+        const sheet = await generateCheatsheet(content, outputDir, { theme });
+        result.stages.cheatsheet = { success: sheet.success !== false, outputPath: sheet.outputPath, error: sheet.error };
+      } catch (error) {
+        result.stages.cheatsheet = { success: false, error: error.message };
+      }
+    }
+
+    // ═══ VALIDATOR ═══
+    const gates = await runAllGates(content, { audioFiles: narration, audioQA, videoFiles });
+    result.qualityScore = gates.overall || 0;
+    result.stages.validator = { success: gates.passed, score: result.qualityScore, failedAt: gates.failedAt || null };
+    fs.writeFileSync(path.join(outputDir, 'quality.json'), JSON.stringify({
+      locale, language: TRANSLATOR.languageFor(locale), source: sourcePath,
+      translation: result.stages.translate, stages: result.stages, warnings: result.warnings, gates
+    }, null, 2));
+
+    result.success = true;
+    console.log('\n' + '═'.repeat(70));
+    console.log(`   LOCALIZED — ${content.metadata?.title} (${locale})`);
+    console.log(`   Quality: ${result.qualityScore}/100 | ${gates.passed ? 'PASSED' : `NEEDS REVIEW at Gate ${gates.failedAt}`}`);
+    console.log(`   Output: ${outputDir}`);
+    console.log('═'.repeat(70));
+  } catch (error) {
+    result.errors.push(error.message);
+    console.error(`\n   LOCALIZE ERROR: ${error.message}`);
+  }
+
+  return result;
+}
+
+// CLI
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {};
+  let cassetteMode = null, cassetteDir = null;
+
+  args.forEach(arg => {
+    if (arg.startsWith('--course=')) options.courseId = arg.split('=')[1];
+    if (arg.startsWith('--locale=')) options.locale = arg.split('=')[1];
+    if (arg === '--retranslate') options.retranslate = true;
+    if (arg === '--skip-voice') CONFIG.enableVoice = false;
+    if (arg === '--skip-mastering') CONFIG.enableMastering = false;
+    if (arg === '--skip-slides') CONFIG.enableSlides = false;
+    if (arg === '--skip-video') CONFIG.enableVideo = false;
+    if (arg === '--burn-captions') CONFIG.burnCaptions = true;
+    if (arg === '--music') CONFIG.musicBed = true;
+    if (arg.startsWith('--render=')) CONFIG.renderMethod = arg.split('=')[1];
+    if (arg === '--record') cassetteMode = 'record';
+    if (arg === '--replay') cassetteMode = 'replay';
+    if (arg.startsWith('--cassette=')) cassetteDir = arg.split('=')[1];
+  });
+  if (cassetteMode || cassetteDir) setCassetteMode(cassetteMode, cassetteDir);
+
+  localizeCourse(options).then(r => {
+    process.exit(r.success ? 0 : 1);
+  }).catch(err => {
+    console.error('Fatal:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { localizeCourse, loadTranslation };
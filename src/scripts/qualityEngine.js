@@ -25,6 +25,14 @@ const WEIGHTS = {
   engagementClarity: 0.05
 };
 
+// Heuristics shared by the course-level scores and the per-lecture diagnosis
+const SPECULATIVE_PHRASES = ['i think', 'supposedly', 'i believe', 'i guess'];
+const FILLER_WORDS = ['um', 'uh', 'literally'];
+const EXAMPLE_PHRASES = ['example', 'for instance', 'such as', "let's say", 'imagine', 'consider', 'case study', 'scenario'];
+const ACTION_PATTERN = /try this|do this|start|implement|apply|action step/;
+const HOOK_PATTERN = /\?|have you|did you|imagine|what if|today|welcome|let's/;
+const MIN_LECTURE_WORDS = 200;
+
 function extractScriptText(lecture) {
   const parts = [];
   if (lecture.script?.opening) parts.push(lecture.script.opening);
@@ -46,8 +54,7 @@ function scoreAccuracy(content) {
   let speculative = 0;
   for (const l of lectures) {
     const text = extractScriptText(l).toLowerCase();
-    const patterns = ['i think', 'supposedly', 'i believe', 'i guess'];
-    for (const p of patterns) { if (text.includes(p)) speculative++; }
+    for (const p of SPECULATIVE_PHRASES) { if (text.includes(p)) speculative++; }
   }
   if (speculative === 0) { pts += 30; r.passed.push('No speculative language'); }
   else if (speculative <= 5) { pts += 22; r.issues.push(`${speculative} speculative phrases found`); }
@@ -61,11 +68,10 @@ function scoreAccuracy(content) {
 
   // Check for filler words (max 25)
   max += 25;
-  const fillers = ['um', 'uh', 'literally'];
   let fillerCount = 0;
   for (const l of lectures) {
     const text = extractScriptText(l).toLowerCase();
-    for (const f of fillers) { const m = text.match(new RegExp(`\\b${f}\\b`, 'g')); if (m) fillerCount += m.length; }
+    for (const f of FILLER_WORDS) { const m = text.match(new RegExp(`\\b${f}\\b`, 'g')); if (m) fillerCount += m.length; }
   }
   if (fillerCount === 0) { pts += 25; r.passed.push('No filler words'); }
   else if (fillerCount <= 5) { pts += 18; r.issues.push(`${fillerCount} filler words`); }
@@ -162,10 +168,9 @@ function scorePracticalApplication(content) {
   // Examples (35)
   max += 35;
   let examples = 0;
-  const exampleWords = ['example', 'for instance', 'such as', "let's say", 'imagine', 'consider', 'case study', 'scenario'];
   for (const l of lectures) {
     const text = extractScriptText(l).toLowerCase();
-    for (const w of exampleWords) { if (text.includes(w)) examples++; }
+    for (const w of EXAMPLE_PHRASES) { if (text.includes(w)) examples++; }
   }
   if (examples >= lectures.length * 2) { pts += 35; r.passed.push(`${examples} examples`); }
   else if (examples >= lectures.length) { pts += 22; r.issues.push('Add more examples'); }
@@ -177,7 +182,7 @@ function scorePracticalApplication(content) {
   for (const l of lectures) {
     if (l.script?.callToAction) actionable++;
     const text = extractScriptText(l).toLowerCase();
-    if (/try this|do this|start|implement|apply|action step/.test(text)) actionable++;
+    if (ACTION_PATTERN.test(text)) actionable++;
   }
   if (actionable >= lectures.length) { pts += 30; r.passed.push('Actionable content'); }
   else { pts += 15; r.issues.push('Add action steps'); }
@@ -267,7 +272,7 @@ function scoreEngagementClarity(content) {
   let hooks = 0;
   for (const l of lectures) {
     const opening = l.script?.opening || '';
-    if (/\?|have you|did you|imagine|what if|today|welcome|let's/.test(opening.toLowerCase())) hooks++;
+    if (HOOK_PATTERN.test(opening.toLowerCase())) hooks++;
   }
   if (hooks >= lectures.length * 0.7) { pts += 40; r.passed.push('Strong hooks'); }
   else { pts += 20; r.issues.push('Improve lecture hooks'); }
@@ -325,6 +330,46 @@ function evaluateCourseQuality(courseContent, productionData = {}) {
   };
 }
 
+/**
+ * Per-lecture diagnosis — which lectures cause which dimension to lose points
+ *
+ * Returns [{ sectionIndex, lectureIndex, title, findings: [{ dimension, issue }] }]
+ * for every lecture with at least one finding. "lectureLength" mirrors the
+ * 200-word check in Gate 2.
+ */
+function diagnoseLectures(courseContent) {
+  const diagnosis = [];
+
+  (courseContent.sections || []).forEach((section, sectionIndex) => {
+    (section.lectures || []).forEach((lecture, lectureIndex) => {
+      const text = extractScriptText(lecture).toLowerCase();
+      const findings = [];
+      const add = (dimension, issue) => findings.push({ dimension, issue });
+
+      const examples = EXAMPLE_PHRASES.filter(w => text.includes(w)).length;
+      if (examples < 2) add('practicalApplication', `Only ${examples} example phrase(s) — add at least 2 concrete real-world examples`);
+      if (!lecture.script?.callToAction && !ACTION_PATTERN.test(text)) add('practicalApplication', 'No actionable step or call to action');
+
+      if (!HOOK_PATTERN.test((lecture.script?.opening || '').toLowerCase())) add('engagementClarity', 'Opening lacks a hook (question, scenario or surprising fact)');
+      const you = (text.match(/\byou\b/g) || []).length;
+      if (you < 4) add('engagementClarity', `Only ${you} uses of "you" — use conversational second person`);
+
+      const speculative = SPECULATIVE_PHRASES.filter(p => text.includes(p));
+      if (speculative.length > 0) add('accuracy', `Speculative language: ${speculative.join(', ')}`);
+      const fillers = FILLER_WORDS.filter(f => new RegExp(`\\b${f}\\b`).test(text));
+      if (fillers.length > 0) add('accuracy', `Filler words: ${fillers.join(', ')}`);
+
+      const words = text.split(/\s+/).filter(w => w).length;
+      if (words < MIN_LECTURE_WORDS) add('lectureLength', `Script is ${words} words — needs at least ${MIN_LECTURE_WORDS}`);
+      if ((lecture.slides || []).length < 2) add('productionCompleteness', 'Fewer than 2 slides');
+
+      if (findings.length > 0) diagnosis.push({ sectionIndex, lectureIndex, title: lecture.title, findings });
+    });
+  });
+
+  return diagnosis;
+}
+
 function printQualityReport(evaluation) {
   console.log('\n' + '═'.repeat(70));
   console.log('   QUALITY REPORT');
@@ -341,6 +386,6 @@ function printQualityReport(evaluation) {
 }
 
 module.exports = {
-  evaluateCourseQuality, printQualityReport,
+  evaluateCourseQuality, diagnoseLectures, printQualityReport,
   THRESHOLD_TARGET, THRESHOLD_ACCEPTABLE, THRESHOLD_MINIMUM, WEIGHTS
 };
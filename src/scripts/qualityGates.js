@@ -3,8 +3,12 @@
  */
 
 const { evaluateCourseQuality, THRESHOLD_MINIMUM } = require('./qualityEngine');
+const { validateCourseContent, formatSchemaErrors } = require('../llm/schemas');
 const fs = require('fs');
 
+// "AI" in the course language (localized courses, _meta.locale)
+const AI_DISCLOSURE = { es: 'ia', fr: 'ia', it: 'ia', pt: 'ia', de: 'ki', nl: 'ki', pl: 'si', tr: 'yz', ar: 'الذكاء الاصطناعي', hi: 'एआई', ja: '人工知能', ko: '인공지능', zh: '人工智能' };
+
 function extractScriptText(lecture) {
   const parts = [];
   if (lecture.script?.opening) parts.push(lecture.script.opening);
@@ -32,6 +36,9 @@ async function gateCurriculum(courseContent) {
   const lectureCount = sections.reduce((s, sec) => s + (sec.lectures?.length || 0), 0);
   check(lectureCount >= 5, 'Lectures', lectureCount, `Need 5+ (have ${lectureCount})`);
 
+  const schema = validateCourseContent(courseContent);
+  check(schema.valid, 'Schema', 'valid', formatSchemaErrors(schema.errors, 5).join('; '));
+
   console.log(`   Gate 1: ${r.passed ? 'PASSED' : 'FAILED'}`);
   return r;
 }
@@ -66,7 +73,7 @@ async function gateLectures(courseContent) {
 async function gateVideo(productionData) {
   console.log('\n   GATE 3: Production Files');
   const r = { gate: 3, name: 'Video', passed: true, checks: [], failures: [] };
-  const { audioFiles = [], videoFiles = [] } = productionData;
+  const { audioFiles = [], videoFiles = [], audioQA = [] } = productionData;
 
   let audioOK = 0;
   for (const af of audioFiles) {
@@ -81,6 +88,16 @@ async function gateVideo(productionData) {
     r.checks.push({ name: 'Audio', status: audioFiles.length > 0 ? 'pass' : 'skip', value: `${audioOK}/${audioFiles.length}` });
   }
 
+  // Narration QA from the mastering stage — lectures still flagged after a retake
+  const flagged = audioQA.filter(m => !m.passed);
+  if (flagged.length > 0) {
+    r.passed = false;
+    r.failures.push({ name: 'Narration QA', issue: flagged.map(m => `L${m.lectureIndex}: ${m.issues.map(i => i.detail ? `${i.type} (${i.detail})` : i.type).join(', ')}`).join('; ') });
+  } else if (audioQA.length > 0) {
+    const lufs = audioQA.map(m => m.after?.lufs).filter(v => v !== null && v !== undefined);
+    r.checks.push({ name: 'Narration QA', status: 'pass', value: `${audioQA.length} lectures${lufs.length ? `, ${Math.min(...lufs)}..${Math.max(...lufs)} LUFS` : ''}` });
+  }
+
   console.log(`   Gate 3: ${r.passed ? 'PASSED' : 'FAILED'}`);
   return r;
 }
@@ -101,7 +118,8 @@ async function gateFinalAssembly(courseContent, productionData = {}) {
 
   // Udemy compliance
   const desc = courseContent.metadata?.description || '';
-  if (!desc.toLowerCase().includes('ai')) {
+  const localTerm = AI_DISCLOSURE[String(courseContent._meta?.locale || '').split(/[-_]/)[0]];
+  if (!['ai', localTerm].filter(Boolean).some(term => desc.toLowerCase().includes(term))) {
     r.passed = false;
     r.failures.push({ name: 'Udemy Compliance', issues: ['AI disclosure required'] });
   }
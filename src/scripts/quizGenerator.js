@@ -1,26 +1,40 @@
 /**
  * Quiz Generator — Assessment Content
+ *
+ * Uses the "quiz" stage provider (LLM_PROVIDER_QUIZ) unless options override it.
  */
 
 const { generateCourseContent } = require('../llm');
 const { buildQuizPrompt } = require('../llm/prompts/goldenBulletPrompt');
+const { repairAndValidate, formatSchemaErrors } = require('../llm/schemas');
 
-async function generateSectionQuiz(section, questionCount = 5) {
+/**
+ * Repair + validate a { questions } response; null when it fails the schema
+ */
+function checkQuestions(response) {
+  const checked = repairAndValidate(JSON.parse(response), { definition: 'questionList' });
+  if (checked.valid) return checked.content.questions;
+  console.log(`   Quiz schema: ${checked.errors.length} error(s), using fallback`);
+  formatSchemaErrors(checked.errors, 5).forEach(e => console.log(`     ${e}`));
+  return null;
+}
+
+async function generateSectionQuiz(section, questionCount = 5, options = {}) {
   console.log(`   Quiz: ${section.title}`);
   const prompt = buildQuizPrompt(section, questionCount);
 
   try {
-    const result = await generateCourseContent(prompt);
-    if (result.success) {
-      const parsed = JSON.parse(result.response);
-      return { title: `${section.title} Quiz`, sectionNumber: section.sectionNumber, questions: parsed.questions || [], passingScore: 70 };
+    const result = await generateCourseContent(prompt, { stage: 'quiz', ...options });
+    const questions = result.success ? checkQuestions(result.response) : null;
+    if (questions) {
+      return { title: `${section.title} Quiz`, sectionNumber: section.sectionNumber, questions, passingScore: 70 };
     }
   } catch {}
 
   return generateFallbackQuiz(section, questionCount);
 }
 
-async function generateFinalAssessment(courseContent, questionCount = 15) {
+async function generateFinalAssessment(courseContent, questionCount = 15, options = {}) {
   console.log(`   Generating final assessment (${questionCount} questions)...`);
   const topics = (courseContent.sections || []).map(s => `- ${s.title}: ${(s.lectures || []).map(l => l.title).join(', ')}`);
 
@@ -36,10 +50,10 @@ Include explanations for all answers.
 Return: { "questions": [{ "questionNumber": 1, "question": "...", "type": "mcq|truefalse|scenario", "options": ["A)","B)","C)","D)"], "correctAnswer": "A", "explanation": "...", "difficulty": "easy|medium|hard", "conceptTested": "..." }] }`;
 
   try {
-    const result = await generateCourseContent(prompt);
-    if (result.success) {
-      const parsed = JSON.parse(result.response);
-      return { title: 'Final Assessment', passingScore: 70, questions: parsed.questions || [] };
+    const result = await generateCourseContent(prompt, { stage: 'quiz', ...options });
+    const questions = result.success ? checkQuestions(result.response) : null;
+    if (questions) {
+      return { title: 'Final Assessment', passingScore: 70, questions };
     }
   } catch {}
 
@@ -1,6 +1,6 @@
 /**
  * Re-render course videos with improved 4K slides
- * Usage: node reRenderCourse.js <course-dir>
+ * Usage: node reRenderCourse.js <course-dir> [--render=remotion|ffmpeg]
  * Example: node reRenderCourse.js course-1-gen-ai-for-complete-beginners
  */
 
@@ -8,8 +8,9 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const RENDERER = require('../apollo/renderer');
+const { probeDuration } = require('../apollo/mediaProbe');
 
-async function reRender(courseDirName) {
+async function reRender(courseDirName, method = process.env.RENDER_METHOD || 'ffmpeg') {
   const baseDir = path.join(__dirname, '../../data/courses');
   const courseDir = path.join(baseDir, courseDirName);
 
@@ -27,18 +28,15 @@ async function reRender(courseDirName) {
   const content = JSON.parse(fs.readFileSync(contentPath, 'utf-8'));
   console.log(`Re-rendering: ${content.metadata?.title || courseDirName}`);
 
-  // Collect existing audio files
+  // Collect existing audio files — music bed, else mastered, else raw narration
   const audioDir = path.join(courseDir, 'audio');
   const audioFiles = [];
   let idx = 1;
   for (const section of content.sections || []) {
     for (const lecture of section.lectures || []) {
-      const audioPath = path.join(audioDir, `lecture-${String(idx).padStart(2, '0')}.mp3`);
-      if (fs.existsSync(audioPath)) {
-        audioFiles.push({ lectureIndex: idx, audioPath });
-      } else {
-        audioFiles.push({ lectureIndex: idx, audioPath: null });
-      }
+      const file = `lecture-${String(idx).padStart(2, '0')}.mp3`;
+      const audioPath = [path.join(audioDir, 'music', file), path.join(audioDir, 'mastered', file), path.join(audioDir, file)].find(p => fs.existsSync(p));
+      audioFiles.push({ lectureIndex: idx, audioPath: audioPath || null });
       idx++;
     }
   }
@@ -53,20 +51,21 @@ async function reRender(courseDirName) {
 
   const result = await RENDERER.renderCourseVideos(content, courseDir, {
     audioFiles,
-    method: 'ffmpeg'
+    method
   });
 
   console.log(`\nDone: ${result.successfulRenders}/${result.totalLectures} videos rendered`);
 
   // Verify durations
-  const { execSync } = require('child_process');
   for (const vf of result.videoFiles || []) {
-    try {
-      const dur = execSync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${vf.videoPath}"`, { encoding: 'utf-8' }).trim();
-      console.log(`  ${path.basename(vf.videoPath)}: ${parseFloat(dur).toFixed(1)}s`);
-    } catch {}
+    const duration = await probeDuration(vf.videoPath);
+    if (duration) console.log(`  ${path.basename(vf.videoPath)}: ${duration.toFixed(1)}s`);
   }
 }
 
-const courseName = process.argv[2] || 'course-1-gen-ai-for-complete-beginners';
-reRender(courseName).catch(e => { console.error('Error:', e); process.exit(1); });
+const courseName = process.argv.slice(2).find(a => !a.startsWith('--')) || 'course-1-gen-ai-for-complete-beginners';
+const renderArg = process.argv.find(a => a.startsWith('--render='));
+// Exit explicitly: a failed Remotion browser launch can leave its file server open
+reRender(courseName, renderArg ? renderArg.split('=')[1] : undefined)
+  .then(() => process.exit(0))
+  .catch(e => { console.error('Error:', e); process.exit(1); });
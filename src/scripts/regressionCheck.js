@@ -0,0 +1,141 @@
+/**
+ * Regression Check — replay the pipeline offline against committed cassettes
+ *
+ * Runs courses through the orchestrator in replay mode (no voice, video,
+ * slides or cheatsheet) from data/cassettes/regression and compares each
+ * outcome with baseline.json in that directory: success, final status,
+ * quality score, lecture and question counts. A cassette miss fails the
+ * check — a prompt changed without re-seeding:
+ *   node seedCassette.js --course=1 --course=2 --dir=data/cassettes/regression
+ *
+ * The runs checked are the baseline's entries ("course-1:golden"); --course
+ * and --mode pick others. --update saves the runs that succeed without a
+ * miss — course-2 has no staged entry, its lecture 8.1 has a single slide
+ * and staged lectures need two.
+ *
+ * Course state goes to a throwaway database (STATE_DB_PATH), and the files a
+ * run rewrites in the course directory are put back afterwards.
+ *
+ * Usage:
+ *   node regressionCheck.js                  # every run in baseline.json
+ *   node regressionCheck.js --course=1 --mode=staged
+ *   node regressionCheck.js --course=1 --course=2 --update  # golden + staged, save the baseline
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const REGRESSION_DIR = path.join(__dirname, '../../data/cassettes/regression');
+const BASELINE_FILE = path.join(REGRESSION_DIR, 'baseline.json');
+const DEFAULT_COURSES = ['1', '2'];
+const MODES = ['golden', 'staged'];
+// Rewritten by a run — restored so the committed course stays as it was
+const RUN_FILES = ['content.json', 'quiz.json', 'checkpoint.json'];
+
+process.env.STATE_DB_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'regression-')), 'state.db');
+
+const STATE = require('../apollo/stateStore');
+const CURRICULUM = require('../apollo/curriculum');
+const { orchestrate, CONFIG } = require('./courseOrchestrator');
+const { setCassetteMode, getCassetteMisses } = require('../llm/cassette');
+
+/**
+ * Replay one course in one scriptwriter mode — its comparable outcome
+ */
+async function replayCourse(courseId, mode, dir = REGRESSION_DIR) {
+  setCassetteMode('replay', dir);
+  Object.assign(CONFIG, { scriptMode: mode, enableVoice: false, enableVideo: false, enableSlides: false, enableCheatsheet: false });
+
+  const course = CURRICULUM.getCourseById(courseId);
+  if (!course) throw new Error(`Course not found: ${courseId}`);
+  const courseDir = CURRICULUM.getCourseDirectory(course);
+  const saved = RUN_FILES.map(f => [path.join(courseDir, f), fs.existsSync(path.join(courseDir, f)) ? fs.readFileSync(path.join(courseDir, f)) : null]);
+
+  const missesBefore = getCassetteMisses().length;
+  let result;
+  try {
+    result = await orchestrate({ courseId });
+  } finally {
+    saved.forEach(([file, data]) => (data ? fs.writeFileSync(file, data) : fs.rmSync(file, { force: true })));
+  }
+  const sections = result.content?.sections || [];
+  return {
+    success: result.success,
+    status: result.course ? STATE.getCourseState(result.course.id)?.status || null : null,
+    qualityScore: result.qualityScore,
+    lectures: sections.reduce((sum, s) => sum + (s.lectures?.length || 0), 0),
+    questions: result.stages.quiz?.questions || 0,
+    cassetteMisses: getCassetteMisses().length - missesBefore
+  };
+}
+
+function compareOutcome(outcome, expected) {
+  if (!expected) return ['no baseline (run with --update)'];
+  return Object.keys(expected)
+    .filter(key => outcome[key] !== expected[key])
+    .map(key => `${key}: expected ${expected[key]}, got ${outcome[key]}`);
+}
+
+/**
+ * Runs to check — "course-N:mode" keys, from the options or the baseline
+ */
+function planRuns(baseline, { courses = [], modes = [] } = {}) {
+  if (courses.length === 0 && modes.length === 0 && Object.keys(baseline).length > 0) return Object.keys(baseline);
+  const ids = (courses.length ? courses : DEFAULT_COURSES).map(id => `course-${String(id).replace(/^course-/, '')}`);
+  return ids.flatMap(id => (modes.length ? modes : MODES).map(mode => `${id}:${mode}`));
+}
+
+async function runRegression(options = {}) {
+  const { update = false } = options;
+  const baseline = fs.existsSync(BASELINE_FILE) ? JSON.parse(fs.readFileSync(BASELINE_FILE, 'utf-8')) : {};
+  const results = [];
+
+  for (const key of planRuns(baseline, options)) {
+    const [courseId, mode] = key.split(':');
+    const outcome = await replayCourse(courseId, mode);
+    const failures = update ? [] : compareOutcome(outcome, baseline[key]);
+    if (outcome.cassetteMisses > 0 && !failures.some(f => f.startsWith('cassetteMisses'))) failures.push(`${outcome.cassetteMisses} cassette miss(es)`);
+    if (update && !outcome.success) failures.push('run failed — not saved');
+    if (update && failures.length === 0) baseline[key] = outcome;
+    results.push({ key, outcome, failures });
+  }
+
+  console.log('\n' + '═'.repeat(70));
+  console.log('   REGRESSION CHECK');
+  console.log('═'.repeat(70));
+  results.forEach(({ key, outcome, failures }) => {
+    console.log(`   ${failures.length ? 'FAIL' : 'PASS'}  ${key} — ${outcome.status}, ${outcome.qualityScore}/100, ${outcome.lectures} lectures, ${outcome.questions} questions`);
+    failures.forEach(f => console.log(`         ${f}`));
+  });
+
+  if (update) {
+    fs.writeFileSync(BASELINE_FILE, JSON.stringify(baseline, null, 2) + '\n');
+    console.log(`\n   Baseline saved: ${path.relative(process.cwd(), BASELINE_FILE)}`);
+  }
+  STATE.closeStore();
+  fs.rmSync(path.dirname(process.env.STATE_DB_PATH), { recursive: true, force: true });
+
+  return { passed: results.every(r => r.failures.length === 0), results };
+}
+
+// CLI
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const courses = args.filter(a => a.startsWith('--course=')).map(a => a.split('=')[1]);
+  const modes = args.filter(a => a.startsWith('--mode=')).map(a => a.split('=')[1]);
+  const unknown = modes.find(m => !MODES.includes(m));
+  if (unknown) {
+    console.error(`Unknown mode: ${unknown} (use ${MODES.join('|')})`);
+    process.exit(1);
+  }
+
+  runRegression({ courses, modes, update: args.includes('--update') }).then(r => {
+    process.exit(r.passed ? 0 : 1);
+  }).catch(err => {
+    console.error('Fatal:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { runRegression, replayCourse };
@@ -0,0 +1,170 @@
+/**
+ * Seed LLM cassettes from committed course content
+ *
+ * Runs the prompt-issuing half of the pipeline — golden and staged
+ * generation, targeted lecture regeneration and the final assessment — in
+ * record mode against a "seed" provider that answers every prompt from the
+ * course's existing content.json:
+ *   golden / outline / lecture / assessment / cheat sheet → that part of the course
+ *   lecture regeneration → the lecture unchanged
+ *   final assessment / section quiz → the existing questions
+ * Every prompt a --replay run issues is then in the cassette, so the
+ * pipeline can be replayed offline against known-good content.
+ *
+ * Usage:
+ *   node seedCassette.js --course=1 --course=2
+ *   node seedCassette.js --course=1 --dir=data/cassettes/regression
+ *
+ * Then:
+ *   node courseOrchestrator.js --course=1 --replay --skip-voice
+ *   node regressionCheck.js
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const CURRICULUM = require('../apollo/curriculum');
+const SCRIPTWRITER = require('../apollo/scriptwriter');
+const { generateFinalAssessment } = require('./quizGenerator');
+const { registerProvider } = require('../llm/providers');
+const { getCassetteConfig, setCassetteMode } = require('../llm/cassette');
+
+const SEED_PROVIDER = 'seed';
+const MODES = ['golden', 'staged'];
+// The orchestrator's regeneration target (CONFIG.quality.target)
+const TARGET_SCORE = parseInt(process.env.QUALITY_THRESHOLD_TARGET) || 95;
+
+function between(text, start, end) {
+  const from = text.indexOf(start);
+  if (from === -1) return null;
+  const to = end ? text.indexOf(end, from + start.length) : -1;
+  return text.slice(from + start.length, to === -1 ? undefined : to);
+}
+
+/**
+ * Answer for one prompt, from the committed content (throws for an unknown prompt)
+ */
+function answerPrompt(prompt, content) {
+  const sections = content.sections || [];
+
+  if (prompt.startsWith('You are an expert Udemy course creator with')) return content;
+
+  if (prompt.includes('Plan the OUTLINE')) {
+    return {
+      metadata: content.metadata,
+      sections: sections.map(s => ({
+        sectionNumber: s.sectionNumber, title: s.title, objective: s.objective,
+        lectures: (s.lectures || []).map(({ script, slides, ...lecture }) => lecture)
+      })),
+      thumbnailSuggestions: content.thumbnailSuggestions || [],
+      promotionalContent: content.promotionalContent || {}
+    };
+  }
+
+  if (prompt.includes('writing ONE lecture')) {
+    const target = between(prompt, 'WRITE THIS LECTURE\n', '\nLearning objective') || '';
+    const sectionNumber = Number(target.match(/^Section (\d+):/m)?.[1]);
+    const lectureNumber = Number(target.match(/^Lecture (\d+):/m)?.[1]);
+    const lecture = sections.find(s => s.sectionNumber === sectionNumber)?.lectures?.find(l => l.lectureNumber === lectureNumber);
+    if (!lecture) throw new Error(`No lecture ${sectionNumber}.${lectureNumber} in content.json`);
+    return { script: lecture.script, slides: lecture.slides };
+  }
+
+  if (prompt.startsWith('Write the final assessment')) return content.assessment;
+  if (prompt.startsWith('Write a one-page quick reference')) return content.cheatSheet;
+
+  // Regeneration keeps the lecture as it is — replay stays on known-good content
+  if (prompt.startsWith('Regenerate this lecture')) {
+    return JSON.parse(between(prompt, 'ORIGINAL LECTURE:\n', '\n\nQUALITY FEEDBACK:'));
+  }
+
+  if (prompt.startsWith('Generate a final assessment quiz')) return { questions: content.assessment?.finalQuiz?.questions || [] };
+
+  if (/^Generate \d+ quiz questions for this section/.test(prompt)) {
+    const section = JSON.parse(between(prompt, 'SECTION:\n', '\n\nReturn:'));
+    const questions = sections.find(s => s.sectionNumber === section.sectionNumber)?.quiz?.questions;
+    if (!questions) throw new Error(`No quiz for section ${section.sectionNumber} in content.json`);
+    return { questions };
+  }
+
+  throw new Error(`Seed provider has no answer for prompt: ${prompt.slice(0, 60)}...`);
+}
+
+/**
+ * Provider that answers from a course's content.json (see answerPrompt)
+ */
+function createSeedProvider(content, model = null) {
+  const prompts = new Set();
+  return {
+    name: SEED_PROVIDER,
+    model: model || SEED_PROVIDER,
+    prompts,
+
+    async generate(prompt) {
+      prompts.add(prompt);
+      const text = JSON.stringify(answerPrompt(prompt, content), null, 2);
+      return { text, tokensUsed: { prompt: Math.ceil(prompt.length / 4), response: Math.ceil(text.length / 4), total: Math.ceil((prompt.length + text.length) / 4) } };
+    }
+  };
+}
+
+/**
+ * Record every prompt of the golden and staged runs of a course into dir
+ */
+async function seedCourse(courseId, dir) {
+  const course = CURRICULUM.getCourseById(courseId);
+  if (!course) throw new Error(`Course not found: ${courseId}`);
+
+  const contentPath = path.join(CURRICULUM.getCourseDirectory(course), 'content.json');
+  if (!fs.existsSync(contentPath)) throw new Error(`No content.json for ${course.id} (${contentPath})`);
+
+  const { _meta, ...content } = JSON.parse(fs.readFileSync(contentPath, 'utf-8'));
+  let provider = null;
+  registerProvider(SEED_PROVIDER, () => (provider = createSeedProvider(content, _meta?.provider)));
+  setCassetteMode('record', dir);
+
+  const failed = [];
+  try {
+    const llm = { provider: SEED_PROVIDER };
+    for (const mode of MODES) {
+      // Same calls as the orchestrator: generate, improve below target, assessment
+      try {
+        const generated = await SCRIPTWRITER.generateCourse(course, { ...llm, mode, maxRetries: 1 });
+        const { content: improved } = await SCRIPTWRITER.improveCourse(generated, course, { ...llm, targetScore: TARGET_SCORE });
+        await generateFinalAssessment(improved, 15, llm);
+      } catch (error) {
+        // The content does not get through this mode's validation — replay fails the same way
+        failed.push(mode);
+        console.log(`   ${course.id} (${mode}): ${error.message}`);
+      }
+    }
+  } finally {
+    setCassetteMode(null);
+  }
+
+  const prompts = provider ? provider.prompts.size : 0;
+  console.log(`   ${course.id}: ${prompts} prompt(s) → ${path.relative(process.cwd(), dir) || dir}${failed.length ? ` (${failed.join(', ')} not reproducible)` : ''}`);
+  return { prompts, failed };
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const courseIds = args.filter(a => a.startsWith('--course=')).map(a => a.split('=')[1]);
+  const dirArg = args.find(a => a.startsWith('--dir='));
+  const dir = dirArg ? path.resolve(dirArg.split('=')[1]) : getCassetteConfig().dir;
+
+  if (courseIds.length === 0) {
+    console.error('Usage: node seedCassette.js --course=<id> [--course=<id>] [--dir=<cassette dir>]');
+    process.exit(1);
+  }
+
+  console.log(`\n   Seeding cassettes → ${dir}`);
+  (async () => {
+    for (const id of courseIds) await seedCourse(id, dir);
+  })().then(() => process.exit(0)).catch(error => {
+    console.error(`   Error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { seedCourse, createSeedProvider, answerPrompt };
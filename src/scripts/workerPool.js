@@ -0,0 +1,75 @@
+/**
+ * Worker Pool — bounded concurrency per resource
+ *
+ * One shared pool per resource type, so concurrent courses in a batch still
+ * respect global limits (e.g. one GPU for TTS, N cores for FFmpeg):
+ *   llm     — LLM provider calls          (LLM_CONCURRENCY, default 2)
+ *   tts     — lecture narration synthesis (TTS_CONCURRENCY, default 1)
+ *   render  — FFmpeg / Remotion renders   (RENDER_CONCURRENCY, default cores/2)
+ *   courses — whole courses in a batch    (COURSE_CONCURRENCY, default 1)
+ */
+
+require('dotenv').config();
+const os = require('os');
+
+const DEFAULT_LIMITS = {
+  llm: parseInt(process.env.LLM_CONCURRENCY) || 2,
+  tts: parseInt(process.env.TTS_CONCURRENCY) || 1,
+  render: parseInt(process.env.RENDER_CONCURRENCY) || Math.max(1, Math.floor(os.cpus().length / 2)),
+  courses: parseInt(process.env.COURSE_CONCURRENCY) || 1
+};
+
+const pools = {};
+
+/**
+ * Create a pool that runs at most `concurrency` tasks at once, FIFO
+ */
+function createPool(name, concurrency = 1) {
+  const queue = [];
+  const pool = { name, concurrency: Math.max(1, concurrency), active: 0 };
+
+  const next = () => {
+    while (pool.active < pool.concurrency && queue.length > 0) {
+      const { task, resolve, reject } = queue.shift();
+      pool.active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => { pool.active--; next(); });
+    }
+  };
+
+  pool.run = (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+  pool.setConcurrency = (n) => { pool.concurrency = Math.max(1, n); next(); };
+  pool.pending = () => queue.length;
+  return pool;
+}
+
+/**
+ * Shared pool for a resource type (created on first use)
+ */
+function getPool(name) {
+  if (!pools[name]) pools[name] = createPool(name, DEFAULT_LIMITS[name] || 1);
+  return pools[name];
+}
+
+function setConcurrency(name, concurrency) {
+  getPool(name).setConcurrency(concurrency);
+}
+
+/**
+ * Run fn(item, index) for every item through the pool — results keep input order
+ */
+function mapWithPool(poolOrName, items, fn) {
+  const pool = typeof poolOrName === 'string' ? getPool(poolOrName) : poolOrName;
+  return Promise.all(items.map((item, i) => pool.run(() => fn(item, i))));
+}
+
+function getLimits() {
+  return Object.fromEntries(Object.keys(DEFAULT_LIMITS).map(name => [name, getPool(name).concurrency]));
+}
+
+module.exports = { createPool, getPool, setConcurrency, mapWithPool, getLimits, DEFAULT_LIMITS };